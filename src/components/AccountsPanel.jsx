@@ -0,0 +1,141 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useBaseCurrency } from '../hooks/useBaseCurrency';
+import { useToast } from '../context/ToastContext';
+import { PrivacyAmount } from '../context/PrivacyContext';
+import Modal from './Modal';
+import { formatCurrency } from '../utils/helpers';
+import { ACCOUNT_TYPES, getAccountType, getAccountBalances, getNetWorth } from '../utils/accounts';
+import { Landmark, ArrowRightLeft, Plus, Trash2 } from 'lucide-react';
+
+const EMPTY_ACCOUNT = { name: '', type: ACCOUNT_TYPES.CHECKING.key, openingBalance: '' };
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ACCOUNTS PANEL — Per-account balances and account setup
+// Transfers are recorded through the transaction form (`onTransfer`)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function AccountsPanel({ onTransfer }) {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const { accounts = [] } = state;
+    // Balances add movements in any currency, so they are kept in the base one
+    const { transactions } = useBaseCurrency();
+    const [showConfig, setShowConfig] = useState(false);
+    const [draft, setDraft] = useState(EMPTY_ACCOUNT);
+
+    const balances = useMemo(() => getAccountBalances(accounts, transactions), [accounts, transactions]);
+    const netWorth = useMemo(() => getNetWorth(accounts, transactions), [accounts, transactions]);
+    const usedIds = useMemo(() => new Set(transactions.flatMap(t => [t.accountId, t.toAccountId]).filter(Boolean)), [transactions]);
+
+    const handleAdd = useCallback((e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) { addToast('Ponle un nombre a la cuenta', { type: 'warning' }); return; }
+        dispatch({ type: 'ADD_ACCOUNT', payload: { ...draft, openingBalance: Number(draft.openingBalance) || 0 } });
+        addToast(`Cuenta "${draft.name.trim()}" creada`, { type: 'success' });
+        setDraft(EMPTY_ACCOUNT);
+    }, [draft, dispatch, addToast]);
+
+    const handleDelete = useCallback((account) => {
+        if (usedIds.has(account.id)) { addToast('La cuenta tiene movimientos; reasígnalos antes de eliminarla', { type: 'warning' }); return; }
+        dispatch({ type: 'DELETE_ACCOUNT', payload: account.id });
+        addToast('Cuenta eliminada', {
+            type: 'warning',
+            action: { label: 'Deshacer', onClick: () => dispatch({ type: 'UNDO_LAST' }) },
+        });
+    }, [usedIds, dispatch, addToast]);
+
+    return (
+        <div className="card-wealth" style={{ marginBottom: 24 }}>
+            <div className="card-header">
+                <div className="card-header-icon" style={{ background: 'var(--success-muted)' }}>
+                    <Landmark size={16} color="var(--accent-primary)" />
+                </div>
+                <h3 style={{ fontSize: 14, fontWeight: 700, flex: 1 }}>Cuentas</h3>
+                {accounts.length > 1 && (
+                    <button className="btn-wealth btn-wealth-outline" style={{ padding: '6px 12px', fontSize: 11 }} onClick={onTransfer}>
+                        <ArrowRightLeft size={12} /> Transferir
+                    </button>
+                )}
+                <button className="btn-wealth btn-wealth-outline" style={{ padding: '6px 12px', fontSize: 11 }} onClick={() => setShowConfig(true)}>
+                    <Plus size={12} /> Cuentas
+                </button>
+            </div>
+
+            {accounts.length === 0 ? (
+                <div style={{ fontSize: 13, color: 'var(--text-muted)', padding: '8px 0' }}>
+                    Registra tu cuenta corriente, efectivo, tarjeta de crédito o CuentaRUT para ver cuánto hay en cada una.
+                </div>
+            ) : (
+                <>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 12 }}>
+                        {balances.map(a => (
+                            <div key={a.id || 'unassigned'} style={{ padding: 14, borderRadius: 12, background: 'var(--bg-elevated)' }}>
+                                <div style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 4 }}>
+                                    {getAccountType(a.type).icon} {a.name}
+                                </div>
+                                <PrivacyAmount>
+                                    <div style={{ fontFamily: 'Space Grotesk', fontSize: 18, fontWeight: 700, color: a.balance < 0 ? 'var(--danger)' : 'var(--text-primary)' }}>
+                                        {formatCurrency(a.balance)}
+                                    </div>
+                                </PrivacyAmount>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex-between" style={{ fontSize: 12, marginTop: 12, color: 'var(--text-muted)' }}>
+                        <span>Patrimonio en cuentas</span>
+                        <PrivacyAmount>
+                            <span style={{ fontFamily: 'Space Grotesk', fontWeight: 700, color: netWorth < 0 ? 'var(--danger)' : 'var(--text-primary)' }}>{formatCurrency(netWorth)}</span>
+                        </PrivacyAmount>
+                    </div>
+                </>
+            )}
+
+            {/* Config Modal */}
+            <Modal isOpen={showConfig} onClose={() => setShowConfig(false)} title="Mis Cuentas">
+                {accounts.length > 0 && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 20 }}>
+                        {accounts.map(a => (
+                            <div key={a.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 10px', borderRadius: 8, background: 'var(--bg-elevated)' }}>
+                                <div style={{ flex: 1, minWidth: 0 }}>
+                                    <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>{getAccountType(a.type).icon} {a.name}</div>
+                                    <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                                        {getAccountType(a.type).label} · saldo inicial {formatCurrency(a.openingBalance)}
+                                    </div>
+                                </div>
+                                <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                    onClick={() => handleDelete(a)} aria-label="Eliminar cuenta">
+                                    <Trash2 size={12} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <form onSubmit={handleAdd}>
+                    <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8 }}>Nueva cuenta</div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginBottom: 16 }}>
+                        <input className="wealth-input" placeholder="Nombre (ej: Cuenta Corriente BCI)"
+                            value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+                        <div style={{ display: 'flex', gap: 8 }}>
+                            <select className="wealth-input" value={draft.type} onChange={e => setDraft({ ...draft, type: e.target.value })}>
+                                {Object.values(ACCOUNT_TYPES).map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                            </select>
+                            <input className="wealth-input" type="number" placeholder="Saldo inicial"
+                                value={draft.openingBalance} onChange={e => setDraft({ ...draft, openingBalance: e.target.value })} />
+                        </div>
+                        {draft.type === ACCOUNT_TYPES.CREDIT_CARD.key && (
+                            <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>Para una tarjeta, ingresa la deuda actual como saldo negativo.</div>
+                        )}
+                    </div>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={() => setShowConfig(false)}>Cerrar</button>
+                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>
+                            <Plus size={14} /> Agregar cuenta
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </div>
+    );
+}
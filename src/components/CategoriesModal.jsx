@@ -0,0 +1,193 @@
+import { useState, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import Modal from './Modal';
+import { EXPENSE_TYPES } from '../utils/patterns';
+import { CATEGORY_KINDS, listCategories, findCategory, deletionTarget, categoryOptionLabel } from '../utils/categories';
+import { Trash2, Plus, Edit3, Merge, X } from 'lucide-react';
+
+const EMPTY_DRAFT = { label: '', icon: '📦', color: '#6b7280', parent: '', classification: '' };
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CATEGORIES — Manage the category registry
+// Renaming keeps every record; merging and deleting move them
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function CategoriesModal({ isOpen, onClose }) {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const [kind, setKind] = useState('gasto');
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    // value being edited, or null while the form adds a new category
+    const [editing, setEditing] = useState(null);
+    // { action: 'merge' | 'delete', value } while a row asks for confirmation
+    const [pending, setPending] = useState(null);
+    const [mergeInto, setMergeInto] = useState('');
+
+    const categories = listCategories(kind, state.categories);
+    const parents = categories.filter(c => !c.parent && c.value !== editing);
+    const hasChildren = (value) => categories.some(c => c.parent === value);
+
+    const reset = useCallback(() => {
+        setDraft(EMPTY_DRAFT);
+        setEditing(null);
+        setPending(null);
+        setMergeInto('');
+    }, []);
+
+    const switchKind = (next) => {
+        setKind(next);
+        reset();
+    };
+
+    const startEdit = (category) => {
+        setPending(null);
+        setEditing(category.value);
+        setDraft({
+            label: category.label, icon: category.icon, color: category.color,
+            parent: category.parent || '', classification: category.classification || '',
+        });
+    };
+
+    const handleSubmit = useCallback((e) => {
+        e.preventDefault();
+        if (!draft.label.trim()) { addToast('Ponle un nombre a la categoría', { type: 'warning' }); return; }
+        if (editing) {
+            dispatch({ type: 'UPDATE_CATEGORY', payload: { ...draft, kind, value: editing } });
+            addToast('Categoría actualizada', { type: 'success' });
+        } else {
+            dispatch({ type: 'ADD_CATEGORY', payload: { ...draft, kind } });
+            addToast('Categoría creada', { type: 'success' });
+        }
+        reset();
+    }, [draft, editing, kind, dispatch, addToast, reset]);
+
+    const startPending = (action, value) => {
+        setEditing(null);
+        setDraft(EMPTY_DRAFT);
+        setMergeInto('');
+        setPending({ action, value });
+    };
+
+    const handleConfirm = useCallback((category) => {
+        if (pending.action === 'delete') {
+            dispatch({ type: 'DELETE_CATEGORY', payload: { kind, value: category.value } });
+            addToast(`"${category.label}" eliminada`, { type: 'success' });
+        } else {
+            if (!mergeInto) { addToast('Elige la categoría que recibirá los movimientos', { type: 'warning' }); return; }
+            dispatch({ type: 'MERGE_CATEGORY', payload: { kind, from: category.value, into: mergeInto } });
+            addToast(`"${category.label}" se unió a "${findCategory(kind, mergeInto, state.categories).label}"`, { type: 'success' });
+        }
+        reset();
+    }, [pending, kind, mergeInto, state.categories, dispatch, addToast, reset]);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Categorías">
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                Renombrar no cambia tus registros. Al unir o eliminar una categoría, sus movimientos, presupuestos, reglas y gastos fijos pasan a otra.
+            </p>
+
+            <div style={{ display: 'flex', gap: 4, marginBottom: 16 }}>
+                {Object.entries(CATEGORY_KINDS).map(([key, { label }]) => (
+                    <button key={key} type="button" onClick={() => switchKind(key)} style={{
+                        flex: 1, padding: '6px 0', borderRadius: 8, border: 'none', fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                        background: kind === key ? 'var(--accent-primary)' : 'var(--bg-elevated)',
+                        color: kind === key ? '#0a0a0b' : 'var(--text-muted)',
+                    }}>{label}</button>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginBottom: 20 }}>
+                {categories.map(category => (
+                    <div key={category.value} style={{ padding: '8px 10px', marginLeft: category.parent ? 20 : 0, borderRadius: 8, background: 'var(--bg-elevated)', borderLeft: `3px solid ${category.color}` }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                            <span style={{ fontSize: 16 }}>{category.icon}</span>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>{category.label}</div>
+                                {category.classification && (
+                                    <div style={{ fontSize: 10, color: 'var(--text-muted)' }}>{EXPENSE_TYPES[category.classification.toUpperCase()]?.label}</div>
+                                )}
+                            </div>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                onClick={() => startEdit(category)} aria-label="Editar categoría">
+                                <Edit3 size={12} />
+                            </button>
+                            {!category.locked && (
+                                <>
+                                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                        onClick={() => startPending('merge', category.value)} aria-label="Unir con otra categoría">
+                                        <Merge size={12} />
+                                    </button>
+                                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                        onClick={() => startPending('delete', category.value)} aria-label="Eliminar categoría">
+                                        <Trash2 size={12} />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                        {pending?.value === category.value && (
+                            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 8 }}>
+                                {pending.action === 'merge' ? (
+                                    <select className="wealth-input" aria-label="Unir con" value={mergeInto} onChange={e => setMergeInto(e.target.value)}>
+                                        <option value="">Unir con…</option>
+                                        {categories.filter(c => c.value !== category.value).map(c => (
+                                            <option key={c.value} value={c.value}>{categoryOptionLabel(c)}</option>
+                                        ))}
+                                    </select>
+                                ) : (
+                                    <span style={{ flex: 1, fontSize: 11, color: 'var(--text-muted)' }}>
+                                        Sus registros pasarán a "{findCategory(kind, deletionTarget(kind, category.value, state.categories), state.categories).label}"
+                                    </span>
+                                )}
+                                <button type="button" className="btn-wealth" style={{ padding: '4px 12px', fontSize: 11 }} onClick={() => handleConfirm(category)}>
+                                    {pending.action === 'merge' ? 'Unir' : 'Eliminar'}
+                                </button>
+                                <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }} onClick={reset} aria-label="Cancelar">
+                                    <X size={12} />
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit}>
+                <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8 }}>
+                    {editing ? `Editar ${findCategory(kind, editing, state.categories).label}` : 'Nueva categoría'}
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginBottom: 16 }}>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                        <input className="wealth-input" aria-label="Ícono" style={{ width: 56, textAlign: 'center' }} maxLength={4}
+                            value={draft.icon} onChange={e => setDraft({ ...draft, icon: e.target.value })} />
+                        <input className="wealth-input" placeholder="Nombre (ej: Mascotas)"
+                            value={draft.label} onChange={e => setDraft({ ...draft, label: e.target.value })} />
+                        <input type="color" aria-label="Color" style={{ width: 48, height: 44, border: 'none', background: 'none', cursor: 'pointer' }}
+                            value={draft.color} onChange={e => setDraft({ ...draft, color: e.target.value })} />
+                    </div>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                        <select className="wealth-input" aria-label="Categoría padre" value={draft.parent} disabled={!!editing && hasChildren(editing)}
+                            onChange={e => setDraft({ ...draft, parent: e.target.value })}>
+                            <option value="">Sin categoría padre</option>
+                            {parents.map(c => <option key={c.value} value={c.value}>{c.icon} {c.label}</option>)}
+                        </select>
+                        {kind === 'gasto' && (
+                            <select className="wealth-input" aria-label="Clasificación" value={draft.classification}
+                                onChange={e => setDraft({ ...draft, classification: e.target.value })}>
+                                <option value="">Clasificación de la categoría padre</option>
+                                {Object.values(EXPENSE_TYPES).map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                            </select>
+                        )}
+                    </div>
+                </div>
+                <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={editing ? reset : onClose}>
+                        {editing ? 'Cancelar' : 'Cerrar'}
+                    </button>
+                    <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>
+                        {editing ? 'Guardar cambios' : <><Plus size={14} /> Agregar categoría</>}
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
@@ -0,0 +1,162 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import Modal from './Modal';
+import { formatCurrency, getTransactionCategories } from '../utils/helpers';
+import { EXPENSE_TYPES } from '../utils/patterns';
+import { categoryOptionLabel } from '../utils/categories';
+import { WEEKDAY_LABELS, describeRule, learnFromHistory, getLearnedPairs } from '../utils/categoryRules';
+import { Trash2, Plus, Sparkles } from 'lucide-react';
+
+const EMPTY_RULE = { noteContains: '', payeeId: '', type: 'gasto', minAmount: '', maxAmount: '', weekdays: [], category: '', classification: '' };
+
+const categoryLabel = (type, value) => {
+    const types = type ? [type] : ['gasto', 'ingreso'];
+    for (const t of types) {
+        const match = getTransactionCategories(t).find(c => c.value === value);
+        if (match) return match.label;
+    }
+    return value;
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CATEGORY RULES — Manage auto-categorization rules
+// First matching rule wins; learned pairs can become rules
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function CategoryRulesModal({ isOpen, onClose }) {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const { categoryRules, transactions, payees } = state;
+    const payeeItems = payees?.items || [];
+    const [draft, setDraft] = useState(EMPTY_RULE);
+
+    const rules = categoryRules?.items || [];
+    const learned = useMemo(
+        () => (isOpen ? getLearnedPairs(learnFromHistory(transactions), categoryRules) : []),
+        [isOpen, transactions, categoryRules],
+    );
+    const draftCategories = draft.type
+        ? getTransactionCategories(draft.type)
+        : [...getTransactionCategories('gasto'), ...getTransactionCategories('ingreso')];
+
+    const toggleWeekday = (day) => setDraft(d => ({
+        ...d,
+        weekdays: d.weekdays.includes(day) ? d.weekdays.filter(w => w !== day) : [...d.weekdays, day].sort(),
+    }));
+
+    const handleAdd = useCallback((e) => {
+        e.preventDefault();
+        if (!draft.category) { addToast('Elige la categoría que asignará la regla', { type: 'warning' }); return; }
+        if (draft.minAmount && draft.maxAmount && Number(draft.minAmount) > Number(draft.maxAmount)) {
+            addToast('El monto mínimo supera al máximo', { type: 'warning' });
+            return;
+        }
+        dispatch({ type: 'SET_CATEGORY_RULE', payload: draft });
+        addToast('Regla creada', { type: 'success' });
+        setDraft(EMPTY_RULE);
+    }, [draft, dispatch, addToast]);
+
+    const handleAdopt = useCallback((pair) => {
+        dispatch({ type: 'SET_CATEGORY_RULE', payload: { ...EMPTY_RULE, noteContains: pair.note, type: pair.type, category: pair.category } });
+        addToast(`Regla creada para "${pair.note}"`, { type: 'success' });
+    }, [dispatch, addToast]);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Reglas de Categorización">
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                Las reglas completan la categoría al registrar o importar movimientos. Se aplica la primera que coincida; si ninguna coincide, usamos la categoría del comercio o lo que elegiste antes para notas parecidas.
+            </p>
+
+            {rules.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 20 }}>
+                    {rules.map((rule, i) => (
+                        <div key={rule.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 10px', borderRadius: 8, background: 'var(--bg-elevated)' }}>
+                            <span style={{ fontSize: 10, color: 'var(--text-muted)', width: 16 }}>{i + 1}</span>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontSize: 12, color: 'var(--text-secondary)' }}>{describeRule(rule, formatCurrency, payees)}</div>
+                                <div style={{ fontSize: 11, color: 'var(--accent-primary)' }}>
+                                    → {categoryLabel(rule.type, rule.category)}
+                                    {rule.classification && ` · ${EXPENSE_TYPES[rule.classification.toUpperCase()]?.label}`}
+                                </div>
+                            </div>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                onClick={() => dispatch({ type: 'DELETE_CATEGORY_RULE', payload: rule.id })} aria-label="Eliminar regla">
+                                <Trash2 size={12} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {learned.length > 0 && (
+                <div style={{ marginBottom: 20 }}>
+                    <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8, display: 'flex', alignItems: 'center', gap: 6 }}>
+                        <Sparkles size={12} /> Aprendido de tu historial
+                    </div>
+                    {learned.map(pair => (
+                        <div key={`${pair.type}|${pair.note}`} className="flex-between" style={{ fontSize: 12, padding: '6px 0', gap: 8 }}>
+                            <span style={{ color: 'var(--text-secondary)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                "{pair.note}" → {categoryLabel(pair.type, pair.category)} <span style={{ color: 'var(--text-muted)' }}>({pair.samples}×)</span>
+                            </span>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 10px', fontSize: 11 }} onClick={() => handleAdopt(pair)}>
+                                Crear regla
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <form onSubmit={handleAdd}>
+                <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8 }}>Nueva regla</div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginBottom: 16 }}>
+                    <input className="wealth-input" placeholder="La nota contiene… (ej: uber)"
+                        value={draft.noteContains} onChange={e => setDraft({ ...draft, noteContains: e.target.value })} />
+                    {payeeItems.length > 0 && (
+                        <select className="wealth-input" aria-label="Comercio" value={draft.payeeId} onChange={e => setDraft({ ...draft, payeeId: e.target.value })}>
+                            <option value="">Cualquier comercio</option>
+                            {payeeItems.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                    )}
+                    <div style={{ display: 'flex', gap: 8 }}>
+                        <select className="wealth-input" value={draft.type} onChange={e => setDraft({ ...draft, type: e.target.value, category: '' })}>
+                            <option value="gasto">Gastos</option>
+                            <option value="ingreso">Ingresos</option>
+                            <option value="">Cualquier tipo</option>
+                        </select>
+                        <input className="wealth-input" type="number" min="0" placeholder="Monto mín."
+                            value={draft.minAmount} onChange={e => setDraft({ ...draft, minAmount: e.target.value })} />
+                        <input className="wealth-input" type="number" min="0" placeholder="Monto máx."
+                            value={draft.maxAmount} onChange={e => setDraft({ ...draft, maxAmount: e.target.value })} />
+                    </div>
+                    <div style={{ display: 'flex', gap: 4 }}>
+                        {WEEKDAY_LABELS.map((label, day) => (
+                            <button key={label} type="button" onClick={() => toggleWeekday(day)} style={{
+                                flex: 1, padding: '6px 0', borderRadius: 8, border: 'none', fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                                background: draft.weekdays.includes(day) ? 'var(--accent-primary)' : 'var(--bg-elevated)',
+                                color: draft.weekdays.includes(day) ? '#0a0a0b' : 'var(--text-muted)',
+                            }}>{label}</button>
+                        ))}
+                    </div>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                        <select className="wealth-input" value={draft.category} onChange={e => setDraft({ ...draft, category: e.target.value })}>
+                            <option value="">Categoría…</option>
+                            {draftCategories.map(c => <option key={c.value} value={c.value}>{categoryOptionLabel(c)}</option>)}
+                        </select>
+                        <select className="wealth-input" value={draft.classification} onChange={e => setDraft({ ...draft, classification: e.target.value })}
+                            disabled={draft.type === 'ingreso'}>
+                            <option value="">Clasificación automática</option>
+                            {Object.values(EXPENSE_TYPES).map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={onClose}>Cerrar</button>
+                    <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>
+                        <Plus size={14} /> Agregar regla
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
@@ -0,0 +1,225 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import Modal from './Modal';
+import { formatCurrency, getTransactionCategories } from '../utils/helpers';
+import { XP_REWARDS } from '../utils/gamification';
+import { categoryOptionLabel } from '../utils/categories';
+import { decodeBuffer, parseCSV, guessMapping, buildImportRows, markDuplicates } from '../utils/csvImport';
+import { detectExchangeFormat, parseExchangeFile } from '../utils/exchangeFormats';
+import { learnFromHistory, suggestCategorization } from '../utils/categoryRules';
+import { resolvePayee } from '../utils/payees';
+import { Upload, AlertTriangle, Copy } from 'lucide-react';
+
+const FIELD_LABELS = [
+    { field: 'date', label: 'Fecha', required: true },
+    { field: 'description', label: 'Descripción' },
+    { field: 'amount', label: 'Monto (con signo)' },
+    { field: 'debit', label: 'Cargo / Débito' },
+    { field: 'credit', label: 'Abono / Crédito' },
+];
+
+const DELIMITER_LABELS = { ',': 'coma', ';': 'punto y coma', '\t': 'tabulación', '|': 'barra' };
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CSV IMPORT WIZARD — Upload → column mapping → preview → import
+// OFX/QIF files carry their own structure and skip the mapping step
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function CsvImportWizard({ isOpen, onClose }) {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const [step, setStep] = useState('upload');
+    const [file, setFile] = useState(null); // { name, encoding, format?, delimiter, headers, rows }
+    const [mapping, setMapping] = useState({});
+    const [preview, setPreview] = useState([]);
+
+    const reset = useCallback(() => {
+        setStep('upload');
+        setFile(null);
+        setMapping({});
+        setPreview([]);
+    }, []);
+
+    const handleClose = useCallback(() => { reset(); onClose(); }, [reset, onClose]);
+
+    const showPreview = useCallback((rows) => {
+        // User rules and learned notes beat the built-in keyword guess
+        const context = { rules: state.categoryRules, model: learnFromHistory(state.transactions), payees: state.payees };
+        const categorized = rows.map(r => {
+            if (r.error) return r;
+            // Descriptions naming a known payee use its rules and default category
+            const suggestion = suggestCategorization({ ...r, payeeId: resolvePayee(state.payees, r.note)?.id }, context);
+            if (!suggestion || !getTransactionCategories(r.type).some(c => c.value === suggestion.category)) return r;
+            return { ...r, category: suggestion.category, decisionType: suggestion.classification || null };
+        });
+        // Duplicates start unchecked so a re-imported statement adds nothing
+        setPreview(markDuplicates(categorized, state.transactions).map(r => ({ ...r, selected: !r.error && !r.duplicate })));
+        setStep('preview');
+    }, [state.transactions, state.categoryRules, state.payees]);
+
+    const handleFile = useCallback(async (e) => {
+        const selected = e.target.files?.[0];
+        if (!selected) return;
+        const { text, encoding } = decodeBuffer(await selected.arrayBuffer());
+        const format = detectExchangeFormat(text, selected.name);
+        if (format) {
+            const drafts = parseExchangeFile(text, format);
+            if (drafts.length === 0) {
+                addToast(`No se encontraron movimientos en el archivo ${format.toUpperCase()}`, { type: 'warning' });
+                return;
+            }
+            setFile({ name: selected.name, encoding, format });
+            showPreview(drafts.map((d, i) => ({ ...d, line: i + 1, date: d.date.split('T')[0] })));
+            return;
+        }
+        const { headers, rows, delimiter } = parseCSV(text);
+        if (headers.length < 2 || rows.length === 0) {
+            addToast('No se encontraron columnas en el archivo', { type: 'warning' });
+            return;
+        }
+        setFile({ name: selected.name, encoding, delimiter, headers, rows });
+        setMapping(guessMapping(headers));
+        setStep('mapping');
+    }, [addToast, showPreview]);
+
+    const mappingValid = mapping.date !== undefined
+        && (mapping.amount !== undefined || mapping.debit !== undefined || mapping.credit !== undefined);
+
+    const handleBuildPreview = useCallback(() => {
+        showPreview(buildImportRows(file.rows, mapping));
+    }, [file, mapping, showPreview]);
+
+    const updateRow = (line, patch) => setPreview(rows => rows.map(r => r.line === line ? { ...r, ...patch } : r));
+
+    const selected = useMemo(() => preview.filter(r => r.selected), [preview]);
+    const stats = useMemo(() => ({
+        errors: preview.filter(r => r.error).length,
+        duplicates: preview.filter(r => r.duplicate).length,
+    }), [preview]);
+
+    const handleImport = useCallback(() => {
+        if (selected.length === 0) return;
+        dispatch({
+            type: 'IMPORT_TRANSACTIONS',
+            payload: selected.map(r => ({
+                type: r.type,
+                amount: r.amount,
+                category: r.category,
+                decisionType: r.type === 'gasto' ? r.decisionType || null : null,
+                date: new Date(r.date).toISOString(),
+                note: r.note,
+                ...(r.lines && { lines: r.lines }),
+            })),
+        });
+        addToast(`${selected.length} movimientos importados`, {
+            type: 'success',
+            xpAmount: XP_REWARDS.TRANSACTION_LOGGED,
+            undoAction: () => dispatch({ type: 'UNDO_LAST' }),
+        });
+        handleClose();
+    }, [selected, dispatch, addToast, handleClose]);
+
+    const columnOptions = file?.headers.map((h, i) => ({ value: i, label: h || `Columna ${i + 1}` })) || [];
+
+    return (
+        <Modal isOpen={isOpen} onClose={handleClose} title="Importar Movimientos">
+            {step === 'upload' && (
+                <div>
+                    <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                        Sube el CSV exportado desde tu banco, o un archivo OFX/QIF de tu software financiero. Detectamos el separador, la codificación y los montos en formato chileno (1.234.567).
+                    </p>
+                    <label className="btn-wealth btn-wealth-outline" style={{ height: 48, justifyContent: 'center', cursor: 'pointer' }}>
+                        <Upload size={16} /> Elegir archivo
+                        <input type="file" accept=".csv,.txt,.ofx,.qfx,.qif,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+                    </label>
+                </div>
+            )}
+
+            {step === 'mapping' && file && (
+                <div>
+                    <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                        {file.name} · {file.rows.length} filas · separador {DELIMITER_LABELS[file.delimiter]} · {file.encoding.toUpperCase()}
+                    </p>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginBottom: 16 }}>
+                        {FIELD_LABELS.map(({ field, label, required }) => (
+                            <div key={field} style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                                <span style={{ flex: 1, fontSize: 13, color: 'var(--text-secondary)' }}>
+                                    {label}{required && <span style={{ color: 'var(--danger)' }}> *</span>}
+                                </span>
+                                <select className="wealth-input" style={{ width: 200 }}
+                                    value={mapping[field] ?? ''}
+                                    onChange={e => setMapping(m => {
+                                        const next = { ...m };
+                                        if (e.target.value === '') delete next[field];
+                                        else next[field] = Number(e.target.value);
+                                        return next;
+                                    })}>
+                                    <option value="">— Sin asignar —</option>
+                                    {columnOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                    <p style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 24 }}>
+                        Usa “Monto” si la columna trae signo, o “Cargo” y “Abono” si vienen separados.
+                    </p>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={reset}>Atrás</button>
+                        <button type="button" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}
+                            disabled={!mappingValid} onClick={handleBuildPreview}>Previsualizar</button>
+                    </div>
+                </div>
+            )}
+
+            {step === 'preview' && (
+                <div>
+                    <div style={{ display: 'flex', gap: 12, fontSize: 11, color: 'var(--text-muted)', marginBottom: 12, flexWrap: 'wrap' }}>
+                        <span>{selected.length} seleccionados</span>
+                        {stats.duplicates > 0 && <span style={{ color: 'var(--warning)' }}>{stats.duplicates} ya registrados</span>}
+                        {stats.errors > 0 && <span style={{ color: 'var(--danger)' }}>{stats.errors} con errores</span>}
+                    </div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 8, maxHeight: 360, overflowY: 'auto', marginBottom: 24 }}>
+                        {preview.map(r => (
+                            <div key={r.line} style={{
+                                display: 'flex', alignItems: 'center', gap: 10, padding: '8px 10px', borderRadius: 8,
+                                background: 'var(--bg-elevated)', opacity: r.error ? 0.5 : 1,
+                            }}>
+                                <input type="checkbox" checked={!!r.selected} disabled={!!r.error}
+                                    onChange={e => updateRow(r.line, { selected: e.target.checked })} />
+                                <div style={{ flex: 1, minWidth: 0 }}>
+                                    <div style={{ fontSize: 13, color: 'var(--text-primary)', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                        {r.note || 'Sin descripción'}
+                                    </div>
+                                    <div style={{ fontSize: 10, color: 'var(--text-muted)', display: 'flex', gap: 6, alignItems: 'center' }}>
+                                        {r.error
+                                            ? <><AlertTriangle size={10} /> Línea {r.line}: {r.error}</>
+                                            : <>{r.date}{r.duplicate && <span style={{ color: 'var(--warning)', display: 'inline-flex', gap: 3, alignItems: 'center' }}><Copy size={10} /> Ya registrado</span>}</>}
+                                    </div>
+                                </div>
+                                {!r.error && (
+                                    <>
+                                        <select className="wealth-input" style={{ width: 150, fontSize: 11, padding: '4px 8px' }}
+                                            value={r.category} onChange={e => updateRow(r.line, { category: e.target.value, decisionType: null })}>
+                                            {getTransactionCategories(r.type).map(c => <option key={c.value} value={c.value}>{categoryOptionLabel(c)}</option>)}
+                                        </select>
+                                        <span style={{ fontFamily: 'Space Grotesk', fontWeight: 700, fontSize: 13, width: 100, textAlign: 'right', color: r.type === 'ingreso' ? 'var(--success)' : 'var(--text-primary)' }}>
+                                            {r.type === 'ingreso' ? '+' : '-'}{formatCurrency(r.amount)}
+                                        </span>
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={() => (file?.format ? reset() : setStep('mapping'))}>Atrás</button>
+                        <button type="button" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}
+                            disabled={selected.length === 0} onClick={handleImport}>
+                            Importar {selected.length} movimientos
+                        </button>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+}
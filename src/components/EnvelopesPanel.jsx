@@ -0,0 +1,257 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import { PrivacyAmount } from '../context/PrivacyContext';
+import Modal from './Modal';
+import { formatCurrency } from '../utils/helpers';
+import { Money } from '../utils/money';
+import { getEnvelopeBalances, getEnvelopeTemplates, suggestAllocation } from '../utils/envelopes';
+import { Mail, ArrowRightLeft, Settings, Target, Plus, Trash2 } from 'lucide-react';
+
+const TYPE_LABELS = { gasto: 'Gasto', ahorro: 'Ahorro', meta: 'Meta' };
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ENVELOPES PANEL — Balances, transfers and rule configuration
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function EnvelopesPanel() {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const { envelopes = {}, goals } = state;
+    const [showConfig, setShowConfig] = useState(false);
+    const [showTransfer, setShowTransfer] = useState(false);
+    const [rulesDraft, setRulesDraft] = useState([]);
+    const [transfer, setTransfer] = useState({ fromId: '', toId: '', amount: '', note: '' });
+
+    const balances = useMemo(() => getEnvelopeBalances(envelopes), [envelopes]);
+    const metaRules = useMemo(() => (envelopes.rules || []).filter(r => r.type === 'meta'), [envelopes.rules]);
+    const draftTotal = rulesDraft.reduce((s, r) => s + (Number(r.percentage) || 0), 0);
+
+    const openConfig = useCallback(() => {
+        setRulesDraft((envelopes.rules || []).map(r => ({ ...r })));
+        setShowConfig(true);
+    }, [envelopes.rules]);
+
+    const updateRule = (id, patch) => setRulesDraft(rules => rules.map(r => r.id === id ? { ...r, ...patch } : r));
+
+    const handleSaveConfig = useCallback((e) => {
+        e.preventDefault();
+        if (draftTotal > 100) { addToast('Los porcentajes no pueden superar el 100%', { type: 'warning' }); return; }
+        const rules = rulesDraft
+            .filter(r => r.name.trim())
+            .map(r => ({ ...r, percentage: Number(r.percentage) || 0, goalId: r.type === 'meta' ? r.goalId || null : undefined }));
+        dispatch({ type: 'SET_ENVELOPES', payload: { enabled: rules.length > 0, rules } });
+        addToast('Sobres actualizados', { type: 'success' });
+        setShowConfig(false);
+    }, [rulesDraft, draftTotal, dispatch, addToast]);
+
+    const handleTransfer = useCallback((e) => {
+        e.preventDefault();
+        const amount = Number(transfer.amount);
+        const from = balances.find(b => b.id === transfer.fromId);
+        if (!from || !transfer.toId || transfer.fromId === transfer.toId) { addToast('Elige dos sobres distintos', { type: 'warning' }); return; }
+        if (!amount || amount <= 0 || amount > from.balance) { addToast(`Monto inválido (disponible: ${formatCurrency(from.balance)})`, { type: 'warning' }); return; }
+        dispatch({ type: 'TRANSFER_ENVELOPE', payload: { ...transfer, amount } });
+        addToast(`${formatCurrency(amount)} movidos entre sobres`, { type: 'success' });
+        setTransfer({ fromId: '', toId: '', amount: '', note: '' });
+        setShowTransfer(false);
+    }, [transfer, balances, dispatch, addToast]);
+
+    return (
+        <div className="card-wealth" style={{ marginBottom: 24 }}>
+            <div className="card-header">
+                <div className="card-header-icon" style={{ background: 'var(--success-muted)' }}>
+                    <Mail size={16} color="var(--accent-primary)" />
+                </div>
+                <h3 style={{ fontSize: 14, fontWeight: 700, flex: 1 }}>Sobres</h3>
+                {envelopes.enabled && balances.length > 1 && (
+                    <button className="btn-wealth btn-wealth-outline" style={{ padding: '6px 12px', fontSize: 11 }} onClick={() => setShowTransfer(true)}>
+                        <ArrowRightLeft size={12} /> Transferir
+                    </button>
+                )}
+                <button className="btn-wealth btn-wealth-outline" style={{ padding: '6px 12px', fontSize: 11 }} onClick={openConfig}>
+                    <Settings size={12} /> Configurar
+                </button>
+            </div>
+
+            {!envelopes.enabled ? (
+                <div style={{ fontSize: 13, color: 'var(--text-muted)', padding: '8px 0' }}>
+                    Reparte cada ingreso en sobres y gasta desde ellos para saber cuánto te queda en cada propósito.
+                </div>
+            ) : (
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 12 }}>
+                    {balances.map(b => (
+                        <div key={b.id} style={{ padding: 14, borderRadius: 12, background: 'var(--bg-elevated)' }}>
+                            <div style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 4 }}>{b.name} · {b.percentage}%</div>
+                            <PrivacyAmount>
+                                <div style={{ fontFamily: 'Space Grotesk', fontSize: 18, fontWeight: 700, color: b.balance < 0 ? 'var(--danger)' : 'var(--text-primary)' }}>
+                                    {formatCurrency(b.balance)}
+                                </div>
+                            </PrivacyAmount>
+                        </div>
+                    ))}
+                    {metaRules.map(r => (
+                        <div key={r.id} style={{ padding: 14, borderRadius: 12, background: 'var(--bg-elevated)' }}>
+                            <div style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 4 }}>{r.name} · {r.percentage}%</div>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: r.goalId ? 'var(--accent-primary)' : 'var(--warning)' }}>
+                                <Target size={12} /> {goals.find(g => g.id === r.goalId)?.name || 'Sin meta vinculada'}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Config Modal */}
+            <Modal isOpen={showConfig} onClose={() => setShowConfig(false)} title="Configurar Sobres">
+                <form onSubmit={handleSaveConfig}>
+                    <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 16 }}>
+                        {getEnvelopeTemplates().map(t => (
+                            <button key={t.name} type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '6px 10px', fontSize: 11 }}
+                                title={t.description} onClick={() => setRulesDraft(t.rules.map(r => ({ ...r })))}>
+                                {t.name}
+                            </button>
+                        ))}
+                    </div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 12 }}>
+                        {rulesDraft.map(r => (
+                            <div key={r.id} style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+                                <input className="wealth-input" style={{ flex: 2, minWidth: 120 }} value={r.name} placeholder="Nombre"
+                                    onChange={e => updateRule(r.id, { name: e.target.value })} />
+                                <input className="wealth-input" style={{ width: 70 }} type="number" min="0" max="100" value={r.percentage}
+                                    onChange={e => updateRule(r.id, { percentage: e.target.value })} />
+                                <select className="wealth-input" style={{ width: 90 }} value={r.type} onChange={e => updateRule(r.id, { type: e.target.value })}>
+                                    {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </select>
+                                {r.type === 'meta' && (
+                                    <select className="wealth-input" style={{ flex: 1, minWidth: 120 }} value={r.goalId || ''} onChange={e => updateRule(r.id, { goalId: e.target.value })}>
+                                        <option value="">Elige una meta...</option>
+                                        {goals.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                                    </select>
+                                )}
+                                <button type="button" className="onboarding-remove-btn" style={{ width: 28, height: 28, color: 'var(--danger)' }}
+                                    onClick={() => setRulesDraft(rules => rules.filter(x => x.id !== r.id))}>
+                                    <Trash2 size={12} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex-between" style={{ marginBottom: 24 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '6px 12px', fontSize: 11 }}
+                            onClick={() => setRulesDraft(rules => [...rules, { id: `env_${Date.now().toString(36)}`, name: '', percentage: 0, type: 'gasto' }])}>
+                            <Plus size={12} /> Agregar sobre
+                        </button>
+                        <span style={{ fontSize: 12, fontWeight: 700, color: draftTotal > 100 ? 'var(--danger)' : 'var(--text-muted)' }}>{draftTotal}% asignado</span>
+                    </div>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={() => setShowConfig(false)}>Cancelar</button>
+                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>Guardar Sobres</button>
+                    </div>
+                </form>
+            </Modal>
+
+            {/* Transfer Modal */}
+            <Modal isOpen={showTransfer} onClose={() => setShowTransfer(false)} title="Mover entre Sobres">
+                <form onSubmit={handleTransfer}>
+                    <div className="form-group">
+                        <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>DESDE</label>
+                        <select className="wealth-input" value={transfer.fromId} onChange={e => setTransfer(t => ({ ...t, fromId: e.target.value }))} required>
+                            <option value="">Selecciona un sobre...</option>
+                            {balances.map(b => <option key={b.id} value={b.id}>{b.name} ({formatCurrency(b.balance)})</option>)}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>HACIA</label>
+                        <select className="wealth-input" value={transfer.toId} onChange={e => setTransfer(t => ({ ...t, toId: e.target.value }))} required>
+                            <option value="">Selecciona un sobre...</option>
+                            {balances.filter(b => b.id !== transfer.fromId).map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>MONTO</label>
+                        <input className="wealth-input" type="number" min="1" placeholder="0" value={transfer.amount}
+                            onChange={e => setTransfer(t => ({ ...t, amount: e.target.value }))} required />
+                    </div>
+                    <div className="form-group" style={{ marginBottom: 24 }}>
+                        <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>NOTA (OPCIONAL)</label>
+                        <input className="wealth-input" value={transfer.note} onChange={e => setTransfer(t => ({ ...t, note: e.target.value }))} />
+                    </div>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={() => setShowTransfer(false)}>Cancelar</button>
+                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>Transferir</button>
+                    </div>
+                </form>
+            </Modal>
+        </div>
+    );
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ALLOCATION STEP — Split a new income across the envelopes
+// `income` is the just-recorded transaction ({ id, amount, date }) or null
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export function AllocationModal({ income, onClose }) {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const rules = useMemo(() => state.envelopes?.rules || [], [state.envelopes?.rules]);
+    const [amounts, setAmounts] = useState({});
+    const [lastIncomeId, setLastIncomeId] = useState(null);
+
+    // Reset the suggested split whenever a new income arrives
+    if (income && income.id !== lastIncomeId) {
+        setLastIncomeId(income.id);
+        const unlinked = new Set(rules.filter(r => r.type === 'meta' && !r.goalId).map(r => r.id));
+        setAmounts(Object.fromEntries(suggestAllocation(income.amount, rules)
+            .map(a => [a.envelopeId, unlinked.has(a.envelopeId) ? '' : String(a.amount)])));
+    }
+
+    const total = Money.sum(Object.values(amounts));
+
+    const handleConfirm = useCallback((e) => {
+        e.preventDefault();
+        if (total > income.amount) { addToast('La asignación supera el ingreso', { type: 'warning' }); return; }
+        dispatch({
+            type: 'ALLOCATE_INCOME',
+            payload: {
+                transactionId: income.id,
+                date: income.date,
+                allocations: Object.entries(amounts).map(([envelopeId, amount]) => ({ envelopeId, amount: Number(amount) || 0 })),
+            },
+        });
+        addToast(`${formatCurrency(total)} repartidos en sobres`, { type: 'success' });
+        onClose();
+    }, [amounts, total, income, dispatch, addToast, onClose]);
+
+    return (
+        <Modal isOpen={!!income} onClose={onClose} title="Repartir Ingreso">
+            {income && (
+                <form onSubmit={handleConfirm}>
+                    <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                        Asigna {formatCurrency(income.amount)} a tus sobres. Los sobres de meta se abonan directo a su meta.
+                    </p>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginBottom: 16 }}>
+                        {rules.map(r => (
+                            <div key={r.id} style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                                <span style={{ flex: 1, fontSize: 13, color: 'var(--text-secondary)' }}>
+                                    {r.name}
+                                    {r.type === 'meta' && !r.goalId && <span style={{ fontSize: 10, color: 'var(--warning)' }}> · sin meta</span>}
+                                </span>
+                                <input className="wealth-input" type="number" min="0" style={{ width: 140 }}
+                                    disabled={r.type === 'meta' && !r.goalId}
+                                    value={amounts[r.id] ?? ''} onChange={e => setAmounts(a => ({ ...a, [r.id]: e.target.value }))} />
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex-between" style={{ fontSize: 12, marginBottom: 24, color: total > income.amount ? 'var(--danger)' : 'var(--text-muted)' }}>
+                        <span>Asignado</span>
+                        <span style={{ fontFamily: 'Space Grotesk', fontWeight: 700 }}>{formatCurrency(total)} / {formatCurrency(income.amount)}</span>
+                    </div>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={onClose}>Ahora no</button>
+                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>Repartir</button>
+                    </div>
+                </form>
+            )}
+        </Modal>
+    );
+}
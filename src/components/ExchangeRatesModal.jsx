@@ -0,0 +1,82 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import Modal from './Modal';
+import { toDateKey } from '../utils/recurring';
+import { time } from '../utils/timeEngine';
+import { getCurrencyOptions, normalizeCurrency } from '../utils/currency';
+import { Trash2, Plus } from 'lucide-react';
+
+const emptyRate = (currency) => ({ currency, date: toDateKey(time.now()), rate: '' });
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// EXCHANGE RATES — Dated quotes used to convert into the base currency
+// Each movement is converted with the latest quote on or before its date
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function ExchangeRatesModal({ isOpen, onClose }) {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const { exchangeRates, profile } = state;
+    const base = normalizeCurrency(profile.currency);
+    const foreign = useMemo(() => getCurrencyOptions(base, exchangeRates).filter(c => c.code !== base), [base, exchangeRates]);
+    const [draft, setDraft] = useState(() => emptyRate(foreign[0]?.code));
+    // The picked currency may have become the base since the draft was started
+    const currency = foreign.some(c => c.code === draft.currency) ? draft.currency : foreign[0]?.code;
+
+    const rates = useMemo(() => [...(exchangeRates?.items || [])].sort((a, b) =>
+        a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date)), [exchangeRates]);
+
+    const handleAdd = useCallback((e) => {
+        e.preventDefault();
+        if (!(Number(draft.rate) > 0)) { addToast('Ingresa un tipo de cambio mayor a cero', { type: 'warning' }); return; }
+        if (!draft.date) { addToast('Indica la fecha del tipo de cambio', { type: 'warning' }); return; }
+        dispatch({ type: 'SET_EXCHANGE_RATE', payload: { ...draft, currency, base } });
+        addToast(`1 ${currency} = ${draft.rate} ${base} desde el ${draft.date}`, { type: 'success' });
+        setDraft(emptyRate(currency));
+    }, [draft, currency, base, dispatch, addToast]);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Tipos de Cambio">
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                Los totales se calculan en {base}. Cada movimiento en otra moneda se convierte con el último tipo de cambio registrado hasta su fecha.
+            </p>
+
+            {rates.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 20 }}>
+                    {rates.map(r => (
+                        <div key={r.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 10px', borderRadius: 8, background: 'var(--bg-elevated)' }}>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>1 {r.currency} = {r.rate} {r.base}</div>
+                                <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>desde el {r.date}</div>
+                            </div>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                onClick={() => dispatch({ type: 'DELETE_EXCHANGE_RATE', payload: r.id })} aria-label="Eliminar tipo de cambio">
+                                <Trash2 size={12} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <form onSubmit={handleAdd}>
+                <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8 }}>Nuevo tipo de cambio</div>
+                <div style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+                    <select className="wealth-input" value={currency} onChange={e => setDraft({ ...draft, currency: e.target.value })}>
+                        {foreign.map(c => <option key={c.code} value={c.code}>{c.code} · {c.label}</option>)}
+                    </select>
+                    <input className="wealth-input" type="number" min="0" step="any" placeholder={`${base} por unidad`}
+                        value={draft.rate} onChange={e => setDraft({ ...draft, rate: e.target.value })} />
+                    <input className="wealth-input" type="date"
+                        value={draft.date} onChange={e => setDraft({ ...draft, date: e.target.value })} />
+                </div>
+                <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={onClose}>Cerrar</button>
+                    <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>
+                        <Plus size={14} /> Agregar tipo de cambio
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
@@ -0,0 +1,110 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import Modal from './Modal';
+import { decodeBuffer } from '../utils/csvImport';
+import { toDateKey } from '../utils/recurring';
+import { time } from '../utils/timeEngine';
+import { INDEX_UNITS, parseIndexCsv } from '../utils/indexation';
+import { Trash2, Plus, Upload } from 'lucide-react';
+
+// Only the latest values are listed; a year of daily UF values would not fit
+const VISIBLE_VALUES = 8;
+
+const emptyValue = (unit) => ({ unit, date: toDateKey(time.now()), value: '' });
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INDEX VALUES — Peso value of the UF and the UTM, day by day
+// Kept on this device; entered by hand or imported from a CSV
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function IndexValuesModal({ isOpen, onClose }) {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const { indexValues } = state;
+    const [draft, setDraft] = useState(() => emptyValue('UF'));
+
+    const byUnit = useMemo(() => Object.keys(INDEX_UNITS).map(unit => {
+        const values = (indexValues?.items || [])
+            .filter(v => v.unit === unit)
+            .sort((a, b) => b.date.localeCompare(a.date));
+        return { unit, count: values.length, latest: values.slice(0, VISIBLE_VALUES) };
+    }), [indexValues]);
+
+    const handleAdd = useCallback((e) => {
+        e.preventDefault();
+        if (!(Number(draft.value) > 0)) { addToast('Ingresa un valor mayor a cero', { type: 'warning' }); return; }
+        if (!draft.date) { addToast('Indica la fecha del valor', { type: 'warning' }); return; }
+        dispatch({ type: 'SET_INDEX_VALUE', payload: draft });
+        addToast(`1 ${draft.unit} = $${Number(draft.value).toLocaleString('es-CL')} el ${draft.date}`, { type: 'success' });
+        setDraft(emptyValue(draft.unit));
+    }, [draft, dispatch, addToast]);
+
+    const handleFile = useCallback(async (e) => {
+        const selected = e.target.files?.[0];
+        e.target.value = '';
+        if (!selected) return;
+        const { text } = decodeBuffer(await selected.arrayBuffer());
+        const { values, skipped } = parseIndexCsv(text);
+        if (values.length === 0) {
+            addToast('No se encontraron filas con fecha y valor en el archivo', { type: 'warning' });
+            return;
+        }
+        dispatch({ type: 'IMPORT_INDEX_VALUES', payload: { unit: draft.unit, values } });
+        addToast(`${values.length} valores de ${draft.unit} importados${skipped > 0 ? ` · ${skipped} filas omitidas` : ''}`, { type: 'success' });
+    }, [draft.unit, dispatch, addToast]);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Valores UF y UTM">
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                Las metas y gastos fijos en UF o UTM se convierten a pesos con el último valor registrado hasta cada fecha. Los valores se guardan solo en este dispositivo.
+            </p>
+
+            {byUnit.map(({ unit, count, latest }) => count > 0 && (
+                <div key={unit} style={{ marginBottom: 20 }}>
+                    <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8 }}>
+                        {unit} · {count} valor{count !== 1 ? 'es' : ''}
+                    </div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                        {latest.map(v => (
+                            <div key={v.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '6px 10px', borderRadius: 8, background: 'var(--bg-elevated)' }}>
+                                <div style={{ flex: 1, fontSize: 13, color: 'var(--text-secondary)' }}>{v.date}</div>
+                                <div style={{ fontSize: 13, fontFamily: 'Space Grotesk', fontWeight: 600 }}>${v.value.toLocaleString('es-CL')}</div>
+                                <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                    onClick={() => dispatch({ type: 'DELETE_INDEX_VALUE', payload: v.id })} aria-label={`Eliminar valor ${unit}`}>
+                                    <Trash2 size={12} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+
+            <form onSubmit={handleAdd}>
+                <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8 }}>Nuevo valor</div>
+                <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+                    <select className="wealth-input" value={draft.unit} onChange={e => setDraft({ ...draft, unit: e.target.value })}>
+                        {Object.values(INDEX_UNITS).map(u => <option key={u.code} value={u.code}>{u.code}</option>)}
+                    </select>
+                    <input className="wealth-input" type="number" min="0" step="any" placeholder="Valor en pesos"
+                        value={draft.value} onChange={e => setDraft({ ...draft, value: e.target.value })} />
+                    <input className="wealth-input" type="date"
+                        value={draft.date} onChange={e => setDraft({ ...draft, date: e.target.value })} />
+                </div>
+                <label className="btn-wealth btn-wealth-outline" style={{ height: 40, justifyContent: 'center', cursor: 'pointer', marginBottom: 8 }}>
+                    <Upload size={14} /> Importar CSV de {draft.unit}
+                    <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+                </label>
+                <div style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 16 }}>
+                    Una fila por día con fecha y valor (ej: 01-03-2025;38.647,94), como los publica el Banco Central o el SII.
+                </div>
+                <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={onClose}>Cerrar</button>
+                    <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>
+                        <Plus size={14} /> Agregar valor
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
@@ -0,0 +1,103 @@
+import { useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import { PrivacyAmount } from '../context/PrivacyContext';
+import { formatCurrency, formatDateShort } from '../utils/helpers';
+import { Money } from '../utils/money';
+import { Sanitize } from '../utils/security';
+import { buildSchedule, getPlanCost, getCommittedDebt, getMonthlyCommitments } from '../utils/installments';
+import { CreditCard, Trash2 } from 'lucide-react';
+
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+// Noon avoids the UTC day shift when formatting a "YYYY-MM-DD" key
+const dayLabel = (key) => formatDateShort(`${key}T12:00:00`);
+const monthLabel = (key) => `${MONTH_LABELS[Number(key.slice(5, 7)) - 1]} ${key.slice(2, 4)}`;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// INSTALLMENTS PANEL — Purchases in cuotas and the debt they commit
+// Hidden until the first purchase in cuotas is recorded
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function InstallmentsPanel() {
+    const { state, dispatch } = useApp();
+    const { addToast } = useToast();
+    const { installments } = state;
+    const plans = useMemo(() => installments?.items || [], [installments]);
+
+    const committed = useMemo(() => getCommittedDebt(installments), [installments]);
+    const months = useMemo(() => getMonthlyCommitments(installments, 6), [installments]);
+    const peak = Math.max(1, ...months.map(m => m.amount));
+    const rows = useMemo(() => plans.map(plan => {
+        const schedule = buildSchedule(plan);
+        const posted = plan.postedCount || 0;
+        const next = schedule[posted] || null;
+        const remaining = Money.sumBy(schedule.slice(posted), c => c.amount);
+        return { plan, posted, next, remaining, ...getPlanCost(plan) };
+    }), [plans]);
+
+    const handleDelete = useCallback((plan) => {
+        dispatch({ type: 'DELETE_INSTALLMENT_PLAN', payload: plan.id });
+        addToast('Compra en cuotas eliminada; las cuotas ya cobradas se mantienen', {
+            type: 'warning',
+            action: { label: 'Deshacer', onClick: () => dispatch({ type: 'UNDO_LAST' }) },
+        });
+    }, [dispatch, addToast]);
+
+    if (plans.length === 0) return null;
+
+    return (
+        <div className="card-wealth" style={{ marginBottom: 24 }}>
+            <div className="card-header">
+                <div className="card-header-icon" style={{ background: 'var(--warning-muted)' }}>
+                    <CreditCard size={16} color="var(--warning)" />
+                </div>
+                <h3 style={{ fontSize: 14, fontWeight: 700, flex: 1 }}>Compras en Cuotas</h3>
+                <div style={{ textAlign: 'right' }}>
+                    <div style={{ fontSize: 10, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.08em' }}>Deuda comprometida</div>
+                    <PrivacyAmount>
+                        <div style={{ fontFamily: 'Space Grotesk', fontSize: 16, fontWeight: 700, color: 'var(--warning)' }}>{formatCurrency(committed)}</div>
+                    </PrivacyAmount>
+                </div>
+            </div>
+
+            {months.length > 0 && (
+                <div style={{ display: 'flex', gap: 8, alignItems: 'flex-end', height: 72, marginBottom: 16 }}>
+                    {months.map(m => (
+                        <div key={m.month} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 4 }}
+                            title={`${m.charges} cuota${m.charges !== 1 ? 's' : ''} · ${formatCurrency(m.amount)}`}>
+                            <div style={{ width: '100%', height: Math.max(4, Math.round((m.amount / peak) * 48)), borderRadius: 4, background: 'var(--warning)', opacity: 0.7 }} />
+                            <span style={{ fontSize: 10, color: 'var(--text-muted)' }}>{monthLabel(m.month)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                {rows.map(({ plan, posted, next, remaining, interest }) => (
+                    <div key={plan.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '10px 12px', borderRadius: 10, background: 'var(--bg-elevated)' }}>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                            <div style={{ fontSize: 13, fontWeight: 600, color: 'var(--text-primary)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                {Sanitize.unescape(plan.note) || 'Compra en cuotas'}
+                            </div>
+                            <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                                {posted}/{plan.count} cuotas pagadas
+                                {next ? ` · próxima ${dayLabel(next.dueDate)} (${formatCurrency(next.amount)})` : ' · pagada'}
+                                {interest > 0 && ` · interés ${formatCurrency(interest)}`}
+                            </div>
+                        </div>
+                        <PrivacyAmount>
+                            <span style={{ fontFamily: 'Space Grotesk', fontSize: 14, fontWeight: 700, color: remaining > 0 ? 'var(--warning)' : 'var(--success)' }}>
+                                {formatCurrency(remaining)}
+                            </span>
+                        </PrivacyAmount>
+                        <button type="button" className="onboarding-remove-btn" style={{ width: 28, height: 28, opacity: 0.5 }}
+                            onClick={() => handleDelete(plan)} title="Eliminar">
+                            <Trash2 size={12} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -2,23 +2,14 @@ import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useApp } from '../context/AppContext';
 import { formatCurrency } from '../utils/helpers';
+import { Money } from '../utils/money';
+import { listCategories, findCategory } from '../utils/categories';
 import {
     ArrowRight, ArrowLeft, CheckCircle, DollarSign, Wallet,
     Target, BarChart3, Plus, X, Trash2, Sparkles, TrendingUp,
     Shield, Repeat, ChevronRight
 } from 'lucide-react';
 
-const EXPENSE_CATEGORIES = [
-    { value: 'vivienda', label: 'Arriendo / Hipoteca' },
-    { value: 'servicios', label: 'Servicios (Agua, Luz, Gas)' },
-    { value: 'internet', label: 'Internet / Telefonía' },
-    { value: 'transporte', label: 'Transporte' },
-    { value: 'seguros', label: 'Seguros' },
-    { value: 'suscripciones', label: 'Suscripciones' },
-    { value: 'deudas', label: 'Deudas / Cuotas' },
-    { value: 'otros', label: 'Otros Fijos' },
-];
-
 const slideVariants = {
     enter: (d) => ({ x: d > 0 ? 80 : -80, opacity: 0 }),
     center: { x: 0, opacity: 1 },
@@ -88,11 +79,11 @@ export default function OnboardingWizard({ onComplete }) {
 
     // Calculations
     const totalIncome = useMemo(() => {
-        return incomeSources.reduce((sum, s) => sum + (parseFloat(s.amount) || 0), 0);
+        return Money.sumBy(incomeSources, s => s.amount);
     }, [incomeSources]);
 
     const totalFixed = useMemo(() => {
-        return fixedExpenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+        return Money.sumBy(fixedExpenses, e => e.amount);
     }, [fixedExpenses]);
 
     const variableEstimate = useMemo(() => {
@@ -326,8 +317,8 @@ export default function OnboardingWizard({ onComplete }) {
                                         value={newExpense.category}
                                         onChange={e => setNewExpense(prev => ({ ...prev, category: e.target.value }))}
                                     >
-                                        {EXPENSE_CATEGORIES.map(c => (
-                                            <option key={c.value} value={c.value}>{c.label}</option>
+                                        {listCategories('gasto').map(c => (
+                                            <option key={c.value} value={c.value}>{c.icon} {c.label}</option>
                                         ))}
                                     </select>
                                     <button className="btn-wealth" style={{ flexShrink: 0 }} onClick={addExpense}>
@@ -342,7 +333,7 @@ export default function OnboardingWizard({ onComplete }) {
                                                 <div>
                                                     <div style={{ fontWeight: 600, fontSize: 14, color: 'var(--text-primary)' }}>{expense.name}</div>
                                                     <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>
-                                                        {EXPENSE_CATEGORIES.find(c => c.value === expense.category)?.label}
+                                                        {findCategory('gasto', expense.category).label}
                                                     </div>
                                                 </div>
                                                 <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
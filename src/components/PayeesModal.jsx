@@ -0,0 +1,180 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useBaseCurrency } from '../hooks/useBaseCurrency';
+import { useToast } from '../context/ToastContext';
+import { PrivacyAmount } from '../context/PrivacyContext';
+import Modal from './Modal';
+import { formatCurrency, formatDateShort, getTransactionCategories } from '../utils/helpers';
+import { categoryOptionLabel, findCategory } from '../utils/categories';
+import { payeeStats } from '../utils/payees';
+import { Trash2, Edit3, Merge, X } from 'lucide-react';
+
+const EMPTY_DRAFT = { name: '', aliases: '', category: '' };
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// PAYEES — Merchants and what goes to each
+// Spend, visits and average ticket; a default category feeds
+// the categorization of new movements
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function PayeesModal({ isOpen, onClose }) {
+    const { state, dispatch } = useApp();
+    const { transactions } = useBaseCurrency();
+    const { addToast } = useToast();
+    const { payees } = state;
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    // id being edited, or null
+    const [editing, setEditing] = useState(null);
+    // { action: 'merge' | 'delete', id } while a row asks for confirmation
+    const [pending, setPending] = useState(null);
+    const [mergeInto, setMergeInto] = useState('');
+
+    const stats = useMemo(() => (isOpen ? payeeStats(transactions, payees) : []), [isOpen, transactions, payees]);
+    const items = useMemo(() => payees?.items || [], [payees]);
+    const editingPayee = items.find(p => p.id === editing);
+
+    const reset = useCallback(() => {
+        setDraft(EMPTY_DRAFT);
+        setEditing(null);
+        setPending(null);
+        setMergeInto('');
+    }, []);
+
+    const startEdit = (payee) => {
+        setPending(null);
+        setEditing(payee.id);
+        setDraft({ name: payee.name, aliases: (payee.aliases || []).join(', '), category: payee.category || '' });
+    };
+
+    const startPending = (action, id) => {
+        reset();
+        setPending({ action, id });
+    };
+
+    const handleSubmit = useCallback((e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) { addToast('Ponle un nombre al comercio', { type: 'warning' }); return; }
+        dispatch({
+            type: 'UPDATE_PAYEE',
+            payload: { id: editing, name: draft.name, aliases: draft.aliases.split(','), category: draft.category },
+        });
+        addToast('Comercio actualizado', { type: 'success' });
+        reset();
+    }, [draft, editing, dispatch, addToast, reset]);
+
+    const handleConfirm = useCallback((payee) => {
+        if (pending.action === 'delete') {
+            dispatch({ type: 'DELETE_PAYEE', payload: payee.id });
+            addToast(`"${payee.name}" eliminado`, { type: 'success' });
+        } else {
+            if (!mergeInto) { addToast('Elige el comercio que recibirá los movimientos', { type: 'warning' }); return; }
+            dispatch({ type: 'MERGE_PAYEE', payload: { from: payee.id, into: mergeInto } });
+            addToast(`"${payee.name}" se unió a "${items.find(p => p.id === mergeInto)?.name}"`, { type: 'success' });
+        }
+        reset();
+    }, [pending, mergeInto, items, dispatch, addToast, reset]);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Comercios">
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                Los comercios se crean al escribirlos en un movimiento. Los alias agrupan nombres distintos del mismo lugar, y la categoría por defecto se propone al registrar.
+            </p>
+
+            {stats.length === 0 && (
+                <div style={{ fontSize: 12, color: 'var(--text-muted)', textAlign: 'center', padding: '24px 0' }}>
+                    Aún no hay comercios. Agrega uno desde el campo "Comercio" al registrar un gasto.
+                </div>
+            )}
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginBottom: 20 }}>
+                {stats.map(({ payee, total, count, averageTicket, perMonth, lastDate }) => (
+                    <div key={payee.id} style={{ padding: '8px 10px', borderRadius: 8, background: 'var(--bg-elevated)' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>
+                                    {payee.name}
+                                    {payee.category && (
+                                        <span style={{ fontSize: 10, color: 'var(--accent-primary)', marginLeft: 6 }}>
+                                            → {findCategory(payee.type, payee.category, state.categories).label}
+                                        </span>
+                                    )}
+                                </div>
+                                <div style={{ fontSize: 10, color: 'var(--text-muted)' }}>
+                                    {count === 0 ? 'Sin gastos registrados' : (
+                                        <PrivacyAmount>
+                                            {count} {count === 1 ? 'visita' : 'visitas'} · {perMonth}/mes · ticket promedio {formatCurrency(averageTicket)} · última {formatDateShort(lastDate)}
+                                        </PrivacyAmount>
+                                    )}
+                                </div>
+                            </div>
+                            <PrivacyAmount>
+                                <span style={{ fontSize: 13, fontWeight: 700, color: 'var(--text-primary)' }}>{formatCurrency(total)}</span>
+                            </PrivacyAmount>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                onClick={() => startEdit(payee)} aria-label="Editar comercio">
+                                <Edit3 size={12} />
+                            </button>
+                            {items.length > 1 && (
+                                <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                    onClick={() => startPending('merge', payee.id)} aria-label="Unir con otro comercio">
+                                    <Merge size={12} />
+                                </button>
+                            )}
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }}
+                                onClick={() => startPending('delete', payee.id)} aria-label="Eliminar comercio">
+                                <Trash2 size={12} />
+                            </button>
+                        </div>
+                        {pending?.id === payee.id && (
+                            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 8 }}>
+                                {pending.action === 'merge' ? (
+                                    <select className="wealth-input" aria-label="Unir con" value={mergeInto} onChange={e => setMergeInto(e.target.value)}>
+                                        <option value="">Unir con…</option>
+                                        {items.filter(p => p.id !== payee.id).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                    </select>
+                                ) : (
+                                    <span style={{ flex: 1, fontSize: 11, color: 'var(--text-muted)' }}>
+                                        Sus movimientos quedarán sin comercio y se borrarán sus reglas
+                                    </span>
+                                )}
+                                <button type="button" className="btn-wealth" style={{ padding: '4px 12px', fontSize: 11 }} onClick={() => handleConfirm(payee)}>
+                                    {pending.action === 'merge' ? 'Unir' : 'Eliminar'}
+                                </button>
+                                <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 8px' }} onClick={reset} aria-label="Cancelar">
+                                    <X size={12} />
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {editingPayee && (
+                <form onSubmit={handleSubmit}>
+                    <div style={{ fontSize: 11, color: 'var(--text-muted)', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 8 }}>
+                        Editar {editingPayee.name}
+                    </div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginBottom: 16 }}>
+                        <input className="wealth-input" placeholder="Nombre (ej: Jumbo)"
+                            value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+                        <input className="wealth-input" placeholder="Alias separados por coma (ej: jumbo las condes, jumbo online)"
+                            value={draft.aliases} onChange={e => setDraft({ ...draft, aliases: e.target.value })} />
+                        <select className="wealth-input" aria-label="Categoría por defecto" value={draft.category} onChange={e => setDraft({ ...draft, category: e.target.value })}>
+                            <option value="">Sin categoría por defecto</option>
+                            {getTransactionCategories(editingPayee.type || 'gasto').map(c => <option key={c.value} value={c.value}>{categoryOptionLabel(c)}</option>)}
+                        </select>
+                    </div>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={reset}>Cancelar</button>
+                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>Guardar cambios</button>
+                    </div>
+                </form>
+            )}
+            {!editingPayee && (
+                <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ flex: 1, height: 48, justifyContent: 'center' }} onClick={onClose}>Cerrar</button>
+                </div>
+            )}
+        </Modal>
+    );
+}
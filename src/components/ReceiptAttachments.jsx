@@ -0,0 +1,144 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import {
+    storeReceipt, getReceipt, setReceiptPath, validateReceiptFile, isPdfReceipt, MAX_RECEIPTS, RECEIPT_TYPES,
+} from '../utils/receipts';
+import { Paperclip, FileText, X } from 'lucide-react';
+
+// Blob URLs handed to a new tab stay valid long enough for it to load
+const OPENED_URL_TTL_MS = 60 * 1000;
+
+/**
+ * Thumbnail of a receipt; opens the file on click — the local copy when
+ * this device has it, a signed link to the cloud copy otherwise
+ */
+export function ReceiptThumb({ receipt, size = 32 }) {
+    const { getReceiptUrl } = useAuth();
+    const { addToast } = useToast();
+    const [thumbUrl, setThumbUrl] = useState(null);
+
+    useEffect(() => {
+        let url = null;
+        let cancelled = false;
+        getReceipt(receipt.id).then(record => {
+            if (cancelled || !record?.thumb) return;
+            url = URL.createObjectURL(record.thumb);
+            setThumbUrl(url);
+        });
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [receipt.id]);
+
+    const open = useCallback(async (e) => {
+        e.stopPropagation();
+        const record = await getReceipt(receipt.id);
+        if (record?.blob) {
+            const url = URL.createObjectURL(record.blob);
+            window.open(url, '_blank', 'noopener');
+            setTimeout(() => URL.revokeObjectURL(url), OPENED_URL_TTL_MS);
+            return;
+        }
+        const remote = await getReceiptUrl(receipt.path);
+        if (remote) window.open(remote, '_blank', 'noopener');
+        else addToast('Este comprobante no está disponible en este dispositivo', { type: 'warning' });
+    }, [receipt, getReceiptUrl, addToast]);
+
+    return (
+        <button
+            type="button"
+            onClick={open}
+            title={receipt.name}
+            aria-label={`Ver comprobante ${receipt.name}`}
+            style={{
+                width: size, height: size, flexShrink: 0, padding: 0, borderRadius: 8, overflow: 'hidden',
+                border: '1px solid var(--border-secondary)', background: 'var(--bg-elevated)', cursor: 'pointer',
+                display: 'flex', alignItems: 'center', justifyContent: 'center', color: 'var(--text-muted)',
+            }}
+        >
+            {thumbUrl
+                ? <img src={thumbUrl} alt="" style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+                : isPdfReceipt(receipt) ? <FileText size={size / 2} /> : <Paperclip size={size / 2} />}
+        </button>
+    );
+}
+
+/**
+ * Receipts section of the transaction form. Files are stored in IndexedDB
+ * right away and uploaded when signed in; removing one here only detaches
+ * it — pruning deletes files nothing references anymore.
+ */
+export default function ReceiptAttachments({ value = [], onChange }) {
+    const { configured, user, uploadReceipt } = useAuth();
+    const { addToast } = useToast();
+    const [isUploading, setIsUploading] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const handleFiles = useCallback(async (files) => {
+        const room = MAX_RECEIPTS - value.length;
+        const picked = Array.from(files || []).slice(0, room);
+        if (picked.length === 0) return;
+        setIsUploading(true);
+        const added = [];
+        for (const file of picked) {
+            const problem = validateReceiptFile(file);
+            if (problem) { addToast(`${file.name}: ${problem}`, { type: 'warning' }); continue; }
+            const meta = await storeReceipt(file);
+            if (configured && user) {
+                const { path, error } = await uploadReceipt(file, meta.id);
+                if (path) {
+                    meta.path = path;
+                    await setReceiptPath(meta.id, path);
+                } else {
+                    console.warn('[Receipts] Kept local only:', error);
+                }
+            }
+            added.push(meta);
+        }
+        setIsUploading(false);
+        if (added.length > 0) onChange([...value, ...added]);
+    }, [value, onChange, configured, user, uploadReceipt, addToast]);
+
+    return (
+        <div>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept={RECEIPT_TYPES.join(',')}
+                multiple
+                onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }}
+                style={{ display: 'none' }}
+            />
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8 }}>
+                {value.map(receipt => (
+                    <div key={receipt.id} style={{ position: 'relative' }}>
+                        <ReceiptThumb receipt={receipt} size={48} />
+                        <button
+                            type="button"
+                            onClick={() => onChange(value.filter(r => r.id !== receipt.id))}
+                            aria-label={`Quitar ${receipt.name}`}
+                            style={{
+                                position: 'absolute', top: -6, right: -6, width: 18, height: 18, borderRadius: '50%',
+                                border: 'none', background: 'var(--danger)', color: 'white', cursor: 'pointer',
+                                display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 0,
+                            }}
+                        ><X size={10} /></button>
+                    </div>
+                ))}
+                {value.length < MAX_RECEIPTS && (
+                    <button
+                        type="button"
+                        className="btn-wealth btn-wealth-outline"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={isUploading}
+                        style={{ height: 48, padding: '0 14px', fontSize: 12 }}
+                    >
+                        <Paperclip size={14} /> {isUploading ? 'Guardando…' : 'Adjuntar boleta'}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
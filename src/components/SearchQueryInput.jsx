@@ -0,0 +1,94 @@
+import { useState, useMemo, useRef } from 'react';
+import { parseQuery, suggestCompletions, applyCompletion, highlightParts } from '../utils/searchQuery';
+import { Search, X, AlertCircle } from 'lucide-react';
+
+/**
+ * Search box for the query language: suggests fields and values for the
+ * token being typed and flags the tokens it cannot understand.
+ * `options` = { categories: [{ value, label }], tags: [], accounts: [] }
+ */
+export default function SearchQueryInput({ value, onChange, options, placeholder = 'Buscar… cat: monto> #etiqueta', width = 240 }) {
+    const [focused, setFocused] = useState(false);
+    const inputRef = useRef(null);
+    const suggestions = useMemo(() => (focused ? suggestCompletions(value, options) : []), [focused, value, options]);
+    const { errors } = useMemo(() => parseQuery(value), [value]);
+
+    const complete = (insert) => {
+        onChange(applyCompletion(value, insert));
+        inputRef.current?.focus();
+    };
+
+    const chip = {
+        padding: '3px 8px', borderRadius: 999, border: '1px solid var(--border-secondary)',
+        fontSize: 11, fontWeight: 600, cursor: 'pointer', whiteSpace: 'nowrap',
+    };
+
+    return (
+        <div style={{ position: 'relative', width }}>
+            <Search size={13} style={{ position: 'absolute', left: 10, top: 17, transform: 'translateY(-50%)', color: 'var(--text-muted)' }} />
+            <input
+                ref={inputRef}
+                className="wealth-input"
+                aria-label="Buscar movimientos"
+                style={{
+                    paddingLeft: 30, paddingRight: 26, fontSize: 12, height: 34, width: '100%',
+                    background: 'var(--bg-elevated)',
+                    border: `1px solid ${errors.length > 0 ? 'var(--warning)' : 'var(--border-secondary)'}`,
+                }}
+                placeholder={placeholder}
+                value={value}
+                onChange={e => onChange(e.target.value)}
+                onFocus={() => setFocused(true)}
+                onBlur={() => setFocused(false)}
+            />
+            {value && (
+                <button
+                    onClick={() => onChange('')}
+                    aria-label="Limpiar búsqueda"
+                    style={{
+                        position: 'absolute', right: 8, top: 17, transform: 'translateY(-50%)',
+                        background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', padding: 2,
+                    }}
+                ><X size={12} /></button>
+            )}
+            {focused && (suggestions.length > 0 || errors.length > 0) && (
+                <div style={{
+                    position: 'absolute', top: 40, left: 0, zIndex: 20, width: typeof width === 'number' ? Math.max(width, 280) : width,
+                    padding: 10, borderRadius: 12, background: 'var(--bg-card)', border: '1px solid var(--border-secondary)',
+                    boxShadow: '0 12px 32px rgba(0,0,0,0.35)', display: 'flex', flexDirection: 'column', gap: 8,
+                }}>
+                    {errors.map(err => (
+                        <div key={err.start} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 11, color: 'var(--warning)' }}>
+                            <AlertCircle size={12} /> {err.error}
+                        </div>
+                    ))}
+                    {suggestions.length > 0 && (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+                            {suggestions.map(s => (
+                                <button
+                                    key={s.insert}
+                                    type="button"
+                                    // Keep the focus in the input while picking
+                                    onMouseDown={e => e.preventDefault()}
+                                    onClick={() => complete(s.insert)}
+                                    title={s.insert.trim()}
+                                    style={{ ...chip, background: 'var(--bg-elevated)', color: 'var(--text-secondary)' }}
+                                >{s.label}</button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Text with the searched words marked
+ */
+export function HighlightedText({ text, words }) {
+    if (!words?.length) return text;
+    return highlightParts(text, words).map((part, i) => (part.match
+        ? <mark key={i} style={{ background: 'var(--success-muted)', color: 'var(--accent-primary)', borderRadius: 3, padding: '0 1px' }}>{part.text}</mark>
+        : part.text));
+}
@@ -0,0 +1,183 @@
+import { useState, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useToast } from '../context/ToastContext';
+import { useSync } from '../hooks/useSync';
+import Modal from './Modal';
+import { syncManager } from '../lib/syncManager';
+import { syncConflicts } from '../lib/syncConflicts';
+import { sameValue } from '../utils/syncClock';
+import { formatDateShort } from '../utils/helpers';
+import { Smartphone, Cloud, GitMerge } from 'lucide-react';
+
+const KIND_LABELS = {
+    goals: 'Meta',
+    transactions: 'Movimiento',
+    routines: 'Rutina',
+    fixedExpenses: 'Gasto fijo',
+    accounts: 'Cuenta',
+};
+
+// Every field a synced record can conflict on (see the mappers in dataRepository)
+const FIELD_LABELS = {
+    // Shared
+    name: 'Nombre', type: 'Tipo', amount: 'Monto', category: 'Categoría', currency: 'Moneda',
+    frequency: 'Frecuencia', indexUnit: 'Unidad reajustable',
+    // Goals
+    description: 'Descripción', targetAmount: 'Monto objetivo', deadline: 'Fecha límite', priority: 'Prioridad',
+    color: 'Color', imageUrl: 'Imagen',
+    // Transactions
+    note: 'Nota', date: 'Fecha', goalId: 'Meta', decisionType: 'Clasificación', recurringId: 'Gasto fijo',
+    envelopeId: 'Sobre', accountId: 'Cuenta', toAccountId: 'Cuenta destino', installmentPlanId: 'Compra en cuotas',
+    lines: 'División', tags: 'Etiquetas', payeeId: 'Comercio', receipts: 'Comprobantes',
+    // Routines
+    objective: 'Objetivo', difficulty: 'Dificultad', xpValue: 'XP',
+    // Fixed expenses
+    nextDueDate: 'Próximo vencimiento', lastPaidDate: 'Último pago', dueDay: 'Día de pago', active: 'Activo',
+    // Accounts
+    openingBalance: 'Saldo inicial',
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T|$)/;
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+    if (typeof value === 'number') return value.toLocaleString('es-CL');
+    if (typeof value === 'string') return ISO_DATE.test(value) ? formatDateShort(value) : value;
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '—';
+        return value.every(v => typeof v !== 'object') ? value.join(', ') : `${value.length} elementos`;
+    }
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// SYNC CONFLICTS — Fields edited on two devices at once
+// Both versions side by side: keep this device, keep the cloud
+// or pick field by field. The merge already chose the latest
+// write; resolving stamps the choice so every device takes it.
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export default function SyncConflictsModal({ isOpen, onClose }) {
+    const { state } = useApp();
+    const { addToast } = useToast();
+    const { conflicts } = useSync();
+    // { [conflictId]: { [field]: 'local' | 'remote' } } for merge-fields
+    const [picks, setPicks] = useState({});
+
+    const currentOf = useCallback((conflict) => (state[conflict.table] || []).find(r => r.id === conflict.recordId), [state]);
+
+    // Until the user picks, each field shows the side the merge kept
+    const pickOf = (conflict, field) => {
+        const picked = picks[conflict.id]?.[field.key];
+        if (picked) return picked;
+        return sameValue(currentOf(conflict)?.[field.key], field.remote) ? 'remote' : 'local';
+    };
+
+    const setPick = (conflict, key, side) => {
+        setPicks(prev => ({ ...prev, [conflict.id]: { ...prev[conflict.id], [key]: side } }));
+    };
+
+    const resolve = useCallback((conflict, fieldPicks) => {
+        syncManager.resolveConflict(conflict, currentOf(conflict), fieldPicks);
+        setPicks(prev => {
+            const next = { ...prev };
+            delete next[conflict.id];
+            return next;
+        });
+        addToast('Conflicto resuelto en todos tus dispositivos', { type: 'success' });
+    }, [currentOf, addToast]);
+
+    const resolveAll = (conflict, side) => resolve(conflict, Object.fromEntries(conflict.fields.map(f => [f.key, side])));
+    const resolveMerged = (conflict) => resolve(conflict, Object.fromEntries(conflict.fields.map(f => [f.key, pickOf(conflict, f)])));
+
+    const cell = (active) => ({
+        padding: '6px 8px', borderRadius: 6, fontSize: 12, textAlign: 'left', cursor: 'pointer',
+        overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap',
+        background: active ? 'var(--success-muted)' : 'var(--bg-elevated)',
+        border: `1px solid ${active ? 'var(--accent-primary)' : 'var(--border-secondary)'}`,
+        color: active ? 'var(--text-primary)' : 'var(--text-muted)',
+    });
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Conflictos de sincronización">
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                Estos datos se editaron en este dispositivo y en otro antes de sincronizar. Se guardó el cambio más reciente; revisa si es el que quieres conservar.
+            </p>
+
+            {conflicts.length === 0 && (
+                <div style={{ fontSize: 12, color: 'var(--text-muted)', textAlign: 'center', padding: '24px 0' }}>
+                    No hay conflictos pendientes. Todo está sincronizado.
+                </div>
+            )}
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 12, marginBottom: 20 }}>
+                {conflicts.map(conflict => {
+                    const current = currentOf(conflict);
+                    return (
+                        <div key={conflict.id} style={{ padding: 12, borderRadius: 10, background: 'var(--bg-elevated)', border: '1px solid var(--border-secondary)' }}>
+                            <div style={{ display: 'flex', alignItems: 'baseline', gap: 8, marginBottom: 10 }}>
+                                <span style={{ fontSize: 10, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.08em', color: 'var(--accent-primary)' }}>
+                                    {KIND_LABELS[conflict.table] || conflict.table}
+                                </span>
+                                <span style={{ flex: 1, fontSize: 13, color: 'var(--text-secondary)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {conflict.label || 'Sin nombre'}
+                                </span>
+                                <span style={{ fontSize: 10, color: 'var(--text-muted)' }}>{formatDateShort(conflict.detectedAt)}</span>
+                            </div>
+
+                            {!current ? (
+                                <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                                    <span style={{ flex: 1, fontSize: 11, color: 'var(--text-muted)' }}>Este registro ya fue eliminado.</span>
+                                    <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 12px', fontSize: 11 }}
+                                        onClick={() => syncConflicts.resolve(conflict.id)}>Descartar</button>
+                                </div>
+                            ) : (
+                                <>
+                                    <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr 1fr', gap: 6, alignItems: 'center', marginBottom: 10 }}>
+                                        <span />
+                                        <span style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10, color: 'var(--text-muted)' }}><Smartphone size={11} /> Este dispositivo</span>
+                                        <span style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10, color: 'var(--text-muted)' }}><Cloud size={11} /> Nube</span>
+                                        {conflict.fields.map(field => (
+                                            <div key={field.key} style={{ display: 'contents' }}>
+                                                <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>{FIELD_LABELS[field.key] || field.key}</span>
+                                                {['local', 'remote'].map(side => (
+                                                    <button key={side} type="button" style={cell(pickOf(conflict, field) === side)}
+                                                        onClick={() => setPick(conflict, field.key, side)}
+                                                        title={formatValue(field[side])}>
+                                                        {formatValue(field[side])}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+                                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 10px', fontSize: 11 }}
+                                            onClick={() => resolveAll(conflict, 'local')}>
+                                            <Smartphone size={12} /> Mantener este
+                                        </button>
+                                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 10px', fontSize: 11 }}
+                                            onClick={() => resolveAll(conflict, 'remote')}>
+                                            <Cloud size={12} /> Mantener nube
+                                        </button>
+                                        {conflict.fields.length > 1 && (
+                                            <button type="button" className="btn-wealth" style={{ padding: '4px 10px', fontSize: 11 }}
+                                                onClick={() => resolveMerged(conflict)}>
+                                                <GitMerge size={12} /> Combinar campos elegidos
+                                            </button>
+                                        )}
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                <button type="button" className="btn-wealth btn-wealth-outline" style={{ flex: 1, height: 48, justifyContent: 'center' }} onClick={onClose}>Cerrar</button>
+            </div>
+        </Modal>
+    );
+}
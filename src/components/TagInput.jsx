@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { normalizeTag, normalizeTags, MAX_TAGS } from '../utils/tags';
+import { Hash, X } from 'lucide-react';
+
+// How many known tags are offered below the input
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * Tag picker — chips for the chosen tags, free text for new ones
+ * (Enter or comma adds) and the most used tags as suggestions
+ */
+export default function TagInput({ value = [], onChange, suggestions = [] }) {
+    const [text, setText] = useState('');
+    const typed = normalizeTag(text);
+    const offered = suggestions
+        .filter(tag => !value.includes(tag) && (!typed || tag.includes(typed)))
+        .slice(0, MAX_SUGGESTIONS);
+
+    const add = (tag) => {
+        onChange(normalizeTags([...value, tag]));
+        setText('');
+    };
+    const remove = (tag) => onChange(value.filter(t => t !== tag));
+
+    const handleKeyDown = (e) => {
+        if ((e.key === 'Enter' || e.key === ',') && typed) {
+            e.preventDefault();
+            add(typed);
+        } else if (e.key === 'Backspace' && !text && value.length > 0) {
+            remove(value[value.length - 1]);
+        }
+    };
+
+    const chip = {
+        display: 'inline-flex', alignItems: 'center', gap: 4, padding: '3px 8px', borderRadius: 999,
+        fontSize: 11, fontWeight: 600, border: 'none', cursor: 'pointer',
+    };
+
+    return (
+        <div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 6, padding: '8px 12px', borderRadius: 12, background: 'var(--bg-elevated)', border: '1px solid var(--border-secondary)' }}>
+                <Hash size={14} color="var(--text-muted)" />
+                {value.map(tag => (
+                    <button key={tag} type="button" onClick={() => remove(tag)} aria-label={`Quitar ${tag}`}
+                        style={{ ...chip, background: 'var(--success-muted)', color: 'var(--accent-primary)' }}>
+                        {tag} <X size={10} />
+                    </button>
+                ))}
+                {value.length < MAX_TAGS && (
+                    <input aria-label="Etiquetas" placeholder={value.length ? '' : 'vacaciones-2026, trabajo…'}
+                        style={{ flex: 1, minWidth: 100, border: 'none', outline: 'none', background: 'transparent', color: 'var(--text-primary)', fontSize: 13 }}
+                        value={text} onChange={e => setText(e.target.value)} onKeyDown={handleKeyDown}
+                        onBlur={() => typed && add(typed)}
+                    />
+                )}
+            </div>
+            {offered.length > 0 && value.length < MAX_TAGS && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 6 }}>
+                    {offered.map(tag => (
+                        <button key={tag} type="button" onClick={() => add(tag)}
+                            style={{ ...chip, background: 'var(--bg-elevated)', color: 'var(--text-muted)' }}>
+                            #{tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -2,8 +2,31 @@ import { createContext, useContext, useReducer, useEffect, useCallback, useState
 import { storage } from '../utils/storage';
 import { generateId } from '../utils/helpers';
 import { XP_REWARDS, calculateLevel, evaluateBadges } from '../utils/gamification';
-import { Finance, Sanitize } from '../utils/security';
-import { getEnvelopes, saveEnvelopes } from '../utils/envelopes';
+import { Sanitize } from '../utils/security';
+import { Money, setBaseCurrency, normalizeCurrency, roundMoney } from '../utils/money';
+import {
+    getEnvelopes, saveEnvelopes, ENVELOPE_ENTRY_TYPES, createEnvelopeEntry, getEnvelopeBalance,
+    addEnvelopeEntries, removeEnvelopeTransactionEntries, dropEnvelopeEntries, restoreEnvelopeEntries,
+} from '../utils/envelopes';
+import { saveBudgets, monthKey } from '../utils/budgets';
+import { saveCategoryRules } from '../utils/categoryRules';
+import { saveAccounts, defaultAccountId, TRANSFER_TYPE } from '../utils/accounts';
+import { LEDGER_TYPES, createLedgerEntry, addLedgerEntry, removeTransactionEntries, restoreLedgerEntry, ensureGoalLedger, getGoalBalance } from '../utils/goalLedger';
+import { collectDueOccurrences, saveFixedExpenses } from '../utils/recurring';
+import { saveInstallments, collectDueInstallments, MAX_INSTALLMENTS } from '../utils/installments';
+import { saveExchangeRates } from '../utils/currency';
+import { buildSplitLines, primaryCategory, getGoalContributions, getSpentAmount } from '../utils/splits';
+import {
+    setCategoryRegistry, saveCategoryRegistry, registryItems, addCategory, updateCategory, removeCategory, deletionTarget, reassignCategory,
+} from '../utils/categories';
+import { normalizeTags } from '../utils/tags';
+import { normalizeReceipts } from '../utils/receipts';
+import { saveSavedFilters, normalizeFilter } from '../utils/savedFilters';
+import { savePayees, assignPayee, updatePayee, mergePayees, removePayee, matchPayeesFromNotes } from '../utils/payees';
+import { saveIndexValues, normalizeIndexUnit, roundIndexed, indexedToClp } from '../utils/indexation';
+import { saveWarningFeedback, addWarningFeedback } from '../utils/patterns';
+import { getDeviceId, xpCounters, stampChangedRecords } from '../utils/syncClock';
+import { time } from '../utils/timeEngine';
 import { isSupabaseConfigured, supabase } from '../lib/supabase';
 import { hydrationService } from '../lib/hydrationService';
 import { syncManager } from '../lib/syncManager';
@@ -15,7 +38,17 @@ const initialState = {
     transactions: [],
     routines: [],
     fixedExpenses: [],
-    envelopes: { enabled: false, rules: [] },
+    accounts: [],
+    envelopes: { enabled: false, rules: [], ledger: [] },
+    budgets: { items: [] },
+    categoryRules: { items: [] },
+    installments: { items: [] },
+    exchangeRates: { items: [] },
+    indexValues: { items: [] },
+    categories: { items: [] },
+    savedFilters: { items: [] },
+    payees: { items: [] },
+    warningFeedback: { items: [] },
     profile: { name: '', email: '', incomeSources: [], currency: 'CLP' },
     gamification: { totalXP: 0, xpLog: [], earnedBadgeIds: [] },
     isLoaded: false,
@@ -38,40 +71,213 @@ function calculateStreak(completedDates) {
 
 function addXP(gamification, amount, action) {
     if (amount <= 0) return gamification;
+    // Counted per device too, so XP earned offline on two devices adds up on sync
+    const counters = xpCounters(gamification);
+    const device = getDeviceId();
     return {
         ...gamification,
         totalXP: (gamification.totalXP || 0) + amount,
+        xpByDevice: { ...counters, [device]: (counters[device] || 0) + amount },
         xpLog: [{ action, xp: amount, timestamp: Date.now() }, ...(gamification.xpLog || [])].slice(0, 100),
     };
 }
 
+// =================== CURRENCY ===================
+// Records keep the currency they were entered in; without one they are in the base currency
+function recordCurrency(record, state) {
+    return normalizeCurrency(record?.currency || state.profile?.currency);
+}
+
+// UF/UTM amounts keep four (UF) or two (UTM) decimals; the rest round as money
+function roundAmount(amount, indexUnit, currency) {
+    return indexUnit ? roundIndexed(amount, indexUnit) : roundMoney(amount, currency);
+}
+
+// One value per unit and day: a newer one for the same day replaces it
+function upsertIndexValues(items, unit, values) {
+    const byKey = new Map(items.map(v => [`${v.unit}|${v.date}`, v]));
+    for (const { date, value, id } of values) {
+        if (!date || !(Number(value) > 0)) continue;
+        const existing = byKey.get(`${unit}|${date}`);
+        byKey.set(`${unit}|${date}`, { id: existing?.id || id || generateId(), unit, date, value: Number(value) });
+    }
+    return Array.from(byKey.values());
+}
+
+// =================== SPLITS ===================
+// A split keeps its lines only while they add up to the total; the lines
+// then carry the categories, classifications and goals
+function withSplitLines(tx, currency) {
+    if (!tx.lines) return tx;
+    const lines = buildSplitLines(tx.lines, tx.amount, currency);
+    if (!lines) {
+        const { lines: _lines, ...single } = tx;
+        return single;
+    }
+    return { ...tx, lines, category: primaryCategory(lines), goalId: null, decisionType: null };
+}
+
+// =================== GOAL BALANCES ===================
+// Only 'ahorro' transactions linked to a goal, and the goal lines of a
+// split, move money into goals (see getGoalContributions).
+
+/**
+ * Undo the goal effect of `fromTx` and apply the effect of `toTx`.
+ * Handles amount changes, goal changes and type changes in one pass:
+ * the ledger entries created by `fromTx` are dropped and fresh ones are
+ * written for `toTx`, so balances stay derived from the ledger.
+ */
+function rebalanceGoals(goals, fromTx, toTx) {
+    const before = getGoalContributions(fromTx);
+    const after = getGoalContributions(toTx);
+    if (before.length === 0 && after.length === 0) return goals;
+
+    return goals.map(g => {
+        let next = g;
+        if (before.some(c => c.goalId === g.id)) next = removeTransactionEntries(next, fromTx.id);
+        const contribution = after.find(c => c.goalId === g.id);
+        if (contribution) {
+            next = addLedgerEntry(next, createLedgerEntry({
+                amount: contribution.amount, currency: g.currency, date: toTx.date, note: toTx.note, transactionId: toTx.id,
+            }));
+        }
+        return next;
+    });
+}
+
+// =================== ENVELOPE BALANCES ===================
+// Only 'gasto' transactions drawn from an envelope spend from it;
+// the goal lines of a split are saved, not spent.
+function envelopeSpend(tx) {
+    if (!tx || tx.type !== 'gasto' || !tx.envelopeId) return null;
+    return createEnvelopeEntry({
+        envelopeId: tx.envelopeId, type: ENVELOPE_ENTRY_TYPES.SPEND,
+        amount: -getSpentAmount(tx), date: tx.date, note: tx.note, transactionId: tx.id,
+    });
+}
+
+/**
+ * Same idea as rebalanceGoals: drop the spend written for `fromTx` and
+ * write one for `toTx`. Income allocations are left untouched.
+ */
+function rebalanceEnvelopes(envelopes, fromTx, toTx) {
+    const hadSpend = fromTx?.type === 'gasto' && fromTx.envelopeId;
+    const spend = envelopeSpend(toTx);
+    if (!hadSpend && !spend) return envelopes;
+    const { envelopes: kept } = dropEnvelopeEntries(envelopes, e =>
+        e.transactionId === fromTx.id && e.type === ENVELOPE_ENTRY_TYPES.SPEND);
+    return addEnvelopeEntries(kept, spend ? [spend] : []);
+}
+
+// ==================== PAYEES =====================
+// The form sends the payee as typed (`payee`); the record keeps only
+// the id of the payee it resolves to, created on first use.
+function withPayee(state, tx, previous = null) {
+    const { payee, ...record } = tx;
+    if (payee === undefined) return { payees: state.payees, tx: { ...record, payeeId: record.payeeId ?? previous?.payeeId ?? null } };
+    const { payees, payeeId } = assignPayee(state.payees, Sanitize.html(payee), { category: record.category, type: record.type });
+    return { payees, tx: { ...record, payeeId } };
+}
+
+// =================== CATEGORIES ===================
+// Records point at a category by value. Merging or deleting one moves
+// every record of that kind to another, so nothing is left orphaned.
+function reassignEverywhere(state, kind, from, into) {
+    const byKind = (records, matches) => {
+        const moved = reassignCategory(records.filter(matches), from, into);
+        let i = 0;
+        return records.map(r => (matches(r) ? moved[i++] : r));
+    };
+    if (kind === 'rutina') {
+        return { ...state, routines: reassignCategory(state.routines, from, into) };
+    }
+    const next = {
+        ...state,
+        transactions: byKind(state.transactions, t => t.type === kind),
+        categoryRules: {
+            ...state.categoryRules,
+            items: byKind(state.categoryRules?.items || [], r => !r.type || r.type === kind),
+            updatedAt: new Date().toISOString(),
+        },
+    };
+    if (kind !== 'gasto') return next;
+
+    // A budget of the merged category joins the one it is merged into
+    const budgets = state.budgets?.items || [];
+    const source = budgets.find(b => b.category === from);
+    const target = budgets.find(b => b.category === into);
+    const mergedBudgets = !source ? budgets : target
+        ? budgets.filter(b => b !== source).map(b => (b === target ? { ...b, limit: Money.add(b.limit, source.limit) } : b))
+        : budgets.map(b => (b === source ? { ...b, category: into } : b));
+
+    return {
+        ...next,
+        fixedExpenses: reassignCategory(state.fixedExpenses, from, into),
+        installments: { ...state.installments, items: reassignCategory(state.installments?.items, from, into), updatedAt: new Date().toISOString() },
+        budgets: { ...state.budgets, items: mergedBudgets, updatedAt: new Date().toISOString() },
+    };
+}
+
+// Undo entries that bring a deleted record back, by Supabase table
+const RESTORED_TABLES = {
+    RESTORE_GOAL: 'goals',
+    RESTORE_TRANSACTION: 'transactions',
+    RESTORE_ROUTINE: 'routines',
+    RESTORE_FIXED_EXPENSE: 'fixed_expenses',
+    RESTORE_ACCOUNT: 'accounts',
+};
+
 // =================== REDUCER ===================
 function appReducer(state, action) {
     switch (action.type) {
-        case 'LOAD_DATA': return { ...state, ...action.payload, isLoaded: true };
+        case 'LOAD_DATA': {
+            const goals = (action.payload.goals || state.goals).map(ensureGoalLedger);
+            return { ...state, ...action.payload, goals, isLoaded: true };
+        }
         case 'ADD_XP': return { ...state, gamification: addXP(state.gamification, action.payload, 'MANUAL') };
 
         // ── GOALS ────────────────────────────
         case 'ADD_GOAL': {
-            const sanitized = {
+            // Indexed targets are saved towards in pesos
+            const indexUnit = normalizeIndexUnit(action.payload.indexUnit);
+            const currency = indexUnit ? 'CLP' : recordCurrency(action.payload, state);
+            const sanitized = ensureGoalLedger({
                 ...action.payload,
                 id: action.payload.id || generateId(),
                 name: Sanitize.html(action.payload.name),
                 description: Sanitize.html(action.payload.description),
-                targetAmount: Finance.parse(action.payload.targetAmount),
-                currentAmount: Finance.parse(action.payload.currentAmount || 0),
-            };
+                currency,
+                indexUnit,
+                targetAmount: roundAmount(action.payload.targetAmount, indexUnit, currency),
+                currentAmount: roundMoney(action.payload.currentAmount || 0, currency),
+            });
             const xpGain = state.goals.length === 0 ? XP_REWARDS.FIRST_GOAL + XP_REWARDS.GOAL_CREATED : XP_REWARDS.GOAL_CREATED;
             return { ...state, goals: [...state.goals, sanitized], gamification: addXP(state.gamification, xpGain, 'GOAL_CREATED') };
         }
         case 'UPDATE_GOAL':
             return {
                 ...state,
-                goals: state.goals.map(g => g.id === action.payload.id ? {
-                    ...g, ...action.payload,
-                    name: action.payload.name ? Sanitize.html(action.payload.name) : g.name,
-                    targetAmount: action.payload.targetAmount !== undefined ? Finance.parse(action.payload.targetAmount) : g.targetAmount,
-                } : g),
+                goals: state.goals.map(g => {
+                    if (g.id !== action.payload.id) return g;
+                    // Saved money stays in the currency it was saved in
+                    const locked = (g.ledger || []).length > 0;
+                    const requestedUnit = normalizeIndexUnit(action.payload.indexUnit !== undefined ? action.payload.indexUnit : g.indexUnit);
+                    const currency = locked
+                        ? recordCurrency(g, state)
+                        : requestedUnit ? 'CLP' : recordCurrency({ currency: action.payload.currency || g.currency }, state);
+                    // Only a peso goal can be indexed
+                    const indexUnit = currency === 'CLP' ? requestedUnit : null;
+                    return {
+                        ...g, ...action.payload,
+                        name: action.payload.name ? Sanitize.html(action.payload.name) : g.name,
+                        currency,
+                        indexUnit,
+                        targetAmount: action.payload.targetAmount !== undefined ? roundAmount(action.payload.targetAmount, indexUnit, currency) : g.targetAmount,
+                        // Balance is owned by the ledger, never by the edit form
+                        ledger: g.ledger,
+                        currentAmount: getGoalBalance(g),
+                    };
+                }),
             };
         case 'DELETE_GOAL': {
             const goalToDelete = state.goals.find(g => g.id === action.payload);
@@ -82,39 +288,135 @@ function appReducer(state, action) {
                 _undoStack: [...state._undoStack, { type: 'RESTORE_GOAL', data: goalToDelete, timestamp: Date.now() }].slice(-10),
             };
         }
-        case 'RESTORE_GOAL': return { ...state, goals: [...state.goals, action.payload] };
+        case 'RESTORE_GOAL':
+            syncManager.syncRestore('goals', action.payload);
+            return { ...state, goals: [...state.goals, action.payload] };
         case 'ADD_SAVINGS_TO_GOAL': {
-            const { goalId, amount } = action.payload;
-            const parsedAmount = Finance.parse(amount);
+            const { goalId, amount, date, note, transactionId } = action.payload;
             let extraXP = 0;
             const goal = state.goals.find(g => g.id === goalId);
             if (!goal) return state;
-            const oldAmount = Finance.parse(goal.currentAmount || 0);
-            const newAmount = Finance.add(oldAmount, parsedAmount);
-            if (oldAmount < goal.targetAmount && newAmount >= goal.targetAmount) extraXP += XP_REWARDS.GOAL_COMPLETED;
+            const oldAmount = getGoalBalance(goal);
+            const updatedGoal = addLedgerEntry(goal, createLedgerEntry({ amount, currency: goal.currency, date, note, transactionId }));
+            // An indexed target is reached in pesos at the value of the saving's date
+            const target = goal.indexUnit
+                ? (indexedToClp(goal.targetAmount, goal.indexUnit, date || time.now(), state.indexValues) ?? Infinity)
+                : goal.targetAmount;
+            if (oldAmount < target && updatedGoal.currentAmount >= target) extraXP += XP_REWARDS.GOAL_COMPLETED;
             return {
                 ...state,
-                goals: state.goals.map(g => g.id === goalId ? { ...g, currentAmount: newAmount } : g),
+                goals: state.goals.map(g => g.id === goalId ? updatedGoal : g),
                 gamification: addXP(state.gamification, XP_REWARDS.SAVINGS_REGISTERED + extraXP, 'SAVINGS_REGISTERED'),
             };
         }
+        case 'WITHDRAW_FROM_GOAL': {
+            const { goalId, amount, date, note } = action.payload;
+            const goal = state.goals.find(g => g.id === goalId);
+            if (!goal) return state;
+            // A goal can never go below zero
+            const withdrawn = Math.min(Money.parse(amount, goal.currency), getGoalBalance(goal));
+            if (withdrawn <= 0) return state;
+            return {
+                ...state,
+                goals: state.goals.map(g => g.id === goalId
+                    ? addLedgerEntry(g, createLedgerEntry({ type: LEDGER_TYPES.WITHDRAWAL, amount: withdrawn, currency: g.currency, date, note: Sanitize.html(note) }))
+                    : g),
+            };
+        }
 
         // ── TRANSACTIONS ─────────────────────
         case 'ADD_TRANSACTION': {
-            const sanitized = { ...action.payload, id: generateId(), note: Sanitize.html(action.payload.note), amount: Finance.parse(action.payload.amount) };
+            const currency = recordCurrency(action.payload, state);
+            const sanitized = withSplitLines({
+                ...action.payload,
+                id: action.payload.id || generateId(),
+                note: Sanitize.html(action.payload.note),
+                currency,
+                amount: roundMoney(action.payload.amount, currency),
+                accountId: action.payload.accountId || defaultAccountId(state.accounts),
+                tags: normalizeTags(action.payload.tags),
+                receipts: normalizeReceipts(action.payload.receipts),
+            }, currency);
+            const { payees, tx: added } = withPayee(state, sanitized);
             const xpGain = state.transactions.length === 0 ? XP_REWARDS.FIRST_TRANSACTION + XP_REWARDS.TRANSACTION_LOGGED : XP_REWARDS.TRANSACTION_LOGGED;
-            return { ...state, transactions: [sanitized, ...state.transactions], gamification: addXP(state.gamification, xpGain, 'TRANSACTION_LOGGED') };
+            const spend = envelopeSpend(added);
+            return {
+                ...state,
+                transactions: [added, ...state.transactions],
+                payees,
+                envelopes: spend ? addEnvelopeEntries(state.envelopes, [spend]) : state.envelopes,
+                gamification: addXP(state.gamification, xpGain, 'TRANSACTION_LOGGED'),
+            };
         }
         case 'DELETE_TRANSACTION': {
             const txToDelete = state.transactions.find(t => t.id === action.payload);
             syncManager.syncDelete('transactions', action.payload);
+            // Keep the goal entries so undo can put them back (under new ids)
+            const ledgerEntries = state.goals.flatMap(g => (g.ledger || [])
+                .filter(e => e.transactionId === action.payload)
+                .map(entry => ({ goalId: g.id, entry })));
+            const { envelopes, removed: envelopeEntries } = removeEnvelopeTransactionEntries(state.envelopes, action.payload);
             return {
                 ...state,
                 transactions: state.transactions.filter(t => t.id !== action.payload),
-                _undoStack: [...state._undoStack, { type: 'RESTORE_TRANSACTION', data: txToDelete, timestamp: Date.now() }].slice(-10),
+                goals: ledgerEntries.length > 0 ? state.goals.map(g => removeTransactionEntries(g, action.payload)) : state.goals,
+                envelopes,
+                _undoStack: [...state._undoStack, { type: 'RESTORE_TRANSACTION', data: txToDelete, ledgerEntries, envelopeEntries, timestamp: Date.now() }].slice(-10),
+            };
+        }
+        case 'RESTORE_TRANSACTION':
+            syncManager.syncRestore('transactions', action.payload);
+            return { ...state, transactions: [action.payload, ...state.transactions] };
+        case 'UPDATE_TRANSACTION': {
+            const previous = state.transactions.find(t => t.id === action.payload.id);
+            if (!previous) return state;
+            const type = action.payload.type || previous.type;
+            const currency = recordCurrency({ currency: action.payload.currency || previous.currency }, state);
+            const edited = withSplitLines({
+                ...previous, ...action.payload,
+                type,
+                note: action.payload.note !== undefined ? Sanitize.html(action.payload.note) : previous.note,
+                currency,
+                amount: roundMoney(action.payload.amount !== undefined ? action.payload.amount : previous.amount, currency),
+                goalId: type === 'ahorro' ? (action.payload.goalId !== undefined ? action.payload.goalId || null : previous.goalId || null) : null,
+                envelopeId: type === 'gasto' ? (action.payload.envelopeId !== undefined ? action.payload.envelopeId || null : previous.envelopeId || null) : null,
+                toAccountId: type === TRANSFER_TYPE ? (action.payload.toAccountId || previous.toAccountId || null) : null,
+                tags: normalizeTags(action.payload.tags !== undefined ? action.payload.tags : previous.tags),
+                receipts: normalizeReceipts(action.payload.receipts !== undefined ? action.payload.receipts : previous.receipts),
+                updatedAt: new Date().toISOString(),
+            }, currency);
+            const { payees, tx: updated } = withPayee(state, edited, previous);
+            return {
+                ...state,
+                transactions: state.transactions.map(t => t.id === updated.id ? updated : t),
+                payees,
+                goals: rebalanceGoals(state.goals, previous, updated),
+                envelopes: rebalanceEnvelopes(state.envelopes, previous, updated),
+                _undoStack: [...state._undoStack, { type: 'REVERT_TRANSACTION', data: previous, timestamp: Date.now() }].slice(-10),
+            };
+        }
+        case 'IMPORT_TRANSACTIONS': {
+            // One bulk import is one logged action: XP is awarded once, not per row
+            const imported = (action.payload || []).map(t => withSplitLines({
+                ...t,
+                id: t.id || generateId(),
+                note: Sanitize.html(t.note),
+                currency: recordCurrency(t, state),
+                amount: roundMoney(t.amount, recordCurrency(t, state)),
+                accountId: t.accountId || defaultAccountId(state.accounts),
+                tags: normalizeTags(t.tags),
+                createdAt: t.createdAt || new Date().toISOString(),
+            }, recordCurrency(t, state)));
+            if (imported.length === 0) return state;
+            const xpGain = state.transactions.length === 0 ? XP_REWARDS.FIRST_TRANSACTION + XP_REWARDS.TRANSACTION_LOGGED : XP_REWARDS.TRANSACTION_LOGGED;
+            return {
+                ...state,
+                // Bank descriptions that name a known payee get linked to it
+                transactions: [...matchPayeesFromNotes(imported, state.payees), ...state.transactions],
+                gamification: addXP(state.gamification, xpGain, 'TRANSACTION_LOGGED'),
+                _undoStack: [...state._undoStack, { type: 'REMOVE_IMPORT', data: imported.map(t => t.id), timestamp: Date.now() }].slice(-10),
             };
         }
-        case 'RESTORE_TRANSACTION': return { ...state, transactions: [action.payload, ...state.transactions] };
 
         // ── ROUTINES ─────────────────────────
         case 'ADD_ROUTINE': {
@@ -139,7 +441,9 @@ function appReducer(state, action) {
                 _undoStack: [...state._undoStack, { type: 'RESTORE_ROUTINE', data: routineToDelete, timestamp: Date.now() }].slice(-10),
             };
         }
-        case 'RESTORE_ROUTINE': return { ...state, routines: [...state.routines, action.payload] };
+        case 'RESTORE_ROUTINE':
+            syncManager.syncRestore('routines', action.payload);
+            return { ...state, routines: [...state.routines, action.payload] };
         case 'COMPLETE_ROUTINE': {
             const { id, date, xp } = action.payload;
             const routine = state.routines.find(r => r.id === id);
@@ -160,11 +464,13 @@ function appReducer(state, action) {
 
         // ── FIXED EXPENSES ───────────────────
         case 'ADD_FIXED_EXPENSE': {
+            const indexUnit = normalizeIndexUnit(action.payload.indexUnit);
             const expense = {
                 ...action.payload,
                 id: action.payload.id || generateId(),
                 name: Sanitize.html(action.payload.name),
-                amount: Finance.parse(action.payload.amount),
+                indexUnit,
+                amount: roundAmount(action.payload.amount, indexUnit),
                 active: action.payload.active !== false,
                 frequency: action.payload.frequency || 'monthly',
                 category: action.payload.category || 'otros',
@@ -176,12 +482,20 @@ function appReducer(state, action) {
         case 'UPDATE_FIXED_EXPENSE':
             return {
                 ...state,
-                fixedExpenses: state.fixedExpenses.map(e => e.id === action.payload.id ? {
-                    ...e, ...action.payload,
-                    name: action.payload.name ? Sanitize.html(action.payload.name) : e.name,
-                    amount: action.payload.amount !== undefined ? Finance.parse(action.payload.amount) : e.amount,
-                    updatedAt: new Date().toISOString(),
-                } : e),
+                fixedExpenses: state.fixedExpenses.map(e => {
+                    if (e.id !== action.payload.id) return e;
+                    const indexUnit = normalizeIndexUnit(action.payload.indexUnit !== undefined ? action.payload.indexUnit : e.indexUnit);
+                    const amount = action.payload.amount !== undefined ? action.payload.amount : e.amount;
+                    return {
+                        ...e, ...action.payload,
+                        name: action.payload.name ? Sanitize.html(action.payload.name) : e.name,
+                        indexUnit,
+                        amount: roundAmount(amount, indexUnit),
+                        // A rescheduled expense gets a new anchor day
+                        dueDay: action.payload.nextDueDate !== undefined && action.payload.nextDueDate !== e.nextDueDate ? null : e.dueDay,
+                        updatedAt: new Date().toISOString(),
+                    };
+                }),
             };
         case 'TOGGLE_FIXED_EXPENSE':
             return {
@@ -199,10 +513,385 @@ function appReducer(state, action) {
                 _undoStack: [...state._undoStack, { type: 'RESTORE_FIXED_EXPENSE', data: feToDelete, timestamp: Date.now() }].slice(-10),
             };
         }
-        case 'RESTORE_FIXED_EXPENSE': return { ...state, fixedExpenses: [...state.fixedExpenses, action.payload] };
+        case 'RESTORE_FIXED_EXPENSE':
+            syncManager.syncRestore('fixed_expenses', action.payload);
+            return { ...state, fixedExpenses: [...state.fixedExpenses, action.payload] };
+        case 'POST_DUE_FIXED_EXPENSES': {
+            // Occurrence ids are deterministic, so anything already posted
+            // (here, on another device, or before a reload) is skipped
+            const existingIds = new Set(state.transactions.map(t => t.id));
+            const due = collectDueOccurrences(state.fixedExpenses, action.payload?.today || time.today(), existingIds, state.indexValues);
+            if (due.fixedExpenses === state.fixedExpenses) return state;
+            return {
+                ...state,
+                transactions: [...due.transactions.reverse(), ...state.transactions],
+                fixedExpenses: due.fixedExpenses,
+            };
+        }
+
+        // ── INSTALLMENTS ─────────────────────
+        case 'ADD_INSTALLMENT_PLAN': {
+            // The cuotas themselves are posted as 'gasto' when they come due
+            const count = Math.min(MAX_INSTALLMENTS, Math.max(2, Math.round(Number(action.payload.count) || 0)));
+            const plan = {
+                id: action.payload.id || generateId(),
+                note: Sanitize.html(action.payload.note),
+                category: action.payload.category || 'otros_gastos',
+                decisionType: action.payload.decisionType || null,
+                accountId: action.payload.accountId || defaultAccountId(state.accounts),
+                principal: Money.parse(action.payload.principal),
+                count,
+                monthlyRate: Math.max(0, Number(action.payload.monthlyRate) || 0),
+                purchaseDate: action.payload.purchaseDate || new Date().toISOString(),
+                firstDueDate: action.payload.firstDueDate,
+                postedCount: 0,
+                createdAt: new Date().toISOString(),
+            };
+            if (plan.principal <= 0 || !plan.firstDueDate) return state;
+            return {
+                ...state,
+                installments: { items: [...(state.installments?.items || []), plan], updatedAt: new Date().toISOString() },
+                gamification: addXP(state.gamification, XP_REWARDS.TRANSACTION_LOGGED, 'TRANSACTION_LOGGED'),
+            };
+        }
+        case 'DELETE_INSTALLMENT_PLAN': {
+            // Cuotas already charged stay as regular expenses
+            const items = state.installments?.items || [];
+            const planToDelete = items.find(p => p.id === action.payload);
+            if (!planToDelete) return state;
+            return {
+                ...state,
+                installments: { items: items.filter(p => p.id !== action.payload), updatedAt: new Date().toISOString() },
+                _undoStack: [...state._undoStack, { type: 'RESTORE_INSTALLMENT_PLAN', data: planToDelete, timestamp: Date.now() }].slice(-10),
+            };
+        }
+        case 'POST_DUE_INSTALLMENTS': {
+            const existingIds = new Set(state.transactions.map(t => t.id));
+            const due = collectDueInstallments(state.installments, action.payload?.today || time.today(), existingIds);
+            if (due.installments === state.installments) return state;
+            return {
+                ...state,
+                transactions: [...due.transactions.reverse(), ...state.transactions],
+                installments: due.installments,
+            };
+        }
+
+        // ── ACCOUNTS ─────────────────────────
+        case 'ADD_ACCOUNT': {
+            const account = {
+                id: action.payload.id || generateId(),
+                name: Sanitize.html(action.payload.name),
+                type: action.payload.type || 'checking',
+                openingBalance: Money.parse(action.payload.openingBalance || 0),
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+            };
+            return { ...state, accounts: [...state.accounts, account] };
+        }
+        case 'UPDATE_ACCOUNT':
+            return {
+                ...state,
+                accounts: state.accounts.map(a => a.id === action.payload.id ? {
+                    ...a, ...action.payload,
+                    name: action.payload.name ? Sanitize.html(action.payload.name) : a.name,
+                    openingBalance: action.payload.openingBalance !== undefined ? Money.parse(action.payload.openingBalance) : a.openingBalance,
+                    updatedAt: new Date().toISOString(),
+                } : a),
+            };
+        case 'DELETE_ACCOUNT': {
+            // An account with movements would silently move them to "unassigned"
+            const inUse = state.transactions.some(t => t.accountId === action.payload || t.toAccountId === action.payload);
+            const accountToDelete = state.accounts.find(a => a.id === action.payload);
+            if (inUse || !accountToDelete) return state;
+            syncManager.syncDelete('accounts', action.payload);
+            return {
+                ...state,
+                accounts: state.accounts.filter(a => a.id !== action.payload),
+                _undoStack: [...state._undoStack, { type: 'RESTORE_ACCOUNT', data: accountToDelete, timestamp: Date.now() }].slice(-10),
+            };
+        }
+        case 'TRANSFER_BETWEEN_ACCOUNTS': {
+            const { fromId, toId, amount, date, note } = action.payload;
+            const value = Money.parse(amount);
+            if (!fromId || !toId || fromId === toId || value <= 0) return state;
+            const transfer = {
+                id: action.payload.id || generateId(),
+                type: TRANSFER_TYPE,
+                amount: value,
+                category: 'transferencia',
+                date: date || new Date().toISOString(),
+                note: Sanitize.html(note),
+                accountId: fromId,
+                toAccountId: toId,
+                createdAt: new Date().toISOString(),
+            };
+            return { ...state, transactions: [transfer, ...state.transactions] };
+        }
 
         // ── MISC ─────────────────────────────
-        case 'SET_ENVELOPES': return { ...state, envelopes: action.payload };
+        case 'SET_ENVELOPES': return { ...state, envelopes: { ledger: [], ...state.envelopes, ...action.payload, updatedAt: new Date().toISOString() } };
+        case 'ALLOCATE_INCOME': {
+            // Funds each envelope from an 'ingreso'. Meta rules become an 'ahorro'
+            // transaction credited to their goal, exactly like saving from Goals.
+            const { transactionId, date, allocations = [] } = action.payload;
+            const rules = state.envelopes?.rules || [];
+            const entries = [];
+            const savings = [];
+            let goals = state.goals;
+
+            for (const { envelopeId, amount } of allocations) {
+                const value = Money.parse(amount);
+                const rule = rules.find(r => r.id === envelopeId);
+                if (!rule || value <= 0) continue;
+                if (rule.type === 'meta') {
+                    if (!goals.some(g => g.id === rule.goalId)) continue;
+                    const savingTx = {
+                        id: `${transactionId}_${rule.id}`, type: 'ahorro', amount: value, category: 'ahorro_meta',
+                        date, note: Sanitize.html(`Sobre: ${rule.name}`), goalId: rule.goalId, createdAt: new Date().toISOString(),
+                    };
+                    savings.push(savingTx);
+                    goals = goals.map(g => g.id === rule.goalId
+                        ? addLedgerEntry(g, createLedgerEntry({ amount: value, currency: g.currency, date, note: savingTx.note, transactionId: savingTx.id }))
+                        : g);
+                } else {
+                    entries.push(createEnvelopeEntry({
+                        envelopeId, type: ENVELOPE_ENTRY_TYPES.ALLOCATION, amount: value, date, transactionId,
+                    }));
+                }
+            }
+            if (entries.length === 0 && savings.length === 0) return state;
+            return {
+                ...state,
+                transactions: [...savings, ...state.transactions],
+                goals,
+                envelopes: addEnvelopeEntries(state.envelopes, entries),
+            };
+        }
+        case 'TRANSFER_ENVELOPE': {
+            const { fromId, toId, amount, note } = action.payload;
+            if (fromId === toId) return state;
+            // An envelope can never go below zero through a transfer
+            const moved = Math.min(Money.parse(amount), getEnvelopeBalance(state.envelopes, fromId));
+            if (moved <= 0) return state;
+            const transferId = generateId();
+            const date = new Date().toISOString();
+            const cleanNote = Sanitize.html(note);
+            return {
+                ...state,
+                envelopes: addEnvelopeEntries(state.envelopes, [
+                    createEnvelopeEntry({ envelopeId: fromId, type: ENVELOPE_ENTRY_TYPES.TRANSFER, amount: -moved, date, note: cleanNote, transferId }),
+                    createEnvelopeEntry({ envelopeId: toId, type: ENVELOPE_ENTRY_TYPES.TRANSFER, amount: moved, date, note: cleanNote, transferId }),
+                ]),
+            };
+        }
+        case 'SET_BUDGET': {
+            const { category, limit, rollover } = action.payload;
+            const items = state.budgets?.items || [];
+            const existing = items.find(b => b.category === category);
+            const budget = {
+                category,
+                limit: Money.parse(limit),
+                rollover: !!rollover,
+                since: existing?.since || monthKey(time.now()),
+            };
+            return {
+                ...state,
+                budgets: {
+                    items: existing ? items.map(b => b.category === category ? budget : b) : [...items, budget],
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        }
+        case 'DELETE_BUDGET':
+            return {
+                ...state,
+                budgets: {
+                    items: (state.budgets?.items || []).filter(b => b.category !== action.payload),
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        case 'SET_CATEGORY_RULE': {
+            const items = state.categoryRules?.items || [];
+            const existing = items.find(r => r.id === action.payload.id);
+            const amountOrNull = v => (v === '' || v == null ? null : Money.parse(v));
+            const rule = {
+                id: existing?.id || action.payload.id || generateId(),
+                noteContains: Sanitize.html((action.payload.noteContains || '').trim()),
+                minAmount: amountOrNull(action.payload.minAmount),
+                maxAmount: amountOrNull(action.payload.maxAmount),
+                weekdays: Array.isArray(action.payload.weekdays) ? action.payload.weekdays : [],
+                type: action.payload.type || '',
+                payeeId: action.payload.payeeId || null,
+                category: action.payload.category,
+                // Classifications only describe expenses
+                classification: action.payload.type === 'ingreso' ? '' : action.payload.classification || '',
+            };
+            return {
+                ...state,
+                categoryRules: {
+                    items: existing ? items.map(r => r.id === rule.id ? rule : r) : [...items, rule],
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        }
+        case 'DELETE_CATEGORY_RULE':
+            return {
+                ...state,
+                categoryRules: {
+                    items: (state.categoryRules?.items || []).filter(r => r.id !== action.payload),
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        case 'ADD_CATEGORY': {
+            const label = Sanitize.html((action.payload.label || '').trim());
+            if (!label) return state;
+            return { ...state, categories: addCategory(state.categories, { ...action.payload, label }) };
+        }
+        case 'UPDATE_CATEGORY': {
+            const { kind, value, ...patch } = action.payload;
+            if (patch.label !== undefined) patch.label = Sanitize.html(patch.label);
+            return { ...state, categories: updateCategory(state.categories, kind, value, patch) };
+        }
+        case 'MERGE_CATEGORY': {
+            // Everything filed under `from` moves to `into`, then `from` goes away
+            const { kind, from, into } = action.payload;
+            if (!registryItems(state.categories).some(c => c.kind === kind && c.value === into)) return state;
+            const categories = removeCategory(state.categories, kind, from, into);
+            if (from === into || categories === state.categories) return state;
+            return { ...reassignEverywhere(state, kind, from, into), categories };
+        }
+        case 'DELETE_CATEGORY': {
+            // Records fall back to the parent, or to the kind's catch-all
+            const { kind, value } = action.payload;
+            const into = deletionTarget(kind, value, state.categories);
+            const categories = removeCategory(state.categories, kind, value, into);
+            if (categories === state.categories) return state;
+            return { ...reassignEverywhere(state, kind, value, into), categories };
+        }
+        case 'SET_SAVED_FILTER': {
+            const items = state.savedFilters?.items || [];
+            const existing = items.find(f => f.id === action.payload.id);
+            // Pinning or editing criteria alone keeps the current name
+            const name = action.payload.name !== undefined ? Sanitize.html(String(action.payload.name).trim()) : existing?.name;
+            if (!name) return state;
+            const filter = {
+                id: existing?.id || action.payload.id || generateId(),
+                name,
+                ...normalizeFilter({ ...existing, ...action.payload }),
+                pinned: action.payload.pinned !== undefined ? !!action.payload.pinned : !!existing?.pinned,
+            };
+            return {
+                ...state,
+                savedFilters: {
+                    items: existing ? items.map(f => f.id === filter.id ? filter : f) : [...items, filter],
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        }
+        case 'DELETE_SAVED_FILTER':
+            return {
+                ...state,
+                savedFilters: {
+                    items: (state.savedFilters?.items || []).filter(f => f.id !== action.payload),
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        case 'DISMISS_WARNING': {
+            // "Not a duplicate" / "this is normal": the warning stays away
+            const { kind, key, category, amount } = action.payload;
+            if (!kind || !key) return state;
+            const entry = category ? { kind, key, category, amount: Number(amount) || 0 } : { kind, key };
+            return { ...state, warningFeedback: addWarningFeedback(state.warningFeedback, entry) };
+        }
+        case 'UPDATE_PAYEE': {
+            const { id, ...patch } = action.payload;
+            if (patch.name !== undefined) {
+                patch.name = Sanitize.html(String(patch.name).trim());
+                if (!patch.name) return state;
+            }
+            return { ...state, payees: updatePayee(state.payees, id, patch) };
+        }
+        case 'MERGE_PAYEE': {
+            // Movements and rules of `from` move to `into`, then `from` goes away
+            const { from, into } = action.payload;
+            const payees = mergePayees(state.payees, from, into);
+            if (payees === state.payees) return state;
+            const retarget = r => (r.payeeId === from ? { ...r, payeeId: into } : r);
+            return {
+                ...state,
+                payees,
+                transactions: state.transactions.map(retarget),
+                categoryRules: {
+                    items: (state.categoryRules?.items || []).map(retarget),
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        }
+        case 'DELETE_PAYEE': {
+            // Movements stay, unlinked; rules that only made sense for it go
+            const id = action.payload;
+            return {
+                ...state,
+                payees: removePayee(state.payees, id),
+                transactions: state.transactions.map(t => (t.payeeId === id ? { ...t, payeeId: null } : t)),
+                categoryRules: {
+                    items: (state.categoryRules?.items || []).filter(r => r.payeeId !== id),
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        }
+        case 'SET_EXCHANGE_RATE': {
+            // One quote per pair and day: setting it again replaces it
+            const items = state.exchangeRates?.items || [];
+            const quote = {
+                currency: normalizeCurrency(action.payload.currency),
+                base: normalizeCurrency(action.payload.base || state.profile.currency),
+                date: action.payload.date,
+                rate: Number(action.payload.rate),
+            };
+            if (!quote.date || !(quote.rate > 0) || quote.currency === quote.base) return state;
+            const existing = items.find(r => r.currency === quote.currency && r.base === quote.base && r.date === quote.date);
+            const rate = { ...quote, id: existing?.id || action.payload.id || generateId() };
+            return {
+                ...state,
+                exchangeRates: {
+                    items: existing ? items.map(r => r.id === rate.id ? rate : r) : [...items, rate],
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        }
+        case 'DELETE_EXCHANGE_RATE':
+            return {
+                ...state,
+                exchangeRates: {
+                    items: (state.exchangeRates?.items || []).filter(r => r.id !== action.payload),
+                    updatedAt: new Date().toISOString(),
+                },
+            };
+        case 'SET_INDEX_VALUE': {
+            const unit = normalizeIndexUnit(action.payload.unit);
+            if (!unit || !action.payload.date || !(Number(action.payload.value) > 0)) return state;
+            return {
+                ...state,
+                indexValues: { items: upsertIndexValues(state.indexValues?.items || [], unit, [action.payload]), updatedAt: new Date().toISOString() },
+            };
+        }
+        case 'IMPORT_INDEX_VALUES': {
+            const unit = normalizeIndexUnit(action.payload.unit);
+            if (!unit || !(action.payload.values || []).length) return state;
+            return {
+                ...state,
+                indexValues: { items: upsertIndexValues(state.indexValues?.items || [], unit, action.payload.values), updatedAt: new Date().toISOString() },
+            };
+        }
+        case 'DELETE_INDEX_VALUE':
+            return {
+                ...state,
+                indexValues: {
+                    items: (state.indexValues?.items || []).filter(v => v.id !== action.payload),
+                    updatedAt: new Date().toISOString(),
+                },
+            };
         case 'UPDATE_PROFILE': return { ...state, profile: { ...state.profile, ...action.payload, name: action.payload.name ? Sanitize.html(action.payload.name) : state.profile.name } };
 
         // ── SYNC (from Realtime) ─────────────
@@ -210,11 +899,13 @@ function appReducer(state, action) {
             const { table, item } = action.payload;
             const list = state[table] || [];
             const exists = list.some(x => x.id === item.id);
+            // Merged like a pull, so local edits not sent yet survive the remote row
+            const merged = exists
+                ? list.map(x => x.id === item.id ? hydrationService._mergeRecord(x, table === 'goals' ? ensureGoalLedger(item) : item) : x)
+                : [...list, item];
             return {
                 ...state,
-                [table]: exists
-                    ? list.map(x => x.id === item.id ? { ...x, ...item } : x)
-                    : [...list, item],
+                [table]: table === 'goals' ? merged.map(ensureGoalLedger) : merged,
             };
         }
         case 'SYNC_REMOVE': {
@@ -222,12 +913,19 @@ function appReducer(state, action) {
             return { ...state, [table]: (state[table] || []).filter(x => x.id !== id) };
         }
         case 'SYNC_PROFILE': {
-            const { profile, gamification, envelopes } = action.payload;
+            const { profile, gamification, envelopes, budgets, categoryRules, installments, exchangeRates, categories, savedFilters, payees } = action.payload;
             return {
                 ...state,
                 profile: profile || state.profile,
-                gamification: gamification || state.gamification,
-                envelopes: envelopes || state.envelopes,
+                gamification: gamification ? hydrationService._mergeGamification(state.gamification, gamification) : state.gamification,
+                envelopes: envelopes ? hydrationService._mergeEnvelopes(state.envelopes, envelopes) : state.envelopes,
+                budgets: budgets || state.budgets,
+                categoryRules: categoryRules || state.categoryRules,
+                installments: installments || state.installments,
+                exchangeRates: exchangeRates || state.exchangeRates,
+                categories: categories || state.categories,
+                savedFilters: savedFilters || state.savedFilters,
+                payees: payees || state.payees,
             };
         }
 
@@ -236,11 +934,46 @@ function appReducer(state, action) {
             if (state._undoStack.length === 0) return state;
             const lastAction = state._undoStack[state._undoStack.length - 1];
             const newStack = state._undoStack.slice(0, -1);
+            // A deleted record coming back has to leave its tombstone behind
+            if (RESTORED_TABLES[lastAction.type]) syncManager.syncRestore(RESTORED_TABLES[lastAction.type], lastAction.data);
             switch (lastAction.type) {
                 case 'RESTORE_GOAL': return { ...state, goals: [...state.goals, lastAction.data], _undoStack: newStack };
-                case 'RESTORE_TRANSACTION': return { ...state, transactions: [lastAction.data, ...state.transactions], _undoStack: newStack };
+                case 'RESTORE_TRANSACTION': {
+                    const entries = lastAction.ledgerEntries || [];
+                    return {
+                        ...state,
+                        transactions: [lastAction.data, ...state.transactions],
+                        goals: entries.reduce((goals, { goalId, entry }) =>
+                            goals.map(g => g.id === goalId ? restoreLedgerEntry(g, entry) : g), state.goals),
+                        envelopes: restoreEnvelopeEntries(state.envelopes, lastAction.envelopeEntries || []),
+                        _undoStack: newStack,
+                    };
+                }
                 case 'RESTORE_ROUTINE': return { ...state, routines: [...state.routines, lastAction.data], _undoStack: newStack };
                 case 'RESTORE_FIXED_EXPENSE': return { ...state, fixedExpenses: [...state.fixedExpenses, lastAction.data], _undoStack: newStack };
+                case 'RESTORE_INSTALLMENT_PLAN': return {
+                    ...state,
+                    installments: { items: [...(state.installments?.items || []), lastAction.data], updatedAt: new Date().toISOString() },
+                    _undoStack: newStack,
+                };
+                case 'RESTORE_ACCOUNT': return { ...state, accounts: [...state.accounts, lastAction.data], _undoStack: newStack };
+                case 'REVERT_TRANSACTION': {
+                    const current = state.transactions.find(t => t.id === lastAction.data.id);
+                    if (!current) return { ...state, _undoStack: newStack };
+                    const reverted = { ...lastAction.data, updatedAt: new Date().toISOString() };
+                    return {
+                        ...state,
+                        transactions: state.transactions.map(t => t.id === reverted.id ? reverted : t),
+                        goals: rebalanceGoals(state.goals, current, reverted),
+                        envelopes: rebalanceEnvelopes(state.envelopes, current, reverted),
+                        _undoStack: newStack,
+                    };
+                }
+                case 'REMOVE_IMPORT': {
+                    const ids = new Set(lastAction.data);
+                    lastAction.data.forEach(id => syncManager.syncDelete('transactions', id));
+                    return { ...state, transactions: state.transactions.filter(t => !ids.has(t.id)), _undoStack: newStack };
+                }
                 default: return { ...state, _undoStack: newStack };
             }
         }
@@ -248,9 +981,25 @@ function appReducer(state, action) {
     }
 }
 
+// Lists that sync record by record: edits get a time per changed field
+const STAMPED_LISTS = ['goals', 'transactions', 'routines', 'fixedExpenses', 'accounts'];
+// Loaded or received records already carry the stamps of their writes
+const UNSTAMPED_ACTIONS = new Set(['LOAD_DATA', 'SYNC_UPSERT', 'SYNC_REMOVE', 'SYNC_PROFILE']);
+
+function stampingReducer(state, action) {
+    const next = appReducer(state, action);
+    if (next === state || UNSTAMPED_ACTIONS.has(action.type)) return next;
+    const now = new Date().toISOString();
+    const stamped = {};
+    for (const list of STAMPED_LISTS) {
+        if (next[list] !== state[list]) stamped[list] = stampChangedRecords(state[list], next[list], now);
+    }
+    return { ...next, ...stamped };
+}
+
 // =================== PROVIDER ===================
 export function AppProvider({ children }) {
-    const [state, dispatch] = useReducer(appReducer, initialState);
+    const [state, dispatch] = useReducer(stampingReducer, initialState);
     const [prevXP, setPrevXP] = useState(0);
     const [userId, setUserId] = useState(null);
     const isFirstLoad = useRef(true);
@@ -258,11 +1007,6 @@ export function AppProvider({ children }) {
     // ── Step 1: Instant load from localStorage ──────
     useEffect(() => {
         const localData = hydrationService.loadLocal();
-        // Also load fixed expenses from localStorage
-        try {
-            const stored = localStorage.getItem('metaflow_fixed_expenses');
-            if (stored) localData.fixedExpenses = JSON.parse(stored);
-        } catch (e) { /* ignore */ }
         dispatch({ type: 'LOAD_DATA', payload: localData });
         setPrevXP(localData.gamification?.totalXP || 0);
     }, []);
@@ -279,7 +1023,7 @@ export function AppProvider({ children }) {
                 isFirstLoad.current = false;
 
                 try {
-                    const { data, source, needsMigration } = await hydrationService.hydrate(uid);
+                    const { data, synced, source, needsMigration } = await hydrationService.hydrate(uid);
                     console.log(`[AppContext] Hydrated from: ${source}, migration needed: ${needsMigration}`);
 
                     if (source !== 'local') {
@@ -288,6 +1032,8 @@ export function AppProvider({ children }) {
                     }
 
                     syncManager.init(uid, dispatch);
+                    // Only what the server lacks is pushed from here on
+                    syncManager.setSyncedState(synced);
 
                     if (needsMigration) {
                         syncManager.onStateChange({
@@ -320,11 +1066,17 @@ export function AppProvider({ children }) {
         storage.saveProfile(state.profile);
         storage.set('metaflow_gamification', state.gamification);
         saveEnvelopes(state.envelopes);
-
-        // Save fixed expenses to localStorage
-        try {
-            localStorage.setItem('metaflow_fixed_expenses', JSON.stringify(state.fixedExpenses || []));
-        } catch (e) { /* ignore */ }
+        saveBudgets(state.budgets);
+        saveCategoryRules(state.categoryRules);
+        saveAccounts(state.accounts);
+        saveInstallments(state.installments);
+        saveExchangeRates(state.exchangeRates);
+        saveIndexValues(state.indexValues);
+        saveCategoryRegistry(state.categories);
+        saveSavedFilters(state.savedFilters);
+        savePayees(state.payees);
+        saveWarningFeedback(state.warningFeedback);
+        saveFixedExpenses(state.fixedExpenses);
 
         // Sync to cloud (debounced, via SyncManager)
         if (userId) {
@@ -332,6 +1084,29 @@ export function AppProvider({ children }) {
         }
     }, [state, userId]);
 
+    // ── Recurring: post due fixed expenses and cuotas on load and day change ──
+    const [currentDay, setCurrentDay] = useState(() => time.todayString());
+
+    useEffect(() => {
+        const checkDay = () => setCurrentDay(time.todayString());
+        const interval = setInterval(checkDay, 60 * 1000);
+        document.addEventListener('visibilitychange', checkDay);
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', checkDay);
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!state.isLoaded) return;
+        dispatch({ type: 'POST_DUE_FIXED_EXPENSES', payload: { today: time.today() } });
+    }, [state.isLoaded, state.fixedExpenses, state.indexValues, currentDay]);
+
+    useEffect(() => {
+        if (!state.isLoaded) return;
+        dispatch({ type: 'POST_DUE_INSTALLMENTS', payload: { today: time.today() } });
+    }, [state.isLoaded, state.installments, currentDay]);
+
     // ── XP tracking ──────────────────────────────────
     const xpGained = useMemo(() =>
         state.isLoaded ? state.gamification.totalXP - prevXP : 0,
@@ -346,6 +1121,11 @@ export function AppProvider({ children }) {
     const undoLast = useCallback(() => dispatch({ type: 'UNDO_LAST' }), []);
     const canUndo = state._undoStack.length > 0;
 
+    // formatCurrency reads the base currency and category lookups read the
+    // registry; set both before children render
+    setBaseCurrency(state.profile.currency);
+    setCategoryRegistry(state.categories);
+
     const contextValue = useMemo(() => ({
         state, dispatch, xpGained, undoLast, canUndo, userId,
     }), [state, xpGained, undoLast, canUndo, userId]);
@@ -134,6 +134,36 @@ export function AuthProvider({ children }) {
         return data.publicUrl;
     }, [configured, user]);
 
+    // -- Upload a transaction receipt to the private receipts bucket --
+    const uploadReceipt = useCallback(async (file, receiptId) => {
+        if (!configured || !user) return { path: null, error: 'No autenticado' };
+        const fileExt = file.name.split('.').pop();
+        const path = `${user.id}/${receiptId}.${fileExt}`;
+
+        const { error } = await supabase.storage
+            .from('receipts')
+            .upload(path, file, { upsert: true, contentType: file.type });
+
+        if (error) return { path: null, error: error.message };
+        return { path, error: null };
+    }, [configured, user]);
+
+    // -- Short-lived link to a receipt (the bucket is not public) --
+    const getReceiptUrl = useCallback(async (path) => {
+        if (!configured || !user || !path) return null;
+        const { data, error } = await supabase.storage
+            .from('receipts')
+            .createSignedUrl(path, 60 * 10);
+        return error ? null : data.signedUrl;
+    }, [configured, user]);
+
+    // -- Remove receipts from the bucket --
+    const removeReceiptFiles = useCallback(async (paths) => {
+        if (!configured || !user || paths.length === 0) return;
+        const { error } = await supabase.storage.from('receipts').remove(paths);
+        if (error) console.warn('[Auth] Could not remove receipts:', error.message);
+    }, [configured, user]);
+
     const clearError = useCallback(() => setAuthError(null), []);
 
     const displayName = user?.user_metadata?.display_name
@@ -158,6 +188,9 @@ export function AuthProvider({ children }) {
             logout,
             uploadGoalImage,
             getGoalImageUrl,
+            uploadReceipt,
+            getReceiptUrl,
+            removeReceiptFiles,
             clearError,
         }}>
             {children}
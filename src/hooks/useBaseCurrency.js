@@ -0,0 +1,37 @@
+/**
+ * useBaseCurrency() — Amounts in the profile's base currency
+ *
+ * Provides:
+ * - base: ISO code of the base currency
+ * - transactions: converted at the rate of each transaction's date
+ * - goals: converted at today's rate; UF/UTM targets at today's value
+ * - fixedExpenses: UF/UTM amounts at today's value
+ * - unconverted: records that still lack an exchange rate or a UF/UTM value
+ */
+
+import { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { normalizeCurrency, convertAmount, toBaseTransactions, toBaseGoals } from '../utils/currency';
+import { toClpGoals, toClpFixedExpenses } from '../utils/indexation';
+import { time } from '../utils/timeEngine';
+
+export function useBaseCurrency() {
+    const { state } = useApp();
+    const { transactions, goals, fixedExpenses, exchangeRates, indexValues, profile } = state;
+    const base = normalizeCurrency(profile.currency);
+
+    return useMemo(() => {
+        const today = time.now();
+        const baseTransactions = toBaseTransactions(transactions, base, exchangeRates);
+        const baseGoals = toBaseGoals(toClpGoals(goals, indexValues, today), base, exchangeRates, today);
+        // Indexed expenses come out in pesos; the rest are already in the base currency
+        const baseFixedExpenses = toClpFixedExpenses(fixedExpenses, indexValues, today).map(e => {
+            if (!e.indexUnit || e.unconverted || base === 'CLP') return e;
+            const amount = convertAmount(e.amount, 'CLP', base, today, exchangeRates);
+            return amount === null ? { ...e, amount: 0, unconverted: true } : { ...e, amount };
+        });
+        const unconverted = [baseTransactions, baseGoals, baseFixedExpenses]
+            .reduce((sum, list) => sum + list.filter(r => r.unconverted).length, 0);
+        return { base, transactions: baseTransactions, goals: baseGoals, fixedExpenses: baseFixedExpenses, unconverted };
+    }, [transactions, goals, fixedExpenses, exchangeRates, indexValues, base]);
+}
@@ -6,12 +6,14 @@
  * - queueSize: number of pending writes
  * - isOnline: boolean (network state)
  * - lastSynced: Date | null
+ * - conflicts: collisions waiting for review (see syncConflicts)
  * - forceSync: () => void
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { syncManager } from '../lib/syncManager';
 import { writeQueue } from '../lib/writeQueue';
+import { syncConflicts } from '../lib/syncConflicts';
 import { supabase, isSupabaseConfigured } from '../lib/supabase';
 
 export function useSync() {
@@ -19,6 +21,7 @@ export function useSync() {
     const [queueSize, setQueueSize] = useState(writeQueue.size);
     const [isOnline, setIsOnline] = useState(typeof navigator !== 'undefined' ? navigator.onLine : true);
     const [lastSynced, setLastSynced] = useState(null);
+    const [conflicts, setConflicts] = useState(syncConflicts.list);
 
     // Track sync status
     useEffect(() => {
@@ -31,9 +34,12 @@ export function useSync() {
             setQueueSize(size);
         });
 
+        const unsubConflicts = syncConflicts.subscribe(setConflicts);
+
         return () => {
             unsubStatus();
             unsubQueue();
+            unsubConflicts();
         };
     }, []);
 
@@ -72,6 +78,7 @@ export function useSync() {
         queueSize,
         isOnline,
         lastSynced,
+        conflicts,
         forceSync,
         configured: isSupabaseConfigured(),
     };
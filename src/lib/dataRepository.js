@@ -9,12 +9,30 @@
  * - camelCase ↔ snake_case mapping
  * - Null-safety on all fields
  * - Error wrapping with consistent return shape
+ * - Paginated incremental pulls from updated_at cursors
  */
 
 import { supabase, isSupabaseConfigured } from './supabase';
+import { Money, toMinor, fromMinor, getBaseCurrency } from '../utils/money';
+import { SYNC_CURSORS_VERSION } from '../utils/syncClock';
+
+// Supabase caps a select at 1000 rows
+const PAGE_SIZE = 1000;
+
+// A row committed late can carry an updated_at a little older than rows
+// already seen: cursors stay this far behind the pull, so its last
+// minute is read again while older rows are never pulled twice
+const CURSOR_OVERLAP_MS = 60 * 1000;
 
 // ── Field Mappers ─────────────────────────────────
 
+// Amounts are read from the *_minor columns (integer minor units of the row's
+// currency or UF/UTM unit). Rows written before those columns existed, or by
+// an older client, only carry the decimal column, which is still written.
+const amountFromDb = (minor, amount, currency) => (
+    minor === null || minor === undefined ? Money.parse(amount, currency) : fromMinor(minor, currency)
+);
+
 const goalToDb = (g, userId) => ({
     id: g.id,
     user_id: userId,
@@ -22,11 +40,20 @@ const goalToDb = (g, userId) => ({
     description: g.description || '',
     target_amount: Number(g.targetAmount) || 0,
     current_amount: Number(g.currentAmount) || 0,
+    target_minor: toMinor(g.targetAmount, g.indexUnit || g.currency),
+    current_minor: toMinor(g.currentAmount, g.currency),
     deadline: g.deadline || null,
     priority: g.priority || 'medium',
     color: g.color || '#00e5c3',
     image_url: g.imageUrl || null,
+    ledger: Array.isArray(g.ledger) ? g.ledger : [],
+    removed_entry_ids: Array.isArray(g.removedEntryIds) ? g.removedEntryIds : [],
+    // Pinned so the minor units are always read in the currency they were written in
+    currency: g.currency || getBaseCurrency(),
+    index_unit: g.indexUnit || null,
     is_deleted: false,
+    // When each field was last written, for field-level merges
+    field_times: g.fieldTimes || {},
     updated_at: new Date().toISOString(),
 });
 
@@ -34,41 +61,87 @@ const goalFromDb = (g) => ({
     id: g.id,
     name: g.name || '',
     description: g.description || '',
-    targetAmount: Number(g.target_amount) || 0,
-    currentAmount: Number(g.current_amount) || 0,
+    targetAmount: amountFromDb(g.target_minor, g.target_amount, g.index_unit || g.currency),
+    currentAmount: amountFromDb(g.current_minor, g.current_amount, g.currency),
     deadline: g.deadline || null,
     priority: g.priority || 'medium',
     color: g.color || '#00e5c3',
     imageUrl: g.image_url || null,
+    ledger: Array.isArray(g.ledger) ? g.ledger : [],
+    removedEntryIds: Array.isArray(g.removed_entry_ids) ? g.removed_entry_ids : [],
+    currency: g.currency || null,
+    indexUnit: g.index_unit || null,
     version: g.version || 1,
+    fieldTimes: g.field_times || {},
     createdAt: g.created_at,
     updatedAt: g.updated_at,
 });
 
+// Split lines travel as JSON with their amounts in minor units
+const linesToDb = (lines, currency) => (lines?.length ? lines.map(l => ({
+    id: l.id,
+    category: l.category || '',
+    amount_minor: toMinor(l.amount, currency),
+    goal_id: l.goalId || null,
+    classification: l.classification || null,
+})) : null);
+
+const linesFromDb = (lines, currency) => (Array.isArray(lines) && lines.length ? lines.map(l => ({
+    id: l.id,
+    category: l.category || '',
+    amount: fromMinor(l.amount_minor, currency),
+    goalId: l.goal_id || null,
+    classification: l.classification || null,
+})) : undefined);
+
 const txToDb = (t, userId) => ({
     id: t.id,
     user_id: userId,
     type: t.type || 'gasto',
     amount: Number(t.amount) || 0,
+    amount_minor: toMinor(t.amount, t.currency),
     category: t.category || '',
     note: t.note || '',
     date: t.date || new Date().toISOString().split('T')[0],
     goal_id: t.goalId || null,
     decision_type: t.decisionType || null,
+    recurring_id: t.recurringId || null,
+    envelope_id: t.envelopeId || null,
+    account_id: t.accountId || null,
+    to_account_id: t.toAccountId || null,
+    installment_plan_id: t.installmentPlanId || null,
+    currency: t.currency || getBaseCurrency(),
+    lines: linesToDb(t.lines, t.currency || getBaseCurrency()),
+    tags: Array.isArray(t.tags) ? t.tags : [],
+    payee_id: t.payeeId || null,
+    // Metadata only: the files live in IndexedDB and the receipts bucket
+    receipts: Array.isArray(t.receipts) ? t.receipts : [],
     is_deleted: false,
+    field_times: t.fieldTimes || {},
     updated_at: new Date().toISOString(),
 });
 
 const txFromDb = (t) => ({
     id: t.id,
     type: t.type || 'gasto',
-    amount: Number(t.amount) || 0,
+    amount: amountFromDb(t.amount_minor, t.amount, t.currency),
     category: t.category || '',
     note: t.note || '',
     date: t.date || '',
     goalId: t.goal_id || null,
     decisionType: t.decision_type || null,
+    recurringId: t.recurring_id || null,
+    envelopeId: t.envelope_id || null,
+    accountId: t.account_id || null,
+    toAccountId: t.to_account_id || null,
+    installmentPlanId: t.installment_plan_id || null,
+    currency: t.currency || null,
+    lines: linesFromDb(t.lines, t.currency),
+    tags: Array.isArray(t.tags) ? t.tags : [],
+    payeeId: t.payee_id || null,
+    receipts: Array.isArray(t.receipts) ? t.receipts : [],
     version: t.version || 1,
+    fieldTimes: t.field_times || {},
     createdAt: t.created_at,
     updatedAt: t.updated_at,
 });
@@ -85,6 +158,7 @@ const routineToDb = (r, userId) => ({
     completed_dates: Array.isArray(r.completedDates) ? r.completedDates : [],
     streak: Number(r.streak) || 0,
     is_deleted: false,
+    field_times: r.fieldTimes || {},
     updated_at: new Date().toISOString(),
 });
 
@@ -99,17 +173,25 @@ const routineFromDb = (r) => ({
     completedDates: Array.isArray(r.completed_dates) ? r.completed_dates : [],
     streak: Number(r.streak) || 0,
     version: r.version || 1,
+    fieldTimes: r.field_times || {},
     createdAt: r.created_at,
     updatedAt: r.updated_at,
 });
 
-const profileToDb = (p, gamification, envelopes, userId) => ({
+const profileToDb = (p, gamification, envelopes, budgets, categoryRules, installments, exchangeRates, categories, savedFilters, payees, userId) => ({
     user_id: userId,
     name: p.name || '',
     currency: p.currency || 'CLP',
     income_sources: Array.isArray(p.incomeSources) ? p.incomeSources : [],
     gamification: gamification || { totalXP: 0, xpLog: [], earnedBadgeIds: [] },
     envelopes: envelopes || { enabled: false, rules: [] },
+    budgets: budgets || { items: [] },
+    category_rules: categoryRules || { items: [] },
+    installments: installments || { items: [] },
+    exchange_rates: exchangeRates || { items: [] },
+    categories: categories || { items: [] },
+    saved_filters: savedFilters || { items: [] },
+    payees: payees || { items: [] },
     updated_at: new Date().toISOString(),
 });
 
@@ -124,11 +206,20 @@ const profileFromDb = (p) => ({
             totalXP: Number(p.gamification.totalXP) || 0,
             xpLog: Array.isArray(p.gamification.xpLog) ? p.gamification.xpLog : [],
             earnedBadgeIds: Array.isArray(p.gamification.earnedBadgeIds) ? p.gamification.earnedBadgeIds : [],
+            xpByDevice: p.gamification.xpByDevice && typeof p.gamification.xpByDevice === 'object' ? p.gamification.xpByDevice : {},
         }
         : { totalXP: 0, xpLog: [], earnedBadgeIds: [] },
     envelopes: p.envelopes && typeof p.envelopes === 'object'
         ? p.envelopes
         : { enabled: false, rules: [] },
+    // null when the column is missing, so callers keep their local budgets
+    budgets: p.budgets && Array.isArray(p.budgets.items) ? p.budgets : null,
+    categoryRules: p.category_rules && Array.isArray(p.category_rules.items) ? p.category_rules : null,
+    installments: p.installments && Array.isArray(p.installments.items) ? p.installments : null,
+    exchangeRates: p.exchange_rates && Array.isArray(p.exchange_rates.items) ? p.exchange_rates : null,
+    categories: p.categories && Array.isArray(p.categories.items) ? p.categories : null,
+    savedFilters: p.saved_filters && Array.isArray(p.saved_filters.items) ? p.saved_filters : null,
+    payees: p.payees && Array.isArray(p.payees.items) ? p.payees : null,
     version: p.version || 1,
     updatedAt: p.updated_at,
 });
@@ -139,27 +230,90 @@ const fixedExpenseToDb = (e, userId) => ({
     user_id: userId,
     name: e.name || '',
     amount: Number(e.amount) || 0,
+    amount_minor: toMinor(e.amount, e.indexUnit),
+    // Fixed expenses are in the base currency (or UF/UTM); the column records which one
+    currency: getBaseCurrency(),
     category: e.category || 'otros',
     frequency: e.frequency || 'monthly',
     next_due_date: e.nextDueDate || null,
+    last_paid_date: e.lastPaidDate || null,
+    due_day: e.dueDay || null,
+    index_unit: e.indexUnit || null,
     active: e.active !== false,
+    field_times: e.fieldTimes || {},
     updated_at: new Date().toISOString(),
 });
 
 const fixedExpenseFromDb = (e) => ({
     id: e.id,
     name: e.name || '',
-    amount: Number(e.amount) || 0,
+    amount: amountFromDb(e.amount_minor, e.amount, e.index_unit || e.currency),
     category: e.category || 'otros',
     frequency: e.frequency || 'monthly',
     nextDueDate: e.next_due_date || null,
+    lastPaidDate: e.last_paid_date || null,
+    dueDay: e.due_day || null,
+    indexUnit: e.index_unit || null,
     active: e.active !== false,
+    fieldTimes: e.field_times || {},
     createdAt: e.created_at,
     updatedAt: e.updated_at,
 });
 
+// ── Accounts Mappers ──────────────────────────────
+const accountToDb = (a, userId) => ({
+    id: a.id,
+    user_id: userId,
+    name: a.name || '',
+    type: a.type || 'checking',
+    opening_balance: Number(a.openingBalance) || 0,
+    opening_balance_minor: toMinor(a.openingBalance),
+    currency: getBaseCurrency(),
+    field_times: a.fieldTimes || {},
+    updated_at: new Date().toISOString(),
+});
+
+const accountFromDb = (a) => ({
+    id: a.id,
+    name: a.name || '',
+    type: a.type || 'checking',
+    openingBalance: amountFromDb(a.opening_balance_minor, a.opening_balance, a.currency),
+    version: a.version || 1,
+    fieldTimes: a.field_times || {},
+    createdAt: a.created_at,
+    updatedAt: a.updated_at,
+});
+
 // ── Repository Class ──────────────────────────────
 
+// State list → table and row mapper of the records pulled by cursor
+const SYNCED_TABLES = {
+    goals: { table: 'goals', fromDb: goalFromDb },
+    transactions: { table: 'transactions', fromDb: txFromDb },
+    routines: { table: 'routines', fromDb: routineFromDb },
+    fixedExpenses: { table: 'fixed_expenses', fromDb: fixedExpenseFromDb, optional: true },
+    accounts: { table: 'accounts', fromDb: accountFromDb, optional: true },
+};
+
+const isMissingTable = (error) => error.code === '42P01' || error.message?.includes('does not exist');
+
+const laterOf = (a, b) => (!a || (b && new Date(b) > new Date(a)) ? b : a);
+
+/**
+ * Split pulled rows into records and deletions (soft-deleted rows of
+ * older clients), with the newest updated_at as the next cursor
+ */
+export function changesFromRows(rows, fromDb, cursor = null) {
+    const records = [];
+    const deleted = [];
+    for (const row of rows || []) {
+        if (row.is_deleted) deleted.push({ id: row.id, deletedAt: row.updated_at });
+        else records.push(fromDb(row));
+        cursor = laterOf(cursor, row.updated_at);
+    }
+    return { records, deleted, cursor };
+}
+
 class DataRepository {
     get configured() {
         return isSupabaseConfigured();
@@ -241,10 +395,34 @@ class DataRepository {
         return fixedExpenseToDb(expense, userId);
     }
 
-    // ── Profile ──────────────────────────
+    // ── Accounts ─────────────────────────
 
-    async fetchProfile(userId) {
+    async fetchAccounts(userId) {
         const { data, error } = await supabase
+            .from('accounts')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at');
+
+        if (error) {
+            // Table might not exist yet — graceful fallback
+            if (error.code === '42P01' || error.message?.includes('does not exist')) {
+                console.warn('[DataRepository] accounts table not found, using localStorage');
+                return null;
+            }
+            throw new Error(`fetchAccounts: ${error.message}`);
+        }
+        return (data || []).map(accountFromDb);
+    }
+
+    accountToPayload(account, userId) {
+        return accountToDb(account, userId);
+    }
+
+    // ── Profile ──────────────────────────
+
+    async fetchProfile(userId, client = supabase) {
+        const { data, error } = await client
             .from('profiles')
             .select('*')
             .eq('user_id', userId)
@@ -258,29 +436,140 @@ class DataRepository {
         return data ? profileFromDb(data) : null;
     }
 
-    profileToPayload(profile, gamification, envelopes, userId) {
-        return profileToDb(profile, gamification, envelopes, userId);
+    profileToPayload(profile, gamification, envelopes, budgets, categoryRules, installments, exchangeRates, categories, savedFilters, payees, userId) {
+        return profileToDb(profile, gamification, envelopes, budgets, categoryRules, installments, exchangeRates, categories, savedFilters, payees, userId);
+    }
+
+    // ── Incremental Pull ─────────────────
+
+    /**
+     * Rows of `table` updated after `since` (every row when null), page
+     * by page in updated_at order. Null when the table does not exist.
+     */
+    async fetchRowsSince(table, userId, since = null, client = supabase) {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            let query = client.from(table).select('*').eq('user_id', userId);
+            if (since) query = query.gt('updated_at', since);
+            const { data, error } = await query
+                .order('updated_at')
+                .order('id')
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                if (isMissingTable(error)) return null;
+                throw new Error(`fetchRowsSince ${table}: ${error.message}`);
+            }
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) return rows;
+        }
+    }
+
+    /**
+     * Records deleted after `since`, from the deleted_records log the
+     * delete triggers fill. Null when the log does not exist.
+     * @returns {Promise<Array<{ table_name, record_id, deleted_at }>|null>}
+     */
+    async fetchDeletionsSince(userId, since = null, client = supabase) {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            let query = client.from('deleted_records').select('table_name, record_id, deleted_at').eq('user_id', userId);
+            if (since) query = query.gt('deleted_at', since);
+            const { data, error } = await query
+                .order('deleted_at')
+                .order('record_id')
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                if (isMissingTable(error)) return null;
+                throw new Error(`fetchDeletionsSince: ${error.message}`);
+            }
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) return rows;
+        }
+    }
+
+    /**
+     * What changed since the per-table cursors, or everything when
+     * `cursors` is null (or the deletions log is missing, since deletes
+     * could not be seen otherwise). Deletions always come along: a full
+     * pull needs them too, to drop records other devices still hold.
+     * @returns {Promise<{ data: object, deleted: Object<string, Array<{ id, deletedAt }>>, cursors: object|null, full: boolean }>}
+     *   data has the shape of fetchAll, with only the changed records when
+     *   incremental; cursors is null when they cannot be kept
+     */
+    async fetchChanges(userId, cursors = null, client = supabase) {
+        const full = !cursors;
+        const since = key => cursors?.tables?.[key] || null;
+        const lists = Object.keys(SYNCED_TABLES);
+
+        const [rowsByList, deletions, profileData] = await Promise.all([
+            Promise.all(lists.map(async list => {
+                const { table, optional } = SYNCED_TABLES[list];
+                const rows = await this.fetchRowsSince(table, userId, since(list), client);
+                // Only tables added after the first release may be missing;
+                // any other failure fails the pull
+                if (rows === null && !optional) throw new Error(`fetchChanges: table ${table} does not exist`);
+                return rows;
+            })),
+            this.fetchDeletionsSince(userId, since('deleted'), client),
+            this.fetchProfile(userId, client),
+        ]);
+        if (!full && deletions === null) return this.fetchChanges(userId, null, client);
+
+        const data = this._withProfile(profileData);
+        const deleted = {};
+        const tables = {};
+        lists.forEach((list, i) => {
+            const changes = changesFromRows(rowsByList[i], SYNCED_TABLES[list].fromDb, since(list));
+            data[list] = changes.records; // a missing table yields none
+            deleted[list] = changes.deleted;
+            tables[list] = changes.cursor;
+        });
+
+        tables.deleted = since('deleted');
+        for (const { table_name: table, record_id: id, deleted_at: deletedAt } of deletions || []) {
+            const list = lists.find(key => SYNCED_TABLES[key].table === table);
+            if (list) deleted[list].push({ id, deletedAt });
+            tables.deleted = laterOf(tables.deleted, deletedAt);
+        }
+
+        // Never past the settled part of the tables
+        const settled = new Date(Date.now() - CURSOR_OVERLAP_MS).toISOString();
+        for (const key of Object.keys(tables)) {
+            if (tables[key] && new Date(tables[key]) > new Date(settled)) tables[key] = settled;
+        }
+
+        return {
+            data,
+            deleted,
+            cursors: deletions === null ? null : { version: SYNC_CURSORS_VERSION, userId, tables },
+            full,
+        };
     }
 
     // ── Fetch All ────────────────────────
 
     async fetchAll(userId) {
-        const [goals, transactions, routines, fixedExpenses, profileData] = await Promise.all([
-            this.fetchGoals(userId),
-            this.fetchTransactions(userId),
-            this.fetchRoutines(userId),
-            this.fetchFixedExpenses(userId).catch(() => null),
-            this.fetchProfile(userId),
-        ]);
+        const { data } = await this.fetchChanges(userId);
+        return data;
+    }
 
+    /**
+     * Profile-level slices with their defaults for a new user
+     */
+    _withProfile(profileData) {
         return {
-            goals,
-            transactions,
-            routines,
-            fixedExpenses: fixedExpenses || [], // null means table doesn't exist
             profile: profileData?.profile || { name: '', currency: 'CLP', incomeSources: [] },
             gamification: profileData?.gamification || { totalXP: 0, xpLog: [], earnedBadgeIds: [] },
             envelopes: profileData?.envelopes || { enabled: false, rules: [] },
+            budgets: profileData?.budgets || { items: [] },
+            categoryRules: profileData?.categoryRules || { items: [] },
+            installments: profileData?.installments || { items: [] },
+            exchangeRates: profileData?.exchangeRates || { items: [] },
+            categories: profileData?.categories || { items: [] },
+            savedFilters: profileData?.savedFilters || { items: [] },
+            payees: profileData?.payees || { items: [] },
         };
     }
 }
@@ -300,5 +589,7 @@ export const mappers = {
     profileFromDb,
     fixedExpenseToDb,
     fixedExpenseFromDb,
+    accountToDb,
+    accountFromDb,
 };
 
@@ -3,18 +3,72 @@
  * 
  * Handles the critical first-load scenario:
  * 1. Load from localStorage (instant)
- * 2. Load from Supabase (async)
- * 3. Merge using Last Write Wins
- * 4. Write merged result to both stores
+ * 2. Load from Supabase (async): only what changed since the stored
+ *    cursors, or everything when they are missing or invalid
+ * 3. Merge field by field: the latest write of each field wins,
+ *    counters add up and sets are joined
+ * 4. Record the fields both sides changed since the last sync as
+ *    conflicts for the user to review
+ * 5. Write merged result to both stores
+ *
+ * Deletes win: records with a tombstone (deleted here, or in the
+ * server's deletions log) are dropped from both sides before merging.
  */
 
 import { storage } from '../utils/storage';
 import { getEnvelopes } from '../utils/envelopes';
+import { getBudgets, saveBudgets, INITIAL_BUDGETS } from '../utils/budgets';
+import { getCategoryRules, saveCategoryRules, INITIAL_CATEGORY_RULES } from '../utils/categoryRules';
+import { getAccounts, saveAccounts } from '../utils/accounts';
+import { getInstallments, saveInstallments, INITIAL_INSTALLMENTS } from '../utils/installments';
+import { getExchangeRates, saveExchangeRates, INITIAL_EXCHANGE_RATES } from '../utils/currency';
+import { getIndexValues } from '../utils/indexation';
+import { getCategoryRegistry, saveCategoryRegistry, INITIAL_CATEGORY_REGISTRY } from '../utils/categories';
+import { getSavedFilters, saveSavedFilters, INITIAL_SAVED_FILTERS } from '../utils/savedFilters';
+import { getPayees, savePayees, INITIAL_PAYEES } from '../utils/payees';
+import { getFixedExpenses, saveFixedExpenses } from '../utils/recurring';
+import { getWarningFeedback } from '../utils/patterns';
+import { getGoalBalance } from '../utils/goalLedger';
+import {
+    RECORD_META_FIELDS, fieldTime, xpCounters, mergeXpCounters, sumXpCounters, getLastSyncedAt, markSynced,
+    getSyncCursors, saveSyncCursors, SYNC_CURSORS_VERSION,
+} from '../utils/syncClock';
+import { supabase } from './supabase';
 import { dataRepository } from './dataRepository';
+import { syncConflicts, findConflict } from './syncConflicts';
+import { tombstones } from './tombstones';
 
 const INITIAL_GAMIFICATION = { totalXP: 0, xpLog: [], earnedBadgeIds: [] };
 const INITIAL_PROFILE = { name: '', email: '', incomeSources: [], currency: 'CLP' };
-const INITIAL_ENVELOPES = { enabled: false, rules: [] };
+const INITIAL_ENVELOPES = { enabled: false, rules: [], ledger: [] };
+const MAX_XP_LOG = 100;
+const INCREMENTAL_TIMEOUT_MS = 8000;
+const FULL_TIMEOUT_MS = 30000;
+// Cursors come from server clocks; one far ahead of ours is corrupt
+const MAX_CURSOR_SKEW_MS = 24 * 60 * 60 * 1000;
+// State list → Supabase table, the key of its tombstones
+const RECORD_TABLES = {
+    goals: 'goals',
+    transactions: 'transactions',
+    routines: 'routines',
+    fixedExpenses: 'fixed_expenses',
+    accounts: 'accounts',
+};
+
+const timeOf = value => new Date(value || 0).getTime();
+// Latest local write to a record: its updatedAt or any field stamp
+const touchedAt = r => Math.max(timeOf(r.updatedAt || r.createdAt), ...Object.values(r.fieldTimes || {}).map(timeOf));
+const unionBy = (a = [], b = [], keyOf) => [...new Map([...a, ...b].map(x => [keyOf(x), x])).values()];
+
+// Fields both sides only ever add to: joined instead of picked
+const UNION_FIELDS = {
+    // Routine check-ins
+    completedDates: (a, b) => [...new Set([...(a || []), ...(b || [])])].sort((x, y) => new Date(x) - new Date(y)),
+    // Goal contributions and withdrawals, one entry per id
+    ledger: (a, b) => unionBy(a, b, e => e.id).sort((x, y) => timeOf(x.date) - timeOf(y.date)),
+    // Ledger entries dropped on purpose (deleted or edited transactions)
+    removedEntryIds: (a, b) => [...new Set([...(a || []), ...(b || [])])],
+};
 
 class HydrationService {
 
@@ -22,41 +76,48 @@ class HydrationService {
      * Load data from localStorage — synchronous, instant
      */
     loadLocal() {
-        let fixedExpenses = [];
-        try {
-            const stored = localStorage.getItem('metaflow_fixed_expenses');
-            if (stored) fixedExpenses = JSON.parse(stored);
-        } catch { /* ignore */ }
-
         return {
             goals: storage.getGoals() || [],
             transactions: storage.getTransactions() || [],
             routines: storage.getRoutines() || [],
-            fixedExpenses,
+            fixedExpenses: getFixedExpenses(),
+            accounts: getAccounts(),
             profile: storage.getProfile() || INITIAL_PROFILE,
             gamification: storage.get('metaflow_gamification') || INITIAL_GAMIFICATION,
             envelopes: getEnvelopes() || INITIAL_ENVELOPES,
+            budgets: getBudgets(),
+            categoryRules: getCategoryRules(),
+            installments: getInstallments(),
+            exchangeRates: getExchangeRates(),
+            categories: getCategoryRegistry(),
+            savedFilters: getSavedFilters(),
+            payees: getPayees(),
+            // UF/UTM values and dismissed warnings stay on this device; remote loads never carry them
+            indexValues: getIndexValues(),
+            warningFeedback: getWarningFeedback(),
         };
     }
 
     /**
-     * Load data from Supabase with timeout
+     * Load changes from Supabase with timeout
      * @param {string} userId
-     * @param {number} timeoutMs - Max time to wait (default 8s)
+     * @param {object|null} cursors - Valid cursors for an incremental pull, null for a full one
+     * @param {number} timeoutMs - Max time to wait (8s incremental, 30s full)
+     * @param {object} [client] - Supabase client
+     * @returns {Promise<{ data, deleted, cursors, full }|null>}
      */
-    async loadRemote(userId, timeoutMs = 8000) {
-        if (!userId || !dataRepository.configured) return null;
+    async loadRemote(userId, cursors = null, timeoutMs = cursors ? INCREMENTAL_TIMEOUT_MS : FULL_TIMEOUT_MS, client = supabase) {
+        if (!userId || !client) return null;
 
         const timeout = new Promise((_, reject) =>
             setTimeout(() => reject(new Error('Supabase load timeout')), timeoutMs)
         );
 
         try {
-            const data = await Promise.race([
-                dataRepository.fetchAll(userId),
+            return await Promise.race([
+                dataRepository.fetchChanges(userId, cursors, client),
                 timeout,
             ]);
-            return data;
         } catch (err) {
             console.warn('[Hydration] Remote load failed:', err.message);
             return null;
@@ -67,99 +128,256 @@ class HydrationService {
      * Hydrate — Main entry point
      * 
      * Strategy:
+     * - Valid cursors → merge the changes into the local cache
      * - Local only → use local, migrate to cloud
      * - Remote only → use remote, cache locally
-     * - Both exist → merge using ID-based Last Write Wins
-     * 
+     * - Both exist → merge by ID, then field by field
+     *
+     * `synced` is what the server holds after the pull (null when it
+     * could not be read): the baseline syncManager diffs against, so
+     * only what the server lacks is pushed.
+     *
      * @param {string|null} userId
-     * @returns {{ data: object, source: 'local'|'remote'|'merged', needsMigration: boolean }}
+     * @param {object} [client] - Supabase client
+     * @returns {{ data: object, synced: object|null, source: 'local'|'remote'|'merged', needsMigration: boolean }}
      */
-    async hydrate(userId) {
+    async hydrate(userId, client = supabase) {
         const localData = this.loadLocal();
         const localHasData = this._hasData(localData);
 
         // No user → pure offline mode
-        if (!userId || !dataRepository.configured) {
-            return { data: localData, source: 'local', needsMigration: false };
+        if (!userId || !client) {
+            return { data: localData, synced: null, source: 'local', needsMigration: false };
         }
 
         // Try loading remote
-        const remoteData = await this.loadRemote(userId);
+        const cursors = this._validCursors(getSyncCursors(), userId, localHasData);
+        const remote = await this.loadRemote(userId, cursors, undefined, client);
+        if (remote) this._recordDeletions(remote.deleted);
+        const remoteData = remote?.data && this._withoutDeleted(remote.data, true);
         const remoteHasData = remoteData && this._hasData(remoteData);
 
+        // Case 0: Incremental pull → apply the changes to the local cache
+        if (remote && !remote.full) {
+            console.log('[Hydration] Cursors valid → applying remote changes');
+            const since = getLastSyncedAt();
+            const conflicts = [];
+            const merged = this._merge(localData, remoteData, conflicts);
+            syncConflicts.record(conflicts);
+            this._saveLocal(merged);
+            const synced = this._serverView(localData, remoteData, since);
+            // Cached edits the server never got keep the last sync where it
+            // was until they are pushed
+            const unsent = Object.keys(RECORD_TABLES).some(list => (localData[list] || []).some(r => touchedAt(r) > since));
+            this._synced(remote.cursors, !unsent);
+            return { data: merged, synced, source: 'merged', needsMigration: false };
+        }
+
         // Case 1: Only local data exists → migrate to cloud
         if (localHasData && !remoteHasData) {
             console.log('[Hydration] Local only → will migrate to cloud');
-            return { data: localData, source: 'local', needsMigration: true };
+            if (remote) this._synced(remote.cursors);
+            return { data: this._withoutDeleted(localData), synced: remoteData || null, source: 'local', needsMigration: true };
         }
 
         // Case 2: Only remote data exists → use it
         if (!localHasData && remoteHasData) {
             console.log('[Hydration] Remote only → hydrating from cloud');
             this._saveLocal(remoteData);
-            return { data: remoteData, source: 'remote', needsMigration: false };
+            this._synced(remote.cursors);
+            return { data: remoteData, synced: remoteData, source: 'remote', needsMigration: false };
         }
 
         // Case 3: Both exist → merge
         if (localHasData && remoteHasData) {
             console.log('[Hydration] Both exist → merging');
-            const merged = this._merge(localData, remoteData);
+            const conflicts = [];
+            const merged = this._merge(localData, remoteData, conflicts);
+            syncConflicts.record(conflicts);
             this._saveLocal(merged);
-            return { data: merged, source: 'merged', needsMigration: true };
+            this._synced(remote.cursors);
+            return { data: merged, synced: remoteData, source: 'merged', needsMigration: true };
         }
 
         // Case 4: Neither has data → fresh start
-        return { data: localData, source: 'local', needsMigration: false };
+        return { data: localData, synced: remoteData || null, source: 'local', needsMigration: false };
+    }
+
+    // ── Incremental Pull ──────────────────────────────
+
+    /**
+     * Stored cursors when an incremental pull can trust them: same
+     * format and user, parseable, not in the future, and a local cache
+     * to apply the changes to. Null means a full resync.
+     */
+    _validCursors(cursors, userId, localHasData) {
+        if (!cursors || cursors.version !== SYNC_CURSORS_VERSION || cursors.userId !== userId) return null;
+        if (!localHasData || !cursors.tables) return null;
+        const limit = Date.now() + MAX_CURSOR_SKEW_MS;
+        const valid = Object.values(cursors.tables).every(cursor => {
+            if (cursor === null) return true;
+            const time = Date.parse(cursor);
+            return Number.isFinite(time) && time <= limit;
+        });
+        return valid ? cursors : null;
+    }
+
+    _synced(cursors, confirmed = true) {
+        if (cursors) saveSyncCursors(cursors);
+        if (confirmed) markSynced();
     }
 
-    // ── Merge Strategy (Last Write Wins by ID) ────────
+    /**
+     * What the server holds after an incremental pull: the pulled
+     * records, and the cached ones it did not send (unchanged there).
+     * Cached records written after the last confirmed sync (`since`) are
+     * left out: the edit may never have reached the server (lost before
+     * its push, made while signed out, or dropped by the queue), so the
+     * first persist sends them.
+     */
+    _serverView(local, changes, since) {
+        const view = { ...changes };
+        for (const [list, table] of Object.entries(RECORD_TABLES)) {
+            const pulled = new Set((changes[list] || []).map(r => r.id));
+            const unchanged = tombstones.filter(table, local[list] || [])
+                .filter(r => !pulled.has(r.id) && touchedAt(r) <= since);
+            view[list] = [...unchanged, ...(changes[list] || [])];
+        }
+        return view;
+    }
+
+    // ── Tombstones ────────────────────────────────────
+
+    /**
+     * Deletions pulled from the server, kept as confirmed tombstones so
+     * later merges and realtime events drop the records too
+     * @param {Object<string, Array<{ id, deletedAt }>>} deleted - By state list
+     */
+    _recordDeletions(deleted = {}) {
+        for (const [list, table] of Object.entries(RECORD_TABLES)) {
+            for (const { id, deletedAt } of deleted[list] || []) {
+                tombstones.add(table, id, { pushed: true, deletedAt });
+            }
+        }
+    }
 
-    _merge(local, remote) {
+    /**
+     * `data` without its deleted records. Server rows written after a
+     * confirmed delete are restores and stay (see tombstones.acceptsRemote).
+     */
+    _withoutDeleted(data, fromServer = false) {
+        const live = { ...data };
+        for (const [list, table] of Object.entries(RECORD_TABLES)) {
+            if (!data[list]) continue;
+            live[list] = fromServer
+                ? data[list].filter(r => tombstones.acceptsRemote(table, r.id, r.updatedAt))
+                : tombstones.filter(table, data[list]);
+        }
+        return live;
+    }
+
+    // ── Merge Strategy (by ID, then field by field) ───
+
+    /**
+     * @param {Array} [conflicts] - Collects the conflicts found in the lists
+     */
+    _merge(local, remote, conflicts = []) {
+        const since = getLastSyncedAt();
+        const localLive = this._withoutDeleted(local);
+        const remoteLive = this._withoutDeleted(remote, true);
+        const list = table => this._mergeList(localLive[table], remoteLive[table], { table, since, conflicts });
         return {
-            goals: this._mergeList(local.goals, remote.goals),
-            transactions: this._mergeList(local.transactions, remote.transactions),
-            routines: this._mergeList(local.routines, remote.routines),
-            fixedExpenses: this._mergeList(local.fixedExpenses, remote.fixedExpenses),
+            goals: list('goals'),
+            transactions: list('transactions'),
+            routines: list('routines'),
+            fixedExpenses: list('fixedExpenses'),
+            accounts: list('accounts'),
             profile: this._mergeProfile(local, remote),
             gamification: this._mergeGamification(local.gamification, remote.gamification),
-            envelopes: remote.envelopes || local.envelopes || INITIAL_ENVELOPES,
+            envelopes: this._mergeEnvelopes(local.envelopes, remote.envelopes),
+            budgets: this._mergeItemConfig(local.budgets, remote.budgets, INITIAL_BUDGETS),
+            categoryRules: this._mergeItemConfig(local.categoryRules, remote.categoryRules, INITIAL_CATEGORY_RULES),
+            installments: this._mergeItemConfig(local.installments, remote.installments, INITIAL_INSTALLMENTS),
+            exchangeRates: this._mergeItemConfig(local.exchangeRates, remote.exchangeRates, INITIAL_EXCHANGE_RATES),
+            categories: this._mergeItemConfig(local.categories, remote.categories, INITIAL_CATEGORY_REGISTRY),
+            savedFilters: this._mergeItemConfig(local.savedFilters, remote.savedFilters, INITIAL_SAVED_FILTERS),
+            payees: this._mergeItemConfig(local.payees, remote.payees, INITIAL_PAYEES),
         };
     }
 
     /**
-     * Merge two lists by ID. For duplicates, Last Write Wins.
-     * Items only in one list are kept.
+     * Merge two lists by ID. Items only in one list are kept; items in
+     * both are merged field by field; with `conflicts`, collisions
+     * between them are pushed there.
      */
-    _mergeList(localList = [], remoteList = []) {
-        const map = new Map();
+    _mergeList(localList = [], remoteList = [], { table, since = 0, conflicts } = {}) {
+        const localById = new Map(localList.map(item => [item.id, item]));
+        const merged = remoteList.map(item => {
+            const local = localById.get(item.id);
+            localById.delete(item.id);
+            if (!local) return item;
+            const conflict = conflicts && findConflict(table, local, item, since);
+            if (conflict) conflicts.push(conflict);
+            return this._mergeRecord(local, item);
+        });
+        // Only exists locally
+        return [...merged, ...localById.values()];
+    }
 
-        // Add all remote items first
-        for (const item of remoteList) {
-            map.set(item.id, { ...item, _source: 'remote' });
-        }
+    /**
+     * One record edited on two devices. Each field takes the side that
+     * wrote it last (per `fieldTimes`); fields neither side stamped since
+     * creation fall back to the whole-record winner by version, then
+     * updatedAt. Union fields are joined, entries either side removed are
+     * dropped, and a goal's currentAmount is re-derived from the joined
+     * ledger so contributions add up.
+     */
+    _mergeRecord(local, remote) {
+        const localWins = this._isNewer(local, remote);
+        const since = Math.min(...[local.createdAt, remote.createdAt].filter(Boolean).map(timeOf), Infinity);
+        const base = Number.isFinite(since) ? since : 0;
+        const merged = { ...(localWins ? remote : local), ...(localWins ? local : remote) };
+        const fieldTimes = {};
 
-        // Overlay local items — keep local if newer
-        for (const item of localList) {
-            const existing = map.get(item.id);
-            if (!existing) {
-                // Only exists locally
-                map.set(item.id, { ...item, _source: 'local' });
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+        for (const key of keys) {
+            if (RECORD_META_FIELDS.includes(key)) continue;
+            if (UNION_FIELDS[key]) {
+                merged[key] = UNION_FIELDS[key](local[key], remote[key]);
             } else {
-                // Both exist → compare updatedAt or version
-                const localTime = new Date(item.updatedAt || item.createdAt || 0).getTime();
-                const remoteTime = new Date(existing.updatedAt || existing.createdAt || 0).getTime();
-                const localVersion = item.version || 0;
-                const remoteVersion = existing.version || 0;
-
-                if (localVersion > remoteVersion || (localVersion === remoteVersion && localTime > remoteTime)) {
-                    map.set(item.id, { ...item, _source: 'local' });
-                }
-                // Otherwise remote wins (already in map)
+                const localTime = fieldTime(local, key, base);
+                const remoteTime = fieldTime(remote, key, base);
+                const useLocal = localTime > remoteTime || (localTime === remoteTime && localWins);
+                merged[key] = useLocal ? local[key] : remote[key];
             }
+            const stamp = Math.max(fieldTime(local, key), fieldTime(remote, key));
+            if (stamp > 0) fieldTimes[key] = new Date(stamp).toISOString();
         }
 
-        // Clean up _source flag
-        return Array.from(map.values()).map(({ _source, ...rest }) => rest);
+        // An entry removed on either side stays removed
+        if (Array.isArray(merged.ledger) && merged.removedEntryIds?.length) {
+            const removed = new Set(merged.removedEntryIds);
+            merged.ledger = merged.ledger.filter(e => !removed.has(e.id));
+        }
+        if (Array.isArray(merged.ledger) && merged.currentAmount !== undefined) {
+            merged.currentAmount = getGoalBalance(merged);
+        }
+        return {
+            ...merged,
+            fieldTimes,
+            version: Math.max(local.version || 0, remote.version || 0) || merged.version,
+            updatedAt: timeOf(local.updatedAt) > timeOf(remote.updatedAt) ? local.updatedAt : remote.updatedAt,
+        };
+    }
+
+    /**
+     * Whole-record Last Write Wins: higher version, then later updatedAt
+     */
+    _isNewer(local, remote) {
+        const localVersion = local.version || 0;
+        const remoteVersion = remote.version || 0;
+        if (localVersion !== remoteVersion) return localVersion > remoteVersion;
+        return timeOf(local.updatedAt || local.createdAt) > timeOf(remote.updatedAt || remote.createdAt);
     }
 
     _mergeProfile(local, remote) {
@@ -168,15 +386,48 @@ class HydrationService {
         return local.profile || INITIAL_PROFILE;
     }
 
+    _mergeEnvelopes(local, remote) {
+        if (!remote) return local || INITIAL_ENVELOPES;
+        if (!local) return remote;
+        // Rules come from the newest snapshot; ledgers join by entry id like a
+        // goal's, and entries removed on either side stay removed
+        const newest = timeOf(local.updatedAt) > timeOf(remote.updatedAt) ? local : remote;
+        const removedEntryIds = UNION_FIELDS.removedEntryIds(local.removedEntryIds, remote.removedEntryIds);
+        const removed = new Set(removedEntryIds);
+        return {
+            ...newest,
+            ledger: UNION_FIELDS.ledger(local.ledger, remote.ledger).filter(e => !removed.has(e.id)),
+            ...(removedEntryIds.length > 0 && { removedEntryIds }),
+        };
+    }
+
+    _mergeItemConfig(local, remote, initial) {
+        // Budgets, category rules, cuotas, categories, saved filters and payees: newest configuration wins,
+        // an empty remote never wipes the local items
+        if (!remote?.items?.length) return local || initial;
+        if (!local?.items?.length) return remote;
+        const localTime = new Date(local.updatedAt || 0).getTime();
+        const remoteTime = new Date(remote.updatedAt || 0).getTime();
+        return localTime > remoteTime ? local : remote;
+    }
+
     _mergeGamification(local, remote) {
         if (!local && !remote) return INITIAL_GAMIFICATION;
         if (!local) return remote;
         if (!remote) return local;
 
-        // Higher XP wins
-        const localXP = local.totalXP || 0;
-        const remoteXP = remote.totalXP || 0;
-        return localXP >= remoteXP ? local : remote;
+        // XP adds up: each device's counter keeps its highest count
+        const xpByDevice = mergeXpCounters(xpCounters(local), xpCounters(remote));
+        const xpLog = unionBy(local.xpLog, remote.xpLog, e => `${e.timestamp}|${e.action}|${e.xp}`)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, MAX_XP_LOG);
+        return {
+            ...((local.totalXP || 0) >= (remote.totalXP || 0) ? local : remote),
+            totalXP: sumXpCounters(xpByDevice),
+            xpByDevice,
+            xpLog,
+            earnedBadgeIds: [...new Set([...(local.earnedBadgeIds || []), ...(remote.earnedBadgeIds || [])])],
+        };
     }
 
     // ── Helpers ───────────────────────────────────────
@@ -188,6 +439,7 @@ class HydrationService {
             (data.transactions?.length > 0) ||
             (data.routines?.length > 0) ||
             (data.fixedExpenses?.length > 0) ||
+            (data.accounts?.length > 0) ||
             (data.gamification?.totalXP > 0)
         );
     }
@@ -199,8 +451,15 @@ class HydrationService {
             storage.saveRoutines(data.routines || []);
             storage.saveProfile(data.profile || INITIAL_PROFILE);
             storage.set('metaflow_gamification', data.gamification || INITIAL_GAMIFICATION);
-            // Fixed expenses
-            localStorage.setItem('metaflow_fixed_expenses', JSON.stringify(data.fixedExpenses || []));
+            saveFixedExpenses(data.fixedExpenses || []);
+            saveBudgets(data.budgets || INITIAL_BUDGETS);
+            saveCategoryRules(data.categoryRules || INITIAL_CATEGORY_RULES);
+            saveInstallments(data.installments || INITIAL_INSTALLMENTS);
+            saveExchangeRates(data.exchangeRates || INITIAL_EXCHANGE_RATES);
+            saveCategoryRegistry(data.categories || INITIAL_CATEGORY_REGISTRY);
+            saveSavedFilters(data.savedFilters || INITIAL_SAVED_FILTERS);
+            savePayees(data.payees || INITIAL_PAYEES);
+            saveAccounts(data.accounts || []);
         } catch (err) {
             console.warn('[Hydration] Failed to save to localStorage:', err.message);
         }
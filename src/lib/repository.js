@@ -1,5 +1,6 @@
 import { supabase } from './supabase';
 import { storage } from '../utils/storage';
+import { Money } from '../utils/money';
 
 /**
  * Repository Pattern for MetaFlow
@@ -29,7 +30,7 @@ class DataRepository {
             const goalIndex = goals.findIndex(g => g.id === goalId);
             if (goalIndex === -1) throw new Error("Goal not found");
 
-            goals[goalIndex].currentAmount = (goals[goalIndex].currentAmount || 0) + amount;
+            goals[goalIndex].currentAmount = Money.add(goals[goalIndex].currentAmount || 0, amount, goals[goalIndex].currency);
             storage.saveGoals(goals);
             return goals[goalIndex];
         }
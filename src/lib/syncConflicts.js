@@ -0,0 +1,119 @@
+/**
+ * SyncConflicts — Collisions the merge settled on its own
+ *
+ * A conflict is a field both sides changed since this device last
+ * synced, to different values. The merge still keeps the latest write;
+ * the conflict remembers both values so the user can review the pick.
+ * Persisted in localStorage until resolved.
+ */
+
+import { RECORD_META_FIELDS, fieldTime, sameValue } from '../utils/syncClock';
+
+const CONFLICTS_KEY = 'metaflow_sync_conflicts';
+
+// Joined or derived by the merge: both sides' changes survive
+const MERGED_FIELDS = ['completedDates', 'ledger', 'removedEntryIds', 'currentAmount', 'streak'];
+
+/**
+ * Conflict between two versions of a record, or null when at most one
+ * side changed each differing field after `since` (ms)
+ * @returns {{ id, table, recordId, label, fields: [{ key, local, remote }], detectedAt } | null}
+ */
+export function findConflict(table, local, remote, since = 0) {
+    const fields = [];
+    for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+        if (RECORD_META_FIELDS.includes(key) || MERGED_FIELDS.includes(key)) continue;
+        if (sameValue(local[key], remote[key])) continue;
+        if (fieldTime(local, key) > since && fieldTime(remote, key) > since) {
+            fields.push({ key, local: local[key] ?? null, remote: remote[key] ?? null });
+        }
+    }
+    if (fields.length === 0) return null;
+    return {
+        id: `${table}:${local.id}`,
+        table,
+        recordId: local.id,
+        label: local.name || local.note || remote.name || remote.note || '',
+        fields,
+        detectedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * `current` with the side picked for each conflicting field
+ * (picks: { key: 'local' | 'remote' }). Picked fields are stamped
+ * `now` so the choice wins on every device; unpicked ones keep the
+ * merge's value.
+ */
+export function resolveRecord(current, conflict, picks, now = new Date().toISOString()) {
+    const next = { ...current, fieldTimes: { ...(current.fieldTimes || {}) } };
+    for (const { key, local, remote } of conflict.fields) {
+        if (!picks[key]) continue;
+        next[key] = picks[key] === 'remote' ? remote : local;
+        next.fieldTimes[key] = now;
+    }
+    return { ...next, version: (current.version || 0) + 1, updatedAt: now };
+}
+
+class SyncConflicts {
+    constructor() {
+        this._conflicts = this._load();
+        this._listeners = new Set();
+    }
+
+    /** Unresolved conflicts, newest first */
+    get list() { return this._conflicts; }
+
+    /**
+     * Add conflicts; a newer one for the same record replaces the old one
+     */
+    record(conflicts) {
+        if (!conflicts?.length) return;
+        const ids = new Set(conflicts.map(c => c.id));
+        this._conflicts = [...conflicts, ...this._conflicts.filter(c => !ids.has(c.id))];
+        this._persist();
+        this._notify();
+    }
+
+    /** Drop a conflict once the user chose */
+    resolve(id) {
+        this._conflicts = this._conflicts.filter(c => c.id !== id);
+        this._persist();
+        this._notify();
+    }
+
+    subscribe(fn) {
+        this._listeners.add(fn);
+        return () => this._listeners.delete(fn);
+    }
+
+    clear() {
+        this._conflicts = [];
+        this._persist();
+        this._notify();
+    }
+
+    _load() {
+        try {
+            const raw = localStorage.getItem(CONFLICTS_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    _persist() {
+        try {
+            localStorage.setItem(CONFLICTS_KEY, JSON.stringify(this._conflicts));
+        } catch (err) {
+            console.warn('[SyncConflicts] Failed to persist conflicts:', err.message);
+        }
+    }
+
+    _notify() {
+        this._listeners.forEach(fn => fn(this._conflicts));
+    }
+}
+
+// Singleton instance
+export const syncConflicts = new SyncConflicts();
@@ -2,19 +2,63 @@
  * SyncManager v3 — Robust sync orchestration
  * 
  * FIXES in v3:
- * - Tracks deleted IDs to prevent re-upsert after delete
- * - Syncs fixed_expenses and savings_challenges
+ * - Persisted tombstones keep deleted IDs from being re-upserted or
+ *   brought back by realtime events
+ * - Syncs fixed_expenses, accounts and savings_challenges
  * - Uses a Set-based remote update guard (not single-flag)
  * - Real DELETE from Supabase (not soft-delete)
  * - Debounce protects against rapid fire
+ * - Pushes only the records that changed since the last persist
+ * - Realtime rows that collide with pending local edits are recorded
+ *   as conflicts; the user's pick is written back through the queue
  */
 
 import { supabase, isSupabaseConfigured } from './supabase';
 import { writeQueue } from './writeQueue';
 import { dataRepository, mappers } from './dataRepository';
+import { syncConflicts, findConflict, resolveRecord } from './syncConflicts';
+import { tombstones } from './tombstones';
+import { getLastSyncedAt, markSynced } from '../utils/syncClock';
+import { ensureGoalLedger } from '../utils/goalLedger';
 
 const DEBOUNCE_MS = 1500;
-const TABLES = ['goals', 'transactions', 'routines', 'fixed_expenses'];
+const TABLES = ['goals', 'transactions', 'routines', 'fixed_expenses', 'accounts'];
+
+// Slices stored in the profiles row
+const PROFILE_SLICES = ['profile', 'gamification', 'envelopes', 'budgets', 'categoryRules', 'installments', 'exchangeRates', 'categories', 'savedFilters', 'payees'];
+
+// State list → Supabase table and the mappers between them
+const RECORD_TABLES = {
+    goals: { table: 'goals', toPayload: 'goalToPayload', fromDb: 'goalFromDb' },
+    transactions: { table: 'transactions', toPayload: 'txToPayload', fromDb: 'txFromDb' },
+    routines: { table: 'routines', toPayload: 'routineToPayload', fromDb: 'routineFromDb' },
+    fixedExpenses: { table: 'fixed_expenses', toPayload: 'fixedExpenseToPayload', fromDb: 'fixedExpenseFromDb' },
+    accounts: { table: 'accounts', toPayload: 'accountToPayload', fromDb: 'accountFromDb' },
+};
+
+/**
+ * A payload as the server stores it: key order and the write time
+ * never make two versions differ
+ */
+const comparable = payload => JSON.stringify(payload, (key, value) => {
+    if (key === 'updated_at') return undefined;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    return Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+});
+
+/**
+ * Records of `list` that are new or whose payload differs from their
+ * version in `previousList`; all of them without a previous list
+ */
+function changedRecords(previousList, list = [], toPayload = record => record) {
+    if (!previousList) return list;
+    if (previousList === list) return [];
+    const previousById = new Map(previousList.map(r => [r.id, r]));
+    return list.filter(record => {
+        const previous = previousById.get(record.id);
+        return !previous || (previous !== record && comparable(toPayload(previous)) !== comparable(toPayload(record)));
+    });
+}
 
 class SyncManager {
     constructor() {
@@ -26,7 +70,6 @@ class SyncManager {
         this._lastSyncedState = null;
         this._status = 'idle';
         this._listeners = new Set();
-        this._deletedIds = new Set(); // Track deleted IDs to prevent re-upsert
     }
 
     // ── Initialization ──────────────────────────────
@@ -38,17 +81,28 @@ class SyncManager {
         this._dispatch = dispatch;
 
         if (userId && isSupabaseConfigured()) {
+            tombstones.prune();
+            this._pushTombstones();
             this._subscribeRealtime();
             this._flushQueue();
         }
     }
 
+    /**
+     * What the server is known to hold once hydration finished: the
+     * baseline the first persist diffs against. Null pushes everything.
+     */
+    setSyncedState(state) {
+        this._lastSyncedState = state;
+    }
+
     destroy() {
         this._unsubscribeRealtime();
         if (this._debounceTimer) clearTimeout(this._debounceTimer);
+        this._debounceTimer = null;
         this._userId = null;
         this._dispatch = null;
-        this._deletedIds.clear();
+        this._lastSyncedState = null;
     }
 
     // ── Persistence (State → Cloud) ──────────────────
@@ -56,15 +110,17 @@ class SyncManager {
     onStateChange(state) {
         if (!this._userId || !isSupabaseConfigured()) return;
 
-        // Skip if this was a remote update
+        // Skip if this was a remote update, unless a local edit is still
+        // waiting: it goes out with the remote row merged in
         if (this._remoteUpdateCount > 0) {
             this._remoteUpdateCount--;
-            return;
+            if (!this._debounceTimer) return;
         }
 
         // Debounce rapid changes
         if (this._debounceTimer) clearTimeout(this._debounceTimer);
         this._debounceTimer = setTimeout(() => {
+            this._debounceTimer = null;
             this._persistDiff(state);
         }, DEBOUNCE_MS);
     }
@@ -73,74 +129,65 @@ class SyncManager {
         if (!this._userId) return;
 
         this._setStatus('syncing');
-        const uid = this._userId;
 
         try {
-            // Profile (always sync — small payload)
-            writeQueue.enqueue('UPSERT', 'profiles',
-                dataRepository.profileToPayload(state.profile, state.gamification, state.envelopes, uid),
-                uid
-            );
-
-            // Goals — skip deleted IDs
-            for (const goal of state.goals) {
-                if (this._deletedIds.has(`goals:${goal.id}`)) continue;
-                writeQueue.enqueue('UPSERT', 'goals',
-                    dataRepository.goalToPayload(goal, uid),
-                    uid
-                );
-            }
-
-            // Transactions — skip deleted IDs
-            for (const tx of state.transactions) {
-                if (this._deletedIds.has(`transactions:${tx.id}`)) continue;
-                writeQueue.enqueue('UPSERT', 'transactions',
-                    dataRepository.txToPayload(tx, uid),
-                    uid
-                );
-            }
-
-            // Routines — skip deleted IDs
-            for (const routine of state.routines) {
-                if (this._deletedIds.has(`routines:${routine.id}`)) continue;
-                writeQueue.enqueue('UPSERT', 'routines',
-                    dataRepository.routineToPayload(routine, uid),
-                    uid
-                );
-            }
-
-            // Fixed Expenses — skip deleted IDs
-            for (const expense of (state.fixedExpenses || [])) {
-                if (this._deletedIds.has(`fixed_expenses:${expense.id}`)) continue;
-                writeQueue.enqueue('UPSERT', 'fixed_expenses',
-                    dataRepository.fixedExpenseToPayload(expense, uid),
-                    uid
-                );
-            }
+            this._enqueueChanges(state, this._userId);
 
-            // Flush the queue
-            await writeQueue.flush(supabase);
-            this._lastSyncedState = state;
+            // Flush the queue; only a drained queue confirms the sync, so a
+            // write still pending or dropped stays newer than the last sync
+            const dropped = await writeQueue.flush(supabase);
+            if (!dropped && writeQueue.size === 0) markSynced();
             this._setStatus('idle');
-
-            // Clear old deleted IDs after successful sync (keep for 30s)
-            setTimeout(() => {
-                this._deletedIds.clear();
-            }, 30000);
         } catch (err) {
             console.warn('[SyncManager] Persist error:', err.message);
             this._setStatus('error');
         }
     }
 
+    /**
+     * Enqueue what changed since the last synced state (hydrated, then
+     * each persist and realtime event): the profile when one of its
+     * slices changed, and each record that is new or differs. Without a
+     * baseline everything is sent. Once enqueued, delivery is the
+     * queue's job, so the state becomes the new baseline right away.
+     * @returns {number} Operations enqueued
+     */
+    _enqueueChanges(state, uid) {
+        const previous = this._lastSyncedState;
+        let count = 0;
+
+        // Profile — one row for every profile-level slice
+        const profilePayload = s => dataRepository.profileToPayload(s.profile, s.gamification, s.envelopes, s.budgets, s.categoryRules, s.installments, s.exchangeRates, s.categories, s.savedFilters, s.payees, uid);
+        const profileChanged = !previous || (PROFILE_SLICES.some(key => state[key] !== previous[key])
+            && comparable(profilePayload(state)) !== comparable(profilePayload(previous)));
+        if (profileChanged) {
+            writeQueue.enqueue('UPSERT', 'profiles', profilePayload(state), uid);
+            count++;
+        }
+
+        // Records — only changed ones, skipping deleted IDs
+        for (const [list, { table, toPayload }] of Object.entries(RECORD_TABLES)) {
+            const payloadOf = record => dataRepository[toPayload](record, uid);
+            for (const record of changedRecords(previous?.[list], state[list], payloadOf)) {
+                if (tombstones.has(table, record.id)) continue;
+                writeQueue.enqueue('UPSERT', table, dataRepository[toPayload](record, uid), uid);
+                count++;
+            }
+        }
+
+        this._lastSyncedState = state;
+        return count;
+    }
+
     /**
      * Immediately sync a delete. Uses REAL DELETE, not soft-delete.
+     * The tombstone is written even offline; it is pushed on next init.
      */
     syncDelete(table, id) {
-        if (!this._userId || !isSupabaseConfigured()) return;
+        // Tombstone this ID to prevent re-upserting
+        tombstones.add(table, id);
 
-        // Track this ID to prevent re-upserting
-        this._deletedIds.add(`${table}:${id}`);
+        if (!this._userId || !isSupabaseConfigured()) return;
 
         writeQueue.enqueue('DELETE', table, { id }, this._userId);
         writeQueue.flush(supabase).catch(err => {
@@ -148,6 +195,50 @@ class SyncManager {
         });
     }
 
+    /**
+     * Undo of a delete: lift the tombstone here and in the server's
+     * deletions log, then upsert the record again. Sent right away, as
+     * the restored record may match the last persisted state.
+     */
+    syncRestore(table, record) {
+        if (!record?.id) return;
+        tombstones.remove(table, record.id);
+
+        if (!this._userId || !isSupabaseConfigured()) return;
+
+        const { toPayload } = Object.values(RECORD_TABLES).find(t => t.table === table);
+        writeQueue.enqueue('UNDELETE', table, { id: record.id }, this._userId);
+        writeQueue.enqueue('UPSERT', table, dataRepository[toPayload](record, this._userId), this._userId);
+        writeQueue.flush(supabase).catch(err => {
+            console.warn(`[SyncManager] Restore flush error for ${table}:${record.id}:`, err.message);
+        });
+    }
+
+    /**
+     * Apply the user's pick for a conflict to the current record and
+     * write it back right away; without the record only the conflict
+     * is dropped.
+     * @param {object} conflict - From syncConflicts
+     * @param {object|undefined} current - The record as it is in state
+     * @param {Object<string, 'local'|'remote'>} picks - Side per field
+     */
+    resolveConflict(conflict, current, picks) {
+        syncConflicts.resolve(conflict.id);
+        if (!current) return null;
+
+        const record = resolveRecord(current, conflict, picks);
+        this._dispatch?.({ type: 'SYNC_UPSERT', payload: { table: conflict.table, item: record } });
+
+        const { table, toPayload } = RECORD_TABLES[conflict.table];
+        if (this._userId && isSupabaseConfigured()) {
+            writeQueue.enqueue('UPSERT', table, dataRepository[toPayload](record, this._userId), this._userId);
+            writeQueue.flush(supabase).catch(err => {
+                console.warn(`[SyncManager] Conflict flush error for ${table}:${record.id}:`, err.message);
+            });
+        }
+        return record;
+    }
+
     // ── Realtime (Cloud → State) ─────────────────────
 
     _subscribeRealtime() {
@@ -208,10 +299,22 @@ class SyncManager {
 
         const { eventType, new: newRow, old: oldRow } = payload;
 
+        if (table !== 'profiles') {
+            const id = oldRow?.id || newRow?.id;
+            // Deleted elsewhere: remember it, so a local edit cannot bring it back
+            if (eventType === 'DELETE' || newRow?.is_deleted) tombstones.add(table, id, { pushed: true });
+            // Deleted here: a late echo never brings it back, an undo elsewhere does
+            else if (!tombstones.acceptsRemote(table, id, newRow?.updated_at)) return;
+        }
+
         // Set counter-based guard to prevent write loop
         this._remoteUpdateCount++;
 
         const stateTable = table === 'fixed_expenses' ? 'fixedExpenses' : table;
+        if (eventType !== 'DELETE' && newRow && RECORD_TABLES[stateTable]) {
+            this._detectConflict(stateTable, newRow);
+        }
+        this._syncedRemote(stateTable, eventType === 'DELETE' ? null : newRow, oldRow?.id || newRow?.id);
 
         switch (table) {
             case 'goals': {
@@ -256,6 +359,15 @@ class SyncManager {
                 }
                 break;
             }
+            case 'accounts': {
+                if (eventType === 'DELETE') {
+                    this._dispatch({ type: 'SYNC_REMOVE', payload: { table: 'accounts', id: oldRow?.id || newRow?.id } });
+                } else {
+                    const mapped = mappers.accountFromDb(newRow);
+                    this._dispatch({ type: 'SYNC_UPSERT', payload: { table: 'accounts', item: mapped } });
+                }
+                break;
+            }
             case 'profiles': {
                 if (newRow) {
                     const mapped = mappers.profileFromDb(newRow);
@@ -266,8 +378,56 @@ class SyncManager {
         }
     }
 
+    /**
+     * A realtime row is already on the server: the baseline takes it as
+     * sent, while the reducer merges it into local state (SYNC_UPSERT /
+     * SYNC_REMOVE / SYNC_PROFILE). The next persist then sends only what
+     * local edits add on top of it.
+     */
+    _syncedRemote(stateTable, row, id) {
+        const previous = this._lastSyncedState;
+        if (!previous) return;
+
+        if (stateTable === 'profiles') {
+            if (!row) return;
+            const mapped = mappers.profileFromDb(row);
+            this._lastSyncedState = { ...previous, ...Object.fromEntries(PROFILE_SLICES.map(key => [key, mapped[key] || previous[key]])) };
+            return;
+        }
+        if (!RECORD_TABLES[stateTable]) return;
+
+        const list = (previous[stateTable] || []).filter(r => r.id !== id);
+        if (row && !row.is_deleted) {
+            const item = mappers[RECORD_TABLES[stateTable].fromDb](row);
+            list.push(stateTable === 'goals' ? ensureGoalLedger(item) : item);
+        }
+        this._lastSyncedState = { ...previous, [stateTable]: list };
+    }
+
+    /**
+     * A remote row for a record whose local edit is still queued:
+     * record the fields both sides changed since the last sync
+     */
+    _detectConflict(stateTable, row) {
+        const { table, fromDb } = RECORD_TABLES[stateTable];
+        const pending = writeQueue.pending(table, row.id);
+        if (!pending) return;
+        const conflict = findConflict(stateTable, mappers[fromDb](pending), mappers[fromDb](row), getLastSyncedAt());
+        if (conflict) syncConflicts.record([conflict]);
+    }
+
     // ── Queue Management ─────────────────────────────
 
+    /**
+     * Queue the deletes made while signed out or before the server
+     * confirmed them
+     */
+    _pushTombstones() {
+        for (const { table, id } of tombstones.unpushed()) {
+            writeQueue.enqueue('DELETE', table, { id }, this._userId);
+        }
+    }
+
     async _flushQueue() {
         if (writeQueue.size > 0) {
             console.log(`[SyncManager] Flushing ${writeQueue.size} queued operations`);
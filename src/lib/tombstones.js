@@ -0,0 +1,122 @@
+/**
+ * Tombstones — Durable record of deleted rows
+ *
+ * A deleted record must never come back: not from a merge with a
+ * device that still has it, not from a realtime echo, not from an
+ * UPSERT still sitting in the queue. Tombstones persist in localStorage
+ * (keyed by Supabase table + id) and are pruned once the server has
+ * known about the delete for TOMBSTONE_TTL_MS; by then the server's
+ * deleted_records log covers any device that still holds the record.
+ *
+ * The server refuses to re-insert a logged id, so a row it serves that
+ * was written after its confirmed delete can only be an undo: that row
+ * lifts the tombstone.
+ */
+
+const TOMBSTONES_KEY = 'metaflow_tombstones';
+export const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+const keyOf = (table, id) => `${table}:${id}`;
+
+class Tombstones {
+    constructor() {
+        this._entries = this._load();
+    }
+
+    /**
+     * Mark a row deleted. `pushed` when the server already has the
+     * delete (it came from there); the earliest deletedAt is kept.
+     */
+    add(table, id, { pushed = false, deletedAt = new Date().toISOString() } = {}) {
+        if (!id) return;
+        const key = keyOf(table, id);
+        const existing = this._entries[key];
+        this._entries[key] = existing
+            ? { ...existing, pushed: existing.pushed || pushed }
+            : { table, id, deletedAt, pushed };
+        this._persist();
+    }
+
+    has(table, id) {
+        return !!id && keyOf(table, id) in this._entries;
+    }
+
+    /** An undone delete: the record is live again */
+    remove(table, id) {
+        const key = keyOf(table, id);
+        if (!(key in this._entries)) return;
+        delete this._entries[key];
+        this._persist();
+    }
+
+    /**
+     * Whether a row served by the server may be shown: always without a
+     * tombstone, never while our own delete is unconfirmed, and when it
+     * was written after the confirmed delete (restored; lifts the tombstone)
+     */
+    acceptsRemote(table, id, updatedAt) {
+        const tombstone = this._entries[keyOf(table, id)];
+        if (!tombstone) return true;
+        if (!tombstone.pushed || !updatedAt || new Date(updatedAt) <= new Date(tombstone.deletedAt)) return false;
+        this.remove(table, id);
+        return true;
+    }
+
+    /** Ids deleted from a table */
+    ids(table) {
+        return new Set(Object.values(this._entries).filter(t => t.table === table).map(t => t.id));
+    }
+
+    /** Records of a list that were not deleted */
+    filter(table, records = []) {
+        const deleted = this.ids(table);
+        return deleted.size === 0 ? records : records.filter(r => !deleted.has(r.id));
+    }
+
+    /** The server confirmed the DELETE */
+    markPushed(table, id) {
+        const key = keyOf(table, id);
+        if (!this._entries[key] || this._entries[key].pushed) return;
+        this._entries[key] = { ...this._entries[key], pushed: true };
+        this._persist();
+    }
+
+    /** Deletes the server has not confirmed yet */
+    unpushed() {
+        return Object.values(this._entries).filter(t => !t.pushed);
+    }
+
+    /** Forget confirmed deletes older than `maxAgeMs` */
+    prune(maxAgeMs = TOMBSTONE_TTL_MS, now = Date.now()) {
+        const before = Object.keys(this._entries).length;
+        this._entries = Object.fromEntries(Object.entries(this._entries).filter(([, t]) =>
+            !t.pushed || now - new Date(t.deletedAt).getTime() < maxAgeMs
+        ));
+        if (Object.keys(this._entries).length !== before) this._persist();
+    }
+
+    clear() {
+        this._entries = {};
+        this._persist();
+    }
+
+    _load() {
+        try {
+            const raw = localStorage.getItem(TOMBSTONES_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    _persist() {
+        try {
+            localStorage.setItem(TOMBSTONES_KEY, JSON.stringify(this._entries));
+        } catch (err) {
+            console.warn('[Tombstones] Failed to persist tombstones:', err.message);
+        }
+    }
+}
+
+// Singleton instance
+export const tombstones = new Tombstones();
@@ -4,19 +4,25 @@
  * Persists pending writes in localStorage so they survive page refreshes.
  * Operations are flushed to Supabase when online.
  * Failed operations retry with exponential backoff.
+ * UPSERTs to the same table go out as one multi-row request.
+ * Rows with a tombstone are never upserted again.
  */
 
+import { tombstones } from './tombstones';
+
 const QUEUE_KEY = 'metaflow_write_queue';
 const MAX_RETRIES = 5;
 const BASE_DELAY_MS = 1000;
+const MAX_BATCH_ROWS = 500;
 
 class WriteQueue {
     constructor() {
         this._queue = this._load();
         this._flushing = false;
+        this._flushPromise = null;
+        this._flushScheduled = false;
         this._listeners = new Set();
         this._supabase = null; // Stored ref for auto-flush
-        this._deletedIds = new Set(); // Track pending deletes to prevent re-upsert
 
         // Auto-flush when coming back online
         if (typeof window !== 'undefined') {
@@ -28,7 +34,7 @@ class WriteQueue {
 
     /**
      * Enqueue a write operation
-     * @param {'UPSERT'|'DELETE'} operation
+     * @param {'UPSERT'|'DELETE'|'UNDELETE'} operation - UNDELETE drops a row's deletions-log entry
      * @param {string} table - Supabase table name
      * @param {object} payload - Data to write
      * @param {string} userId - Owner user ID
@@ -39,17 +45,28 @@ class WriteQueue {
             return;
         }
 
-        // Track deleted IDs to prevent re-upsert race conditions
+        // Tombstone deleted IDs to prevent re-upsert race conditions
         if (operation === 'DELETE') {
-            this._deletedIds.add(`${table}:${payload.id}`);
-            // Remove any pending UPSERT for this same item
+            tombstones.add(table, payload.id);
+            // Remove any pending UPSERT (or earlier DELETE) for this same item
             this._queue = this._queue.filter(e =>
-                !(e.operation === 'UPSERT' && e.table === table && e.payload?.id === payload.id)
+                !(e.operation !== 'UNDELETE' && e.table === table && e.payload?.id === payload.id)
             );
         }
 
-        // Skip UPSERT if item was already deleted in this session
-        if (operation === 'UPSERT' && this._deletedIds.has(`${table}:${payload.id}`)) {
+        // An undo before the DELETE went out: nothing to send
+        if (operation === 'UNDELETE') {
+            const pendingDelete = this._queue.some(e => e.operation === 'DELETE' && e.table === table && e.payload?.id === payload.id);
+            this._queue = this._queue.filter(e => !(e.operation === 'DELETE' && e.table === table && e.payload?.id === payload.id));
+            if (pendingDelete) {
+                this._persist();
+                this._notify();
+                return;
+            }
+        }
+
+        // Skip UPSERT if item was ever deleted
+        if (operation === 'UPSERT' && tombstones.has(table, payload.id)) {
             return;
         }
 
@@ -72,54 +89,48 @@ class WriteQueue {
         this._persist();
         this._notify();
 
-        // Try to flush immediately if online (use stored supabase ref)
-        if (navigator.onLine && this._supabase) {
-            this.flush(this._supabase);
+        // Flush once the enqueues of this tick are in, so they batch (use stored supabase ref)
+        if (navigator.onLine && this._supabase && !this._flushScheduled) {
+            this._flushScheduled = true;
+            queueMicrotask(() => {
+                this._flushScheduled = false;
+                this.flush(this._supabase);
+            });
         }
     }
 
     /**
-     * Flush all pending operations to Supabase
+     * Flush all pending operations to Supabase. While a flush is running,
+     * returns that flush.
      * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+     * @returns {Promise<number|undefined>} Operations dropped after MAX_RETRIES
      */
     async flush(supabase) {
         // Store ref for future auto-flushes
         if (supabase) this._supabase = supabase;
         const client = supabase || this._supabase;
-        if (this._flushing || this._queue.length === 0) return;
-        if (!client) return;
+        if (this._flushing) return this._flushPromise;
+        if (this._queue.length === 0 || !client) return;
 
         this._flushing = true;
-        const processed = [];
-
-        for (const entry of [...this._queue]) {
-            try {
-                await this._execute(client, entry);
-                processed.push(entry.id);
-            } catch (err) {
-                entry.retries += 1;
-
-                if (entry.retries >= MAX_RETRIES) {
-                    console.error(`[WriteQueue] Dropping operation after ${MAX_RETRIES} retries:`, entry, err.message);
-                    processed.push(entry.id);
-                } else {
-                    console.warn(`[WriteQueue] Retry ${entry.retries}/${MAX_RETRIES} for ${entry.table}:`, err.message);
-                    // Exponential backoff — wait before next attempt
-                    await this._sleep(BASE_DELAY_MS * Math.pow(2, entry.retries - 1));
-                }
-            }
+        this._flushPromise = this._flushBatches(client);
+        try {
+            return await this._flushPromise;
+        } finally {
+            this._flushing = false;
+            this._flushPromise = null;
+            this._notify();
         }
-
-        // Remove successfully processed entries
-        this._queue = this._queue.filter(e => !processed.includes(e.id));
-        this._persist();
-        this._flushing = false;
-        this._notify();
     }
 
     /** Get current queue size */
     get size() { return this._queue.length; }
 
+    /** Payload of the UPSERT still waiting for a row, or null */
+    pending(table, id) {
+        return this._queue.find(e => e.operation === 'UPSERT' && e.table === table && e.payload?.id === id)?.payload || null;
+    }
+
     /** Check if queue is currently flushing */
     get isFlushing() { return this._flushing; }
 
@@ -132,21 +143,93 @@ class WriteQueue {
     /** Clear all pending operations */
     clear() {
         this._queue = [];
-        this._deletedIds.clear();
         this._persist();
         this._notify();
     }
 
     // ── Private ─────────────────────────────────────
 
-    async _execute(supabase, entry) {
-        const { operation, table, payload, userId } = entry;
+    async _flushBatches(client) {
+        const processed = new Set();
+        let dropped = 0;
+
+        // Edits queued before a delete arrived from another device
+        const live = this._queue.filter(e => {
+            const buried = e.operation === 'UPSERT' && tombstones.has(e.table, e.payload?.id);
+            if (buried) processed.add(e.id);
+            return !buried;
+        });
+
+        // Tables with a DELETE or UNDELETE still waiting to go out: their
+        // later batches hold, or a restored row would reach the server
+        // before its deletions-log entry is lifted and be dropped there
+        const held = new Set();
+
+        for (const batch of this._batches(live)) {
+            if (held.has(batch.table)) continue;
+            try {
+                await this._execute(client, batch);
+                batch.entries.forEach(e => processed.add(e.id));
+                if (batch.operation === 'DELETE') tombstones.markPushed(batch.table, batch.entries[0].payload.id);
+            } catch (err) {
+                for (const entry of batch.entries) {
+                    entry.retries += 1;
+                    if (entry.retries >= MAX_RETRIES) {
+                        console.error(`[WriteQueue] Dropping operation after ${MAX_RETRIES} retries:`, entry, err.message);
+                        processed.add(entry.id);
+                        dropped++;
+                    }
+                }
+                if (batch.operation !== 'UPSERT' && !processed.has(batch.entries[0].id)) held.add(batch.table);
+                const retries = Math.max(...batch.entries.map(e => e.retries));
+                if (retries < MAX_RETRIES) {
+                    console.warn(`[WriteQueue] Retry ${retries}/${MAX_RETRIES} for ${batch.table}:`, err.message);
+                    // Exponential backoff — wait before next attempt
+                    await this._sleep(BASE_DELAY_MS * Math.pow(2, retries - 1));
+                }
+            }
+        }
+
+        // Remove successfully processed entries
+        this._queue = this._queue.filter(e => !processed.has(e.id));
+        this._persist();
+        return dropped;
+    }
+
+    /**
+     * Group entries into requests: UPSERTs by table and owner (up to
+     * MAX_BATCH_ROWS rows each), DELETEs one by one, in queue order. An
+     * UPSERT never joins a batch that started before a DELETE or
+     * UNDELETE of its table, so an undo goes out before the restored row.
+     */
+    _batches(entries) {
+        const batches = [];
+        const open = new Map();
+        for (const entry of entries) {
+            const key = `${entry.table}|${entry.userId}`;
+            const batch = entry.operation === 'UPSERT' ? open.get(key) : null;
+            if (batch && batch.entries.length < MAX_BATCH_ROWS) {
+                batch.entries.push(entry);
+                continue;
+            }
+            const next = { operation: entry.operation, table: entry.table, userId: entry.userId, entries: [entry] };
+            if (entry.operation === 'UPSERT') open.set(key, next);
+            else open.delete(key);
+            batches.push(next);
+        }
+        return batches;
+    }
+
+    async _execute(supabase, batch) {
+        const { operation, table, userId, entries } = batch;
+        const { payload } = entries[0];
 
         switch (operation) {
             case 'UPSERT': {
+                const rows = entries.map(e => ({ ...e.payload, user_id: userId }));
                 const { error } = await supabase
                     .from(table)
-                    .upsert({ ...payload, user_id: userId }, { onConflict: table === 'profiles' ? 'user_id' : 'id' });
+                    .upsert(rows, { onConflict: table === 'profiles' ? 'user_id' : 'id' });
 
                 if (error) throw new Error(`UPSERT ${table}: ${error.message}`);
                 break;
@@ -169,6 +252,17 @@ class WriteQueue {
                 }
                 break;
             }
+            case 'UNDELETE': {
+                const { error } = await supabase
+                    .from('deleted_records')
+                    .delete()
+                    .eq('table_name', table)
+                    .eq('record_id', payload.id)
+                    .eq('user_id', userId);
+
+                if (error) throw new Error(`UNDELETE ${table}: ${error.message}`);
+                break;
+            }
             default:
                 throw new Error(`Unknown operation: ${operation}`);
         }
@@ -1,6 +1,7 @@
 import { useMemo, useCallback, useState } from 'react';
 import { motion } from 'framer-motion';
 import { useApp } from '../context/AppContext';
+import { useBaseCurrency } from '../hooks/useBaseCurrency';
 import { useToast } from '../context/ToastContext';
 import { usePrivacy, PrivacyAmount } from '../context/PrivacyContext';
 import { useTheme } from '../context/ThemeContext';
@@ -10,11 +11,16 @@ import {
     getProgressPercentage,
     formatDateShort,
     formatDate,
+    getTransactionCategories,
 } from '../utils/helpers';
 import { calculateLevel, getLevelTitle, getXPForNextLevel, getLevelIcon, evaluateBadges, countEarnedBadges, BADGES } from '../utils/gamification';
-import { generateDailyMissions, calculateDecisionMetrics, detectDayPatterns, detectCategoryTrends } from '../utils/patterns';
+import { generateDailyMissions, calculateDecisionMetrics, detectDayPatterns, detectCategoryTrends, detectTransactionWarnings, WARNING_KINDS } from '../utils/patterns';
 import { predictGoalCompletion, getGoalPaceStatus } from '../utils/projections';
 import { time } from '../utils/timeEngine';
+import { calculateBudgetProgress, getBudgetAlerts } from '../utils/budgets';
+import { learnFromHistory, suggestCategorization } from '../utils/categoryRules';
+import { getCommittedDebt } from '../utils/installments';
+import { Money } from '../utils/money';
 import EmailVerificationBanner from '../components/EmailVerification';
 import {
     TrendingUp, TrendingDown, Target, Zap, Eye, EyeOff,
@@ -127,22 +133,25 @@ export default function Dashboard() {
     const { state, dispatch } = useApp();
     const { addToast } = useToast();
     const { isPrivate, togglePrivacy } = usePrivacy();
-    const { goals, transactions, routines, gamification, isLoaded } = state;
-    const fixedExpenses = state.fixedExpenses || [];
+    const { routines, gamification, isLoaded } = state;
+    // Totals are computed in the base currency
+    const { transactions, goals, fixedExpenses, unconverted } = useBaseCurrency();
     const [quickAmount, setQuickAmount] = useState('');
+    const [quickNote, setQuickNote] = useState('');
+    const historyModel = useMemo(() => learnFromHistory(transactions), [transactions]);
+    const committedDebt = useMemo(() => getCommittedDebt(state.installments), [state.installments]);
 
     // ═════ FINANCIAL STATS ═════
     const stats = useMemo(() => {
-        const income = transactions.filter(isIncome).reduce((s, t) => s + Math.abs(t.amount), 0);
-        const expenses = transactions.filter(isExpense).reduce((s, t) => s + Math.abs(t.amount), 0);
-        const totalSaved = goals.reduce((s, g) => s + (g.currentAmount || 0), 0);
-        const fixedTotal = fixedExpenses.filter(e => e.active !== false).reduce((s, e) => {
-            const amt = parseFloat(e.amount) || 0;
-            if (e.frequency === 'weekly') return s + amt * 4.33;
-            if (e.frequency === 'yearly') return s + amt / 12;
-            return s + amt;
-        }, 0);
-        const balance = income - expenses;
+        const income = Money.sumBy(transactions.filter(isIncome), t => Math.abs(t.amount));
+        const expenses = Money.sumBy(transactions.filter(isExpense), t => Math.abs(t.amount));
+        const totalSaved = Money.sumBy(goals, g => g.currentAmount || 0);
+        const fixedTotal = Money.sumBy(fixedExpenses.filter(e => e.active !== false), e => {
+            if (e.frequency === 'weekly') return Money.multiply(e.amount, 4.33);
+            if (e.frequency === 'yearly') return Money.multiply(e.amount, 1 / 12);
+            return e.amount;
+        });
+        const balance = Money.subtract(income, expenses);
         const available = Math.max(0, income - fixedTotal - (expenses - fixedTotal > 0 ? expenses - fixedTotal : expenses * 0.3));
         const savingsRate = income > 0 ? Math.round((balance / income) * 100) : 0;
         const pressureIndex = income > 0 ? Math.round((fixedTotal / income) * 100) : 0;
@@ -174,18 +183,18 @@ export default function Dashboard() {
     // ═════ 3-MONTH PROJECTION ═════
     const projection90 = useMemo(() => {
         const monthlySavings = Math.max(0, stats.balance);
-        return stats.totalSaved + monthlySavings * 3;
+        return Money.add(stats.totalSaved, Money.multiply(monthlySavings, 3));
     }, [stats]);
 
     // ═════ GOALS WITH PREDICTIONS ═════
     const goalsWithPredictions = useMemo(() =>
         goals.filter(g => g.targetAmount > 0).slice(0, 4).map(goal => {
-            const prediction = predictGoalCompletion(goal, transactions);
+            const prediction = predictGoalCompletion(goal, transactions, state.indexValues);
             const pace = getGoalPaceStatus(goal);
             const progress = getProgressPercentage(goal.currentAmount || 0, goal.targetAmount);
             return { ...goal, prediction, pace, progress };
         }),
-        [goals, transactions]);
+        [goals, transactions, state.indexValues]);
 
     // ═════ ROUTINES / DISCIPLINE ═════
     const discipline = useMemo(() => {
@@ -212,9 +221,14 @@ export default function Dashboard() {
     const decisionMetrics = useMemo(() => calculateDecisionMetrics(transactions), [transactions]);
     const dayPatterns = useMemo(() => detectDayPatterns(transactions), [transactions]);
     const categoryTrends = useMemo(() => detectCategoryTrends(transactions), [transactions]);
+    const transactionWarnings = useMemo(
+        () => detectTransactionWarnings(transactions, state.warningFeedback, time.now()),
+        [transactions, state.warningFeedback],
+    );
 
     const insights = useMemo(() => {
-        const all = [];
+        // Possible duplicates and unusual amounts come first: they ask for a decision
+        const all = [...transactionWarnings];
         // Fixed costs insight
         if (stats.pressureIndex > 0) {
             all.push({
@@ -233,14 +247,26 @@ export default function Dashboard() {
         dayPatterns.forEach(p => all.push({ type: 'info', icon: p.icon, message: p.message }));
 
         return all.slice(0, 3);
-    }, [stats, categoryTrends, decisionMetrics, dayPatterns]);
+    }, [stats, transactionWarnings, categoryTrends, decisionMetrics, dayPatterns]);
+
+    const dismissWarning = useCallback((warning) => {
+        const { kind, key, category, amount } = warning;
+        dispatch({ type: 'DISMISS_WARNING', payload: { kind, key, category, amount } });
+        addToast(kind === WARNING_KINDS.DUPLICATE ? 'Entendido, no son duplicados' : 'Entendido, lo tomaremos como normal', { type: 'success' });
+    }, [dispatch, addToast]);
 
     // ═════ ALERTS ═════
     const alerts = useMemo(() => {
         const a = [];
+        if (unconverted > 0) {
+            a.push({ type: 'warning', message: `${unconverted} registro${unconverted !== 1 ? 's' : ''} sin tipo de cambio o valor UF/UTM: no suman en los totales` });
+        }
         if (stats.pressureIndex > 70) {
             a.push({ type: 'danger', message: `Gastos fijos superan el 70% de tu ingreso (${stats.pressureIndex}%)` });
         }
+        const budgetProgress = calculateBudgetProgress(state.budgets, transactions, time.now());
+        const categoryLabel = (c) => getTransactionCategories('gasto').find(x => x.value === c)?.label || c;
+        a.push(...getBudgetAlerts(budgetProgress, categoryLabel));
         categoryTrends.filter(t => t.type === 'increase').forEach(t => {
             a.push({ type: 'warning', message: t.message });
         });
@@ -253,7 +279,7 @@ export default function Dashboard() {
             }
         }
         return a.slice(0, 3);
-    }, [stats, categoryTrends, transactions]);
+    }, [stats, categoryTrends, transactions, state.budgets, unconverted]);
 
     // ═════ RECENT TRANSACTIONS ═════
     const recentTransactions = useMemo(() => transactions.slice(0, 5), [transactions]);
@@ -263,8 +289,8 @@ export default function Dashboard() {
         const now = new Date();
         const oneWeekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
         const twoWeeksAgo = new Date(now - 14 * 24 * 60 * 60 * 1000);
-        const thisWeek = transactions.filter(t => isExpense(t) && new Date(t.date) >= oneWeekAgo).reduce((s, t) => s + Math.abs(t.amount), 0);
-        const lastWeek = transactions.filter(t => isExpense(t) && new Date(t.date) >= twoWeeksAgo && new Date(t.date) < oneWeekAgo).reduce((s, t) => s + Math.abs(t.amount), 0);
+        const thisWeek = Money.sumBy(transactions.filter(t => isExpense(t) && new Date(t.date) >= oneWeekAgo), t => Math.abs(t.amount));
+        const lastWeek = Money.sumBy(transactions.filter(t => isExpense(t) && new Date(t.date) >= twoWeeksAgo && new Date(t.date) < oneWeekAgo), t => Math.abs(t.amount));
         if (lastWeek === 0) return null;
         const diff = Math.round(((thisWeek - lastWeek) / lastWeek) * 100);
         return diff;
@@ -287,14 +313,15 @@ export default function Dashboard() {
     const handleQuickTransaction = useCallback((type) => {
         const amount = parseFloat(quickAmount);
         if (!amount || amount <= 0) { addToast('Ingresa un monto válido', { type: 'warning' }); return; }
+        const txType = type === 'ingreso' ? 'ingreso' : 'gasto';
+        const draft = { amount, type: txType, note: quickNote.trim() || 'Registro rápido', date: new Date().toISOString() };
+        const suggestion = suggestCategorization(draft, { rules: state.categoryRules, model: historyModel });
         dispatch({
             type: 'ADD_TRANSACTION',
             payload: {
-                amount,
-                type: type === 'ingreso' ? 'ingreso' : 'gasto',
-                category: type === 'ingreso' ? 'otros_ingresos' : 'otros_gastos',
-                note: 'Registro rápido',
-                date: new Date().toISOString(),
+                ...draft,
+                category: suggestion?.category || (txType === 'ingreso' ? 'otros_ingresos' : 'otros_gastos'),
+                decisionType: txType === 'gasto' ? suggestion?.classification || null : null,
             }
         });
         addToast(
@@ -302,7 +329,8 @@ export default function Dashboard() {
             { type: type === 'ingreso' ? 'success' : 'info', xpAmount: 10 }
         );
         setQuickAmount('');
-    }, [quickAmount, dispatch, addToast]);
+        setQuickNote('');
+    }, [quickAmount, quickNote, state.categoryRules, historyModel, dispatch, addToast]);
 
     if (!isLoaded) {
         return <div className="page-content"><SkeletonStatCards /><SkeletonGoalCards /></div>;
@@ -368,6 +396,16 @@ export default function Dashboard() {
                                 </span>
                             </PrivacyAmount>
                         </div>
+                        {committedDebt > 0 && (
+                            <div className="dashboard-hero-metric">
+                                <span className="dashboard-hero-metric-label">Deuda en Cuotas</span>
+                                <PrivacyAmount>
+                                    <span className="dashboard-hero-metric-value" style={{ color: 'var(--warning)' }}>
+                                        -{formatCurrency(committedDebt)}
+                                    </span>
+                                </PrivacyAmount>
+                            </div>
+                        )}
                     </div>
                 </div>
                 <div className="dashboard-hero-right">
@@ -532,6 +570,13 @@ export default function Dashboard() {
                         value={quickAmount}
                         onChange={e => setQuickAmount(e.target.value)}
                         onKeyDown={e => e.key === 'Enter' && handleQuickTransaction('ingreso')}
+                        style={{ marginBottom: 8 }}
+                    />
+                    <input
+                        className="wealth-input"
+                        placeholder="¿En qué? (opcional, sugiere la categoría)"
+                        value={quickNote}
+                        onChange={e => setQuickNote(e.target.value)}
                         style={{ marginBottom: 12 }}
                     />
                     <div style={{ display: 'flex', gap: 8 }}>
@@ -654,7 +699,7 @@ export default function Dashboard() {
                                             {' / '}
                                             <PrivacyAmount>{formatCurrency(goal.targetAmount)}</PrivacyAmount>
                                         </div>
-                                        {goal.prediction && !goal.prediction.insufficient && !goal.prediction.completed && (
+                                        {goal.prediction?.projectedDate && (
                                             <div style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 6 }}>
                                                 <Clock size={10} style={{ verticalAlign: 'middle', marginRight: 4 }} />
                                                 Est: {formatDate(goal.prediction.projectedDate)}
@@ -701,7 +746,13 @@ export default function Dashboard() {
                                         fontSize: 13, color: 'var(--text-secondary)', lineHeight: 1.6,
                                     }}>
                                         <Sparkles size={14} color={insightColor} style={{ flexShrink: 0, marginTop: 3 }} />
-                                        {insight.message}
+                                        <span style={{ flex: 1 }}>{insight.message}</span>
+                                        {insight.kind && (
+                                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '2px 10px', fontSize: 11, flexShrink: 0 }}
+                                                onClick={() => dismissWarning(insight)}>
+                                                {insight.kind === WARNING_KINDS.DUPLICATE ? 'No es duplicado' : 'Es normal'}
+                                            </button>
+                                        )}
                                     </div>
                                 );
                             })}
@@ -764,7 +815,7 @@ export default function Dashboard() {
                                             fontFamily: 'Space Grotesk', fontWeight: 700, fontSize: 14,
                                             color: isIncome(t) ? 'var(--success)' : 'var(--danger)',
                                         }}>
-                                            {isExpense(t) ? '-' : '+'}{formatCurrency(Math.abs(t.amount))}
+                                            {isExpense(t) ? '-' : '+'}{formatCurrency(Math.abs(t.originalAmount ?? t.amount), t.currency)}
                                         </span>
                                     </PrivacyAmount>
                                 </div>
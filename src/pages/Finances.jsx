@@ -1,26 +1,58 @@
 import { useState, useMemo, useCallback, useEffect, useRef } from 'react';
 import { useApp } from '../context/AppContext';
+import { useBaseCurrency } from '../hooks/useBaseCurrency';
 import { useToast } from '../context/ToastContext';
+import { useAuth } from '../context/AuthContext';
 import { usePrivacy, PrivacyAmount } from '../context/PrivacyContext';
 import Modal from '../components/Modal';
 import { SkeletonTransactions } from '../components/Skeleton';
+import EnvelopesPanel, { AllocationModal } from '../components/EnvelopesPanel';
+import AccountsPanel from '../components/AccountsPanel';
+import InstallmentsPanel from '../components/InstallmentsPanel';
+import CsvImportWizard from '../components/CsvImportWizard';
+import CategoryRulesModal from '../components/CategoryRulesModal';
+import CategoriesModal from '../components/CategoriesModal';
+import PayeesModal from '../components/PayeesModal';
+import TagInput from '../components/TagInput';
+import ReceiptAttachments, { ReceiptThumb } from '../components/ReceiptAttachments';
+import SearchQueryInput, { HighlightedText } from '../components/SearchQueryInput';
 import {
     formatCurrency,
     formatDate,
     formatDateShort,
     getTransactionCategories,
+    generateId,
 } from '../utils/helpers';
 import { time } from '../utils/timeEngine';
+import { Sanitize } from '../utils/security';
+import { calculateBudgetProgress } from '../utils/budgets';
+import { getEnvelopeBalances } from '../utils/envelopes';
+import { learnFromHistory, suggestCategorization } from '../utils/categoryRules';
+import { exportTransactions } from '../utils/backup';
+import { EXCHANGE_FORMATS } from '../utils/exchangeFormats';
+import { defaultAccountId, TRANSFER_TYPE } from '../utils/accounts';
+import { installmentAmount, getUpcomingThisMonth, MAX_INSTALLMENTS } from '../utils/installments';
+import { shiftDueDate, toDateKey } from '../utils/recurring';
+import { getCurrencyOptions, toRecordedTransaction } from '../utils/currency';
+import { isSplit, expandSplitLines, buildSplitLines, getSplitRemainder, normalizeSplitLines, getGoalContributions } from '../utils/splits';
+import { Money } from '../utils/money';
+import { findCategory, categoryOptionLabel } from '../utils/categories';
+import { collectTags, tagTotals } from '../utils/tags';
+import { pruneReceipts } from '../utils/receipts';
+import { resolvePayee } from '../utils/payees';
+import { parseQuery, highlightTerms, buildQueryOptions, queryContext } from '../utils/searchQuery';
+import { FILTER_RANGES, rangeStart, filterTransactions, isFilterActive } from '../utils/savedFilters';
 import {
-    classifyExpense, EXPENSE_TYPES,
+    classifyTransaction, EXPENSE_TYPES,
     calculateDecisionMetrics, detectCategoryTrends, detectDayPatterns,
+    findDuplicates, detectAmountAnomalies, duplicateKey, WARNING_KINDS,
 } from '../utils/patterns';
 import {
-    Plus, Trash2, ArrowUpRight, ArrowDownRight, Wallet,
+    Plus, Trash2, Edit3, ArrowUpRight, ArrowDownRight, Wallet,
     Search, PiggyBank, Calendar, FileText, Tag, DollarSign,
     Target, AlertTriangle, TrendingUp, TrendingDown, Shield,
     ChevronRight, Activity, BarChart3, Zap, X, Eye, EyeOff,
-    ArrowRight, Lightbulb, Repeat, Filter, Clock
+    ArrowRight, Lightbulb, Repeat, Filter, Clock, Upload, Download, Split, ChevronDown, Hash, Pin, PinOff, Bookmark, Store, Copy
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
@@ -30,21 +62,6 @@ const MONTH_NAMES = [
     'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
 ];
 
-const RANGE_OPTIONS = [
-    { key: 'month', label: 'Este Mes' },
-    { key: '30d', label: '30 días' },
-    { key: '7d', label: '7 días' },
-    { key: 'all', label: 'Todo' },
-];
-
-const CATEGORY_ICONS = {
-    alimentacion: '🍽️', transporte: '🚗', entretenimiento: '🎬',
-    servicios: '⚡', educacion: '📚', salud: '💊', ropa: '👕',
-    hogar: '🏠', otros_gastos: '📦', salario: '💰', freelance: '💻',
-    negocio: '🏢', inversiones: '📈', otros_ingresos: '💵',
-    ahorro_meta: '🎯',
-};
-
 const FREQUENCIES = [
     { value: 'weekly', multiplier: 4.33 },
     { value: 'monthly', multiplier: 1 },
@@ -60,10 +77,25 @@ const item = {
     show: { y: 0, opacity: 1, transition: { duration: 0.5, ease: [0.16, 1, 0.3, 1] } },
 };
 
+// ─── Empty transaction form ───────────────────────────────────
+// categorySource: '' | 'manual' | 'rule' | 'payee' | 'history' — suggestions never override a manual pick
+// payee: merchant name as typed; the reducer links it to a payee
+// lines: split lines while the expense is divided, [] otherwise
+function emptyForm() {
+    return {
+        type: 'gasto', amount: '', category: '', date: new Date().toISOString().split('T')[0], note: '',
+        goalId: '', envelopeId: '', decisionType: '', categorySource: '',
+        accountId: '', toAccountId: '', installments: '1', monthlyRate: '', currency: '', lines: [], tags: [], receipts: [], payee: '',
+    };
+}
+
+function emptyLine(category = '', amount = '') {
+    return { id: generateId(), category, amount, goalId: '', classification: '' };
+}
+
 // ─── Category label helper ────────────────────────────────────
 function getCategoryLabel(type, category) {
-    const cats = getTransactionCategories(type);
-    return cats.find(c => c.value === category)?.label || category || '—';
+    return category ? findCategory(type, category).label : '—';
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -73,20 +105,55 @@ function getCategoryLabel(type, category) {
 export default function Finances() {
     const { state, dispatch } = useApp();
     const { addToast } = useToast();
-    const { transactions, goals, fixedExpenses = [], profile = {}, isLoaded } = state;
+    const { removeReceiptFiles } = useAuth();
+    const { goals, accounts = [], profile = {}, budgets, envelopes, categoryRules, installments, exchangeRates, savedFilters, payees, warningFeedback, isLoaded } = state;
+    // Amounts in the base currency; rows still show what was recorded
+    const { base, transactions, fixedExpenses } = useBaseCurrency();
 
     // ─── Form State ──────────────────────────────────
     const [showForm, setShowForm] = useState(false);
-    const [formData, setFormData] = useState({
-        type: 'gasto', amount: '', category: '', date: new Date().toISOString().split('T')[0], note: '', goalId: '',
-    });
+    const [editingTx, setEditingTx] = useState(null);
+    const [formData, setFormData] = useState(emptyForm);
+    const [allocationIncome, setAllocationIncome] = useState(null);
+    // Warnings the user waved through in this form: { duplicate, anomaly }
+    const [dismissedWarnings, setDismissedWarnings] = useState({});
+    const [showImport, setShowImport] = useState(false);
+    const [showRules, setShowRules] = useState(false);
+    const [showCategories, setShowCategories] = useState(false);
+    const [showPayees, setShowPayees] = useState(false);
+    const historyModel = useMemo(() => learnFromHistory(transactions), [transactions]);
+
+    // Fills category (and classification) from rules/history unless the user picked one
+    const updateForm = useCallback((patch) => setFormData(prev => {
+        const next = { ...prev, ...patch };
+        if (next.categorySource === 'manual') return next;
+        const suggestion = suggestCategorization(
+            { type: next.type, amount: next.amount, note: next.note, date: next.date, payeeId: resolvePayee(payees, next.payee)?.id },
+            { rules: categoryRules, model: historyModel, payees },
+        );
+        if (!suggestion || !getTransactionCategories(next.type).some(c => c.value === suggestion.category)) {
+            return next.categorySource ? { ...next, category: '', decisionType: '', categorySource: '' } : next;
+        }
+        return { ...next, category: suggestion.category, decisionType: suggestion.classification || '', categorySource: suggestion.source };
+    }), [categoryRules, historyModel, payees]);
+    const envelopeBalances = useMemo(() => (envelopes?.enabled ? getEnvelopeBalances(envelopes) : []), [envelopes]);
+    const accountNames = useMemo(() => Object.fromEntries(accounts.map(a => [a.id, a.name])), [accounts]);
+    const payeeNames = useMemo(() => Object.fromEntries((payees?.items || []).map(p => [p.id, p.name])), [payees]);
+    const currencyOptions = useMemo(() => getCurrencyOptions(base, exchangeRates), [base, exchangeRates]);
 
     // ─── Filter State ────────────────────────────────
+    const [showBudgets, setShowBudgets] = useState(false);
+    const [budgetDraft, setBudgetDraft] = useState({});
     const [range, setRange] = useState('month');
     const [filterCategory, setFilterCategory] = useState('');
     const [searchQuery, setSearchQuery] = useState('');
     const [includeRecurring, setIncludeRecurring] = useState(true);
     const [activeTypeFilter, setActiveTypeFilter] = useState('todos');
+    const [filterTags, setFilterTags] = useState([]);
+    // Saved filter currently applied, and the name typed to save a new one
+    const [activeSavedId, setActiveSavedId] = useState(null);
+    const [filterName, setFilterName] = useState(null);
+    const [expandedTx, setExpandedTx] = useState(null);
     const searchTimeout = useRef(null);
     const [debouncedSearch, setDebouncedSearch] = useState('');
 
@@ -103,28 +170,19 @@ export default function Finances() {
     const currentYear = now.getFullYear();
     const monthLabel = `${MONTH_NAMES[currentMonth]} ${currentYear}`;
 
-    const rangeBoundary = useMemo(() => {
-        const n = time.now();
-        switch (range) {
-            case 'month': return time.startOfMonth();
-            case '30d': { const d = new Date(n); d.setDate(d.getDate() - 30); return d; }
-            case '7d': { const d = new Date(n); d.setDate(d.getDate() - 7); return d; }
-            default: return new Date(0);
-        }
-    }, [range]);
+    const rangeBoundary = useMemo(() => rangeStart(range, time.now()), [range]);
 
     // ─── Monthly Income (from profile) ───────────────
     const monthlyIncome = useMemo(() => {
-        return (profile.incomeSources || []).reduce((s, src) => s + (parseFloat(src.amount) || 0), 0);
+        return Money.sumBy(profile.incomeSources, src => src.amount);
     }, [profile.incomeSources]);
 
     // ─── Fixed Expenses Total (monthly) ──────────────
     const totalFixedMonthly = useMemo(() => {
-        return (fixedExpenses || []).filter(e => e.active !== false).reduce((sum, e) => {
-            const amt = parseFloat(e.amount) || 0;
+        return Money.sumBy((fixedExpenses || []).filter(e => e.active !== false), e => {
             const freq = FREQUENCIES.find(f => f.value === e.frequency);
-            return sum + amt * (freq?.multiplier || 1);
-        }, 0);
+            return Money.multiply(e.amount, freq?.multiplier || 1);
+        });
     }, [fixedExpenses]);
 
     // ─── Month Transactions ──────────────────────────
@@ -132,25 +190,57 @@ export default function Finances() {
         const start = time.startOfMonth();
         return transactions.filter(t => new Date(t.date || t.createdAt) >= start);
     }, [transactions]);
+    // Split expenses line by line: their goal lines are savings, not spending
+    const monthLines = useMemo(() => expandSplitLines(monthTransactions), [monthTransactions]);
 
     // ─── Variable Expenses This Month ────────────────
+    // Auto-posted fixed expenses are already counted in totalFixedMonthly
     const variableExpenses = useMemo(() => {
-        return monthTransactions.filter(t => t.type === 'gasto').reduce((s, t) => s + t.amount, 0);
-    }, [monthTransactions]);
+        return Money.sumBy(monthLines.filter(t => t.type === 'gasto' && !t.recurringId), t => t.amount);
+    }, [monthLines]);
 
     // ─── Income This Month (from transactions) ───────
     const transactionIncome = useMemo(() => {
-        return monthTransactions.filter(t => t.type === 'ingreso').reduce((s, t) => s + t.amount, 0);
+        return Money.sumBy(monthTransactions.filter(t => t.type === 'ingreso'), t => t.amount);
     }, [monthTransactions]);
 
     // ─── Savings This Month ──────────────────────────
     const monthlySavings = useMemo(() => {
-        return monthTransactions.filter(t => t.type === 'ahorro').reduce((s, t) => s + t.amount, 0);
-    }, [monthTransactions]);
+        return Money.sumBy(monthLines.filter(t => t.type === 'ahorro'), t => t.amount);
+    }, [monthLines]);
+
+    // ─── Cuotas Still Due This Month ─────────────────
+    // Charged cuotas are already in variableExpenses; these are the ones coming
+    const upcomingInstallments = useMemo(() => getUpcomingThisMonth(installments, time.now()), [installments]);
+
+    // ─── Category Budgets ────────────────────────────
+    const budgetProgress = useMemo(() => calculateBudgetProgress(budgets, transactions, time.now()), [budgets, transactions]);
+
+    const openBudgets = useCallback(() => {
+        const draft = {};
+        (budgets?.items || []).forEach(b => { draft[b.category] = { limit: String(b.limit), rollover: b.rollover }; });
+        setBudgetDraft(draft);
+        setShowBudgets(true);
+    }, [budgets]);
+
+    const handleSaveBudgets = useCallback((e) => {
+        e.preventDefault();
+        getTransactionCategories('gasto').forEach(({ value }) => {
+            const entry = budgetDraft[value];
+            const limit = Number(entry?.limit);
+            if (limit > 0) dispatch({ type: 'SET_BUDGET', payload: { category: value, limit, rollover: !!entry.rollover } });
+            else if ((budgets?.items || []).some(b => b.category === value)) dispatch({ type: 'DELETE_BUDGET', payload: value });
+        });
+        addToast('Presupuestos actualizados', { type: 'success' });
+        setShowBudgets(false);
+    }, [budgetDraft, budgets, dispatch, addToast]);
 
     // ─── Real Available Balance ──────────────────────
     const effectiveIncome = useMemo(() => Math.max(monthlyIncome, transactionIncome), [monthlyIncome, transactionIncome]);
-    const realAvailable = useMemo(() => effectiveIncome - totalFixedMonthly - variableExpenses - monthlySavings, [effectiveIncome, totalFixedMonthly, variableExpenses, monthlySavings]);
+    const realAvailable = useMemo(
+        () => Money.subtract(effectiveIncome, Money.sum([totalFixedMonthly, variableExpenses, monthlySavings, upcomingInstallments])),
+        [effectiveIncome, totalFixedMonthly, variableExpenses, monthlySavings, upcomingInstallments],
+    );
 
     // ─── Financial Status ────────────────────────────
     const totalExpenseRatio = useMemo(() => {
@@ -203,27 +293,78 @@ export default function Finances() {
     const decisionMetrics = useMemo(() => calculateDecisionMetrics(monthTransactions), [monthTransactions]);
 
     // ─── Filtered Transactions ───────────────────────
-    const filteredTransactions = useMemo(() => {
-        let list = transactions.filter(t => new Date(t.date || t.createdAt) >= rangeBoundary);
-        if (activeTypeFilter !== 'todos') list = list.filter(t => t.type === activeTypeFilter);
-        if (filterCategory) list = list.filter(t => t.category === filterCategory);
-        if (debouncedSearch) {
-            const q = debouncedSearch.toLowerCase();
-            list = list.filter(t =>
-                (t.note && t.note.toLowerCase().includes(q)) ||
-                (t.category && t.category.toLowerCase().includes(q)) ||
-                getCategoryLabel(t.type, t.category).toLowerCase().includes(q)
-            );
-        }
-        return list;
-    }, [transactions, rangeBoundary, activeTypeFilter, filterCategory, debouncedSearch]);
+    const currentFilter = useMemo(() => ({
+        type: activeTypeFilter, range, category: filterCategory, tags: filterTags, query: debouncedSearch,
+    }), [activeTypeFilter, range, filterCategory, filterTags, debouncedSearch]);
+
+    const filteredTransactions = useMemo(
+        () => filterTransactions(transactions, currentFilter, time.now(), queryContext(accounts)),
+        [transactions, currentFilter, accounts],
+    );
+    const highlightWords = useMemo(() => highlightTerms(parseQuery(debouncedSearch)), [debouncedSearch]);
+    const searchOptions = useMemo(
+        () => buildQueryOptions(transactions, accounts, state.categories),
+        [transactions, accounts, state.categories],
+    );
+
+    // Receipts of deleted transactions and abandoned forms are cleaned up
+    // once per visit; whatever undo can still bring back is kept
+    const prunedReceipts = useRef(false);
+    useEffect(() => {
+        if (!isLoaded || prunedReceipts.current) return;
+        prunedReceipts.current = true;
+        const undoable = state._undoStack.map(u => u.data).filter(Boolean);
+        pruneReceipts([...state.transactions, ...undoable]).then(orphans => {
+            const paths = orphans.map(r => r.path).filter(Boolean);
+            if (paths.length > 0) removeReceiptFiles(paths);
+        });
+    }, [isLoaded, state.transactions, state._undoStack, removeReceiptFiles]);
+
+    // ─── Tags & Saved Filters ────────────────────────
+    const knownTags = useMemo(() => collectTags(transactions).map(t => t.tag), [transactions]);
+    const filteredTagTotals = useMemo(() => tagTotals(filteredTransactions), [filteredTransactions]);
+    const savedFilterItems = savedFilters?.items || [];
+    const activeSaved = savedFilterItems.find(f => f.id === activeSavedId) || null;
+
+    const applyFilter = useCallback((filter) => {
+        setActiveTypeFilter(filter.type);
+        setRange(filter.range);
+        setFilterCategory(filter.category);
+        setFilterTags(filter.tags);
+        setSearchQuery(filter.query);
+        setDebouncedSearch(filter.query);
+        setActiveSavedId(filter.id || null);
+    }, []);
+
+    const clearFilters = useCallback(() => {
+        setFilterCategory('');
+        setSearchQuery('');
+        setActiveTypeFilter('todos');
+        setFilterTags([]);
+        setActiveSavedId(null);
+    }, []);
+
+    const toggleFilterTag = useCallback((tag) => {
+        setFilterTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+        setActiveSavedId(null);
+    }, []);
+
+    const handleSaveFilter = useCallback((e) => {
+        e.preventDefault();
+        if (!filterName?.trim()) { addToast('Ponle un nombre al filtro', { type: 'warning' }); return; }
+        const id = generateId();
+        dispatch({ type: 'SET_SAVED_FILTER', payload: { ...currentFilter, id, name: filterName, pinned: true } });
+        addToast(`Filtro "${filterName.trim()}" guardado`, { type: 'success' });
+        setActiveSavedId(id);
+        setFilterName(null);
+    }, [filterName, currentFilter, dispatch, addToast]);
 
     // ─── Previous Period Comparison ──────────────────
     const previousPeriodMap = useMemo(() => {
         const periodMs = time.now() - rangeBoundary;
         const prevStart = new Date(rangeBoundary.getTime() - periodMs);
         const prevEnd = rangeBoundary;
-        const prevTx = transactions.filter(t => {
+        const prevTx = expandSplitLines(transactions).filter(t => {
             const d = new Date(t.date || t.createdAt);
             return d >= prevStart && d < prevEnd;
         });
@@ -231,7 +372,7 @@ export default function Finances() {
         prevTx.forEach(t => {
             const cat = t.category || 'otros';
             if (t.type === 'gasto') {
-                map[cat] = (map[cat] || 0) + t.amount;
+                map[cat] = Money.add(map[cat] || 0, t.amount);
             }
         });
         return map;
@@ -239,10 +380,10 @@ export default function Finances() {
 
     const currentPeriodCategoryMap = useMemo(() => {
         const map = {};
-        filteredTransactions.forEach(t => {
+        expandSplitLines(filteredTransactions).forEach(t => {
             const cat = t.category || 'otros';
             if (t.type === 'gasto') {
-                map[cat] = (map[cat] || 0) + t.amount;
+                map[cat] = Money.add(map[cat] || 0, t.amount);
             }
         });
         return map;
@@ -251,30 +392,184 @@ export default function Finances() {
     // ─── Available Categories (for filter) ───────────
     const availableCategories = useMemo(() => {
         const cats = new Set();
-        transactions.forEach(t => { if (t.category) cats.add(t.category); });
+        expandSplitLines(transactions).forEach(t => { if (t.category) cats.add(t.category); });
         return Array.from(cats);
     }, [transactions]);
 
     // ─── Handlers ────────────────────────────────────
+    const closeForm = useCallback(() => {
+        setShowForm(false);
+        setEditingTx(null);
+        setFormData(emptyForm());
+        setDismissedWarnings({});
+    }, []);
+
+    const openEdit = useCallback((t) => {
+        setEditingTx(t);
+        setFormData({
+            type: t.type,
+            amount: String(t.originalAmount ?? t.amount),
+            currency: t.currency && t.currency !== base ? t.currency : '',
+            category: t.category || '',
+            date: (t.date || t.createdAt || new Date().toISOString()).split('T')[0],
+            note: Sanitize.unescape(t.note),
+            goalId: t.goalId || '',
+            envelopeId: t.envelopeId || '',
+            decisionType: t.decisionType || '',
+            categorySource: 'manual',
+            accountId: t.accountId || '',
+            toAccountId: t.toAccountId || '',
+            // Lines as recorded, in the transaction's own currency
+            lines: isSplit(t) ? (t.originalLines || t.lines).map(l => ({
+                ...l, amount: String(l.amount), goalId: l.goalId || '', classification: l.classification || '',
+            })) : [],
+            tags: t.tags || [],
+            receipts: t.receipts || [],
+            payee: payeeNames[t.payeeId] || '',
+        });
+        setShowForm(true);
+    }, [base, payeeNames]);
+
+    // ─── Split Lines ─────────────────────────────────
+    // Dividing starts from the current category with the whole amount, plus an empty line
+    const startSplit = useCallback(() => setFormData(prev => ({
+        ...prev, lines: [emptyLine(prev.category, prev.amount), emptyLine()], installments: '1',
+    })), []);
+
+    const updateLine = useCallback((id, patch) => setFormData(prev => ({
+        ...prev, lines: prev.lines.map(l => (l.id === id ? { ...l, ...patch } : l)),
+    })), []);
+
+    // Down to one line the expense is no longer split; it keeps that line's category
+    const removeLine = useCallback((id) => setFormData(prev => {
+        const lines = prev.lines.filter(l => l.id !== id);
+        if (lines.length >= 2) return { ...prev, lines };
+        return { ...prev, lines: [], category: lines[0]?.category || prev.category, categorySource: 'manual' };
+    }), []);
+
+    const splitRemainder = useMemo(() => {
+        if (formData.lines.length === 0) return 0;
+        const currency = formData.currency || base;
+        return getSplitRemainder(formData.amount || 0, formData.lines.map(l => ({ amount: l.amount || 0 })), currency);
+    }, [formData.lines, formData.amount, formData.currency, base]);
+
+    // ─── Entry Warnings ──────────────────────────────
+    // Likely duplicates and unusually large amounts, checked as the form is filled
+    const formWarnings = useMemo(() => {
+        const amount = Number(formData.amount);
+        if (!showForm || !amount || formData.type === TRANSFER_TYPE) return { duplicates: [], anomalies: [] };
+        const currency = formData.currency || base;
+        const draft = {
+            id: editingTx?.id, type: formData.type, amount, currency, note: formData.note,
+            category: formData.category,
+            date: formData.date ? new Date(formData.date).toISOString() : new Date().toISOString(),
+            lines: formData.type === 'gasto' && formData.lines.length > 0 ? normalizeSplitLines(formData.lines, currency) : null,
+            // Only amounts in the base currency compare with the history
+            unconverted: currency !== base,
+        };
+        return {
+            duplicates: findDuplicates(draft, transactions, warningFeedback),
+            anomalies: detectAmountAnomalies(draft, transactions, warningFeedback),
+        };
+    }, [showForm, formData, editingTx, transactions, warningFeedback, base]);
+    const firstDuplicate = formWarnings.duplicates[0];
+
+    const openTransfer = useCallback(() => {
+        setFormData({ ...emptyForm(), type: TRANSFER_TYPE, category: 'transferencia', accountId: accounts[0]?.id || '', toAccountId: accounts[1]?.id || '' });
+        setShowForm(true);
+    }, [accounts]);
+
     const handleSubmit = useCallback(async (e) => {
         e.preventDefault();
         const amount = Number(formData.amount);
         if (!amount || amount <= 0) { addToast('Ingresa un monto válido', { type: 'warning' }); return; }
+        const accountId = formData.accountId || defaultAccountId(accounts);
+        const isTransferForm = formData.type === TRANSFER_TYPE;
+        if (isTransferForm && (!formData.toAccountId || formData.toAccountId === accountId)) {
+            addToast('Elige dos cuentas distintas', { type: 'warning' });
+            return;
+        }
+        const currency = !isTransferForm && formData.currency ? formData.currency : base;
+        const splitting = formData.type === 'gasto' && formData.lines.length > 0;
+        const lines = splitting ? buildSplitLines(formData.lines, amount, currency) : null;
+        if (splitting && !lines) {
+            const remainder = getSplitRemainder(amount, normalizeSplitLines(formData.lines, currency), currency);
+            addToast(remainder === 0
+                ? 'Divide el movimiento en al menos dos líneas con categoría y monto'
+                : `Las líneas deben sumar el total (${remainder > 0 ? 'faltan' : 'sobran'} ${formatCurrency(Math.abs(remainder), currency)})`,
+            { type: 'warning' });
+            return;
+        }
+        const cuotas = Number(formData.installments) || 1;
+        if (!editingTx && formData.type === 'gasto' && !splitting && cuotas > 1 && currency === base) {
+            // A purchase in cuotas is charged month by month from next month on
+            dispatch({
+                type: 'ADD_INSTALLMENT_PLAN',
+                payload: {
+                    note: formData.note, category: formData.category, decisionType: formData.decisionType || null,
+                    accountId, principal: amount, count: cuotas, monthlyRate: formData.monthlyRate,
+                    purchaseDate: formData.date ? new Date(formData.date).toISOString() : new Date().toISOString(),
+                    firstDueDate: shiftDueDate(formData.date || toDateKey(time.now()), 'monthly', 1),
+                },
+            });
+            addToast(`Compra en ${cuotas} cuotas de ${formatCurrency(installmentAmount(amount, cuotas, formData.monthlyRate))}`, { type: 'success' });
+            closeForm();
+            return;
+        }
         const transaction = {
             type: formData.type,
             amount,
             category: formData.category,
             date: formData.date ? new Date(formData.date).toISOString() : new Date().toISOString(),
             note: formData.note,
+            goalId: formData.type === 'ahorro' && formData.goalId ? formData.goalId : null,
+            envelopeId: formData.type === 'gasto' && formData.envelopeId ? formData.envelopeId : null,
+            decisionType: formData.type === 'gasto' && formData.decisionType ? formData.decisionType : null,
+            accountId,
+            toAccountId: isTransferForm ? formData.toAccountId : null,
+            currency,
+            lines,
+            tags: isTransferForm ? [] : formData.tags,
+            receipts: formData.receipts,
+            payee: isTransferForm ? '' : formData.payee,
+        };
+        // What was waved through in the form is not flagged again later
+        const rememberDismissed = (id) => {
+            if (dismissedWarnings.duplicate) {
+                formWarnings.duplicates.forEach(d => dispatch({ type: 'DISMISS_WARNING', payload: { kind: WARNING_KINDS.DUPLICATE, key: duplicateKey(d.id, id) } }));
+            }
+            if (dismissedWarnings.anomaly) {
+                formWarnings.anomalies.forEach(a => dispatch({ type: 'DISMISS_WARNING', payload: { kind: WARNING_KINDS.ANOMALY, key: id, category: a.category, amount: a.amount } }));
+            }
         };
-        dispatch({ type: 'ADD_TRANSACTION', payload: transaction });
-        if (formData.type === 'ahorro' && formData.goalId) {
-            dispatch({ type: 'ADD_SAVINGS_TO_GOAL', payload: { goalId: formData.goalId, amount } });
+        if (editingTx) {
+            // Goal balances are rebalanced inside the reducer
+            dispatch({ type: 'UPDATE_TRANSACTION', payload: { ...transaction, id: editingTx.id } });
+            rememberDismissed(editingTx.id);
+            addToast(`Movimiento actualizado: ${formatCurrency(amount, currency)}`, {
+                type: 'success',
+                undoAction: () => dispatch({ type: 'UNDO_LAST' }),
+            });
+        } else if (isTransferForm) {
+            dispatch({ type: 'TRANSFER_BETWEEN_ACCOUNTS', payload: { fromId: accountId, toId: formData.toAccountId, amount, date: transaction.date, note: transaction.note } });
+            addToast(`${formatCurrency(amount)} transferidos entre cuentas`, { type: 'success' });
+        } else {
+            // Shared id links the goal ledger entry back to this transaction
+            const id = generateId();
+            dispatch({ type: 'ADD_TRANSACTION', payload: { ...transaction, id } });
+            rememberDismissed(id);
+            getGoalContributions(transaction).forEach(({ goalId, amount: saved }) => dispatch({
+                type: 'ADD_SAVINGS_TO_GOAL',
+                payload: { goalId, amount: saved, date: transaction.date, note: transaction.note, transactionId: id },
+            }));
+            addToast(`Registro guardado: ${formatCurrency(amount, currency)}`, { type: 'success' });
+            // Allocation step: split the new income across the envelopes
+            if (transaction.type === 'ingreso' && envelopes?.enabled && envelopes.rules?.length > 0) {
+                setAllocationIncome({ id, amount, date: transaction.date });
+            }
         }
-        addToast(`Registro guardado: ${formatCurrency(amount)}`, { type: 'success' });
-        setFormData({ type: 'gasto', amount: '', category: '', date: new Date().toISOString().split('T')[0], note: '', goalId: '' });
-        setShowForm(false);
-    }, [formData, dispatch, addToast]);
+        closeForm();
+    }, [formData, editingTx, envelopes, accounts, base, dismissedWarnings, formWarnings, dispatch, addToast, closeForm]);
 
     const handleDelete = useCallback((id) => {
         dispatch({ type: 'DELETE_TRANSACTION', payload: id });
@@ -284,7 +579,11 @@ export default function Finances() {
         });
     }, [dispatch, addToast]);
 
-    const typeLabels = { ingreso: 'INGRESO', gasto: 'GASTO', ahorro: 'AHORRO' };
+    const typeLabels = { ingreso: 'INGRESO', gasto: 'GASTO', ahorro: 'AHORRO', transfer: 'TRANSFERENCIA' };
+    // Transfers need somewhere to go
+    const formTypes = accounts.length > 1 || formData.type === TRANSFER_TYPE
+        ? ['ingreso', 'gasto', 'ahorro', TRANSFER_TYPE]
+        : ['ingreso', 'gasto', 'ahorro'];
 
     // ─── Loading ─────────────────────────────────────
     if (!isLoaded) return <div className="page-content"><SkeletonTransactions /></div>;
@@ -314,6 +613,18 @@ export default function Finances() {
                             <financialStatus.icon size={13} />
                             {financialStatus.label}
                         </div>
+                        <button className="btn-wealth btn-wealth-outline" onClick={() => setShowCategories(true)} style={{ padding: '8px 16px', fontSize: 12 }}>
+                            <Tag size={14} /> Categorías
+                        </button>
+                        <button className="btn-wealth btn-wealth-outline" onClick={() => setShowRules(true)} style={{ padding: '8px 16px', fontSize: 12 }}>
+                            <Filter size={14} /> Reglas
+                        </button>
+                        <button className="btn-wealth btn-wealth-outline" onClick={() => setShowPayees(true)} style={{ padding: '8px 16px', fontSize: 12 }}>
+                            <Store size={14} /> Comercios
+                        </button>
+                        <button className="btn-wealth btn-wealth-outline" onClick={() => setShowImport(true)} style={{ padding: '8px 16px', fontSize: 12 }}>
+                            <Upload size={14} /> Importar
+                        </button>
                         <button className="btn-wealth" onClick={() => setShowForm(true)} style={{ padding: '8px 16px', fontSize: 12 }}>
                             <Plus size={14} /> Registrar
                         </button>
@@ -358,6 +669,16 @@ export default function Finances() {
                             </span>
                         </PrivacyAmount>
                     </div>
+                    {upcomingInstallments > 0 && (
+                        <div className="dashboard-hero-metric">
+                            <span className="dashboard-hero-metric-label">Cuotas por Cobrar</span>
+                            <PrivacyAmount>
+                                <span className="dashboard-hero-metric-value" style={{ color: 'var(--warning)' }}>
+                                    −{formatCurrency(upcomingInstallments)}
+                                </span>
+                            </PrivacyAmount>
+                        </div>
+                    )}
                     <div className="dashboard-hero-metric">
                         <span className="dashboard-hero-metric-label">Ahorro</span>
                         <PrivacyAmount>
@@ -551,17 +872,107 @@ export default function Finances() {
             </div>
 
 
+            {/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+                BLOCK 2.5 — CATEGORY BUDGETS
+               ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */}
+            <motion.div variants={item} className="card-wealth" style={{ marginBottom: 24 }}>
+                <div className="card-header">
+                    <div className="card-header-icon" style={{ background: budgetProgress.some(b => b.status === 'over') ? 'var(--danger-muted)' : 'var(--success-muted)' }}>
+                        <Target size={16} color={budgetProgress.some(b => b.status === 'over') ? 'var(--danger)' : 'var(--accent-primary)'} />
+                    </div>
+                    <h3 style={{ fontSize: 14, fontWeight: 700, flex: 1 }}>Presupuestos · {monthLabel}</h3>
+                    <button className="btn-wealth btn-wealth-outline" style={{ padding: '6px 12px', fontSize: 11 }} onClick={openBudgets}>
+                        <Edit3 size={12} /> Configurar
+                    </button>
+                </div>
+                {budgetProgress.length === 0 ? (
+                    <div style={{ fontSize: 13, color: 'var(--text-muted)', padding: '8px 0' }}>
+                        Define un límite mensual por categoría para ver tu avance en tiempo real.
+                    </div>
+                ) : (
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: 16 }}>
+                        {budgetProgress.map(b => {
+                            const color = b.status === 'over' ? 'var(--danger)' : b.status === 'warning' ? 'var(--warning)' : 'var(--accent-gradient)';
+                            return (
+                                <div key={b.category}>
+                                    <div className="flex-between" style={{ marginBottom: 4 }}>
+                                        <span style={{ fontSize: 12, color: 'var(--text-secondary)' }}>
+                                            {findCategory('gasto', b.category).icon} {getCategoryLabel('gasto', b.category)}
+                                        </span>
+                                        <span style={{ fontSize: 12, fontFamily: 'Space Grotesk', fontWeight: 700, color: b.status === 'over' ? 'var(--danger)' : 'var(--text-primary)' }}>
+                                            {b.percent}%
+                                        </span>
+                                    </div>
+                                    <div className="liquid-progress" style={{ height: 4 }}>
+                                        <motion.div className="liquid-progress-fill"
+                                            style={{ background: color }}
+                                            initial={{ width: 0 }} animate={{ width: `${Math.min(100, b.percent)}%` }}
+                                            transition={{ duration: 0.8, ease: [0.16, 1, 0.3, 1] }}
+                                        />
+                                    </div>
+                                    <div className="flex-between" style={{ marginTop: 4, fontSize: 11, color: 'var(--text-muted)' }}>
+                                        <PrivacyAmount><span>{formatCurrency(b.spent)} de {formatCurrency(b.available)}</span></PrivacyAmount>
+                                        {b.carry > 0 && <PrivacyAmount><span style={{ color: 'var(--success)' }}>+{formatCurrency(b.carry)} arrastrado</span></PrivacyAmount>}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </motion.div>
+
+
+            <AccountsPanel onTransfer={openTransfer} />
+
+            <InstallmentsPanel />
+
+            <EnvelopesPanel />
+
+
             {/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
                 BLOCK 3 — INTELLIGENT FILTERS
                ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */}
             <motion.div variants={item} className="card-wealth" style={{ marginBottom: 24, padding: '16px 20px' }}>
+                {/* Saved Filters — pinned ones as chips, the rest in a select */}
+                {savedFilterItems.length > 0 && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', marginBottom: 12 }}>
+                        <Bookmark size={13} color="var(--text-muted)" />
+                        {savedFilterItems.filter(f => f.pinned).map(f => (
+                            <button
+                                key={f.id}
+                                onClick={() => (activeSavedId === f.id ? clearFilters() : applyFilter(f))}
+                                style={{
+                                    padding: '4px 10px', borderRadius: 999, border: '1px solid var(--border-secondary)',
+                                    background: activeSavedId === f.id ? 'var(--accent-primary)' : 'var(--bg-elevated)',
+                                    color: activeSavedId === f.id ? '#0a0a0b' : 'var(--text-secondary)',
+                                    fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                                }}
+                            >{f.name}</button>
+                        ))}
+                        {savedFilterItems.some(f => !f.pinned) && (
+                            <select
+                                className="wealth-input"
+                                aria-label="Filtros guardados"
+                                style={{ fontSize: 11, height: 28, padding: '0 8px', background: 'var(--bg-elevated)', border: '1px solid var(--border-secondary)' }}
+                                value=""
+                                onChange={e => { const f = savedFilterItems.find(x => x.id === e.target.value); if (f) applyFilter(f); }}
+                            >
+                                <option value="">Otros filtros…</option>
+                                {savedFilterItems.filter(f => !f.pinned).map(f => (
+                                    <option key={f.id} value={f.id}>{f.name}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                )}
+
                 <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
                     {/* Range Selector */}
                     <div style={{ display: 'flex', gap: 4, background: 'var(--bg-elevated)', borderRadius: 10, padding: 3 }}>
-                        {RANGE_OPTIONS.map(opt => (
+                        {FILTER_RANGES.map(opt => (
                             <button
                                 key={opt.key}
-                                onClick={() => setRange(opt.key)}
+                                onClick={() => { setRange(opt.key); setActiveSavedId(null); }}
                                 style={{
                                     padding: '6px 14px', borderRadius: 8, border: 'none',
                                     background: range === opt.key ? 'var(--accent-primary)' : 'transparent',
@@ -580,10 +991,11 @@ export default function Finances() {
                             { key: 'ingreso', label: 'Ingresos' },
                             { key: 'gasto', label: 'Gastos' },
                             { key: 'ahorro', label: 'Ahorros' },
+                            ...(accounts.length > 1 ? [{ key: TRANSFER_TYPE, label: 'Transferencias' }] : []),
                         ].map(tab => (
                             <button
                                 key={tab.key}
-                                onClick={() => setActiveTypeFilter(tab.key)}
+                                onClick={() => { setActiveTypeFilter(tab.key); setActiveSavedId(null); }}
                                 style={{
                                     padding: '6px 14px', borderRadius: 8, border: 'none',
                                     background: activeTypeFilter === tab.key ? 'var(--accent-primary)' : 'transparent',
@@ -605,7 +1017,7 @@ export default function Finances() {
                             className="wealth-input"
                             style={{ paddingLeft: 30, paddingRight: 12, fontSize: 12, height: 34, minWidth: 140, background: 'var(--bg-elevated)', border: '1px solid var(--border-secondary)' }}
                             value={filterCategory}
-                            onChange={e => setFilterCategory(e.target.value)}
+                            onChange={e => { setFilterCategory(e.target.value); setActiveSavedId(null); }}
                         >
                             <option value="">Todas las categorías</option>
                             {availableCategories.map(cat => (
@@ -614,26 +1026,12 @@ export default function Finances() {
                         </select>
                     </div>
 
-                    {/* Search */}
-                    <div style={{ position: 'relative' }}>
-                        <Search size={13} style={{ position: 'absolute', left: 10, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} />
-                        <input
-                            className="wealth-input"
-                            style={{ paddingLeft: 30, fontSize: 12, height: 34, width: 180, background: 'var(--bg-elevated)', border: '1px solid var(--border-secondary)' }}
-                            placeholder="Buscar movimientos..."
-                            value={searchQuery}
-                            onChange={e => setSearchQuery(e.target.value)}
-                        />
-                        {searchQuery && (
-                            <button
-                                onClick={() => setSearchQuery('')}
-                                style={{
-                                    position: 'absolute', right: 8, top: '50%', transform: 'translateY(-50%)',
-                                    background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', padding: 2,
-                                }}
-                            ><X size={12} /></button>
-                        )}
-                    </div>
+                    {/* Search — query language with autocomplete */}
+                    <SearchQueryInput
+                        value={searchQuery}
+                        onChange={q => { setSearchQuery(q); setActiveSavedId(null); }}
+                        options={searchOptions}
+                    />
 
                     {/* Include Recurring Toggle */}
                     <button
@@ -652,16 +1050,91 @@ export default function Finances() {
                     </button>
                 </div>
 
+                {/* Tag Totals — each chip filters by its tag */}
+                {filteredTagTotals.length > 0 && (
+                    <div style={{ marginTop: 12, display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}>
+                        <Hash size={13} color="var(--text-muted)" />
+                        {filteredTagTotals.slice(0, 8).map(({ tag, income, expense }) => (
+                            <button
+                                key={tag}
+                                onClick={() => toggleFilterTag(tag)}
+                                title={filterTags.includes(tag) ? 'Quitar etiqueta del filtro' : 'Filtrar por etiqueta'}
+                                style={{
+                                    display: 'flex', alignItems: 'center', gap: 6,
+                                    padding: '4px 10px', borderRadius: 999, border: '1px solid var(--border-secondary)',
+                                    background: filterTags.includes(tag) ? 'var(--success-muted)' : 'var(--bg-elevated)',
+                                    color: filterTags.includes(tag) ? 'var(--accent-primary)' : 'var(--text-secondary)',
+                                    fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                                }}
+                            >
+                                #{tag}
+                                <PrivacyAmount style={{ color: expense > 0 ? 'var(--danger)' : 'var(--success)', fontWeight: 500 }}>
+                                    {expense > 0 ? `-${formatCurrency(expense)}` : `+${formatCurrency(income)}`}
+                                </PrivacyAmount>
+                            </button>
+                        ))}
+                    </div>
+                )}
+
                 {/* Active Filters Summary */}
-                {(filterCategory || debouncedSearch || activeTypeFilter !== 'todos') && (
-                    <div style={{ marginTop: 10, display: 'flex', alignItems: 'center', gap: 6, fontSize: 11, color: 'var(--text-muted)' }}>
+                {(isFilterActive(currentFilter) || filterName !== null) && (
+                    <div style={{ marginTop: 10, display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', fontSize: 11, color: 'var(--text-muted)' }}>
                         <span>Mostrando {filteredTransactions.length} resultado{filteredTransactions.length !== 1 ? 's' : ''}</span>
-                        {(filterCategory || debouncedSearch) && (
+                        {(filterCategory || debouncedSearch || filterTags.length > 0) && (
                             <button
-                                onClick={() => { setFilterCategory(''); setSearchQuery(''); setActiveTypeFilter('todos'); }}
+                                onClick={clearFilters}
                                 style={{ background: 'none', border: 'none', color: 'var(--accent-primary)', cursor: 'pointer', fontSize: 11, fontWeight: 600 }}
                             >Limpiar filtros</button>
                         )}
+                        <div style={{ flex: 1 }} />
+                        {activeSaved ? (
+                            <>
+                                <button
+                                    onClick={() => dispatch({ type: 'SET_SAVED_FILTER', payload: { id: activeSaved.id, pinned: !activeSaved.pinned } })}
+                                    title={activeSaved.pinned ? 'Desfijar de Finanzas' : 'Fijar en Finanzas'}
+                                    style={{ display: 'flex', alignItems: 'center', gap: 4, background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', fontSize: 11, fontWeight: 600 }}
+                                >
+                                    {activeSaved.pinned ? <PinOff size={12} /> : <Pin size={12} />} {activeSaved.pinned ? 'Desfijar' : 'Fijar'}
+                                </button>
+                                <button
+                                    onClick={() => {
+                                        dispatch({ type: 'DELETE_SAVED_FILTER', payload: activeSaved.id });
+                                        setActiveSavedId(null);
+                                        addToast(`Filtro "${activeSaved.name}" eliminado`, {
+                                            type: 'info',
+                                            action: { label: 'Deshacer', onClick: () => dispatch({ type: 'SET_SAVED_FILTER', payload: activeSaved }) },
+                                        });
+                                    }}
+                                    style={{ display: 'flex', alignItems: 'center', gap: 4, background: 'none', border: 'none', color: 'var(--danger)', cursor: 'pointer', fontSize: 11, fontWeight: 600 }}
+                                >
+                                    <Trash2 size={12} /> Eliminar filtro
+                                </button>
+                            </>
+                        ) : filterName !== null ? (
+                            <form onSubmit={handleSaveFilter} style={{ display: 'flex', gap: 6 }}>
+                                <input
+                                    className="wealth-input"
+                                    autoFocus
+                                    aria-label="Nombre del filtro"
+                                    style={{ fontSize: 11, height: 28, width: 160, background: 'var(--bg-elevated)', border: '1px solid var(--border-secondary)' }}
+                                    placeholder="Ej: Viaje a Chiloé"
+                                    maxLength={40}
+                                    value={filterName}
+                                    onChange={e => setFilterName(e.target.value)}
+                                />
+                                <button type="submit" className="btn-wealth" style={{ padding: '4px 10px', fontSize: 11 }}>Guardar</button>
+                                <button type="button" onClick={() => setFilterName(null)}
+                                    style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', padding: 2 }}
+                                ><X size={12} /></button>
+                            </form>
+                        ) : (
+                            <button
+                                onClick={() => setFilterName('')}
+                                style={{ display: 'flex', alignItems: 'center', gap: 4, background: 'none', border: 'none', color: 'var(--accent-primary)', cursor: 'pointer', fontSize: 11, fontWeight: 600 }}
+                            >
+                                <Bookmark size={12} /> Guardar filtro
+                            </button>
+                        )}
                     </div>
                 )}
             </motion.div>
@@ -712,14 +1185,18 @@ export default function Finances() {
                             {filteredTransactions.map((t, idx) => {
                                 const isExpense = t.type === 'gasto';
                                 const isIncome = t.type === 'ingreso';
-                                const catLabel = getCategoryLabel(t.type, t.category);
-                                const catIcon = CATEGORY_ICONS[t.category] || '📦';
-                                const classification = isExpense ? classifyExpense(t.category) : null;
+                                const isTransferRow = t.type === TRANSFER_TYPE;
+                                // A split is classified and compared line by line, shown when expanded
+                                const split = isSplit(t);
+                                const expanded = split && expandedTx === t.id;
+                                const catLabel = split ? `Dividido en ${t.lines.length} líneas` : getCategoryLabel(t.type, t.category);
+                                const catIcon = split ? '🧾' : findCategory(t.type, t.category).icon;
+                                const classification = isExpense && !split ? classifyTransaction(t) : null;
                                 const expenseType = classification ? EXPENSE_TYPES[classification.toUpperCase()] : null;
 
                                 // Previous period comparison
                                 let comparison = null;
-                                if (isExpense && t.category && previousPeriodMap[t.category] && currentPeriodCategoryMap[t.category]) {
+                                if (isExpense && !split && t.category && previousPeriodMap[t.category] && currentPeriodCategoryMap[t.category]) {
                                     const prev = previousPeriodMap[t.category];
                                     const curr = currentPeriodCategoryMap[t.category];
                                     const change = prev > 0 ? Math.round(((curr - prev) / prev) * 100) : 0;
@@ -742,7 +1219,7 @@ export default function Finances() {
                                         style={{
                                             padding: '18px 24px',
                                             borderBottom: '1px solid var(--border-secondary)',
-                                            display: 'flex', alignItems: 'center', gap: 16,
+                                            display: 'flex', alignItems: 'center', gap: 16, flexWrap: 'wrap',
                                             transition: 'background 0.15s',
                                         }}
                                         className="tx-row"
@@ -761,7 +1238,7 @@ export default function Finances() {
                                         <div style={{ flex: 1, minWidth: 0 }}>
                                             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                                                 <span style={{ fontSize: 14, fontWeight: 600, color: 'var(--text-primary)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                                                    {t.note || catLabel}
+                                                    <HighlightedText text={t.note || catLabel} words={highlightWords} />
                                                 </span>
                                                 {expenseType && (
                                                     <span style={{
@@ -774,7 +1251,31 @@ export default function Finances() {
                                             <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 3, fontSize: 11, color: 'var(--text-muted)' }}>
                                                 <span>{time.relative(t.date || t.createdAt)}</span>
                                                 <span style={{ opacity: 0.3 }}>·</span>
-                                                <span>{catLabel}</span>
+                                                {split ? (
+                                                    <button type="button" onClick={() => setExpandedTx(expanded ? null : t.id)} aria-expanded={expanded}
+                                                        style={{ display: 'flex', alignItems: 'center', gap: 3, background: 'none', border: 'none', padding: 0, color: 'var(--accent-primary)', fontSize: 11, cursor: 'pointer' }}>
+                                                        {catLabel}
+                                                        <ChevronDown size={11} style={{ transform: expanded ? 'rotate(180deg)' : 'none', transition: 'transform 0.15s' }} />
+                                                    </button>
+                                                ) : <span>{catLabel}</span>}
+                                                {payeeNames[t.payeeId] && (
+                                                    <>
+                                                        <span style={{ opacity: 0.3 }}>·</span>
+                                                        <span>
+                                                            <Store size={10} style={{ verticalAlign: 'text-bottom', marginRight: 3 }} />
+                                                            {payeeNames[t.payeeId]}
+                                                        </span>
+                                                    </>
+                                                )}
+                                                {accounts.length > 0 && (
+                                                    <>
+                                                        <span style={{ opacity: 0.3 }}>·</span>
+                                                        <span>
+                                                            {accountNames[t.accountId] || 'Sin cuenta'}
+                                                            {isTransferRow && ` → ${accountNames[t.toAccountId] || 'Sin cuenta'}`}
+                                                        </span>
+                                                    </>
+                                                )}
                                                 {linkedGoal && (
                                                     <>
                                                         <span style={{ opacity: 0.3 }}>·</span>
@@ -784,6 +1285,17 @@ export default function Finances() {
                                                         </span>
                                                     </>
                                                 )}
+                                                {t.receipts?.length > 0 && (
+                                                    <span style={{ display: 'flex', alignItems: 'center', gap: 3 }}>
+                                                        <ReceiptThumb receipt={t.receipts[0]} size={20} />
+                                                        {t.receipts.length > 1 && `+${t.receipts.length - 1}`}
+                                                    </span>
+                                                )}
+                                                {t.tags?.map(tag => (
+                                                    <span key={tag} style={{ padding: '1px 6px', borderRadius: 999, background: 'var(--bg-elevated)', color: 'var(--text-secondary)', fontSize: 10, fontWeight: 600 }}>
+                                                        #{tag}
+                                                    </span>
+                                                ))}
                                             </div>
                                         </div>
 
@@ -792,12 +1304,19 @@ export default function Finances() {
                                             <PrivacyAmount>
                                                 <div style={{
                                                     fontFamily: 'Space Grotesk', fontSize: 16, fontWeight: 700,
-                                                    color: isExpense ? 'var(--danger)' : 'var(--success)',
+                                                    color: isExpense ? 'var(--danger)' : isTransferRow ? 'var(--text-secondary)' : 'var(--success)',
                                                     letterSpacing: '-0.01em',
                                                 }}>
-                                                    {isExpense ? '−' : '+'}{formatCurrency(t.amount)}
+                                                    {isExpense ? '−' : isTransferRow ? '⇄ ' : '+'}{formatCurrency(t.originalAmount ?? t.amount, t.currency)}
                                                 </div>
                                             </PrivacyAmount>
+                                            {t.originalAmount !== undefined && (
+                                                <PrivacyAmount>
+                                                    <div style={{ fontSize: 10, color: 'var(--text-muted)', marginTop: 2 }}>
+                                                        {t.unconverted ? 'Sin tipo de cambio' : `≈ ${formatCurrency(t.amount)}`}
+                                                    </div>
+                                                </PrivacyAmount>
+                                            )}
                                             {comparison && (
                                                 <div style={{
                                                     fontSize: 10, fontWeight: 600, marginTop: 2,
@@ -810,6 +1329,16 @@ export default function Finances() {
                                             )}
                                         </div>
 
+                                        {/* Edit */}
+                                        <button
+                                            onClick={() => openEdit(t)}
+                                            className="onboarding-remove-btn"
+                                            style={{ width: 30, height: 30, flexShrink: 0, opacity: 0.4 }}
+                                            title="Editar"
+                                        >
+                                            <Edit3 size={13} />
+                                        </button>
+
                                         {/* Delete */}
                                         <button
                                             onClick={() => handleDelete(t.id)}
@@ -819,6 +1348,32 @@ export default function Finances() {
                                         >
                                             <Trash2 size={13} />
                                         </button>
+
+                                        {/* Split lines, as recorded */}
+                                        {expanded && (
+                                            <div style={{ flexBasis: '100%', display: 'flex', flexDirection: 'column', gap: 6, paddingLeft: 58, paddingRight: 76 }}>
+                                                {(t.originalLines || t.lines).map(line => {
+                                                    const lineGoal = line.goalId ? goals.find(g => g.id === line.goalId) : null;
+                                                    const lineType = lineGoal ? null : EXPENSE_TYPES[classifyTransaction({ decisionType: line.classification, category: line.category }).toUpperCase()];
+                                                    return (
+                                                        <div key={line.id} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: 'var(--text-secondary)' }}>
+                                                            <span>{findCategory(line.goalId ? 'ahorro' : 'gasto', line.category).icon}</span>
+                                                            <span style={{ flex: 1 }}>{getCategoryLabel(line.goalId ? 'ahorro' : 'gasto', line.category)}</span>
+                                                            {lineGoal && (
+                                                                <span style={{ color: 'var(--accent-primary)', fontWeight: 500 }}>
+                                                                    <Target size={10} style={{ verticalAlign: 'text-bottom', marginRight: 3 }} />
+                                                                    {lineGoal.name}
+                                                                </span>
+                                                            )}
+                                                            {lineType && <span style={{ fontSize: 9, fontWeight: 700, color: lineType.color, textTransform: 'uppercase' }}>{lineType.label}</span>}
+                                                            <PrivacyAmount>
+                                                                <span style={{ fontFamily: 'Space Grotesk', fontWeight: 600 }}>{formatCurrency(line.amount, t.currency)}</span>
+                                                            </PrivacyAmount>
+                                                        </div>
+                                                    );
+                                                })}
+                                            </div>
+                                        )}
                                     </motion.div>
                                 );
                             })}
@@ -831,9 +1386,17 @@ export default function Finances() {
                             display: 'flex', alignItems: 'center', justifyContent: 'space-between',
                         }}>
                             <span>{filteredTransactions.length} movimiento{filteredTransactions.length !== 1 ? 's' : ''}</span>
-                            <button className="btn-wealth" onClick={() => setShowForm(true)} style={{ padding: '6px 14px', fontSize: 11 }}>
-                                <Plus size={12} /> Nuevo
-                            </button>
+                            <div style={{ display: 'flex', gap: 6 }}>
+                                {[EXCHANGE_FORMATS.OFX, EXCHANGE_FORMATS.QIF].map(format => (
+                                    <button key={format} className="btn-wealth btn-wealth-outline" onClick={() => exportTransactions(filteredTransactions.map(toRecordedTransaction), format)}
+                                        title={`Exportar los movimientos visibles a ${format.toUpperCase()}`} style={{ padding: '6px 12px', fontSize: 11 }}>
+                                        <Download size={12} /> {format.toUpperCase()}
+                                    </button>
+                                ))}
+                                <button className="btn-wealth" onClick={() => setShowForm(true)} style={{ padding: '6px 14px', fontSize: 11 }}>
+                                    <Plus size={12} /> Nuevo
+                                </button>
+                            </div>
                         </div>
                     </div>
                 )}
@@ -841,22 +1404,25 @@ export default function Finances() {
 
 
             {/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-                MODAL — New Transaction Form
+                MODAL — New / Edit Transaction Form
                ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */}
-            <Modal isOpen={showForm} onClose={() => setShowForm(false)} title="Nuevo Movimiento">
+            <Modal isOpen={showForm} onClose={closeForm} title={editingTx ? 'Editar Movimiento' : 'Nuevo Movimiento'}>
                 <form onSubmit={handleSubmit}>
                     {/* Type Selector */}
                     <div className="form-group">
                         <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>TIPO DE REGISTRO</label>
                         <div style={{ display: 'flex', gap: 8, background: 'var(--bg-elevated)', padding: 4, borderRadius: 12 }}>
-                            {['ingreso', 'gasto', 'ahorro'].map(type => (
+                            {formTypes.map(type => (
                                 <button key={type} type="button" className="btn-wealth" style={{
                                     flex: 1, border: 'none',
                                     background: formData.type === type ? 'var(--accent-primary)' : 'transparent',
                                     color: formData.type === type ? '#0a0a0b' : 'var(--text-muted)',
                                     boxShadow: formData.type === type ? '0 0 15px rgba(0, 245, 212, 0.2)' : 'none',
                                     transition: 'all 0.2s ease',
-                                }} onClick={() => setFormData({ ...formData, type, category: '' })}>
+                                }} onClick={() => type !== formData.type && updateForm({
+                                    type, category: type === TRANSFER_TYPE ? 'transferencia' : '', decisionType: '', categorySource: '',
+                                    toAccountId: type === TRANSFER_TYPE ? formData.toAccountId || accounts.find(a => a.id !== (formData.accountId || accounts[0]?.id))?.id || '' : '',
+                                })}>
                                     {typeLabels[type]}
                                 </button>
                             ))}
@@ -869,10 +1435,19 @@ export default function Finances() {
                             <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>MONTO</label>
                             <div style={{ position: 'relative' }}>
                                 <DollarSign size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} />
-                                <input className="wealth-input" style={{ paddingLeft: 40 }} type="number" placeholder="0"
-                                    value={formData.amount} onChange={e => setFormData({ ...formData, amount: e.target.value })}
-                                    required min="1"
+                                <input className="wealth-input" style={{ paddingLeft: 40, paddingRight: formData.type === TRANSFER_TYPE ? undefined : 96 }} type="number" placeholder="0"
+                                    value={formData.amount} onChange={e => updateForm({ amount: e.target.value })}
+                                    required min="0.01" step="any"
                                 />
+                                {formData.type !== TRANSFER_TYPE && (
+                                    <select className="wealth-input" aria-label="Moneda"
+                                        style={{ position: 'absolute', right: 4, top: 4, bottom: 4, width: 88, height: 'auto', padding: '0 8px', fontSize: 12 }}
+                                        value={formData.currency || base} disabled={formData.type === 'ahorro' && !!formData.goalId}
+                                        onChange={e => setFormData({ ...formData, currency: e.target.value === base ? '' : e.target.value })}
+                                    >
+                                        {currencyOptions.map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+                                    </select>
+                                )}
                             </div>
                         </div>
                         <div className="bento-span-6 form-group">
@@ -880,29 +1455,119 @@ export default function Finances() {
                             <div style={{ position: 'relative' }}>
                                 <Calendar size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} />
                                 <input className="wealth-input" style={{ paddingLeft: 40 }} type="date"
-                                    value={formData.date} onChange={e => setFormData({ ...formData, date: e.target.value })}
+                                    value={formData.date} onChange={e => updateForm({ date: e.target.value })}
                                     required
                                 />
                             </div>
                         </div>
                     </div>
 
+                    {/* Accounts */}
+                    {accounts.length > 0 && (
+                        <div className="bento-grid" style={{ gridAutoRows: 'auto', gap: 16 }}>
+                            <div className={`${formData.type === TRANSFER_TYPE ? 'bento-span-6' : 'bento-span-12'} form-group`}>
+                                <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>{formData.type === TRANSFER_TYPE ? 'DESDE LA CUENTA' : 'CUENTA'}</label>
+                                <select className="wealth-input"
+                                    value={formData.accountId || accounts[0].id} onChange={e => setFormData({ ...formData, accountId: e.target.value })}
+                                >
+                                    {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                                </select>
+                            </div>
+                            {formData.type === TRANSFER_TYPE && (
+                                <div className="bento-span-6 form-group">
+                                    <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>HACIA LA CUENTA</label>
+                                    <select className="wealth-input" required
+                                        value={formData.toAccountId} onChange={e => setFormData({ ...formData, toAccountId: e.target.value })}
+                                    >
+                                        <option value="">Selecciona una cuenta...</option>
+                                        {accounts.filter(a => a.id !== (formData.accountId || accounts[0].id)).map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                                    </select>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
                     {/* Category */}
-                    <div className="form-group">
+                    {formData.type !== TRANSFER_TYPE && formData.lines.length === 0 && <div className="form-group">
                         <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>CATEGORÍA</label>
                         <div style={{ position: 'relative' }}>
                             <Tag size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} />
                             <select className="wealth-input" style={{ paddingLeft: 40 }}
-                                value={formData.category} onChange={e => setFormData({ ...formData, category: e.target.value })}
+                                value={formData.category} onChange={e => setFormData({ ...formData, category: e.target.value, decisionType: '', categorySource: 'manual' })}
                                 required
                             >
                                 <option value="">Selecciona una categoría...</option>
                                 {getTransactionCategories(formData.type).map(cat => (
-                                    <option key={cat.value} value={cat.value}>{cat.label}</option>
+                                    <option key={cat.value} value={cat.value}>{categoryOptionLabel(cat)}</option>
                                 ))}
                             </select>
                         </div>
-                    </div>
+                        {(formData.categorySource === 'rule' || formData.categorySource === 'history') && (
+                            <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 6, fontSize: 11, color: 'var(--accent-primary)' }}>
+                                <Lightbulb size={12} />
+                                {formData.categorySource === 'rule' ? 'Sugerida por una de tus reglas' : 'Sugerida según tus movimientos anteriores'}
+                            </div>
+                        )}
+                        {formData.type === 'gasto' && (
+                            <button type="button" onClick={startSplit}
+                                style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 8, background: 'none', border: 'none', padding: 0, color: 'var(--accent-primary)', fontSize: 11, fontWeight: 600, cursor: 'pointer' }}>
+                                <Split size={12} /> Dividir entre categorías o metas
+                            </button>
+                        )}
+                    </div>}
+
+                    {/* Split Lines (Expenses only) */}
+                    {formData.type === 'gasto' && formData.lines.length > 0 && (
+                        <div className="form-group">
+                            <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>LÍNEAS</label>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                                {formData.lines.map(line => (
+                                    <div key={line.id} style={{ display: 'grid', gridTemplateColumns: '1fr 110px 30px', gap: 6, padding: 8, borderRadius: 10, background: 'var(--bg-elevated)' }}>
+                                        <select className="wealth-input" aria-label="Categoría de la línea" style={{ height: 36, fontSize: 12 }}
+                                            value={line.goalId ? 'ahorro_meta' : line.category} disabled={!!line.goalId}
+                                            onChange={e => updateLine(line.id, { category: e.target.value })}
+                                        >
+                                            <option value="">Categoría...</option>
+                                            {line.goalId && <option value="ahorro_meta">{getCategoryLabel('ahorro', 'ahorro_meta')}</option>}
+                                            {getTransactionCategories('gasto').map(cat => <option key={cat.value} value={cat.value}>{categoryOptionLabel(cat)}</option>)}
+                                        </select>
+                                        <input className="wealth-input" aria-label="Monto de la línea" style={{ height: 36, fontSize: 12 }} type="number" min="0" step="any" placeholder="0"
+                                            value={line.amount} onChange={e => updateLine(line.id, { amount: e.target.value })}
+                                        />
+                                        <button type="button" className="onboarding-remove-btn" style={{ width: 30, height: 36 }} onClick={() => removeLine(line.id)} title="Quitar línea">
+                                            <X size={12} />
+                                        </button>
+                                        {/* Savings go to a goal held in the same currency */}
+                                        <select className="wealth-input" aria-label="Meta de la línea" style={{ height: 32, fontSize: 11 }}
+                                            value={line.goalId} onChange={e => updateLine(line.id, { goalId: e.target.value, classification: '' })}
+                                        >
+                                            <option value="">Sin meta</option>
+                                            {goals.filter(g => (g.currency || base) === (formData.currency || base)).map(g => (
+                                                <option key={g.id} value={g.id}>Ahorro: {g.name}</option>
+                                            ))}
+                                        </select>
+                                        <select className="wealth-input" aria-label="Clasificación de la línea" style={{ height: 32, fontSize: 11, gridColumn: '2 / span 2' }}
+                                            value={line.classification} disabled={!!line.goalId} onChange={e => updateLine(line.id, { classification: e.target.value })}
+                                        >
+                                            <option value="">Automática</option>
+                                            {Object.values(EXPENSE_TYPES).map(type => <option key={type.key} value={type.key}>{type.label}</option>)}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+                            <div className="flex-between" style={{ marginTop: 8, fontSize: 11 }}>
+                                <button type="button" onClick={() => setFormData(prev => ({ ...prev, lines: [...prev.lines, emptyLine()] }))}
+                                    style={{ display: 'flex', alignItems: 'center', gap: 4, background: 'none', border: 'none', padding: 0, color: 'var(--accent-primary)', fontWeight: 600, cursor: 'pointer' }}>
+                                    <Plus size={12} /> Agregar línea
+                                </button>
+                                <span style={{ color: splitRemainder === 0 ? 'var(--success)' : 'var(--warning)' }}>
+                                    {splitRemainder === 0
+                                        ? 'Las líneas suman el total'
+                                        : `${splitRemainder > 0 ? 'Falta asignar' : 'Sobran'} ${formatCurrency(Math.abs(splitRemainder), formData.currency || base)}`}
+                                </span>
+                            </div>
+                        </div>
+                    )}
 
                     {/* Goal Link (Savings only) */}
                     {formData.type === 'ahorro' && (
@@ -911,7 +1576,11 @@ export default function Finances() {
                             <div style={{ position: 'relative' }}>
                                 <Target size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} />
                                 <select className="wealth-input" style={{ paddingLeft: 40 }}
-                                    value={formData.goalId} onChange={e => setFormData({ ...formData, goalId: e.target.value })}
+                                    value={formData.goalId} onChange={e => {
+                                        // Savings land in the goal's own currency
+                                        const goal = goals.find(g => g.id === e.target.value);
+                                        setFormData({ ...formData, goalId: e.target.value, currency: goal?.currency && goal.currency !== base ? goal.currency : (goal ? '' : formData.currency) });
+                                    }}
                                 >
                                     <option value="">Ninguna meta específica</option>
                                     {goals.map(g => (
@@ -922,21 +1591,155 @@ export default function Finances() {
                         </div>
                     )}
 
+                    {/* Envelope (Expenses only) */}
+                    {formData.type === 'gasto' && envelopeBalances.length > 0 && (
+                        <div className="form-group">
+                            <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>PAGAR DESDE SOBRE</label>
+                            <div style={{ position: 'relative' }}>
+                                <Wallet size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} />
+                                <select className="wealth-input" style={{ paddingLeft: 40 }}
+                                    value={formData.envelopeId} onChange={e => setFormData({ ...formData, envelopeId: e.target.value })}
+                                >
+                                    <option value="">Sin sobre</option>
+                                    {envelopeBalances.map(b => (
+                                        <option key={b.id} value={b.id}>{b.name} ({formatCurrency(b.balance)})</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Cuotas (new expenses only) */}
+                    {formData.type === 'gasto' && !editingTx && !formData.currency && formData.lines.length === 0 && (
+                        <div className="bento-grid" style={{ gridAutoRows: 'auto', gap: 16 }}>
+                            <div className="bento-span-6 form-group">
+                                <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>CUOTAS</label>
+                                <input className="wealth-input" type="number" min="1" max={MAX_INSTALLMENTS}
+                                    value={formData.installments} onChange={e => setFormData({ ...formData, installments: e.target.value })}
+                                />
+                            </div>
+                            {Number(formData.installments) > 1 && (
+                                <div className="bento-span-6 form-group">
+                                    <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>INTERÉS MENSUAL (%)</label>
+                                    <input className="wealth-input" type="number" min="0" step="0.01" placeholder="0 = sin interés"
+                                        value={formData.monthlyRate} onChange={e => setFormData({ ...formData, monthlyRate: e.target.value })}
+                                    />
+                                </div>
+                            )}
+                            {Number(formData.installments) > 1 && Number(formData.amount) > 0 && (
+                                <div className="bento-span-12" style={{ fontSize: 11, color: 'var(--accent-primary)', marginTop: -8, marginBottom: 8 }}>
+                                    {formData.installments} cuotas de {formatCurrency(installmentAmount(formData.amount, formData.installments, formData.monthlyRate))}, la primera el próximo mes
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Payee */}
+                    {formData.type !== TRANSFER_TYPE && (
+                        <div className="form-group" style={{ marginBottom: 32 }}>
+                            <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>COMERCIO (OPCIONAL)</label>
+                            <div style={{ position: 'relative' }}>
+                                <Store size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} />
+                                <input className="wealth-input" style={{ paddingLeft: 40 }} placeholder="¿Dónde?" list="payee-options"
+                                    value={formData.payee} onChange={e => updateForm({ payee: e.target.value })}
+                                />
+                                <datalist id="payee-options">
+                                    {(payees?.items || []).map(p => <option key={p.id} value={p.name} />)}
+                                </datalist>
+                            </div>
+                        </div>
+                    )}
+
                     {/* Note */}
                     <div className="form-group" style={{ marginBottom: 32 }}>
                         <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>NOTA (OPCIONAL)</label>
                         <div style={{ position: 'relative' }}>
                             <FileText size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} />
                             <input className="wealth-input" style={{ paddingLeft: 40 }} placeholder="¿Qué registraste?"
-                                value={formData.note} onChange={e => setFormData({ ...formData, note: e.target.value })}
+                                                value={formData.note} onChange={e => updateForm({ note: e.target.value })}
                             />
                         </div>
                     </div>
 
+                    {/* Tags */}
+                    {formData.type !== TRANSFER_TYPE && (
+                        <div className="form-group" style={{ marginTop: -20, marginBottom: 32 }}>
+                            <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>ETIQUETAS (OPCIONAL)</label>
+                            <TagInput value={formData.tags} onChange={tags => updateForm({ tags })} suggestions={knownTags} />
+                        </div>
+                    )}
+
+                    {/* Receipts */}
+                    <div className="form-group" style={{ marginTop: -20, marginBottom: 32 }}>
+                        <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>COMPROBANTES (OPCIONAL)</label>
+                        <ReceiptAttachments value={formData.receipts} onChange={receipts => updateForm({ receipts })} />
+                    </div>
+
+                    {/* Entry warnings */}
+                    {firstDuplicate && !dismissedWarnings.duplicate && (
+                        <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '10px 12px', marginTop: -16, marginBottom: 16, borderRadius: 10, background: 'var(--warning-muted)', color: 'var(--warning)', fontSize: 12 }}>
+                            <Copy size={14} style={{ flexShrink: 0 }} />
+                            <span style={{ flex: 1 }}>
+                                ¿Duplicado? Ya registraste {formatCurrency(firstDuplicate.originalAmount ?? firstDuplicate.amount, firstDuplicate.currency)}
+                                {firstDuplicate.note && ` ("${firstDuplicate.note}")`} el {formatDateShort(firstDuplicate.date || firstDuplicate.createdAt)}
+                                {formWarnings.duplicates.length > 1 && ` y ${formWarnings.duplicates.length - 1} más`}.
+                            </span>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 10px', fontSize: 11 }}
+                                onClick={() => setDismissedWarnings(prev => ({ ...prev, duplicate: true }))}>No es duplicado</button>
+                        </div>
+                    )}
+                    {formWarnings.anomalies.length > 0 && !dismissedWarnings.anomaly && (
+                        <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '10px 12px', marginTop: -16, marginBottom: 16, borderRadius: 10, background: 'var(--warning-muted)', color: 'var(--warning)', fontSize: 12 }}>
+                            <AlertTriangle size={14} style={{ flexShrink: 0 }} />
+                            <span style={{ flex: 1 }}>
+                                {formWarnings.anomalies.map(a => `Este monto es ${a.ratio}× lo que sueles gastar en ${getCategoryLabel('gasto', a.category)} (promedio ${formatCurrency(a.mean)})`).join('. ')}.
+                            </span>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ padding: '4px 10px', fontSize: 11 }}
+                                onClick={() => setDismissedWarnings(prev => ({ ...prev, anomaly: true }))}>Es normal</button>
+                        </div>
+                    )}
+
                     {/* Actions */}
                     <div className="form-actions" style={{ border: 'none', padding: 0 }}>
-                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={() => setShowForm(false)}>Cancelar</button>
-                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>Guardar Movimiento</button>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={closeForm}>Cancelar</button>
+                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>{editingTx ? 'Guardar Cambios' : 'Guardar Movimiento'}</button>
+                    </div>
+                </form>
+            </Modal>
+
+            <AllocationModal income={allocationIncome} onClose={() => setAllocationIncome(null)} />
+            <CsvImportWizard isOpen={showImport} onClose={() => setShowImport(false)} />
+            <CategoryRulesModal isOpen={showRules} onClose={() => setShowRules(false)} />
+            <CategoriesModal isOpen={showCategories} onClose={() => setShowCategories(false)} />
+            <PayeesModal isOpen={showPayees} onClose={() => setShowPayees(false)} />
+
+            {/* Budgets Modal */}
+            <Modal isOpen={showBudgets} onClose={() => setShowBudgets(false)} title="Presupuestos Mensuales">
+                <form onSubmit={handleSaveBudgets}>
+                    <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                        Deja el monto vacío para no limitar una categoría. Con arrastre, lo que no gastes se suma al mes siguiente.
+                    </p>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginBottom: 24 }}>
+                        {getTransactionCategories('gasto').map(cat => {
+                            const entry = budgetDraft[cat.value] || { limit: '', rollover: false };
+                            const update = (patch) => setBudgetDraft(d => ({ ...d, [cat.value]: { ...entry, ...patch } }));
+                            return (
+                                <div key={cat.value} style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                                    <span style={{ flex: 1, fontSize: 13, color: 'var(--text-secondary)', paddingLeft: cat.parent ? 16 : 0 }}>{cat.icon} {cat.label}</span>
+                                    <input className="wealth-input" type="number" min="0" placeholder="Sin límite" style={{ width: 130 }}
+                                        value={entry.limit} onChange={e => update({ limit: e.target.value })}
+                                    />
+                                    <label style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, color: 'var(--text-muted)', cursor: 'pointer' }}>
+                                        <input type="checkbox" checked={!!entry.rollover} onChange={e => update({ rollover: e.target.checked })} />
+                                        Arrastre
+                                    </label>
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div className="form-actions" style={{ border: 'none', padding: 0 }}>
+                        <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48, paddingInline: 24 }} onClick={() => setShowBudgets(false)}>Cancelar</button>
+                        <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>Guardar Presupuestos</button>
                     </div>
                 </form>
             </Modal>
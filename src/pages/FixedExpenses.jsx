@@ -1,33 +1,39 @@
 import { useState, useMemo, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useApp } from '../context/AppContext';
+import { useBaseCurrency } from '../hooks/useBaseCurrency';
 import { useToast } from '../context/ToastContext';
 import { usePrivacy, PrivacyAmount } from '../context/PrivacyContext';
-import { formatCurrency } from '../utils/helpers';
+import { formatCurrency, formatDateShort } from '../utils/helpers';
+import { getCycleStatus, CYCLE_STATUS, toDateKey } from '../utils/recurring';
+import { INDEX_UNITS, formatIndexed, indexedToClp } from '../utils/indexation';
+import { time } from '../utils/timeEngine';
+import { Money } from '../utils/money';
+import { listCategories, findCategory } from '../utils/categories';
+import IndexValuesModal from '../components/IndexValuesModal';
 import {
     Plus, Edit3, Trash2, ToggleLeft, ToggleRight,
-    Repeat, Home, Wifi, Bus, Shield, Music, CreditCard,
-    Package, X, CheckCircle, AlertTriangle, DollarSign,
-    BarChart3, Calendar, ArrowUpRight
+    Repeat, X, CheckCircle, AlertTriangle, DollarSign,
+    BarChart3, Calendar, ArrowUpRight, Clock
 } from 'lucide-react';
 
-const CATEGORIES = [
-    { value: 'vivienda', label: 'Vivienda', icon: Home, color: '#f04444' },
-    { value: 'servicios', label: 'Servicios', icon: Wifi, color: '#f5a623' },
-    { value: 'internet', label: 'Internet / Tel.', icon: Wifi, color: '#3b82f6' },
-    { value: 'transporte', label: 'Transporte', icon: Bus, color: '#60b8f0' },
-    { value: 'seguros', label: 'Seguros', icon: Shield, color: '#a855f7' },
-    { value: 'suscripciones', label: 'Suscripciones', icon: Music, color: '#ec4899' },
-    { value: 'deudas', label: 'Deudas', icon: CreditCard, color: '#ef4444' },
-    { value: 'otros', label: 'Otros', icon: Package, color: '#6b7280' },
-];
-
 const FREQUENCIES = [
     { value: 'weekly', label: 'Semanal', multiplier: 4.33 },
     { value: 'monthly', label: 'Mensual', multiplier: 1 },
     { value: 'yearly', label: 'Anual', multiplier: 1 / 12 },
 ];
 
+// What an expense weighs in a month, whatever its frequency
+function monthlyAmount(expense) {
+    const freq = FREQUENCIES.find(f => f.value === expense.frequency);
+    return Money.multiply(expense.amount, freq?.multiplier || 1);
+}
+
+const STATUS_BADGES = {
+    [CYCLE_STATUS.PAID]: { label: 'Pagado', icon: CheckCircle, color: 'var(--success)', bg: 'var(--success-muted)' },
+    [CYCLE_STATUS.PENDING]: { label: 'Pendiente', icon: Clock, color: 'var(--warning)', bg: 'var(--warning-muted)' },
+};
+
 const container = {
     hidden: { opacity: 0 },
     show: { opacity: 1, transition: { staggerChildren: 0.04 } },
@@ -40,44 +46,41 @@ const item = {
 export default function FixedExpenses() {
     const { state, dispatch } = useApp();
     const { addToast } = useToast();
-    const fixedExpenses = state.fixedExpenses || [];
     const profile = state.profile || {};
+    // Totals add UF/UTM expenses at today's value
+    const { fixedExpenses } = useBaseCurrency();
 
     const [showForm, setShowForm] = useState(false);
+    const [showIndexValues, setShowIndexValues] = useState(false);
     const [editingId, setEditingId] = useState(null);
-    const [form, setForm] = useState({ name: '', amount: '', category: 'vivienda', frequency: 'monthly', nextDueDate: '' });
+    const [form, setForm] = useState({ name: '', amount: '', category: 'vivienda', frequency: 'monthly', nextDueDate: '', indexUnit: '' });
+    const formClp = form.indexUnit ? indexedToClp(form.amount, form.indexUnit, toDateKey(time.now()), state.indexValues) : null;
 
     // Monthly income
     const monthlyIncome = useMemo(() => {
-        return (profile.incomeSources || []).reduce((s, src) => s + (parseFloat(src.amount) || 0), 0);
+        return Money.sumBy(profile.incomeSources, src => src.amount);
     }, [profile.incomeSources]);
 
     // Total monthly impact
     const totalMonthly = useMemo(() => {
-        return fixedExpenses.filter(e => e.active !== false).reduce((sum, e) => {
-            const amt = parseFloat(e.amount) || 0;
-            const freq = FREQUENCIES.find(f => f.value === e.frequency);
-            return sum + amt * (freq?.multiplier || 1);
-        }, 0);
+        return Money.sumBy(fixedExpenses.filter(e => e.active !== false), monthlyAmount);
     }, [fixedExpenses]);
 
     const pressureIndex = useMemo(() => {
         return monthlyIncome > 0 ? Math.round((totalMonthly / monthlyIncome) * 100) : 0;
     }, [totalMonthly, monthlyIncome]);
 
-    const remaining = useMemo(() => Math.max(0, monthlyIncome - totalMonthly), [monthlyIncome, totalMonthly]);
+    const remaining = useMemo(() => Math.max(0, Money.subtract(monthlyIncome, totalMonthly)), [monthlyIncome, totalMonthly]);
 
     const categoryBreakdown = useMemo(() => {
         const breakdown = {};
         fixedExpenses.filter(e => e.active !== false).forEach(e => {
-            const cat = e.category || 'otros';
-            const amt = parseFloat(e.amount) || 0;
-            const freq = FREQUENCIES.find(f => f.value === e.frequency);
-            breakdown[cat] = (breakdown[cat] || 0) + amt * (freq?.multiplier || 1);
+            const cat = findCategory('gasto', e.category || 'otros_gastos').value;
+            breakdown[cat] = Money.add(breakdown[cat] || 0, monthlyAmount(e));
         });
         return Object.entries(breakdown)
             .map(([cat, amount]) => ({
-                ...CATEGORIES.find(c => c.value === cat) || CATEGORIES[CATEGORIES.length - 1],
+                ...findCategory('gasto', cat),
                 amount,
                 percent: totalMonthly > 0 ? Math.round((amount / totalMonthly) * 100) : 0,
             }))
@@ -85,7 +88,7 @@ export default function FixedExpenses() {
     }, [fixedExpenses, totalMonthly]);
 
     const resetForm = useCallback(() => {
-        setForm({ name: '', amount: '', category: 'vivienda', frequency: 'monthly', nextDueDate: '' });
+        setForm({ name: '', amount: '', category: 'vivienda', frequency: 'monthly', nextDueDate: '', indexUnit: '' });
         setEditingId(null);
         setShowForm(false);
     }, []);
@@ -99,13 +102,13 @@ export default function FixedExpenses() {
         if (editingId) {
             dispatch({
                 type: 'UPDATE_FIXED_EXPENSE',
-                payload: { id: editingId, ...form, amount: parseFloat(form.amount) },
+                payload: { id: editingId, ...form, amount: parseFloat(form.amount), indexUnit: form.indexUnit || null },
             });
             addToast(`"${form.name}" actualizado`, { type: 'success' });
         } else {
             dispatch({
                 type: 'ADD_FIXED_EXPENSE',
-                payload: { ...form, amount: parseFloat(form.amount) },
+                payload: { ...form, amount: parseFloat(form.amount), indexUnit: form.indexUnit || null },
             });
             addToast(`"${form.name}" agregado`, { type: 'success', xpAmount: 10 });
         }
@@ -115,10 +118,11 @@ export default function FixedExpenses() {
     const handleEdit = useCallback((expense) => {
         setForm({
             name: expense.name,
-            amount: String(expense.amount),
+            amount: String(expense.indexedAmount ?? expense.amount),
             category: expense.category || 'vivienda',
             frequency: expense.frequency || 'monthly',
             nextDueDate: expense.nextDueDate || '',
+            indexUnit: expense.indexUnit || '',
         });
         setEditingId(expense.id);
         setShowForm(true);
@@ -223,41 +227,38 @@ export default function FixedExpenses() {
                         <h3 style={{ fontSize: 14 }}>Desglose por Categoría</h3>
                     </div>
                     <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
-                        {categoryBreakdown.map(cat => {
-                            const Icon = cat.icon || Package;
-                            return (
-                                <div key={cat.value} style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
-                                    <div style={{
-                                        width: 32, height: 32, borderRadius: 8,
-                                        background: `${cat.color}12`, display: 'flex',
-                                        alignItems: 'center', justifyContent: 'center', flexShrink: 0,
-                                    }}>
-                                        <Icon size={14} color={cat.color} />
+                        {categoryBreakdown.map(cat => (
+                            <div key={cat.value} style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+                                <div style={{
+                                    width: 32, height: 32, borderRadius: 8,
+                                    background: `${cat.color}12`, display: 'flex',
+                                    alignItems: 'center', justifyContent: 'center', flexShrink: 0,
+                                }}>
+                                    <span style={{ fontSize: 14 }}>{cat.icon}</span>
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <div className="flex-between" style={{ marginBottom: 4 }}>
+                                        <span style={{ fontSize: 13, fontWeight: 500, color: 'var(--text-primary)' }}>{cat.label}</span>
+                                        <PrivacyAmount>
+                                            <span style={{ fontSize: 13, fontFamily: 'Space Grotesk', fontWeight: 700 }}>
+                                                {formatCurrency(cat.amount)}
+                                            </span>
+                                        </PrivacyAmount>
                                     </div>
-                                    <div style={{ flex: 1 }}>
-                                        <div className="flex-between" style={{ marginBottom: 4 }}>
-                                            <span style={{ fontSize: 13, fontWeight: 500, color: 'var(--text-primary)' }}>{cat.label}</span>
-                                            <PrivacyAmount>
-                                                <span style={{ fontSize: 13, fontFamily: 'Space Grotesk', fontWeight: 700 }}>
-                                                    {formatCurrency(cat.amount)}
-                                                </span>
-                                            </PrivacyAmount>
-                                        </div>
-                                        <div className="liquid-progress" style={{ height: 3 }}>
-                                            <motion.div className="liquid-progress-fill"
-                                                style={{ background: cat.color }}
-                                                initial={{ width: 0 }}
-                                                animate={{ width: `${cat.percent}%` }}
-                                                transition={{ duration: 0.8 }}
-                                            />
-                                        </div>
+                                    <div className="liquid-progress" style={{ height: 3 }}>
+                                        <motion.div className="liquid-progress-fill"
+                                            style={{ background: cat.color }}
+                                            initial={{ width: 0 }}
+                                            animate={{ width: `${cat.percent}%` }}
+                                            transition={{ duration: 0.8 }}
+                                        />
                                     </div>
-                                    <span style={{ fontSize: 11, color: 'var(--text-muted)', width: 36, textAlign: 'right' }}>
-                                        {cat.percent}%
-                                    </span>
                                 </div>
-                            );
-                        })}
+                                <span style={{ fontSize: 11, color: 'var(--text-muted)', width: 36, textAlign: 'right' }}>
+                                    {cat.percent}%
+                                </span>
+                            </div>
+                        ))}
                     </div>
                 </motion.div>
             )}
@@ -278,10 +279,10 @@ export default function FixedExpenses() {
                 ) : (
                     <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
                         {fixedExpenses.map(expense => {
-                            const cat = CATEGORIES.find(c => c.value === expense.category) || CATEGORIES[CATEGORIES.length - 1];
-                            const Icon = cat.icon;
+                            const cat = findCategory('gasto', expense.category || 'otros_gastos');
                             const freq = FREQUENCIES.find(f => f.value === expense.frequency);
                             const isActive = expense.active !== false;
+                            const badge = STATUS_BADGES[getCycleStatus(expense)];
                             return (
                                 <motion.div
                                     key={expense.id}
@@ -295,22 +296,36 @@ export default function FixedExpenses() {
                                             background: `${cat.color}12`, display: 'flex',
                                             alignItems: 'center', justifyContent: 'center', flexShrink: 0,
                                         }}>
-                                            <Icon size={18} color={cat.color} />
+                                            <span style={{ fontSize: 18 }}>{cat.icon}</span>
                                         </div>
                                         <div style={{ flex: 1 }}>
-                                            <div style={{ fontSize: 14, fontWeight: 600, color: 'var(--text-primary)' }}>{expense.name}</div>
+                                            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                                                <span style={{ fontSize: 14, fontWeight: 600, color: 'var(--text-primary)' }}>{expense.name}</span>
+                                                {badge && (
+                                                    <span style={{ display: 'inline-flex', alignItems: 'center', gap: 3, padding: '2px 7px', borderRadius: 6, fontSize: 10, fontWeight: 700, background: badge.bg, color: badge.color }}>
+                                                        <badge.icon size={10} /> {badge.label}
+                                                    </span>
+                                                )}
+                                            </div>
                                             <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>
                                                 {cat.label} · {freq?.label || 'Mensual'}
-                                                {expense.nextDueDate && ` · Próx: ${expense.nextDueDate}`}
+                                                {expense.nextDueDate && ` · Próx: ${formatDateShort(`${expense.nextDueDate}T12:00:00`)}`}
                                             </div>
                                         </div>
                                         <PrivacyAmount>
-                                            <span style={{
-                                                fontSize: 16, fontWeight: 700, fontFamily: 'Space Grotesk',
-                                                color: isActive ? 'var(--danger)' : 'var(--text-muted)',
-                                            }}>
-                                                -{formatCurrency(parseFloat(expense.amount) || 0)}
-                                            </span>
+                                            <div style={{ textAlign: 'right' }}>
+                                                <span style={{
+                                                    fontSize: 16, fontWeight: 700, fontFamily: 'Space Grotesk',
+                                                    color: isActive ? 'var(--danger)' : 'var(--text-muted)',
+                                                }}>
+                                                    -{expense.indexUnit ? formatIndexed(expense.indexedAmount, expense.indexUnit) : formatCurrency(parseFloat(expense.amount) || 0)}
+                                                </span>
+                                                {expense.indexUnit && (
+                                                    <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                                                        {expense.unconverted ? `Sin valor ${expense.indexUnit}` : `≈ ${formatCurrency(expense.amount)}`}
+                                                    </div>
+                                                )}
+                                            </div>
                                         </PrivacyAmount>
                                         <div style={{ display: 'flex', gap: 4 }}>
                                             <button
@@ -386,12 +401,13 @@ export default function FixedExpenses() {
                                         <span style={{
                                             position: 'absolute', left: 12, top: '50%', transform: 'translateY(-50%)',
                                             fontSize: 13, color: 'var(--text-muted)', fontWeight: 500,
-                                        }}>$</span>
+                                        }}>{form.indexUnit || '$'}</span>
                                         <input
                                             className="wealth-input"
                                             type="number"
+                                            step="any"
                                             placeholder="0"
-                                            style={{ paddingLeft: 28 }}
+                                            style={{ paddingLeft: form.indexUnit ? 44 : 28 }}
                                             value={form.amount}
                                             onChange={e => setForm(p => ({ ...p, amount: e.target.value }))}
                                         />
@@ -410,29 +426,50 @@ export default function FixedExpenses() {
                                     </select>
                                 </div>
                             </div>
+                            <div className="form-group">
+                                <label className="form-label">Monto expresado en</label>
+                                <select
+                                    className="wealth-input"
+                                    value={form.indexUnit}
+                                    onChange={e => setForm(p => ({ ...p, indexUnit: e.target.value }))}
+                                >
+                                    <option value="">Pesos</option>
+                                    {Object.values(INDEX_UNITS).map(u => (
+                                        <option key={u.code} value={u.code}>{u.code} · {u.label}</option>
+                                    ))}
+                                </select>
+                                {form.indexUnit && (
+                                    <div style={{ fontSize: 11, color: 'var(--text-muted)', marginTop: 6 }}>
+                                        {formClp !== null
+                                            ? `Hoy ≈ ${formatCurrency(formClp)}. Cada cargo se registra en pesos con el valor de su vencimiento.`
+                                            : `Sin valores de ${form.indexUnit}: el cargo esperará hasta que registres uno. `}
+                                        <button type="button" onClick={() => setShowIndexValues(true)}
+                                            style={{ background: 'none', border: 'none', padding: 0, color: 'var(--accent-primary)', cursor: 'pointer', fontSize: 11 }}>
+                                            Valores UF/UTM
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
                             <div className="form-group">
                                 <label className="form-label">Categoría</label>
                                 <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 8 }}>
-                                    {CATEGORIES.map(cat => {
-                                        const Icon = cat.icon;
-                                        return (
-                                            <button
-                                                key={cat.value}
-                                                onClick={() => setForm(p => ({ ...p, category: cat.value }))}
-                                                style={{
-                                                    padding: '10px 6px', borderRadius: 10,
-                                                    border: form.category === cat.value ? `2px solid ${cat.color}` : '1px solid var(--border-secondary)',
-                                                    background: form.category === cat.value ? `${cat.color}12` : 'var(--bg-elevated)',
-                                                    color: 'var(--text-secondary)', fontSize: 10,
-                                                    display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 4,
-                                                    cursor: 'pointer', transition: 'all 0.15s',
-                                                }}
-                                            >
-                                                <Icon size={16} color={form.category === cat.value ? cat.color : 'var(--text-muted)'} />
-                                                {cat.label}
-                                            </button>
-                                        );
-                                    })}
+                                    {listCategories('gasto').map(cat => (
+                                        <button
+                                            key={cat.value}
+                                            onClick={() => setForm(p => ({ ...p, category: cat.value }))}
+                                            style={{
+                                                padding: '10px 6px', borderRadius: 10,
+                                                border: form.category === cat.value ? `2px solid ${cat.color}` : '1px solid var(--border-secondary)',
+                                                background: form.category === cat.value ? `${cat.color}12` : 'var(--bg-elevated)',
+                                                color: 'var(--text-secondary)', fontSize: 10,
+                                                display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 4,
+                                                cursor: 'pointer', transition: 'all 0.15s',
+                                            }}
+                                        >
+                                            <span style={{ fontSize: 16 }}>{cat.icon}</span>
+                                            {cat.label}
+                                        </button>
+                                    ))}
                                 </div>
                             </div>
                             <div className="form-group">
@@ -443,6 +480,9 @@ export default function FixedExpenses() {
                                     value={form.nextDueDate}
                                     onChange={e => setForm(p => ({ ...p, nextDueDate: e.target.value }))}
                                 />
+                                <div style={{ fontSize: 11, color: 'var(--text-muted)', marginTop: 6 }}>
+                                    Con fecha, se registrará como gasto automáticamente en cada vencimiento.
+                                </div>
                             </div>
                             <div className="form-actions">
                                 <button className="btn-wealth btn-wealth-outline" onClick={resetForm}>
@@ -457,6 +497,8 @@ export default function FixedExpenses() {
                     </motion.div>
                 )}
             </AnimatePresence>
+
+            <IndexValuesModal isOpen={showIndexValues} onClose={() => setShowIndexValues(false)} />
         </motion.div>
     );
 }
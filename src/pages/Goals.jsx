@@ -1,5 +1,6 @@
 import { useState, useCallback, useMemo } from 'react';
 import { useApp } from '../context/AppContext';
+import { useBaseCurrency } from '../hooks/useBaseCurrency';
 import { useToast } from '../context/ToastContext';
 import { PrivacyAmount } from '../context/PrivacyContext';
 import WealthRing from '../components/WealthRing';
@@ -7,13 +8,17 @@ import Modal from '../components/Modal';
 import GoalImageUpload, { getLocalGoalImage } from '../components/GoalImageUpload';
 import { SkeletonGoalCards } from '../components/Skeleton';
 import { motion, AnimatePresence } from 'framer-motion';
-import { formatCurrency, getProgressPercentage, calculateSavingsRecommendation, daysRemaining, getPriorityLabel } from '../utils/helpers';
+import { formatCurrency, getProgressPercentage, calculateSavingsRecommendation, daysRemaining, getPriorityLabel, formatDate, generateId } from '../utils/helpers';
 import { time } from '../utils/timeEngine';
 import { predictGoalCompletion, getGoalPaceStatus } from '../utils/projections';
+import { LEDGER_TYPES, getLedgerEntries } from '../utils/goalLedger';
+import { getCurrencyOptions } from '../utils/currency';
+import { Money } from '../utils/money';
+import { INDEX_UNITS, formatIndexed } from '../utils/indexation';
 import {
     Plus, Edit3, Trash2, PiggyBank, Target, ArrowUpRight, Calendar, Shield, Zap,
     TrendingUp, TrendingDown, Clock, Type, DollarSign, Tag, FileText, ChevronRight,
-    AlertTriangle, Lightbulb, BarChart3, ChevronDown, ChevronUp, Activity
+    AlertTriangle, Lightbulb, BarChart3, ChevronDown, ChevronUp, Activity, ArrowDownRight
 } from 'lucide-react';
 
 const anim = { hidden: { opacity: 0 }, show: { opacity: 1, transition: { staggerChildren: 0.06 } } };
@@ -31,21 +36,27 @@ const PACE_CONFIG = {
 export default function Goals() {
     const { state, dispatch } = useApp();
     const { addToast } = useToast();
-    const { goals, transactions, profile = {}, fixedExpenses = [], isLoaded } = state;
+    const { profile = {}, fixedExpenses = [], exchangeRates, indexValues, isLoaded } = state;
+    // Metrics compare goals against each other, so they run in the base currency;
+    // saving and withdrawing work on the goal as recorded, in its own currency
+    const { base, goals, transactions } = useBaseCurrency();
+    const recordedGoal = useCallback((g) => state.goals.find(x => x.id === g?.id) || g, [state.goals]);
     const [showForm, setShowForm] = useState(false);
     const [showDetail, setShowDetail] = useState(null);
     const [showAddSavings, setShowAddSavings] = useState(null);
     const [editingGoal, setEditingGoal] = useState(null);
     const [savingsAmount, setSavingsAmount] = useState('');
+    const [showWithdraw, setShowWithdraw] = useState(null);
+    const [withdrawData, setWithdrawData] = useState({ amount: '', note: '' });
     const [expandedSim, setExpandedSim] = useState(null);
     const [simExtra, setSimExtra] = useState(50000);
     const [formData, setFormData] = useState({
-        name: '', targetAmount: '', deadline: '', description: '', priority: 'media', icon: 'Target', imageUrl: '',
+        name: '', targetAmount: '', deadline: '', description: '', priority: 'media', icon: 'Target', imageUrl: '', currency: '', indexUnit: '',
     });
 
     // ─── Monthly income ──────────────────────────────
     const monthlyIncome = useMemo(() =>
-        (profile.incomeSources || []).reduce((s, src) => s + (parseFloat(src.amount) || 0), 0), [profile.incomeSources]);
+        Money.sumBy(profile.incomeSources, src => src.amount), [profile.incomeSources]);
 
     // ─── Savings velocity (monthly avg from transactions) ──
     const savingsVelocity = useMemo(() => {
@@ -55,7 +66,7 @@ export default function Goals() {
         const first = new Date(sorted[0].date || sorted[0].createdAt);
         const last = time.now();
         const months = Math.max(1, (last - first) / (1000 * 60 * 60 * 24 * 30));
-        return savingsTx.reduce((s, t) => s + t.amount, 0) / months;
+        return Money.sumBy(savingsTx, t => t.amount) / months;
     }, [transactions]);
 
     // ─── Goal computations ───────────────────────────
@@ -65,27 +76,27 @@ export default function Goals() {
 
     const goalMetrics = useMemo(() => sortedGoals.map(goal => {
         const progress = getProgressPercentage(goal.currentAmount || 0, goal.targetAmount);
-        const remaining = Math.max(0, goal.targetAmount - (goal.currentAmount || 0));
+        const remaining = Math.max(0, Money.subtract(goal.targetAmount, goal.currentAmount || 0));
         const pace = getGoalPaceStatus(goal);
-        const prediction = predictGoalCompletion(goal, transactions);
+        const prediction = predictGoalCompletion(goal, transactions, indexValues);
         const days = daysRemaining(goal.deadline);
         const monthsLeft = Math.max(1, days / 30);
         const monthlyRequired = remaining / monthsLeft;
         const goalImg = goal.imageUrl || getLocalGoalImage(goal.id);
         const daysAhead = prediction.daysAhead || 0;
         return { ...goal, progress, remaining, pace, prediction, days, monthsLeft, monthlyRequired, goalImg, daysAhead };
-    }), [sortedGoals, transactions]);
+    }), [sortedGoals, transactions, indexValues]);
 
     // ─── Overview aggregates ─────────────────────────
     const overview = useMemo(() => {
-        const totalAssigned = goals.reduce((s, g) => s + (g.currentAmount || 0), 0);
-        const totalTarget = goals.reduce((s, g) => s + g.targetAmount, 0);
+        const totalAssigned = Money.sumBy(goals, g => g.currentAmount || 0);
+        const totalTarget = Money.sumBy(goals, g => g.targetAmount);
         const avgProgress = goals.length > 0 ? Math.round(goals.reduce((s, g) => s + getProgressPercentage(g.currentAmount || 0, g.targetAmount), 0) / goals.length) : 0;
-        const totalRemaining = Math.max(0, totalTarget - totalAssigned);
+        const totalRemaining = Math.max(0, Money.subtract(totalTarget, totalAssigned));
         const monthsToAll = savingsVelocity > 0 ? Math.ceil(totalRemaining / savingsVelocity) : null;
         const estimatedDate = monthsToAll ? new Date(time.now().getTime() + monthsToAll * 30 * 24 * 60 * 60 * 1000) : null;
         const requiredVelocity = goals.length > 0 ? goals.reduce((s, g) => {
-            const rem = Math.max(0, g.targetAmount - (g.currentAmount || 0));
+            const rem = Math.max(0, Money.subtract(g.targetAmount, g.currentAmount || 0));
             const d = daysRemaining(g.deadline);
             return s + (d > 0 ? rem / (d / 30) : 0);
         }, 0) : 0;
@@ -120,23 +131,24 @@ export default function Goals() {
     // ─── Handlers ────────────────────────────────────
     const openNew = useCallback(() => {
         setEditingGoal(null);
-        setFormData({ name: '', targetAmount: '', deadline: '', description: '', priority: 'media', icon: 'Target', imageUrl: '' });
+        setFormData({ name: '', targetAmount: '', deadline: '', description: '', priority: 'media', icon: 'Target', imageUrl: '', currency: '', indexUnit: '' });
         setShowForm(true);
     }, []);
 
-    const openEdit = useCallback((goal) => {
+    const openEdit = useCallback((g) => {
+        const goal = recordedGoal(g);
         setEditingGoal(goal);
-        setFormData({ name: goal.name, targetAmount: goal.targetAmount.toString(), deadline: goal.deadline ? goal.deadline.split('T')[0] : '', description: goal.description || '', priority: goal.priority || 'media', icon: goal.icon || 'Target', imageUrl: goal.imageUrl || getLocalGoalImage(goal.id) || '' });
+        setFormData({ name: goal.name, targetAmount: goal.targetAmount.toString(), deadline: goal.deadline ? goal.deadline.split('T')[0] : '', description: goal.description || '', priority: goal.priority || 'media', icon: goal.icon || 'Target', imageUrl: goal.imageUrl || getLocalGoalImage(goal.id) || '', currency: goal.currency || '', indexUnit: goal.indexUnit || '' });
         setShowForm(true);
-    }, []);
+    }, [recordedGoal]);
 
     const handleSubmit = useCallback((e) => {
         e.preventDefault();
-        const goalData = { name: formData.name, targetAmount: Number(formData.targetAmount), deadline: formData.deadline, description: formData.description, priority: formData.priority, icon: formData.icon, imageUrl: formData.imageUrl, currentAmount: editingGoal ? editingGoal.currentAmount : 0, createdAt: editingGoal ? editingGoal.createdAt : new Date().toISOString() };
+        const goalData = { name: formData.name, targetAmount: Number(formData.targetAmount), deadline: formData.deadline, description: formData.description, priority: formData.priority, icon: formData.icon, imageUrl: formData.imageUrl, currency: formData.indexUnit ? 'CLP' : formData.currency || base, indexUnit: formData.indexUnit || null, createdAt: editingGoal ? editingGoal.createdAt : new Date().toISOString() };
         if (editingGoal) { dispatch({ type: 'UPDATE_GOAL', payload: { ...goalData, id: editingGoal.id } }); addToast('Meta actualizada', { type: 'success' }); }
         else { dispatch({ type: 'ADD_GOAL', payload: goalData }); addToast('Meta creada', { type: 'success' }); }
         setShowForm(false);
-    }, [formData, editingGoal, dispatch, addToast]);
+    }, [formData, editingGoal, base, dispatch, addToast]);
 
     const handleDelete = useCallback((goalId) => {
         dispatch({ type: 'DELETE_GOAL', payload: goalId });
@@ -149,12 +161,25 @@ export default function Goals() {
         const amount = Number(savingsAmount);
         if (!amount || amount <= 0) return;
         const g = showAddSavings;
-        dispatch({ type: 'ADD_SAVINGS_TO_GOAL', payload: { goalId: g.id, amount } });
-        dispatch({ type: 'ADD_TRANSACTION', payload: { type: 'ahorro', amount, category: 'ahorro_meta', date: new Date().toISOString(), note: `Ahorro para: ${g.name}` } });
-        addToast(`${formatCurrency(amount)} añadidos`, { type: 'success' });
+        const id = generateId();
+        const date = new Date().toISOString();
+        const note = `Ahorro para: ${g.name}`;
+        dispatch({ type: 'ADD_SAVINGS_TO_GOAL', payload: { goalId: g.id, amount, date, note, transactionId: id } });
+        dispatch({ type: 'ADD_TRANSACTION', payload: { id, type: 'ahorro', amount, category: 'ahorro_meta', date, note, goalId: g.id, currency: g.currency } });
+        addToast(`${formatCurrency(amount, g.currency)} añadidos`, { type: 'success' });
         setSavingsAmount(''); setShowAddSavings(null);
     }, [savingsAmount, showAddSavings, dispatch, addToast]);
 
+    const handleWithdraw = useCallback((e) => {
+        e.preventDefault();
+        const g = showWithdraw;
+        const amount = Math.min(Number(withdrawData.amount), g.currentAmount || 0);
+        if (!amount || amount <= 0) { addToast('Ingresa un monto válido', { type: 'warning' }); return; }
+        dispatch({ type: 'WITHDRAW_FROM_GOAL', payload: { goalId: g.id, amount, date: new Date().toISOString(), note: withdrawData.note } });
+        addToast(`${formatCurrency(amount, g.currency)} retirados de ${g.name}`, { type: 'info' });
+        setWithdrawData({ amount: '', note: '' }); setShowWithdraw(null);
+    }, [withdrawData, showWithdraw, dispatch, addToast]);
+
     if (!isLoaded) return <div className="page-content"><SkeletonGoalCards /></div>;
 
     // ═══════════════════════ RENDER ═══════════════════
@@ -282,10 +307,10 @@ export default function Goals() {
                                     <div style={{ flex: 1, padding: '20px 24px', display: 'flex', flexDirection: 'column', justifyContent: 'space-between', minWidth: 0 }}>
                                         <div>
                                             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 4 }}>
-                                                <h3 style={{ fontSize: 16, fontWeight: 700, margin: 0 }}>{gm.name}</h3>
+                                                <h3 onClick={() => setShowDetail(gm)} style={{ fontSize: 16, fontWeight: 700, margin: 0, cursor: 'pointer' }}>{gm.name}</h3>
                                                 <div style={{ display: 'flex', gap: 6 }}>
                                                     <button onClick={() => { openEdit(gm); }} className="onboarding-remove-btn" style={{ width: 28, height: 28, opacity: 0.5 }}><Edit3 size={12} /></button>
-                                                    <button onClick={() => setShowAddSavings(gm)} className="btn-wealth" style={{ padding: '4px 12px', fontSize: 11 }}><PiggyBank size={12} /> Ahorrar</button>
+                                                    <button onClick={() => setShowAddSavings(recordedGoal(gm))} className="btn-wealth" style={{ padding: '4px 12px', fontSize: 11 }}><PiggyBank size={12} /> Ahorrar</button>
                                                 </div>
                                             </div>
                                             <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 12 }}>
@@ -293,6 +318,20 @@ export default function Goals() {
                                                     <span style={{ fontFamily: 'Space Grotesk', fontSize: 15, fontWeight: 700, color: 'var(--accent-primary)' }}>{formatCurrency(gm.currentAmount || 0)}</span>
                                                 </PrivacyAmount>
                                                 <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>/ {formatCurrency(gm.targetAmount)}</span>
+                                                {gm.indexUnit && (
+                                                    <PrivacyAmount>
+                                                        <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                                                            ({gm.unconverted ? `sin valor ${gm.indexUnit} · ` : ''}{formatIndexed(gm.indexedTarget, gm.indexUnit)})
+                                                        </span>
+                                                    </PrivacyAmount>
+                                                )}
+                                                {gm.currency && gm.currency !== base && !gm.indexUnit && (
+                                                    <PrivacyAmount>
+                                                        <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                                                            ({gm.unconverted ? 'sin tipo de cambio · ' : ''}{formatCurrency(recordedGoal(gm).currentAmount || 0, gm.currency)} / {formatCurrency(recordedGoal(gm).targetAmount, gm.currency)})
+                                                        </span>
+                                                    </PrivacyAmount>
+                                                )}
                                                 <div style={{ padding: '2px 8px', borderRadius: 6, fontSize: 10, fontWeight: 700, background: paceConf.bg, color: paceConf.color, display: 'flex', alignItems: 'center', gap: 3 }}>
                                                     <paceConf.icon size={10} />
                                                     {gm.pace === 'ahead' && gm.daysAhead > 0 ? `${gm.daysAhead}d adelantado` : gm.pace === 'behind' && gm.daysAhead < 0 ? `${Math.abs(gm.daysAhead)}d atrasado` : paceConf.label}
@@ -432,9 +471,27 @@ export default function Goals() {
                     <div style={{ marginBottom: 24 }}><GoalImageUpload goalId={editingGoal?.id || 'new-goal-temp'} currentImageUrl={formData.imageUrl} onImageChange={(url) => setFormData({ ...formData, imageUrl: url || '' })} /></div>
                     <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>NOMBRE DE LA META</label><div style={{ position: 'relative' }}><Type size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} placeholder="Ej: Viaje a Japón" value={formData.name} onChange={e => setFormData({ ...formData, name: e.target.value })} required autoFocus /></div></div>
                     <div className="bento-grid" style={{ gridAutoRows: 'auto', gap: 16 }}>
-                        <div className="bento-span-6 form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>MONTO OBJETIVO</label><div style={{ position: 'relative' }}><DollarSign size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} type="number" placeholder="0" value={formData.targetAmount} onChange={e => setFormData({ ...formData, targetAmount: e.target.value })} required min="1" /></div></div>
+                        <div className="bento-span-6 form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>MONTO OBJETIVO</label><div style={{ position: 'relative' }}><DollarSign size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} type="number" step="any" placeholder={formData.indexUnit || '0'} value={formData.targetAmount} onChange={e => setFormData({ ...formData, targetAmount: e.target.value })} required min="1" /></div></div>
                         <div className="bento-span-6 form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>FECHA LÍMITE</label><div style={{ position: 'relative' }}><Calendar size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} type="date" value={formData.deadline} onChange={e => setFormData({ ...formData, deadline: e.target.value })} required /></div></div>
                     </div>
+                    <div className="bento-grid" style={{ gridAutoRows: 'auto', gap: 16 }}>
+                        <div className="bento-span-6 form-group">
+                            <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>MONEDA DE LA META</label>
+                            <select className="wealth-input" value={formData.indexUnit ? 'CLP' : formData.currency || base} onChange={e => setFormData({ ...formData, currency: e.target.value })}
+                                disabled={(editingGoal?.ledger || []).length > 0 || !!formData.indexUnit}>
+                                {getCurrencyOptions(base, exchangeRates).map(c => <option key={c.code} value={c.code}>{c.code} · {c.label}</option>)}
+                            </select>
+                        </div>
+                        <div className="bento-span-6 form-group">
+                            <label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>OBJETIVO EXPRESADO EN</label>
+                            {/* UF/UTM goals are saved towards in pesos */}
+                            <select className="wealth-input" value={formData.indexUnit} onChange={e => setFormData({ ...formData, indexUnit: e.target.value })}
+                                disabled={(editingGoal?.ledger || []).length > 0 && (editingGoal.currency || base) !== 'CLP'}>
+                                <option value="">Moneda de la meta</option>
+                                {Object.values(INDEX_UNITS).map(u => <option key={u.code} value={u.code}>{u.code} · {u.label}</option>)}
+                            </select>
+                        </div>
+                    </div>
                     <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>PRIORIDAD</label><div style={{ position: 'relative' }}><Tag size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} /><select className="wealth-input" style={{ paddingLeft: 40 }} value={formData.priority} onChange={e => setFormData({ ...formData, priority: e.target.value })}><option value="alta">Alta (Urgente)</option><option value="media">Media (Importante)</option><option value="baja">Baja (Opcional)</option></select></div></div>
                     <div className="form-group" style={{ marginBottom: 32 }}><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>DESCRIPCIÓN (OPCIONAL)</label><div style={{ position: 'relative' }}><FileText size={14} style={{ position: 'absolute', left: 14, top: 24, color: 'var(--text-muted)' }} /><textarea className="wealth-input" style={{ paddingLeft: 40, minHeight: 80, resize: 'none', paddingTop: 12 }} placeholder="Detalles..." value={formData.description} onChange={e => setFormData({ ...formData, description: e.target.value })} /></div></div>
                     <div className="form-actions" style={{ border: 'none', padding: 0 }}>
@@ -450,6 +507,7 @@ export default function Goals() {
                     const gm = goalMetrics.find(g => g.id === showDetail.id) || showDetail;
                     const paceConf = PACE_CONFIG[gm.pace || 'unknown'];
                     const rec = calculateSavingsRecommendation(gm.remaining || (gm.targetAmount - (gm.currentAmount || 0)), gm.deadline);
+                    const ledger = getLedgerEntries(gm);
                     return (
                         <div className="fade-and-slide">
                             {gm.goalImg && <div style={{ borderRadius: 12, overflow: 'hidden', height: 160, marginBottom: 24 }}><img src={gm.goalImg} style={{ width: '100%', height: '100%', objectFit: 'cover' }} alt="" /></div>}
@@ -472,6 +530,16 @@ export default function Goals() {
                                     </div>
                                 ))}
                             </div>
+                            {gm.indexUnit && (
+                                <PrivacyAmount>
+                                    <div style={{ fontSize: 12, color: 'var(--text-muted)', lineHeight: 1.6, marginBottom: 20 }}>
+                                        Objetivo de {formatIndexed(gm.indexedTarget, gm.indexUnit)}
+                                        {gm.unconverted ? `: registra el valor de la ${gm.indexUnit} en tu perfil para verlo en pesos.` : `, hoy ${formatCurrency(gm.targetAmount)}.`}
+                                        {gm.prediction?.projectedTarget > gm.targetAmount && ` Al completarla (${formatDate(gm.prediction.projectedDate)}) equivaldrá a unos ${formatCurrency(gm.prediction.projectedTarget)}.`}
+                                        {gm.prediction?.outpaced && ` ${gm.prediction.message}`}
+                                    </div>
+                                </PrivacyAmount>
+                            )}
                             <div className="card-wealth" style={{ background: 'rgba(0,245,212,0.03)', borderColor: 'rgba(0,245,212,0.1)', marginBottom: 20 }}>
                                 <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
                                     <Clock size={20} color="var(--accent-primary)" />
@@ -483,10 +551,33 @@ export default function Goals() {
                                     </div>
                                 </div>
                             </div>
+                            <div style={{ marginBottom: 20 }}>
+                                <div style={{ fontSize: 11, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.08em', color: 'var(--text-muted)', marginBottom: 10 }}>Historial de movimientos</div>
+                                {ledger.length === 0 ? (
+                                    <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>Aún no hay aportes en esta meta.</div>
+                                ) : (
+                                    <div style={{ display: 'flex', flexDirection: 'column', gap: 6, maxHeight: 240, overflowY: 'auto' }}>
+                                        {[...ledger].reverse().map(entry => {
+                                            const isWithdrawal = entry.type === LEDGER_TYPES.WITHDRAWAL;
+                                            return (
+                                                <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '10px 12px', borderRadius: 10, background: 'var(--bg-elevated)', borderLeft: `2px solid ${isWithdrawal ? 'var(--danger)' : 'var(--success)'}` }}>
+                                                    {isWithdrawal ? <ArrowDownRight size={14} color="var(--danger)" /> : <ArrowUpRight size={14} color="var(--success)" />}
+                                                    <div style={{ flex: 1, minWidth: 0 }}>
+                                                        <div style={{ fontSize: 12, fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{entry.note || (isWithdrawal ? 'Retiro' : 'Aporte')}</div>
+                                                        <div style={{ fontSize: 10, color: 'var(--text-muted)' }}>{formatDate(entry.date)}</div>
+                                                    </div>
+                                                    <PrivacyAmount><span style={{ fontFamily: 'Space Grotesk', fontSize: 13, fontWeight: 700, color: isWithdrawal ? 'var(--danger)' : 'var(--success)' }}>{isWithdrawal ? '−' : '+'}{formatCurrency(entry.amount, gm.currency)}</span></PrivacyAmount>
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                )}
+                            </div>
                             <div className="form-actions" style={{ marginTop: 24, border: 'none', padding: 0 }}>
                                 <button className="btn-wealth btn-wealth-outline" onClick={() => handleDelete(showDetail.id)} style={{ color: 'var(--danger)', borderColor: 'rgba(255,93,93,0.2)' }}><Trash2 size={14} /> Eliminar</button>
                                 <button className="btn-wealth btn-wealth-outline" onClick={() => { setShowDetail(null); openEdit(showDetail); }}><Edit3 size={14} /> Editar</button>
-                                <button className="btn-wealth" style={{ flex: 1 }} onClick={() => { setShowDetail(null); setShowAddSavings(showDetail); }}><PiggyBank size={14} /> Ahorrar</button>
+                                {(gm.currentAmount || 0) > 0 && <button className="btn-wealth btn-wealth-outline" onClick={() => { setShowDetail(null); setShowWithdraw(recordedGoal(gm)); }}><ArrowDownRight size={14} /> Retirar</button>}
+                                <button className="btn-wealth" style={{ flex: 1 }} onClick={() => { setShowDetail(null); setShowAddSavings(recordedGoal(showDetail)); }}><PiggyBank size={14} /> Ahorrar</button>
                             </div>
                         </div>
                     );
@@ -501,7 +592,7 @@ export default function Goals() {
                             <WealthRing current={showAddSavings.currentAmount || 0} target={showAddSavings.targetAmount} size={120} />
                             <div style={{ marginTop: 12, fontSize: 13, color: 'var(--text-muted)' }}>{showAddSavings.name}</div>
                         </div>
-                        <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>¿CUÁNTO VAS A AHORRAR?</label><div style={{ position: 'relative' }}><DollarSign size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} type="number" placeholder="0" value={savingsAmount} onChange={e => setSavingsAmount(e.target.value)} required autoFocus /></div></div>
+                        <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>¿CUÁNTO VAS A AHORRAR? ({showAddSavings.currency || base})</label><div style={{ position: 'relative' }}><DollarSign size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} type="number" placeholder="0" value={savingsAmount} onChange={e => setSavingsAmount(e.target.value)} required autoFocus /></div></div>
                         <div className="form-actions" style={{ border: 'none', padding: 0, marginTop: 24 }}>
                             <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48 }} onClick={() => setShowAddSavings(null)}>Cancelar</button>
                             <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center' }}>Confirmar Ahorro</button>
@@ -509,6 +600,24 @@ export default function Goals() {
                     </form>
                 )}
             </Modal>
+
+            {/* Withdraw Modal */}
+            <Modal isOpen={!!showWithdraw} onClose={() => setShowWithdraw(null)} title="Retirar de la Meta">
+                {showWithdraw && (
+                    <form onSubmit={handleWithdraw}>
+                        <div style={{ textAlign: 'center', marginBottom: 24 }}>
+                            <WealthRing current={showWithdraw.currentAmount || 0} target={showWithdraw.targetAmount} size={120} />
+                            <div style={{ marginTop: 12, fontSize: 13, color: 'var(--text-muted)' }}>{showWithdraw.name} · Disponible: {formatCurrency(showWithdraw.currentAmount || 0, showWithdraw.currency)}</div>
+                        </div>
+                        <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>¿CUÁNTO VAS A RETIRAR?</label><div style={{ position: 'relative' }}><DollarSign size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} type="number" placeholder="0" max={showWithdraw.currentAmount || 0} value={withdrawData.amount} onChange={e => setWithdrawData(d => ({ ...d, amount: e.target.value }))} required autoFocus /></div></div>
+                        <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>MOTIVO</label><div style={{ position: 'relative' }}><FileText size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} type="text" placeholder="Ej: Imprevisto médico" value={withdrawData.note} onChange={e => setWithdrawData(d => ({ ...d, note: e.target.value }))} /></div></div>
+                        <div className="form-actions" style={{ border: 'none', padding: 0, marginTop: 24 }}>
+                            <button type="button" className="btn-wealth btn-wealth-outline" style={{ height: 48 }} onClick={() => setShowWithdraw(null)}>Cancelar</button>
+                            <button type="submit" className="btn-wealth" style={{ flex: 1, height: 48, justifyContent: 'center', background: 'var(--danger)' }}>Confirmar Retiro</button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
         </motion.div>
     );
 }
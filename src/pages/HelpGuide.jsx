@@ -254,7 +254,7 @@ const GUIDE_SECTIONS = [
             },
             {
                 subtitle: 'Sanitización de Datos',
-                text: 'Todo input del usuario pasa por sanitización HTML para prevenir ataques XSS. Los montos usan Finance.parse() para evitar errores de punto flotante.',
+                text: 'Todo input del usuario pasa por sanitización HTML para prevenir ataques XSS. Los montos se calculan en unidades enteras (pesos, centavos) para que las sumas nunca acumulen errores de punto flotante.',
             },
             {
                 subtitle: 'Backup y Restauración',
@@ -1,15 +1,26 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { useApp } from '../context/AppContext';
 import { useToast } from '../context/ToastContext';
 import { usePrivacy } from '../context/PrivacyContext';
 import { useAuth } from '../context/AuthContext';
 import ConfirmDialog from '../components/ConfirmDialog';
+import CsvImportWizard from '../components/CsvImportWizard';
+import ExchangeRatesModal from '../components/ExchangeRatesModal';
+import IndexValuesModal from '../components/IndexValuesModal';
+import SearchQueryInput from '../components/SearchQueryInput';
+import SyncConflictsModal from '../components/SyncConflictsModal';
+import { useSync } from '../hooks/useSync';
 import { formatCurrency, getProgressPercentage } from '../utils/helpers';
 import { calculateLevel, getLevelTitle, getXPForNextLevel, evaluateBadges, BADGES } from '../utils/gamification';
+import { exportData, exportTransactions } from '../utils/backup';
+import { EXCHANGE_FORMATS } from '../utils/exchangeFormats';
+import { getCurrencyOptions, normalizeCurrency } from '../utils/currency';
+import { searchTransactions, buildQueryOptions, queryContext } from '../utils/searchQuery';
 import {
     Save, User, Mail, Trash2, Shield, Eye, EyeOff, LogOut, LogIn, Cloud, CloudOff,
-    Target, LayoutDashboard, Calendar, Trophy, Zap, Wallet, Activity, Repeat
+    Target, LayoutDashboard, Calendar, Trophy, Zap, Wallet, Activity, Repeat,
+    Download, Upload, Coins, TrendingUp, AlertTriangle
 } from 'lucide-react';
 
 export default function Profile() {
@@ -17,11 +28,20 @@ export default function Profile() {
     const { addToast } = useToast();
     const { isPrivate, togglePrivacy } = usePrivacy();
     const { user, displayName, avatarUrl, logout, configured } = useAuth();
-    const { goals, transactions, routines, profile, gamification } = state;
+    const { goals, transactions, routines, profile, gamification, accounts = [] } = state;
 
     const [name, setName] = useState(profile.name || '');
     const [email, setEmail] = useState(profile.email || '');
     const [showResetConfirm, setShowResetConfirm] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+    const [showRates, setShowRates] = useState(false);
+    const [showIndexValues, setShowIndexValues] = useState(false);
+    const [showConflicts, setShowConflicts] = useState(false);
+    const { conflicts } = useSync();
+    // Narrows the OFX/QIF export down with the Finances search syntax
+    const [exportQuery, setExportQuery] = useState('');
+    const exportOptions = useMemo(() => buildQueryOptions(transactions, accounts, state.categories), [transactions, accounts, state.categories]);
+    const baseCurrency = normalizeCurrency(profile.currency);
 
     const level = calculateLevel(gamification.totalXP);
     const badges = evaluateBadges(state);
@@ -36,6 +56,22 @@ export default function Profile() {
         addToast('Perfil actualizado correctamente', { type: 'success' });
     }, [name, email, profile, dispatch, addToast]);
 
+    const handleCurrencyChange = useCallback((currency) => {
+        dispatch({ type: 'UPDATE_PROFILE', payload: { currency } });
+        addToast(`Moneda base: ${currency}. Revisa tus tipos de cambio.`, { type: 'success' });
+    }, [dispatch, addToast]);
+
+    const handleExport = useCallback(async (format) => {
+        const selected = searchTransactions(transactions, exportQuery, queryContext(accounts));
+        if (format !== 'json' && selected.length === 0) {
+            addToast('No hay movimientos para exportar', { type: 'warning' });
+            return;
+        }
+        if (format === 'json') await exportData();
+        else exportTransactions(selected, format);
+        addToast(`Archivo ${format.toUpperCase()} descargado`, { type: 'success' });
+    }, [transactions, accounts, exportQuery, addToast]);
+
     const handleReset = useCallback(() => {
         localStorage.clear();
         addToast('Todos los datos han sido eliminados de este dispositivo', { type: 'warning' });
@@ -85,7 +121,8 @@ export default function Profile() {
                             </div>
                         </div>
 
-                        <div style={{
+                        <button type="button" disabled={!user} onClick={() => setShowConflicts(true)} style={{
+                            width: '100%', textAlign: 'left', cursor: user ? 'pointer' : 'default',
                             padding: '12px 16px', borderRadius: 8,
                             background: user ? 'rgba(0, 245, 212, 0.05)' : 'rgba(255, 190, 11, 0.05)',
                             border: '1px solid var(--border-color)',
@@ -95,8 +132,13 @@ export default function Profile() {
                             marginBottom: 20
                         }}>
                             {user ? <Cloud size={14} /> : <CloudOff size={14} />}
-                            {user ? 'Sincronizado con la Nube' : 'Sin sincronizar (Solo Local)'}
-                        </div>
+                            <span style={{ flex: 1 }}>{user ? 'Sincronizado con la Nube' : 'Sin sincronizar (Solo Local)'}</span>
+                            {user && conflicts.length > 0 && (
+                                <span style={{ display: 'flex', alignItems: 'center', gap: 4, color: 'var(--warning)' }}>
+                                    <AlertTriangle size={13} /> {conflicts.length} {conflicts.length === 1 ? 'conflicto' : 'conflictos'}
+                                </span>
+                            )}
+                        </button>
 
                         <div style={{ marginBottom: 20 }}>
                             <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, color: 'var(--text-muted)', marginBottom: 8 }}>
@@ -138,6 +180,27 @@ export default function Profile() {
                             <Save size={16} /> Guardar Cambios
                         </button>
                     </div>
+
+                    <div className="card-wealth">
+                        <h3 className="section-title" style={{ fontSize: 14, textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 16, color: 'var(--text-muted)' }}>Moneda</h3>
+                        <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 16, lineHeight: 1.6 }}>
+                            Todos los totales se muestran en tu moneda base. Los movimientos y metas en otra moneda se convierten con tus tipos de cambio. Las metas y gastos fijos en UF o UTM, con los valores que registres.
+                        </p>
+                        <div className="form-group">
+                            <label className="form-label" style={{ fontSize: 11 }}>Moneda base</label>
+                            <select className="wealth-input" value={baseCurrency} onChange={e => handleCurrencyChange(e.target.value)}>
+                                {getCurrencyOptions(baseCurrency, state.exchangeRates).map(c => (
+                                    <option key={c.code} value={c.code}>{c.code} · {c.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <button className="btn-wealth btn-wealth-outline" onClick={() => setShowRates(true)} style={{ width: '100%', justifyContent: 'center' }}>
+                            <Coins size={16} /> Tipos de cambio ({state.exchangeRates?.items?.length || 0})
+                        </button>
+                        <button className="btn-wealth btn-wealth-outline" onClick={() => setShowIndexValues(true)} style={{ width: '100%', justifyContent: 'center', marginTop: 8 }}>
+                            <TrendingUp size={16} /> Valores UF / UTM ({state.indexValues?.items?.length || 0})
+                        </button>
+                    </div>
                 </div>
 
                 {/* MIDDLE COLUMN - STATS & PRIVACY */}
@@ -193,6 +256,32 @@ export default function Profile() {
                         </div>
                     </div>
 
+                    <div className="card-wealth">
+                        <h3 className="section-title" style={{ fontSize: 14, textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 16, color: 'var(--text-muted)' }}>Respaldo e Intercambio</h3>
+                        <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 20, lineHeight: 1.6 }}>
+                            Descarga un respaldo completo o lleva tus movimientos a software financiero de escritorio (OFX/QIF).
+                        </p>
+                        <div style={{ marginBottom: 12 }}>
+                            <SearchQueryInput
+                                value={exportQuery}
+                                onChange={setExportQuery}
+                                options={exportOptions}
+                                placeholder="OFX/QIF: todos, o ej. desde:2026-01-01 tipo:gasto"
+                                width="100%"
+                            />
+                        </div>
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 8, marginBottom: 8 }}>
+                            {['json', EXCHANGE_FORMATS.OFX, EXCHANGE_FORMATS.QIF].map(format => (
+                                <button key={format} className="btn-wealth btn-wealth-outline" onClick={() => handleExport(format)} style={{ justifyContent: 'center', fontSize: 12 }}>
+                                    <Download size={14} /> {format.toUpperCase()}
+                                </button>
+                            ))}
+                        </div>
+                        <button className="btn-wealth btn-wealth-outline" onClick={() => setShowImport(true)} style={{ width: '100%', justifyContent: 'center' }}>
+                            <Upload size={16} /> Importar movimientos
+                        </button>
+                    </div>
+
                     <div className="card-wealth" style={{ borderColor: 'rgba(255, 93, 93, 0.2)' }}>
                         <h3 className="section-title" style={{ fontSize: 14, textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: 16, color: 'var(--danger)' }}>Zona de Peligro</h3>
                         <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 20, lineHeight: 1.6 }}>
@@ -249,6 +338,11 @@ export default function Profile() {
                 </div>
             </div>
 
+            <CsvImportWizard isOpen={showImport} onClose={() => setShowImport(false)} />
+            <ExchangeRatesModal isOpen={showRates} onClose={() => setShowRates(false)} />
+            <IndexValuesModal isOpen={showIndexValues} onClose={() => setShowIndexValues(false)} />
+            <SyncConflictsModal isOpen={showConflicts} onClose={() => setShowConflicts(false)} />
+
             <ConfirmDialog
                 isOpen={showResetConfirm}
                 onConfirm={handleReset}
@@ -4,24 +4,17 @@ import { useToast } from '../context/ToastContext';
 import Modal from '../components/Modal';
 import { SkeletonRoutines } from '../components/Skeleton';
 import { calculateLevel, getLevelTitle, getXPForNextLevel, XP_REWARDS } from '../utils/gamification';
+import { listCategories, findCategory } from '../utils/categories';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
-    Plus, Trash2, Edit3, ShieldCheck, Zap, Activity, Book, Target, CheckCircle2,
-    Flame, Award, Dumbbell, Wallet, Type, Tag, FileText, TrendingUp, TrendingDown,
+    Plus, Trash2, Edit3, ShieldCheck, Zap, Activity, CheckCircle2,
+    Flame, Award, Type, Tag, FileText, TrendingUp, TrendingDown,
     Calendar, Lightbulb, AlertTriangle, Crown, ChevronRight, ChevronDown, ChevronUp
 } from 'lucide-react';
 
 const anim = { hidden: { opacity: 0 }, show: { opacity: 1, transition: { staggerChildren: 0.06 } } };
 const fadeUp = { hidden: { y: 16, opacity: 0 }, show: { y: 0, opacity: 1, transition: { duration: 0.5, ease: [.16, 1, .3, 1] } } };
 
-const CATEGORIES = {
-    dinero: { label: 'Finanzas', icon: Wallet, color: 'var(--accent-primary)' },
-    salud: { label: 'Salud', icon: Dumbbell, color: '#ff5d5d' },
-    estudio: { label: 'Aprendizaje', icon: Book, color: '#70d6ff' },
-    disciplina: { label: 'Enfoque', icon: Target, color: '#a29bfe' },
-    otros: { label: 'Otros', icon: Activity, color: 'var(--text-muted)' },
-};
-
 const DIFFICULTIES = {
     baja: { label: 'Baja', color: 'var(--accent-primary)', mult: 0.8 },
     media: { label: 'Media', color: 'var(--warning)', mult: 1.0 },
@@ -296,12 +289,11 @@ export default function Routines() {
                     ) : (
                         <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
                             {todayStats.pending.map(r => {
-                                const cat = CATEGORIES[r.category] || CATEGORIES.otros;
-                                const CatIcon = cat.icon;
+                                const cat = findCategory('rutina', r.category || 'otros');
                                 return (
                                     <div key={r.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '8px 12px', borderRadius: 10, background: 'var(--bg-elevated)', transition: 'background 0.15s' }}>
                                         <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-                                            <CatIcon size={14} color={cat.color} />
+                                            <span style={{ fontSize: 14 }}>{cat.icon}</span>
                                             <span style={{ fontSize: 13, fontWeight: 600 }}>{r.name}</span>
                                             {r.streak > 0 && <span style={{ fontSize: 10, color: 'var(--warning)', display: 'flex', alignItems: 'center', gap: 2 }}><Flame size={10} />{r.streak}</span>}
                                         </div>
@@ -316,8 +308,7 @@ export default function Routines() {
                 {/* ━━━━━ BLOCK 3: HABIT CARDS ━━━━━ */}
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 12, marginBottom: 24 }}>
                     {routineMetrics.map(rm => {
-                        const cat = CATEGORIES[rm.category] || CATEGORIES.otros;
-                        const CatIcon = cat.icon;
+                        const cat = findCategory('rutina', rm.category || 'otros');
                         const diff = DIFFICULTIES[rm.difficulty || 'media'];
                         const streakActive = rm.streak > 0;
                         const streakColor = rm.streak >= 7 ? 'var(--success)' : rm.streak >= 3 ? 'var(--warning)' : 'var(--danger)';
@@ -331,7 +322,7 @@ export default function Routines() {
                                     <div style={{ flex: 1, padding: '18px 20px', display: 'flex', alignItems: 'center', gap: 16 }}>
                                         {/* Icon */}
                                         <div style={{ width: 40, height: 40, borderRadius: 10, background: cat.color + '15', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
-                                            <CatIcon size={18} color={cat.color} />
+                                            <span style={{ fontSize: 18 }}>{cat.icon}</span>
                                         </div>
 
                                         {/* Info */}
@@ -453,7 +444,7 @@ export default function Routines() {
                     <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>NOMBRE DEL HÁBITO</label><div style={{ position: 'relative' }}><Type size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} /><input className="wealth-input" style={{ paddingLeft: 40 }} placeholder="Ej: Registrar gastos diarios" value={formData.name} onChange={e => setFormData({ ...formData, name: e.target.value })} required autoFocus /></div></div>
                     <div className="form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>OBJETIVO / DISCIPLINA</label><div style={{ position: 'relative' }}><ShieldCheck size={14} style={{ position: 'absolute', left: 14, top: 18, color: 'var(--text-muted)' }} /><textarea className="wealth-input" style={{ paddingLeft: 40, paddingTop: 14, minHeight: 80, resize: 'none' }} placeholder="¿Cómo te acerca a tu libertad financiera?" value={formData.objective} onChange={e => setFormData({ ...formData, objective: e.target.value })} /></div></div>
                     <div className="bento-grid" style={{ gridAutoRows: 'auto', gap: 16 }}>
-                        <div className="bento-span-6 form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>CATEGORÍA</label><div style={{ position: 'relative' }}><Tag size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} /><select className="wealth-input" style={{ paddingLeft: 40 }} value={formData.category} onChange={e => setFormData({ ...formData, category: e.target.value })} required>{Object.entries(CATEGORIES).map(([v, d]) => <option key={v} value={v}>{d.label}</option>)}</select></div></div>
+                        <div className="bento-span-6 form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>CATEGORÍA</label><div style={{ position: 'relative' }}><Tag size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} /><select className="wealth-input" style={{ paddingLeft: 40 }} value={formData.category} onChange={e => setFormData({ ...formData, category: e.target.value })} required>{listCategories('rutina').map(c => <option key={c.value} value={c.value}>{c.icon} {c.label}</option>)}</select></div></div>
                         <div className="bento-span-6 form-group"><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>DIFICULTAD</label><div style={{ position: 'relative' }}><Zap size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} /><select className="wealth-input" style={{ paddingLeft: 40 }} value={formData.difficulty} onChange={e => setFormData({ ...formData, difficulty: e.target.value })} required>{Object.entries(DIFFICULTIES).map(([v, d]) => <option key={v} value={v}>{d.label} (x{d.mult} XP)</option>)}</select></div></div>
                     </div>
                     <div className="form-group" style={{ marginBottom: 32 }}><label className="form-label" style={{ fontSize: 11, opacity: 0.7 }}>FRECUENCIA</label><div style={{ position: 'relative' }}><Activity size={14} style={{ position: 'absolute', left: 14, top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)', zIndex: 1 }} /><select className="wealth-input" style={{ paddingLeft: 40 }} value={formData.frequency} onChange={e => setFormData({ ...formData, frequency: e.target.value })} required><option value="daily">Diariamente</option><option value="weekdays">Días laborales</option><option value="weekly">Semanalmente</option></select></div></div>
@@ -4,6 +4,7 @@ import { useApp } from '../context/AppContext';
 import { useToast } from '../context/ToastContext';
 import { generateId, formatCurrency } from '../utils/helpers';
 import { storage } from '../utils/storage';
+import { Money } from '../utils/money';
 import confetti from 'canvas-confetti';
 import {
     PiggyBank, Target, TrendingUp, Trophy, Sparkles,
@@ -159,10 +160,8 @@ export default function SavingsChallenge() {
     // ── Computed values ──
     const stats = useMemo(() => {
         if (!challenge) return { totalSaved: 0, remaining: 0, percent: 0, blockCount: 0, selectedCount: 0 };
-        const totalSaved = challenge.blocks
-            .filter(b => b.selected)
-            .reduce((sum, b) => sum + b.amount, 0);
-        const remaining = Math.max(0, challenge.targetAmount - totalSaved);
+        const totalSaved = Money.sumBy(challenge.blocks.filter(b => b.selected), b => b.amount);
+        const remaining = Math.max(0, Money.subtract(challenge.targetAmount, totalSaved));
         const percent = Math.min(100, Math.round((totalSaved / challenge.targetAmount) * 100));
         const blockCount = challenge.blocks.length;
         const selectedCount = challenge.blocks.filter(b => b.selected).length;
@@ -205,7 +204,7 @@ export default function SavingsChallenge() {
                 addToast('Agrega al menos un monto personalizado', { type: 'warning' });
                 return;
             }
-            const totalCustom = customAmounts.reduce((s, a) => s + a, 0);
+            const totalCustom = Money.sum(customAmounts);
             if (totalCustom !== setupTarget) {
                 addToast(`Los montos suman ${formatCurrency(totalCustom)} pero la meta es ${formatCurrency(setupTarget)}. Ajusta los montos.`, { type: 'warning', duration: 5000 });
                 return;
@@ -247,10 +246,8 @@ export default function SavingsChallenge() {
 
             // If selecting, check would exceed target
             if (newSelected) {
-                const currentTotal = prev.blocks
-                    .filter(b => b.selected)
-                    .reduce((s, b) => s + b.amount, 0);
-                if (currentTotal + block.amount > prev.targetAmount) {
+                const currentTotal = Money.sumBy(prev.blocks.filter(b => b.selected), b => b.amount);
+                if (Money.add(currentTotal, block.amount) > prev.targetAmount) {
                     addToast('Este monto excedería tu meta de ahorro', { type: 'warning' });
                     return prev;
                 }
@@ -260,9 +257,7 @@ export default function SavingsChallenge() {
                 b.id === blockId ? { ...b, selected: newSelected } : b
             );
 
-            const totalSaved = updatedBlocks
-                .filter(b => b.selected)
-                .reduce((s, b) => s + b.amount, 0);
+            const totalSaved = Money.sumBy(updatedBlocks.filter(b => b.selected), b => b.amount);
 
             const updated = {
                 ...prev,
@@ -362,7 +357,7 @@ export default function SavingsChallenge() {
     //  RENDER: Setup screen
     // ═══════════════════════════════════════
     if (showSetup) {
-        const customTotal = customAmounts.reduce((s, a) => s + a, 0);
+        const customTotal = Money.sum(customAmounts);
         return (
             <div className="page-content fade-and-slide">
                 <div style={{ marginBottom: 32 }}>
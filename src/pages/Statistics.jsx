@@ -1,5 +1,6 @@
-import { useMemo, memo, useCallback } from 'react';
+import { useState, useMemo, memo, useCallback } from 'react';
 import { useApp } from '../context/AppContext';
+import { useBaseCurrency } from '../hooks/useBaseCurrency';
 import { SkeletonChart } from '../components/Skeleton';
 import {
     BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
@@ -10,7 +11,13 @@ import {
     getProgressPercentage,
     getTransactionCategories
 } from '../utils/helpers';
-import { TrendingUp, PieChart as PieIcon, Activity, BarChart3, Target, Zap, Database } from 'lucide-react';
+import { Money } from '../utils/money';
+import { expandSplitLines } from '../utils/splits';
+import { categoryPath, findCategory } from '../utils/categories';
+import { filterTransactions } from '../utils/savedFilters';
+import { searchTransactions, buildQueryOptions, queryContext } from '../utils/searchQuery';
+import SearchQueryInput from '../components/SearchQueryInput';
+import { TrendingUp, PieChart as PieIcon, Activity, BarChart3, Target, Zap, Database, Bookmark } from 'lucide-react';
 import { motion } from 'framer-motion';
 
 const isIncome = (t) => t.type === 'income' || t.type === 'ingreso';
@@ -74,8 +81,8 @@ const MemoizedPieChart = memo(function MemoPieChart({ data }) {
                     dataKey="value"
                     stroke="none"
                 >
-                    {data.map((_, idx) => (
-                        <Cell key={`pie-${idx}`} fill={CHART_COLORS[idx % CHART_COLORS.length]} />
+                    {data.map((d, idx) => (
+                        <Cell key={`pie-${idx}`} fill={d.color || CHART_COLORS[idx % CHART_COLORS.length]} />
                     ))}
                 </Pie>
                 <Tooltip
@@ -205,36 +212,57 @@ function ChartCard({ icon: Icon, title, subtitle, children, gridSpan = 'bento-sp
 
 function Statistics() {
     const { state } = useApp();
-    const { goals, transactions, routines, isLoaded } = state;
+    const { routines, savedFilters, accounts = [], isLoaded } = state;
+    // Every total and chart is in the base currency
+    const { base, transactions: allTransactions, goals, unconverted } = useBaseCurrency();
+    // A saved filter from Finances narrows every chart down
+    const [savedFilterId, setSavedFilterId] = useState('');
+    const [query, setQuery] = useState('');
+    const savedFilter = (savedFilters?.items || []).find(f => f.id === savedFilterId) || null;
+    const transactions = useMemo(() => {
+        const context = queryContext(accounts);
+        const scoped = savedFilter ? filterTransactions(allTransactions, savedFilter, undefined, context) : allTransactions;
+        return searchTransactions(scoped, query, context);
+    }, [allTransactions, savedFilter, query, accounts]);
+    const queryOptions = useMemo(() => buildQueryOptions(allTransactions, accounts, state.categories), [allTransactions, accounts, state.categories]);
+    // Split transactions count line by line, each in its own category
+    const lines = useMemo(() => {
+        const expanded = expandSplitLines(transactions);
+        return savedFilter?.category ? expanded.filter(l => l.category === savedFilter.category) : expanded;
+    }, [transactions, savedFilter]);
 
     // ===== MEMOIZED CALCULATIONS =====
     const monthlyData = useMemo(() => {
-        if (transactions.length === 0) return [];
+        if (lines.length === 0) return [];
         const byMonth = {};
-        transactions.forEach(t => {
+        lines.forEach(t => {
             const d = new Date(t.date || t.createdAt);
             const key = d.toLocaleString('es-CL', { month: 'short', year: '2-digit' });
             if (!byMonth[key]) byMonth[key] = { month: key, ingresos: 0, gastos: 0, ahorro: 0 };
-            if (isIncome(t)) byMonth[key].ingresos += Math.abs(t.amount);
-            else if (isExpense(t)) byMonth[key].gastos += Math.abs(t.amount);
-            else if (isSavings(t)) byMonth[key].ahorro += Math.abs(t.amount);
+            if (isIncome(t)) byMonth[key].ingresos = Money.add(byMonth[key].ingresos, Math.abs(t.amount));
+            else if (isExpense(t)) byMonth[key].gastos = Money.add(byMonth[key].gastos, Math.abs(t.amount));
+            else if (isSavings(t)) byMonth[key].ahorro = Money.add(byMonth[key].ahorro, Math.abs(t.amount));
         });
         return Object.values(byMonth).slice(-6);
-    }, [transactions]);
+    }, [lines]);
 
     const categoryData = useMemo(() => {
-        const expenses = transactions.filter(isExpense);
+        const expenses = lines.filter(isExpense);
         if (expenses.length === 0) return [];
+        // Subcategories roll up into their parent's slice
         const cats = {};
         expenses.forEach(t => {
-            const cat = t.category || 'Otros';
-            cats[cat] = (cats[cat] || 0) + Math.abs(t.amount);
+            const cat = categoryPath('gasto', t.category || 'otros_gastos').at(-1);
+            cats[cat] = Money.add(cats[cat] || 0, Math.abs(t.amount));
         });
         return Object.entries(cats)
-            .map(([name, value]) => ({ name, value }))
+            .map(([cat, value]) => {
+                const { label, color } = findCategory('gasto', cat);
+                return { name: label, value, color };
+            })
             .sort((a, b) => b.value - a.value)
             .slice(0, 8);
-    }, [transactions]);
+    }, [lines]);
 
     const savingsTrend = useMemo(() => {
         return monthlyData.map(m => ({
@@ -264,19 +292,15 @@ function Statistics() {
 
     // ===== SUMMARY STATS =====
     const summaryStats = useMemo(() => {
-        const totalIncome = transactions
-            .filter(isIncome)
-            .reduce((s, t) => s + Math.abs(t.amount), 0);
-        const totalExpenses = transactions
-            .filter(isExpense)
-            .reduce((s, t) => s + Math.abs(t.amount), 0);
-        const totalSaved = goals.reduce((s, g) => s + (g.currentAmount || 0), 0);
+        const totalIncome = Money.sumBy(lines.filter(isIncome), t => Math.abs(t.amount));
+        const totalExpenses = Money.sumBy(lines.filter(isExpense), t => Math.abs(t.amount));
+        const totalSaved = Money.sumBy(goals, g => g.currentAmount || 0);
         const avgRoutineCompletion = habitData.length > 0
             ? Math.round(habitData.reduce((s, d) => s + d.compliance, 0) / habitData.length)
             : 0;
 
         return { totalIncome, totalExpenses, totalSaved, avgRoutineCompletion };
-    }, [transactions, goals, habitData]);
+    }, [lines, goals, habitData]);
 
     if (!isLoaded) {
         return (
@@ -295,7 +319,28 @@ function Statistics() {
         >
             <motion.div variants={item} style={{ marginBottom: 40 }}>
                 <h1 className="page-title" style={{ fontSize: 36 }}>Estadísticas</h1>
-                <p className="page-subtitle">Análisis completo de tu comportamiento financiero</p>
+                <p className="page-subtitle">
+                    Análisis completo de tu comportamiento financiero · montos en {base}
+                    {unconverted > 0 && ` · ${unconverted} registro${unconverted !== 1 ? 's' : ''} sin tipo de cambio o valor UF/UTM`}
+                </p>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 16, flexWrap: 'wrap' }}>
+                    <SearchQueryInput value={query} onChange={setQuery} options={queryOptions} width={280} />
+                    {savedFilters?.items?.length > 0 && (<>
+                        <Bookmark size={14} color="var(--text-muted)" />
+                        <select
+                            className="wealth-input"
+                            aria-label="Filtro guardado"
+                            style={{ fontSize: 12, height: 34, minWidth: 200, background: 'var(--bg-elevated)', border: '1px solid var(--border-secondary)' }}
+                            value={savedFilterId}
+                            onChange={e => setSavedFilterId(e.target.value)}
+                        >
+                            <option value="">Todos los movimientos</option>
+                            {savedFilters.items.map(f => (
+                                <option key={f.id} value={f.id}>{f.name}</option>
+                            ))}
+                        </select>
+                    </>)}
+                </div>
             </motion.div>
 
             {/* Summary Cards */}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { accountDelta, getAccountBalances, getNetWorth, isTransfer } from '../utils/accounts';
+import { calculateDecisionMetrics } from '../utils/patterns';
+
+const accounts = [
+    { id: 'bank', name: 'Banco', type: 'checking', openingBalance: 500000 },
+    { id: 'card', name: 'Visa', type: 'credit_card', openingBalance: -120000 },
+];
+
+const transactions = [
+    { id: 't1', type: 'ingreso', amount: 800000, category: 'salario', accountId: 'bank', date: '2026-03-01T00:00:00.000Z' },
+    { id: 't2', type: 'gasto', amount: 45000, category: 'alimentacion', accountId: 'card', date: '2026-03-03T00:00:00.000Z' },
+    { id: 't3', type: 'transfer', amount: 165000, category: 'transferencia', accountId: 'bank', toAccountId: 'card', date: '2026-03-05T00:00:00.000Z' },
+    { id: 't4', type: 'ahorro', amount: 100000, category: 'ahorro_meta', accountId: 'bank', date: '2026-03-06T00:00:00.000Z' },
+];
+
+describe('accountDelta', () => {
+    it('should take transfers out of the source and into the destination', () => {
+        expect(accountDelta(transactions[2], 'bank')).toBe(-165000);
+        expect(accountDelta(transactions[2], 'card')).toBe(165000);
+        expect(accountDelta(transactions[2], 'cash')).toBe(0);
+    });
+
+    it('should count savings as money leaving the account', () => {
+        expect(accountDelta(transactions[3], 'bank')).toBe(-100000);
+    });
+});
+
+describe('getAccountBalances', () => {
+    it('should start from the opening balance', () => {
+        const balances = getAccountBalances(accounts, transactions);
+        expect(balances.map(b => [b.id, b.balance])).toEqual([['bank', 1035000], ['card', 0]]);
+        expect(getNetWorth(accounts, transactions)).toBe(1035000);
+    });
+
+    it('should group movements without an account in an unassigned bucket', () => {
+        const legacy = [...transactions, { id: 'old', type: 'gasto', amount: 5000, category: 'otros_gastos' }];
+        const balances = getAccountBalances(accounts, legacy);
+        expect(balances).toHaveLength(3);
+        expect(balances[2]).toMatchObject({ id: null, balance: -5000 });
+    });
+});
+
+describe('transfers in reports', () => {
+    it('should never count as income or expense', () => {
+        expect(isTransfer(transactions[2])).toBe(true);
+        const metrics = calculateDecisionMetrics(transactions);
+        expect(metrics.total).toBe(45000);
+    });
+});
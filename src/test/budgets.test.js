@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { calculateBudgetProgress, getBudgetAlerts, monthKey } from '../utils/budgets';
+
+const now = new Date(2026, 2, 15); // March 2026
+const gasto = (amount, category, date) => ({ type: 'gasto', amount, category, date });
+
+describe('monthKey', () => {
+    it('should format year and month', () => {
+        expect(monthKey(new Date(2026, 0, 31))).toBe('2026-01');
+    });
+});
+
+describe('calculateBudgetProgress', () => {
+    const transactions = [
+        gasto(40000, 'alimentacion', new Date(2026, 0, 10).toISOString()),
+        gasto(120000, 'alimentacion', new Date(2026, 1, 10).toISOString()),
+        gasto(30000, 'alimentacion', new Date(2026, 2, 3).toISOString()),
+        gasto(50000, 'transporte', new Date(2026, 2, 4).toISOString()),
+        { type: 'ingreso', amount: 999999, category: 'alimentacion', date: new Date(2026, 2, 5).toISOString() },
+    ];
+
+    it('should measure spending for the current month only', () => {
+        const [food] = calculateBudgetProgress({ items: [{ category: 'alimentacion', limit: 100000, rollover: false, since: '2026-01' }] }, transactions, now);
+        expect(food.spent).toBe(30000);
+        expect(food.carry).toBe(0);
+        expect(food.remaining).toBe(70000);
+        expect(food.status).toBe('ok');
+    });
+
+    it('should roll unspent amounts over without carrying overspending', () => {
+        // Jan: 100k − 40k → 60k carried. Feb: 160k − 120k → 40k carried into March
+        const [food] = calculateBudgetProgress({ items: [{ category: 'alimentacion', limit: 100000, rollover: true, since: '2026-01' }] }, transactions, now);
+        expect(food.carry).toBe(40000);
+        expect(food.available).toBe(140000);
+    });
+
+    it('should not roll over months before the budget existed', () => {
+        const [food] = calculateBudgetProgress({ items: [{ category: 'alimentacion', limit: 100000, rollover: true, since: '2026-03' }] }, transactions, now);
+        expect(food.carry).toBe(0);
+    });
+
+    it('should flag warning and over-budget categories', () => {
+        const progress = calculateBudgetProgress({
+            items: [
+                { category: 'alimentacion', limit: 35000, since: '2026-03' },
+                { category: 'transporte', limit: 40000, since: '2026-03' },
+            ],
+        }, transactions, now);
+        expect(progress.map(b => b.status)).toEqual(['warning', 'over']);
+    });
+
+    it('should return nothing without budgets', () => {
+        expect(calculateBudgetProgress(undefined, transactions, now)).toEqual([]);
+    });
+});
+
+describe('getBudgetAlerts', () => {
+    it('should build dashboard alerts, most exceeded first', () => {
+        const alerts = getBudgetAlerts([
+            { category: 'ropa', percent: 85, status: 'warning', remaining: 1500 },
+            { category: 'ocio', percent: 130, status: 'over', remaining: -3000 },
+            { category: 'salud', percent: 10, status: 'ok', remaining: 9000 },
+        ], c => c.toUpperCase());
+        expect(alerts).toHaveLength(2);
+        expect(alerts[0].type).toBe('danger');
+        expect(alerts[0].message).toContain('OCIO');
+        expect(alerts[1]).toEqual({ type: 'warning', message: 'Presupuesto de ROPA al 85% este mes' });
+    });
+});
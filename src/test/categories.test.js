@@ -0,0 +1,108 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+    DEFAULT_CATEGORIES, INITIAL_CATEGORY_REGISTRY, setCategoryRegistry, listCategories, findCategory, categoryPath,
+    addCategory, updateCategory, removeCategory, deletionTarget, reassignCategory,
+} from '../utils/categories';
+import { getTransactionCategories } from '../utils/helpers';
+import { classifyExpense } from '../utils/patterns';
+import { calculateBudgetProgress } from '../utils/budgets';
+import { collectDueOccurrences } from '../utils/recurring';
+import { mappers } from '../lib/dataRepository';
+
+const values = (list) => list.map(c => c.value);
+
+describe('category registry', () => {
+    it('should start from the defaults, children right after their parent', () => {
+        const expenses = values(listCategories('gasto', INITIAL_CATEGORY_REGISTRY));
+        expect(expenses.indexOf('vivienda')).toBe(expenses.indexOf('hogar') + 1);
+        expect(expenses).toContain('otros_gastos');
+        expect(values(listCategories('rutina'))).toEqual(['dinero', 'salud', 'estudio', 'disciplina', 'otros']);
+        expect(getTransactionCategories('ahorro')).toEqual([expect.objectContaining({ value: 'ahorro_meta', icon: '🎯' })]);
+    });
+
+    it('should resolve unknown and legacy values', () => {
+        expect(findCategory('gasto', 'otros').value).toBe('otros_gastos');
+        expect(findCategory('gasto', 'mascotas')).toMatchObject({ value: 'mascotas', label: 'mascotas', icon: '📦' });
+        expect(categoryPath('gasto', 'internet')).toEqual(['internet', 'servicios']);
+        expect(categoryPath('gasto', 'hogar')).toEqual(['hogar']);
+    });
+
+    it('should add categories with a unique value and at most two levels', () => {
+        let registry = addCategory(INITIAL_CATEGORY_REGISTRY, { kind: 'gasto', label: 'Café y Pan', parent: 'alimentacion', classification: 'desire' });
+        registry = addCategory(registry, { kind: 'gasto', label: 'café y pan', parent: 'cafe_y_pan' });
+        const added = registry.items.slice(DEFAULT_CATEGORIES.length);
+        expect(added.map(c => [c.value, c.parent, c.classification])).toEqual([
+            ['cafe_y_pan', 'alimentacion', 'desire'],
+            // A subcategory cannot be a parent
+            ['cafe_y_pan_2', null, null],
+        ]);
+        expect(registry.updatedAt).toBeTruthy();
+    });
+
+    it('should rename without touching the value', () => {
+        const registry = updateCategory(INITIAL_CATEGORY_REGISTRY, 'gasto', 'ropa', { label: 'Vestuario', icon: '🧥', parent: 'hogar' });
+        expect(findCategory('gasto', 'ropa', registry)).toMatchObject({ value: 'ropa', label: 'Vestuario', icon: '🧥', parent: 'hogar' });
+        // A parent with children stays top-level
+        const nested = updateCategory(registry, 'gasto', 'hogar', { parent: 'salud' });
+        expect(findCategory('gasto', 'hogar', nested).parent).toBeNull();
+    });
+
+    it('should remove categories but never the fallbacks', () => {
+        expect(removeCategory(INITIAL_CATEGORY_REGISTRY, 'gasto', 'otros_gastos', 'hogar')).toBe(INITIAL_CATEGORY_REGISTRY);
+        const registry = removeCategory(INITIAL_CATEGORY_REGISTRY, 'gasto', 'servicios', 'hogar');
+        expect(findCategory('gasto', 'internet', registry).parent).toBe('hogar');
+        expect(deletionTarget('gasto', 'vivienda')).toBe('hogar');
+        expect(deletionTarget('gasto', 'ropa')).toBe('otros_gastos');
+        expect(deletionTarget('rutina', 'salud')).toBe('otros');
+    });
+
+    it('should reassign records and their split lines', () => {
+        const [plain, split, other] = reassignCategory([
+            { id: 'a', category: 'ropa' },
+            { id: 'b', category: 'hogar', lines: [{ category: 'hogar', amount: 2 }, { category: 'ropa', amount: 1 }] },
+            { id: 'c', category: 'salud' },
+        ], 'ropa', 'hogar');
+        expect(plain.category).toBe('hogar');
+        expect(split.lines.map(l => l.category)).toEqual(['hogar', 'hogar']);
+        expect(other.category).toBe('salud');
+    });
+});
+
+describe('registry across the app', () => {
+    afterEach(() => setCategoryRegistry(INITIAL_CATEGORY_REGISTRY));
+
+    it('should classify by the category, then its parent', () => {
+        expect(classifyExpense('vivienda')).toBe('necessity');
+        expect(classifyExpense('inversiones')).toBe('investment');
+        setCategoryRegistry(addCategory(INITIAL_CATEGORY_REGISTRY, { kind: 'gasto', label: 'Streaming', parent: 'entretenimiento' }));
+        expect(classifyExpense('streaming')).toBe('desire');
+        expect(classifyExpense('nada')).toBe('impulse');
+    });
+
+    it('should count subcategory spending in the parent budget', () => {
+        const budgets = { items: [{ category: 'hogar', limit: 100000 }, { category: 'vivienda', limit: 80000 }] };
+        const transactions = [
+            { type: 'gasto', amount: 70000, category: 'vivienda', date: '2026-03-05T12:00:00.000Z' },
+            { type: 'gasto', amount: 20000, category: 'hogar', date: '2026-03-06T12:00:00.000Z' },
+        ];
+        const [hogar, vivienda] = calculateBudgetProgress(budgets, transactions, new Date(2026, 2, 20));
+        expect(hogar.spent).toBe(90000);
+        expect(vivienda.spent).toBe(70000);
+    });
+
+    it('should post fixed expenses under their own category', () => {
+        const expense = { id: 'fx1', name: 'Otros', amount: 1000, category: 'otros', frequency: 'monthly', nextDueDate: '2026-03-05', active: true };
+        const [legacy] = collectDueOccurrences([expense], new Date(2026, 2, 10)).transactions;
+        const [internet] = collectDueOccurrences([{ ...expense, category: 'internet' }], new Date(2026, 2, 10)).transactions;
+        expect(legacy.category).toBe('otros_gastos');
+        expect(internet.category).toBe('internet');
+    });
+
+    it('should sync the registry with the profile', () => {
+        const registry = addCategory(INITIAL_CATEGORY_REGISTRY, { kind: 'rutina', label: 'Lectura' });
+        const row = mappers.profileToDb({ name: 'Ana' }, null, null, null, null, null, null, registry, null, null, 'u1');
+        expect(row.categories).toBe(registry);
+        expect(mappers.profileFromDb(row).categories).toBe(registry);
+        expect(mappers.profileFromDb({ name: 'Ana' }).categories).toBeNull();
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+    matchesRule, findMatchingRule, learnFromHistory, suggestFromHistory,
+    suggestCategorization, getLearnedPairs, describeRule,
+} from '../utils/categoryRules';
+import { calculateDecisionMetrics } from '../utils/patterns';
+
+const monday = '2026-03-02T00:00:00.000Z';
+const saturday = '2026-03-07T00:00:00.000Z';
+
+describe('matchesRule', () => {
+    const rule = { noteContains: 'Uber', minAmount: 2000, maxAmount: 15000, weekdays: [1, 2, 3, 4, 5], type: 'gasto', category: 'transporte' };
+
+    it('should require every condition that is set', () => {
+        expect(matchesRule(rule, { type: 'gasto', amount: 5000, note: 'UBER *TRIP', date: monday })).toBe(true);
+        expect(matchesRule(rule, { type: 'gasto', amount: 5000, note: 'UBER *TRIP', date: saturday })).toBe(false);
+        expect(matchesRule(rule, { type: 'gasto', amount: 30000, note: 'Uber', date: monday })).toBe(false);
+        expect(matchesRule(rule, { type: 'ingreso', amount: 5000, note: 'Uber', date: monday })).toBe(false);
+    });
+
+    it('should ignore accents and html escaping in notes', () => {
+        const cafe = { noteContains: 'cafe', category: 'alimentacion' };
+        expect(matchesRule(cafe, { note: 'Café &amp; Té' })).toBe(true);
+    });
+
+    it('should apply the first matching rule', () => {
+        const rules = { items: [
+            { id: 'a', noteContains: 'copec', maxAmount: 5000, category: 'alimentacion' },
+            { id: 'b', noteContains: 'copec', category: 'transporte' },
+        ] };
+        expect(findMatchingRule(rules, { note: 'COPEC', amount: 3000 }).id).toBe('a');
+        expect(findMatchingRule(rules, { note: 'COPEC', amount: 40000 }).id).toBe('b');
+    });
+});
+
+describe('learned suggestions', () => {
+    const history = [
+        { type: 'gasto', note: 'Jumbo Costanera', category: 'alimentacion' },
+        { type: 'gasto', note: 'Jumbo La Reina', category: 'alimentacion' },
+        { type: 'gasto', note: 'Netflix', category: 'entretenimiento' },
+        { type: 'gasto', note: 'Netflix', category: 'entretenimiento' },
+        { type: 'ingreso', note: 'Netflix', category: 'freelance' },
+    ];
+    const model = learnFromHistory(history);
+
+    it('should reuse the category of an identical note, per type', () => {
+        expect(suggestFromHistory(model, 'netflix', 'gasto').category).toBe('entretenimiento');
+        expect(suggestFromHistory(model, 'Netflix', 'ingreso').category).toBe('freelance');
+    });
+
+    it('should vote with shared words once there are enough examples', () => {
+        expect(suggestFromHistory(model, 'JUMBO ALTO LAS CONDES', 'gasto').category).toBe('alimentacion');
+        expect(suggestFromHistory(model, 'Farmacia', 'gasto')).toBeNull();
+    });
+
+    it('should prefer rules over history', () => {
+        const rules = { items: [{ id: 'r1', noteContains: 'netflix', category: 'servicios', classification: 'necessity' }] };
+        expect(suggestCategorization({ type: 'gasto', note: 'Netflix' }, { rules, model }))
+            .toEqual({ category: 'servicios', classification: 'necessity', source: 'rule', ruleId: 'r1' });
+        expect(suggestCategorization({ type: 'gasto', note: 'Netflix' }, { model }).source).toBe('history');
+    });
+
+    it('should list repeated notes not covered by a rule as rule candidates', () => {
+        const pairs = getLearnedPairs(model, { items: [{ id: 'r', noteContains: 'netflix', type: 'gasto', category: 'entretenimiento' }] });
+        expect(pairs).toEqual([]);
+        expect(getLearnedPairs(model, { items: [] })).toEqual([
+            { type: 'gasto', note: 'netflix', category: 'entretenimiento', samples: 2 },
+        ]);
+    });
+});
+
+describe('describeRule', () => {
+    it('should summarize the conditions', () => {
+        expect(describeRule({ noteContains: 'uber', minAmount: 1000, weekdays: [1, 5] })).toBe('Nota contiene "uber" · ≥ 1000 · Lun, Vie');
+        expect(describeRule({})).toBe('Todos los movimientos');
+    });
+});
+
+describe('rule classification', () => {
+    it('should override the category default in decision metrics', () => {
+        const metrics = calculateDecisionMetrics([
+            { type: 'gasto', amount: 1000, category: 'entretenimiento', decisionType: 'impulse' },
+        ]);
+        expect(metrics.breakdown.impulse).toBe(1000);
+        expect(metrics.breakdown.desire).toBe(0);
+    });
+});
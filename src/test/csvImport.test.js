@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+    decodeBuffer, detectDelimiter, parseCSV, parseAmount, parseDate,
+    guessMapping, guessCategory, buildImportRows, markDuplicates,
+} from '../utils/csvImport';
+
+describe('parseAmount', () => {
+    it('should read es-CL thousands and decimals', () => {
+        expect(parseAmount('1.234.567')).toBe(1234567);
+        expect(parseAmount('-12.500,50')).toBe(-12500.5);
+        expect(parseAmount('$ 9.990')).toBe(9990);
+        expect(parseAmount('1,234.56')).toBe(1234.56);
+        expect(parseAmount('45,5')).toBe(45.5);
+    });
+
+    it('should treat parentheses and trailing minus as negative', () => {
+        expect(parseAmount('(3.000)')).toBe(-3000);
+        expect(parseAmount('3.000-')).toBe(-3000);
+    });
+
+    it('should return null for blanks and text', () => {
+        expect(parseAmount('')).toBeNull();
+        expect(parseAmount('abc')).toBeNull();
+    });
+});
+
+describe('parseDate', () => {
+    it('should accept dd/mm/yyyy, dd-mm-yy and ISO', () => {
+        expect(parseDate('05/03/2026')).toBe('2026-03-05');
+        expect(parseDate('5-3-26')).toBe('2026-03-05');
+        expect(parseDate('2026-03-05')).toBe('2026-03-05');
+        expect(parseDate('31/13/2026')).toBeNull();
+    });
+});
+
+describe('detectDelimiter / parseCSV', () => {
+    it('should pick semicolons and keep quoted separators', () => {
+        const text = 'Fecha;Descripción;Monto\n01/03/2026;"Pago; cuota";-1.000\n02/03/2026;Sueldo;500.000';
+        expect(detectDelimiter(text)).toBe(';');
+        const { headers, rows } = parseCSV(text);
+        expect(headers).toEqual(['Fecha', 'Descripción', 'Monto']);
+        expect(rows[0][1]).toBe('Pago; cuota');
+    });
+
+    it('should fall back to windows-1252 when the file is not UTF-8', () => {
+        const bytes = new Uint8Array([0x44, 0xe9, 0x62, 0x69, 0x74, 0x6f]); // "Débito" in latin1
+        const { text, encoding } = decodeBuffer(bytes);
+        expect(encoding).toBe('windows-1252');
+        expect(text).toBe('Débito');
+    });
+});
+
+describe('guessMapping', () => {
+    it('should map bank headers regardless of accents and case', () => {
+        expect(guessMapping(['Fecha', 'Glosa', 'Cargos', 'Abonos', 'Saldo']))
+            .toEqual({ date: 0, description: 1, debit: 2, credit: 3 });
+    });
+});
+
+describe('buildImportRows', () => {
+    it('should derive the type from debit/credit columns', () => {
+        const rows = buildImportRows([
+            ['01/03/2026', 'Supermercado Lider', '12.500', ''],
+            ['02/03/2026', 'Remuneración Marzo', '', '1.500.000'],
+            ['xx', 'Sin fecha', '100', ''],
+        ], { date: 0, description: 1, debit: 2, credit: 3 });
+        expect(rows[0]).toMatchObject({ type: 'gasto', amount: 12500, category: 'alimentacion' });
+        expect(rows[1]).toMatchObject({ type: 'ingreso', amount: 1500000, category: 'salario' });
+        expect(rows[2].error).toBeTruthy();
+    });
+
+    it('should default unknown descriptions to the catch-all category', () => {
+        expect(guessCategory('Transferencia a terceros', 'gasto')).toBe('otros_gastos');
+    });
+});
+
+describe('markDuplicates', () => {
+    it('should flag rows that already exist or repeat in the file', () => {
+        // Stored notes come back html-escaped from the reducer
+        const transactions = [{ date: '2026-03-01T00:00:00.000Z', amount: 9990, note: 'H&amp;M  Costanera' }];
+        const rows = markDuplicates([
+            { date: '2026-03-01', amount: 9990, note: 'h&m costanera' },
+            { date: '2026-03-02', amount: 5000, note: 'Copec' },
+            { date: '2026-03-02', amount: 5000, note: 'Copec' },
+        ], transactions);
+        expect(rows.map(r => r.duplicate)).toEqual([true, false, true]);
+    });
+});
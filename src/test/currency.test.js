@@ -0,0 +1,80 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+    minorUnits, roundMoney, getRate, convertAmount, toBaseTransactions, toRecordedTransaction,
+    toBaseGoals, setBaseCurrency, normalizeCurrency,
+} from '../utils/currency';
+import { formatCurrency } from '../utils/helpers';
+
+const rates = { items: [
+    { id: 'a', currency: 'USD', base: 'CLP', date: '2026-01-01', rate: 900 },
+    { id: 'b', currency: 'USD', base: 'CLP', date: '2026-02-01', rate: 950 },
+    { id: 'c', currency: 'CLP', base: 'EUR', date: '2026-01-15', rate: 0.001 },
+] };
+
+describe('minor units', () => {
+    it('should follow the ISO precision of each currency', () => {
+        expect(minorUnits('CLP')).toBe(0);
+        expect(minorUnits('USD')).toBe(2);
+        expect(minorUnits('KWD')).toBe(3);
+        expect(roundMoney(1234.5, 'CLP')).toBe(1235);
+        expect(roundMoney(10.005, 'USD')).toBe(10.01);
+        expect(roundMoney('abc', 'USD')).toBe(0);
+    });
+
+    it('should normalize currency codes', () => {
+        expect(normalizeCurrency(' usd ')).toBe('USD');
+        expect(normalizeCurrency('')).toBe('CLP');
+    });
+});
+
+describe('getRate', () => {
+    it('should use the latest quote on or before the date', () => {
+        expect(getRate(rates, 'USD', 'CLP', '2026-01-20')).toBe(900);
+        expect(getRate(rates, 'USD', 'CLP', '2026-02-01T15:00:00.000Z')).toBe(950);
+        expect(getRate(rates, 'USD', 'CLP', '2025-12-01')).toBe(900);
+    });
+
+    it('should invert quotes recorded the other way around', () => {
+        expect(getRate(rates, 'EUR', 'CLP', '2026-03-01')).toBe(1000);
+        expect(getRate(rates, 'BRL', 'CLP', '2026-03-01')).toBeNull();
+        expect(getRate(rates, 'CLP', 'CLP', '2026-03-01')).toBe(1);
+    });
+
+    it('should round conversions to the target currency', () => {
+        expect(convertAmount(10.55, 'USD', 'CLP', '2026-02-10', rates)).toBe(10023);
+        expect(convertAmount(1000, 'CLP', 'USD', '2026-02-10', rates)).toBe(1.05);
+    });
+});
+
+describe('base currency totals', () => {
+    const transactions = [
+        { id: '1', type: 'gasto', amount: 5000 },
+        { id: '2', type: 'gasto', amount: 10, currency: 'USD', date: '2026-01-10' },
+        { id: '3', type: 'gasto', amount: 10, currency: 'USD', date: '2026-02-10' },
+        { id: '4', type: 'gasto', amount: 10, currency: 'BRL', date: '2026-02-10' },
+    ];
+
+    it('should convert each transaction at the rate of its date', () => {
+        const converted = toBaseTransactions(transactions, 'CLP', rates);
+        expect(converted.map(t => t.amount)).toEqual([5000, 9000, 9500, 0]);
+        expect(converted[0]).toBe(transactions[0]);
+        expect(converted[3].unconverted).toBe(true);
+        expect(toRecordedTransaction(converted[1])).toEqual(transactions[1]);
+    });
+
+    it('should convert goals at today\'s rate', () => {
+        const [goal] = toBaseGoals([{ id: 'g', currency: 'USD', currentAmount: 100, targetAmount: 1000 }], 'CLP', rates, new Date('2026-03-01'));
+        expect(goal).toMatchObject({ currentAmount: 95000, targetAmount: 950000 });
+    });
+});
+
+describe('formatCurrency', () => {
+    afterEach(() => setBaseCurrency('CLP'));
+
+    it('should format in the base currency unless one is given', () => {
+        expect(formatCurrency(1000)).toContain('1.000');
+        expect(formatCurrency(12.5, 'USD')).toContain('12,50');
+        setBaseCurrency('EUR');
+        expect(formatCurrency(3)).toContain('3,00');
+    });
+});
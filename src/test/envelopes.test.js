@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateDistribution,
+    suggestAllocation,
+    createEnvelopeEntry,
+    getEnvelopeBalance,
+    getEnvelopeBalances,
+    addEnvelopeEntries,
+    removeEnvelopeTransactionEntries,
+    ENVELOPE_ENTRY_TYPES,
+} from '../utils/envelopes';
+
+const rules = [
+    { id: 'needs', name: 'Esenciales', percentage: 50, type: 'gasto' },
+    { id: 'wants', name: 'Deseos', percentage: 30, type: 'gasto' },
+    { id: 'trip', name: 'Viaje', percentage: 20, type: 'meta', goalId: 'g1' },
+];
+
+describe('calculateDistribution', () => {
+    it('should add an unassigned bucket when rules do not reach 100%', () => {
+        const dist = calculateDistribution(1000, [{ id: 'a', name: 'A', percentage: 60, type: 'gasto' }]);
+        expect(dist.map(d => d.suggestedAmount)).toEqual([600, 400]);
+        expect(dist[1].type).toBe('libre');
+    });
+});
+
+describe('suggestAllocation', () => {
+    it('should split the whole income when rules cover 100%', () => {
+        const split = suggestAllocation(333333, rules);
+        expect(split.reduce((s, a) => s + a.amount, 0)).toBe(333333);
+        expect(split.map(a => a.envelopeId)).toEqual(['needs', 'wants', 'trip']);
+    });
+
+    it('should leave the unassigned share out', () => {
+        const split = suggestAllocation(1000, [{ id: 'a', name: 'A', percentage: 60, type: 'gasto' }]);
+        expect(split).toEqual([{ envelopeId: 'a', amount: 600 }]);
+    });
+});
+
+describe('envelope ledger', () => {
+    const base = { enabled: true, rules, ledger: [] };
+    const withEntries = addEnvelopeEntries(base, [
+        createEnvelopeEntry({ envelopeId: 'needs', type: ENVELOPE_ENTRY_TYPES.ALLOCATION, amount: 500000, transactionId: 'in1' }),
+        createEnvelopeEntry({ envelopeId: 'needs', type: ENVELOPE_ENTRY_TYPES.SPEND, amount: -120000, transactionId: 'out1' }),
+        createEnvelopeEntry({ envelopeId: 'wants', type: ENVELOPE_ENTRY_TYPES.ALLOCATION, amount: 300000, transactionId: 'in1' }),
+    ]);
+
+    it('should derive running balances from signed entries', () => {
+        expect(getEnvelopeBalance(withEntries, 'needs')).toBe(380000);
+        expect(getEnvelopeBalance(withEntries, 'wants')).toBe(300000);
+    });
+
+    it('should list balances only for envelopes that hold money', () => {
+        expect(getEnvelopeBalances(withEntries).map(b => b.id)).toEqual(['needs', 'wants']);
+    });
+
+    it('should remove every entry created by a transaction', () => {
+        const { envelopes, removed } = removeEnvelopeTransactionEntries(withEntries, 'in1');
+        expect(removed).toHaveLength(2);
+        expect(getEnvelopeBalance(envelopes, 'needs')).toBe(-120000);
+    });
+
+    it('should return the same object when nothing matches', () => {
+        expect(removeEnvelopeTransactionEntries(withEntries, 'nope').envelopes).toBe(withEntries);
+    });
+});
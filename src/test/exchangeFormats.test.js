@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+    detectExchangeFormat, parseOFX, serializeOFX, parseQIF, serializeQIF,
+} from '../utils/exchangeFormats';
+
+const transactions = [
+    { id: 't1', type: 'gasto', amount: 12500, category: 'alimentacion', note: 'Supermercado &amp; Café', date: '2026-03-02T00:00:00.000Z' },
+    { id: 't2', type: 'ingreso', amount: 1500000.5, category: 'salario', note: 'Sueldo marzo', date: '2026-03-05T00:00:00.000Z' },
+    { id: 't3', type: 'ahorro', amount: 100000, category: 'ahorro_meta', note: '', date: '2026-03-06T00:00:00.000Z' },
+];
+
+// Notes are html-escaped in state and come back raw from a file
+const expected = transactions.map(({ type, amount, category, note, date }) => ({
+    type, amount, category, date, note: note.replace('&amp;', '&'),
+}));
+
+describe('OFX', () => {
+    it('should round-trip the XML variant', () => {
+        const text = serializeOFX(transactions);
+        expect(text).toContain('<TRNAMT>-12500.00</TRNAMT>');
+        expect(detectExchangeFormat(text)).toBe('ofx');
+        expect(parseOFX(text)).toEqual(expected);
+    });
+
+    it('should round-trip the SGML variant', () => {
+        const text = serializeOFX(transactions, { variant: 'sgml' });
+        expect(text).toMatch(/^OFXHEADER:100/);
+        expect(text).not.toContain('</TRNAMT>');
+        expect(parseOFX(text)).toEqual(expected);
+    });
+
+    it('should read bank statements with free-text memos and timestamps', () => {
+        const text = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260310120000[-3:CLT]<TRNAMT>-8990,00<NAME>NETFLIX.COM<MEMO>Compra internacional
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260311<TRNAMT>25000<MEMO>Transferencia recibida
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+        expect(parseOFX(text)).toEqual([
+            { type: 'gasto', amount: 8990, category: 'entretenimiento', note: 'NETFLIX.COM', date: '2026-03-10T00:00:00.000Z' },
+            { type: 'ingreso', amount: 25000, category: 'otros_ingresos', note: 'Transferencia recibida', date: '2026-03-11T00:00:00.000Z' },
+        ]);
+    });
+});
+
+describe('QIF', () => {
+    it('should round-trip a bank account', () => {
+        const text = serializeQIF(transactions);
+        expect(text).toMatch(/^!Type:Bank\nD03\/02\/2026\nT-12500.00/);
+        expect(detectExchangeFormat(text, 'export.qif')).toBe('qif');
+        expect(parseQIF(text)).toEqual(expected);
+    });
+
+    it('should read split lines back into the transaction', () => {
+        const split = {
+            id: 't4', type: 'gasto', amount: 30000, category: 'alimentacion', note: 'Líder', date: '2026-03-07T00:00:00.000Z',
+            lines: [
+                { id: 'l1', category: 'alimentacion', amount: 20000, goalId: null, classification: null },
+                { id: 'l2', category: 'hogar', amount: 10000, goalId: null, classification: null },
+            ],
+        };
+        const text = serializeQIF([split]);
+        expect(text).toContain('Shogar\n$-10000.00');
+        expect(parseQIF(text)).toEqual([{
+            type: 'gasto', amount: 30000, category: 'alimentacion', note: 'Líder', date: '2026-03-07T00:00:00.000Z',
+            lines: [{ category: 'alimentacion', amount: 20000 }, { category: 'hogar', amount: 10000 }],
+        }]);
+    });
+
+    it('should accept Quicken dates, thousands separators and skip category lists', () => {
+        const text = `!Type:Cat
+NComida
+^
+!Type:CCard
+D3/15'26
+T-1,250.00
+PUber trip
+LTransporte y Viajes
+^`;
+        expect(parseQIF(text)).toEqual([
+            { type: 'gasto', amount: 1250, category: 'transporte', note: 'Uber trip', date: '2026-03-15T00:00:00.000Z' },
+        ]);
+    });
+
+    it('should read day-first files when asked', () => {
+        const text = '!Type:Bank\nD15/03/2026\nT-500\nPPan\n^\n';
+        expect(parseQIF(text, { dayFirst: true })[0].date).toBe('2026-03-15T00:00:00.000Z');
+        expect(parseQIF(text)).toEqual([]);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    LEDGER_TYPES,
+    getLedgerEntries,
+    getGoalBalance,
+    createLedgerEntry,
+    addLedgerEntry,
+    removeTransactionEntries,
+    ensureGoalLedger,
+} from '../utils/goalLedger';
+import { predictGoalCompletion } from '../utils/projections';
+import { setBaseCurrency } from '../utils/money';
+
+const entry = (type, amount, date, transactionId) => createLedgerEntry({ type, amount, date, transactionId });
+
+describe('getGoalBalance', () => {
+    beforeEach(() => setBaseCurrency('USD'));
+    afterEach(() => setBaseCurrency('CLP'));
+
+    it('should subtract withdrawals from contributions', () => {
+        const goal = {
+            ledger: [
+                entry(LEDGER_TYPES.CONTRIBUTION, 50000.1, '2026-01-01'),
+                entry(LEDGER_TYPES.CONTRIBUTION, 20000.2, '2026-01-05'),
+                entry(LEDGER_TYPES.WITHDRAWAL, 10000, '2026-01-07'),
+            ],
+        };
+        expect(getGoalBalance(goal)).toBe(60000.3);
+    });
+
+    it('should return 0 for goals without ledger', () => {
+        expect(getGoalBalance({})).toBe(0);
+    });
+});
+
+describe('getLedgerEntries', () => {
+    it('should sort entries oldest first', () => {
+        const goal = { ledger: [entry(LEDGER_TYPES.CONTRIBUTION, 1, '2026-03-01'), entry(LEDGER_TYPES.CONTRIBUTION, 2, '2026-01-01')] };
+        expect(getLedgerEntries(goal).map(e => e.amount)).toEqual([2, 1]);
+    });
+});
+
+describe('addLedgerEntry / removeTransactionEntries', () => {
+    it('should keep currentAmount derived from the ledger', () => {
+        let goal = { id: 'g1', ledger: [], currentAmount: 0 };
+        goal = addLedgerEntry(goal, entry(LEDGER_TYPES.CONTRIBUTION, 15000, '2026-01-01', 't1'));
+        goal = addLedgerEntry(goal, entry(LEDGER_TYPES.CONTRIBUTION, 5000, '2026-01-02', 't2'));
+        expect(goal.currentAmount).toBe(20000);
+        goal = removeTransactionEntries(goal, 't1');
+        expect(goal.currentAmount).toBe(5000);
+        expect(goal.ledger).toHaveLength(1);
+    });
+
+    it('should return the same goal when no entry matches', () => {
+        const goal = { ledger: [entry(LEDGER_TYPES.CONTRIBUTION, 1, '2026-01-01', 't1')] };
+        expect(removeTransactionEntries(goal, 'other')).toBe(goal);
+    });
+});
+
+describe('ensureGoalLedger', () => {
+    it('should migrate a legacy currentAmount into an opening entry', () => {
+        const goal = ensureGoalLedger({ id: 'g1', currentAmount: 42000, createdAt: '2025-12-01T00:00:00.000Z' });
+        expect(goal.ledger).toHaveLength(1);
+        expect(goal.ledger[0]).toMatchObject({ type: LEDGER_TYPES.CONTRIBUTION, amount: 42000, date: '2025-12-01T00:00:00.000Z' });
+        expect(getGoalBalance(goal)).toBe(42000);
+    });
+
+    it('should migrate cloud rows that came back with an empty ledger', () => {
+        const goal = ensureGoalLedger({ id: 'g1', currentAmount: 1000, ledger: [] });
+        expect(goal.ledger).toHaveLength(1);
+    });
+
+    it('should leave goals that already have a ledger untouched', () => {
+        const goal = { id: 'g1', currentAmount: 0, ledger: [] };
+        expect(ensureGoalLedger(goal)).toBe(goal);
+    });
+});
+
+describe('predictGoalCompletion', () => {
+    it('should use the ledger pace, including withdrawals', () => {
+        const base = {
+            id: 'g1',
+            targetAmount: 100000,
+            ledger: [
+                entry(LEDGER_TYPES.CONTRIBUTION, 20000, '2026-01-01'),
+                entry(LEDGER_TYPES.CONTRIBUTION, 20000, '2026-01-11'),
+            ],
+        };
+        const withWithdrawal = {
+            ...base,
+            ledger: [...base.ledger, entry(LEDGER_TYPES.WITHDRAWAL, 10000, '2026-01-11')],
+        };
+        const fast = predictGoalCompletion(base);
+        const slow = predictGoalCompletion(withWithdrawal);
+        expect(fast.daysToComplete).toBeLessThan(slow.daysToComplete);
+    });
+
+    it('should report completion from the ledger balance', () => {
+        const goal = { id: 'g1', targetAmount: 1000, ledger: [entry(LEDGER_TYPES.CONTRIBUTION, 1000, '2026-01-01')] };
+        expect(predictGoalCompletion(goal).completed).toBe(true);
+    });
+
+    it('should fall back to transactions for goals without a ledger', () => {
+        const goal = { id: 'g1', targetAmount: 100000, currentAmount: 20000 };
+        const transactions = [
+            { type: 'ahorro', goalId: 'g1', amount: 10000, date: '2026-01-01' },
+            { type: 'ahorro', goalId: 'g1', amount: 10000, date: '2026-01-11' },
+        ];
+        expect(predictGoalCompletion(goal, transactions).insufficient).toBeUndefined();
+    });
+});
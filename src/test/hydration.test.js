@@ -0,0 +1,254 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { hydrationService } from '../lib/hydrationService';
+import { syncConflicts, findConflict, resolveRecord } from '../lib/syncConflicts';
+import { changesFromRows, mappers } from '../lib/dataRepository';
+import { tombstones } from '../lib/tombstones';
+import { createLedgerEntry, addLedgerEntry, removeTransactionEntries, ensureGoalLedger } from '../utils/goalLedger';
+import { removeEnvelopeTransactionEntries, restoreEnvelopeEntries } from '../utils/envelopes';
+import { stampFieldTimes, stampChangedRecords, xpCounters, LEGACY_XP_KEY, markSynced, getLastSyncedAt, SYNC_CURSORS_VERSION } from '../utils/syncClock';
+
+const CREATED = '2026-03-01T10:00:00.000Z';
+const at = (hour) => `2026-03-02T${String(hour).padStart(2, '0')}:00:00.000Z`;
+
+const goal = {
+    id: 'g1', name: 'Viaje', deadline: '2026-12-01', targetAmount: 1000000, currentAmount: 100000, currency: 'CLP',
+    ledger: [{ id: 'e0', type: 'contribution', amount: 100000, date: CREATED }],
+    version: 1, createdAt: CREATED, updatedAt: CREATED,
+};
+
+describe('field times', () => {
+    it('should stamp only the fields that changed', () => {
+        const edited = stampFieldTimes(goal, { ...goal, name: 'Viaje al sur', ledger: [...goal.ledger] }, at(9));
+        expect(edited.fieldTimes).toEqual({ name: at(9) });
+        expect(stampFieldTimes(goal, { ...goal }, at(9))).not.toHaveProperty('fieldTimes');
+    });
+
+    it('should leave new and untouched records alone', () => {
+        const other = { id: 'g2', name: 'Auto', createdAt: CREATED };
+        const next = [{ ...goal, deadline: '2027-01-01' }, other];
+        const stamped = stampChangedRecords([goal], next, at(9));
+        expect(stamped[0].fieldTimes).toEqual({ deadline: at(9) });
+        expect(stamped[1]).toBe(other);
+    });
+});
+
+describe('divergent offline edits', () => {
+    it('should keep edits to different fields from both devices', () => {
+        const phone = { ...goal, name: 'Viaje al sur', updatedAt: at(9), fieldTimes: { name: at(9) } };
+        const laptop = { ...goal, deadline: '2027-01-15', updatedAt: at(11), fieldTimes: { deadline: at(11) } };
+        const [merged] = hydrationService._mergeList([phone], [laptop]);
+        expect(merged).toMatchObject({ name: 'Viaje al sur', deadline: '2027-01-15', updatedAt: at(11) });
+        expect(merged.fieldTimes).toEqual({ name: at(9), deadline: at(11) });
+        // The same result whichever side is local
+        expect(hydrationService._mergeList([laptop], [phone])[0]).toMatchObject({ name: 'Viaje al sur', deadline: '2027-01-15' });
+    });
+
+    it('should take the latest write when both devices edit the same field', () => {
+        const phone = { ...goal, name: 'Viaje al sur', fieldTimes: { name: at(12) } };
+        const laptop = { ...goal, name: 'Vacaciones', updatedAt: at(14), fieldTimes: { name: at(8) } };
+        expect(hydrationService._mergeList([phone], [laptop])[0].name).toBe('Viaje al sur');
+    });
+
+    it('should fall back to whole-record last write wins for unstamped records', () => {
+        const local = { ...goal, name: 'Local', version: 3 };
+        const remote = { ...goal, name: 'Remoto', version: 2, updatedAt: at(20) };
+        expect(hydrationService._mergeList([local], [remote])[0].name).toBe('Local');
+        expect(hydrationService._mergeList([{ ...local, version: 2 }], [remote])[0].name).toBe('Remoto');
+    });
+
+    it('should add up goal contributions made on both devices', () => {
+        const phone = { ...goal, ledger: [...goal.ledger, { id: 'e1', type: 'contribution', amount: 20000, date: at(9) }], currentAmount: 120000 };
+        const laptop = { ...goal, ledger: [...goal.ledger, { id: 'e2', type: 'contribution', amount: 50000, date: at(10) }], currentAmount: 150000 };
+        const [merged] = hydrationService._mergeList([phone], [laptop]);
+        expect(merged.ledger.map(e => e.id)).toEqual(['e0', 'e1', 'e2']);
+        expect(merged.currentAmount).toBe(170000);
+    });
+
+    it('should not bring back goal entries of a transaction deleted offline', () => {
+        const cloud = { ...goal, ledger: [...goal.ledger, { id: 'e1', type: 'contribution', amount: 200000, date: at(9), transactionId: 't1' }], currentAmount: 300000 };
+        const phone = removeTransactionEntries(cloud, 't1');
+        for (const [local, remote] of [[[phone], [cloud]], [[cloud], [phone]]]) {
+            const [merged] = hydrationService._mergeList(local, remote);
+            expect(merged.ledger.map(e => e.id)).toEqual(['e0']);
+            expect(merged.currentAmount).toBe(100000);
+        }
+    });
+
+    it('should count the opening balance of a goal migrated on both devices once', () => {
+        const legacy = { id: 'g-old', name: 'Casa', currentAmount: 80000, currency: 'CLP', createdAt: CREATED };
+        const [merged] = hydrationService._mergeList([ensureGoalLedger(legacy)], [ensureGoalLedger({ ...legacy, ledger: [] })]);
+        expect(merged.ledger.map(e => e.id)).toEqual(['opening_g-old']);
+        expect(merged.currentAmount).toBe(80000);
+    });
+
+    it('should count a transaction edited offline once, at its new amount', () => {
+        const cloud = { ...goal, ledger: [...goal.ledger, { id: 'e1', type: 'contribution', amount: 200000, date: at(9), transactionId: 't1' }], currentAmount: 300000 };
+        const phone = addLedgerEntry(removeTransactionEntries(cloud, 't1'), createLedgerEntry({ amount: 50000, currency: 'CLP', date: at(9), transactionId: 't1' }));
+        const [merged] = hydrationService._mergeList([phone], [cloud]);
+        expect(merged.ledger.filter(e => e.transactionId === 't1').map(e => e.amount)).toEqual([50000]);
+        expect(merged.currentAmount).toBe(150000);
+    });
+
+    it('should join envelope entries from both devices and keep removed ones out', () => {
+        const rules = [{ id: 'needs', name: 'Necesidades', percentage: 100, type: 'gasto' }];
+        const allocation = { id: 'a1', envelopeId: 'needs', type: 'allocation', amount: 500000, date: at(8), transactionId: 'in1' };
+        const spend = { id: 's1', envelopeId: 'needs', type: 'spend', amount: -20000, date: at(9), transactionId: 'out1' };
+        const cloud = { enabled: true, rules, ledger: [allocation, spend], updatedAt: at(9) };
+        // The phone deleted the expense; the laptop logged another one later
+        const phone = removeEnvelopeTransactionEntries(cloud, 'out1').envelopes;
+        const laptop = { ...cloud, ledger: [...cloud.ledger, { ...spend, id: 's2', transactionId: 'out2', date: at(11) }], updatedAt: at(11) };
+        for (const [local, remote] of [[phone, laptop], [laptop, phone]]) {
+            const merged = hydrationService._mergeEnvelopes(local, remote);
+            expect(merged.ledger.map(e => e.id)).toEqual(['a1', 's2']);
+            expect(merged.removedEntryIds).toEqual(['s1']);
+        }
+
+        // Undoing the delete brings the spend back under a new id
+        const undone = restoreEnvelopeEntries(phone, [spend]);
+        expect(hydrationService._mergeEnvelopes(undone, laptop).ledger.filter(e => e.transactionId === 'out1')).toHaveLength(1);
+    });
+
+    it('should join routine check-ins from both devices', () => {
+        const routine = { id: 'r1', name: 'Revisar gastos', completedDates: ['Sun Mar 01 2026'], createdAt: CREATED };
+        const phone = { ...routine, completedDates: [...routine.completedDates, 'Mon Mar 02 2026'] };
+        const laptop = { ...routine, completedDates: [...routine.completedDates, 'Tue Mar 03 2026'], name: 'Revisar finanzas', fieldTimes: { name: at(9) } };
+        const [merged] = hydrationService._mergeList([phone], [laptop]);
+        expect(merged.completedDates).toEqual(['Sun Mar 01 2026', 'Mon Mar 02 2026', 'Tue Mar 03 2026']);
+        expect(merged.name).toBe('Revisar finanzas');
+    });
+
+    it('should keep records that exist on one side only', () => {
+        const merged = hydrationService._mergeList([{ id: 'a' }, { id: 'b', name: 'x' }], [{ id: 'b', name: 'x' }, { id: 'c' }]);
+        expect(merged.map(r => r.id)).toEqual(['b', 'c', 'a']);
+    });
+});
+
+describe('gamification merge', () => {
+    it('should not count shared history twice', () => {
+        const merged = hydrationService._mergeGamification({ totalXP: 500, xpLog: [], earnedBadgeIds: ['a'] }, { totalXP: 300, xpLog: [], earnedBadgeIds: ['b'] });
+        expect(merged.totalXP).toBe(500);
+        expect(merged.earnedBadgeIds).toEqual(['a', 'b']);
+    });
+
+    it('should add up XP earned offline on each device', () => {
+        const entry = (timestamp, xp) => ({ action: 'TRANSACTION_LOGGED', xp, timestamp });
+        const phone = { totalXP: 560, xpByDevice: { [LEGACY_XP_KEY]: 500, phone: 60 }, xpLog: [entry(2, 60), entry(1, 500)], earnedBadgeIds: [] };
+        const laptop = { totalXP: 525, xpByDevice: { [LEGACY_XP_KEY]: 500, laptop: 25 }, xpLog: [entry(3, 25), entry(1, 500)], earnedBadgeIds: [] };
+        const merged = hydrationService._mergeGamification(phone, laptop);
+        expect(merged.totalXP).toBe(585);
+        expect(merged.xpByDevice).toEqual({ [LEGACY_XP_KEY]: 500, phone: 60, laptop: 25 });
+        expect(merged.xpLog.map(e => e.timestamp)).toEqual([3, 2, 1]);
+        // Merging again changes nothing
+        expect(hydrationService._mergeGamification(merged, laptop).totalXP).toBe(585);
+    });
+
+    it('should count XP from before per-device counters as legacy', () => {
+        expect(xpCounters({ totalXP: 120 })).toEqual({ [LEGACY_XP_KEY]: 120 });
+        expect(xpCounters({ totalXP: 150, xpByDevice: { [LEGACY_XP_KEY]: 120, d1: 30 } })).toEqual({ [LEGACY_XP_KEY]: 120, d1: 30 });
+    });
+});
+
+describe('sync conflicts', () => {
+    const ms = (hour) => new Date(at(hour)).getTime();
+    const phone = { ...goal, name: 'Viaje al sur', targetAmount: 1200000, fieldTimes: { name: at(9), targetAmount: at(9) } };
+    const laptop = { ...goal, name: 'Vacaciones', deadline: '2027-01-15', updatedAt: at(11), fieldTimes: { name: at(11), deadline: at(11) } };
+
+    beforeEach(() => {
+        localStorage.clear();
+        syncConflicts.clear();
+    });
+
+    it('should flag only fields both devices changed since the last sync', () => {
+        const conflict = findConflict('goals', phone, laptop, ms(8));
+        expect(conflict).toMatchObject({ id: 'goals:g1', table: 'goals', recordId: 'g1', label: 'Viaje al sur' });
+        expect(conflict.fields).toEqual([{ key: 'name', local: 'Viaje al sur', remote: 'Vacaciones' }]);
+        // The phone had already seen the laptop's edit
+        expect(findConflict('goals', phone, laptop, ms(10))).toBeNull();
+        expect(findConflict('goals', goal, laptop, 0)).toBeNull();
+    });
+
+    it('should record conflicts found while merging', () => {
+        markSynced(ms(8));
+        const conflicts = [];
+        const merged = hydrationService._merge({ ...hydrationService.loadLocal(), goals: [phone] }, { goals: [laptop] }, conflicts);
+        expect(merged.goals[0].name).toBe('Vacaciones');
+        expect(conflicts.map(c => c.id)).toEqual(['goals:g1']);
+    });
+
+    it('should apply the picked side and stamp it', () => {
+        const conflict = findConflict('goals', phone, laptop, 0);
+        const current = hydrationService._mergeRecord(phone, laptop);
+        const kept = resolveRecord(current, conflict, { name: 'local' }, at(15));
+        expect(kept).toMatchObject({ name: 'Viaje al sur', deadline: '2027-01-15', targetAmount: 1200000, updatedAt: at(15) });
+        expect(kept.fieldTimes.name).toBe(at(15));
+        expect(kept.version).toBe(current.version + 1);
+        expect(resolveRecord(current, conflict, {}, at(15)).name).toBe('Vacaciones');
+    });
+
+    it('should keep one conflict per record until resolved', () => {
+        const first = findConflict('goals', phone, laptop, 0);
+        syncConflicts.record([first]);
+        syncConflicts.record([{ ...first, detectedAt: at(16) }]);
+        expect(syncConflicts.list).toHaveLength(1);
+        expect(JSON.parse(localStorage.getItem('metaflow_sync_conflicts'))[0].detectedAt).toBe(at(16));
+        syncConflicts.resolve(first.id);
+        expect(syncConflicts.list).toEqual([]);
+    });
+});
+
+describe('incremental pull', () => {
+    const cursors = (tables = {}, extra = {}) => ({ version: SYNC_CURSORS_VERSION, userId: 'u1', tables: { goals: at(8), deleted: null, ...tables }, ...extra });
+
+    beforeEach(() => {
+        localStorage.clear();
+        syncConflicts.clear();
+        tombstones.clear();
+    });
+
+    it('should split pulled rows into records and deletions and advance the cursor', () => {
+        const rows = [
+            { id: 'r1', name: 'Leer', updated_at: at(10) },
+            { id: 'r2', name: 'Correr', is_deleted: true, updated_at: at(12) },
+            { id: 'r3', name: 'Ahorrar', updated_at: at(9) },
+        ];
+        const changes = changesFromRows(rows, mappers.routineFromDb, at(8));
+        expect(changes.records.map(r => r.id)).toEqual(['r1', 'r3']);
+        expect(changes.deleted).toEqual([{ id: 'r2', deletedAt: at(12) }]);
+        expect(changes.cursor).toBe(at(12));
+        expect(changesFromRows([], mappers.routineFromDb, at(8)).cursor).toBe(at(8));
+    });
+
+    it('should fall back to a full resync when the cursors cannot be trusted', () => {
+        expect(hydrationService._validCursors(cursors(), 'u1', true)).toEqual(cursors());
+        expect(hydrationService._validCursors(null, 'u1', true)).toBeNull();
+        expect(hydrationService._validCursors(cursors(), 'u2', true)).toBeNull();
+        expect(hydrationService._validCursors(cursors({}, { version: 0 }), 'u1', true)).toBeNull();
+        expect(hydrationService._validCursors(cursors({ goals: 'ayer' }), 'u1', true)).toBeNull();
+        expect(hydrationService._validCursors(cursors({ goals: '2999-01-01T00:00:00.000Z' }), 'u1', true)).toBeNull();
+        // Nothing cached locally to apply the changes to
+        expect(hydrationService._validCursors(cursors(), 'u1', false)).toBeNull();
+    });
+
+    it('should drop records deleted remotely and merge the changed ones', () => {
+        const local = {
+            ...hydrationService.loadLocal(),
+            goals: [goal, { id: 'g2', name: 'Auto', createdAt: CREATED }, { id: 'g3', name: 'Solo aquí', createdAt: CREATED }],
+        };
+        const remote = { goals: [{ ...goal, name: 'Viaje al sur', fieldTimes: { name: at(10) } }], transactions: [], routines: [], fixedExpenses: [], accounts: [] };
+        hydrationService._recordDeletions({ goals: [{ id: 'g2', deletedAt: at(11) }], transactions: [{ id: 't-gone', deletedAt: at(11) }] });
+        const merged = hydrationService._merge(local, remote);
+        expect(merged.goals.map(g => [g.id, g.name])).toEqual([['g1', 'Viaje al sur'], ['g3', 'Solo aquí']]);
+    });
+
+    it('should not count edits made offline as synced on an incremental login', () => {
+        markSynced(Date.parse(at(12)));
+        const untouched = { id: 'r1', name: 'Leer', createdAt: CREATED, updatedAt: at(9) };
+        // Edited while signed out, after the last confirmed sync
+        const edited = { id: 'r2', name: 'Correr 5k', createdAt: CREATED, updatedAt: at(14), fieldTimes: { name: at(14) } };
+        const created = { id: 'r3', name: 'Meditar', createdAt: at(13) };
+        const local = { ...hydrationService.loadLocal(), routines: [untouched, edited, created] };
+        const changes = { goals: [], transactions: [], routines: [], fixedExpenses: [], accounts: [] };
+        const synced = hydrationService._serverView(local, changes, getLastSyncedAt());
+        expect(synced.routines.map(r => r.id)).toEqual(['r1']);
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeIndexUnit, roundIndexed, formatIndexed, getIndexValue, indexedToClp,
+    getIndexGrowth, toClpGoals, toClpFixedExpenses, parseIndexCsv,
+} from '../utils/indexation';
+import { collectDueOccurrences, occurrenceId } from '../utils/recurring';
+import { predictGoalCompletion } from '../utils/projections';
+import { createLedgerEntry } from '../utils/goalLedger';
+
+const values = { items: [
+    { id: 'u1', unit: 'UF', date: '2026-01-01', value: 39000 },
+    { id: 'u2', unit: 'UF', date: '2026-03-01', value: 39200 },
+    { id: 't1', unit: 'UTM', date: '2026-03-01', value: 69000 },
+] };
+
+describe('index units', () => {
+    it('should only accept UF and UTM', () => {
+        expect(normalizeIndexUnit(' uf ')).toBe('UF');
+        expect(normalizeIndexUnit('UTM')).toBe('UTM');
+        expect(normalizeIndexUnit('USD')).toBeNull();
+        expect(normalizeIndexUnit('')).toBeNull();
+    });
+
+    it('should keep four decimals for UF and two for UTM', () => {
+        expect(roundIndexed(0.85234, 'UF')).toBe(0.8523);
+        expect(roundIndexed(1.456, 'UTM')).toBe(1.46);
+        expect(formatIndexed(1234.5, 'UF')).toBe('UF 1.234,5');
+    });
+});
+
+describe('getIndexValue', () => {
+    it('should use the latest value on or before the date', () => {
+        expect(getIndexValue(values, 'UF', '2026-02-15')).toBe(39000);
+        expect(getIndexValue(values, 'UF', '2026-03-01T10:00:00.000Z')).toBe(39200);
+        expect(getIndexValue(values, 'UF', '2025-06-01')).toBe(39000);
+        expect(getIndexValue({ items: [] }, 'UF', '2026-03-01')).toBeNull();
+    });
+
+    it('should convert indexed amounts to pesos', () => {
+        expect(indexedToClp(12.5, 'UF', '2026-03-10', values)).toBe(490000);
+        expect(indexedToClp(2, 'UTM', '2026-03-10', values)).toBe(138000);
+        expect(indexedToClp(1, 'UTM', '2026-03-10', { items: [] })).toBeNull();
+    });
+});
+
+describe('getIndexGrowth', () => {
+    it('should measure the daily compound growth of the table', () => {
+        const growth = getIndexGrowth(values, 'UF');
+        const days = 59; // 1 Jan → 1 Mar
+        expect(39000 * Math.pow(1 + growth, days)).toBeCloseTo(39200, 6);
+        expect(getIndexGrowth(values, 'UTM')).toBe(0);
+    });
+});
+
+describe('peso views of indexed records', () => {
+    it('should express UF targets in pesos and keep the recorded one', () => {
+        const goals = [
+            { id: 'g1', targetAmount: 100, indexUnit: 'UF' },
+            { id: 'g2', targetAmount: 5, indexUnit: 'UTM' },
+            { id: 'g3', targetAmount: 500000 },
+        ];
+        const [uf, utm, plain] = toClpGoals(goals, { items: values.items.filter(v => v.unit === 'UF') }, new Date('2026-03-10'));
+        expect(uf).toMatchObject({ targetAmount: 3920000, indexedTarget: 100 });
+        expect(utm).toMatchObject({ targetAmount: 0, indexedTarget: 5, unconverted: true });
+        expect(plain).toBe(goals[2]);
+    });
+
+    it('should express indexed fixed expenses in pesos', () => {
+        const [insurance] = toClpFixedExpenses([{ id: 'fx', amount: 0.5, indexUnit: 'UF' }], values, new Date('2026-03-10'));
+        expect(insurance).toMatchObject({ amount: 19600, indexedAmount: 0.5 });
+    });
+});
+
+describe('parseIndexCsv', () => {
+    it('should read dated values with or without a header', () => {
+        const csv = 'Fecha;Valor\n01-03-2026;39.200,12\n02/03/2026;39201,4567\n2026-03-03;39.202\nsin fecha;1\n';
+        const { values: parsed, skipped } = parseIndexCsv(csv);
+        expect(parsed).toEqual([
+            { date: '2026-03-01', value: 39200.12 },
+            { date: '2026-03-02', value: 39201.4567 },
+            { date: '2026-03-03', value: 39202 },
+        ]);
+        expect(skipped).toBe(1);
+        expect(parseIndexCsv('2026-03-01;39200\n').values).toHaveLength(1);
+    });
+});
+
+describe('indexed fixed expenses', () => {
+    const insurance = { id: 'fx1', name: 'Seguro', amount: 1.5, indexUnit: 'UF', category: 'seguros', frequency: 'monthly', nextDueDate: '2026-02-05', active: true };
+
+    it('should charge each occurrence in pesos at the value of its due date', () => {
+        const result = collectDueOccurrences([insurance], new Date(2026, 2, 15), new Set(), values);
+        expect(result.transactions.map(t => [t.id, t.amount])).toEqual([
+            [occurrenceId('fx1', '2026-02-05'), 58500],
+            [occurrenceId('fx1', '2026-03-05'), 58800],
+        ]);
+        expect(result.transactions[0]).toMatchObject({ currency: 'CLP', note: 'Seguro (UF 1,5)' });
+    });
+
+    it('should wait unposted while the unit has no values', () => {
+        const result = collectDueOccurrences([insurance], new Date(2026, 2, 15), new Set(), { items: [] });
+        expect(result.posted).toBe(0);
+        expect(result.fixedExpenses[0].nextDueDate).toBe('2026-02-05');
+    });
+});
+
+describe('predictGoalCompletion with an indexed target', () => {
+    const now = new Date();
+    const daysAgo = (n) => new Date(now.getTime() - n * 24 * 60 * 60 * 1000).toISOString();
+    const rising = { items: [
+        { id: 'a', unit: 'UF', date: daysAgo(365).slice(0, 10), value: 37000 },
+        { id: 'b', unit: 'UF', date: daysAgo(0).slice(0, 10), value: 39000 },
+    ] };
+    const goal = (targetAmount) => ({
+        id: 'g1', targetAmount, indexUnit: 'UF', deadline: daysAgo(-365),
+        ledger: [
+            createLedgerEntry({ amount: 100000, date: daysAgo(100) }),
+            createLedgerEntry({ amount: 100000, date: daysAgo(0) }),
+        ],
+    });
+
+    it('should take longer than with a fixed peso target', () => {
+        const fixed = predictGoalCompletion(goal(3900000), [], { items: [] });
+        const indexed = predictGoalCompletion(goal(3900000), [], rising);
+        expect(indexed.daysToComplete).toBeGreaterThan(fixed.daysToComplete);
+        expect(indexed.projectedTarget).toBeGreaterThan(3900000);
+        expect(fixed.projectedTarget).toBe(3900000);
+    });
+
+    it('should warn when the target grows faster than the savings', () => {
+        const prediction = predictGoalCompletion(goal(3900000000), [], rising);
+        expect(prediction.outpaced).toBe(true);
+        expect(prediction.onTrack).toBe(false);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    installmentAmount, buildSchedule, getPlanCost, getPendingCharges, getCommittedDebt,
+    getUpcomingThisMonth, getMonthlyCommitments, collectDueInstallments, installmentChargeId,
+} from '../utils/installments';
+import { setBaseCurrency } from '../utils/money';
+
+const plan = {
+    id: 'p1', note: 'Notebook', category: 'educacion', principal: 600000, count: 6,
+    monthlyRate: 0, firstDueDate: '2026-03-10', postedCount: 0, accountId: 'card',
+};
+
+describe('installmentAmount', () => {
+    beforeEach(() => setBaseCurrency('USD'));
+    afterEach(() => setBaseCurrency('CLP'));
+
+    it('should split evenly without interest', () => {
+        expect(installmentAmount(600000, 6)).toBe(100000);
+    });
+
+    it('should use a fixed payment when there is interest', () => {
+        // 100.000 at 2% monthly in 3 cuotas
+        expect(installmentAmount(100000, 3, 2)).toBe(34675.47);
+    });
+});
+
+describe('buildSchedule', () => {
+    beforeEach(() => setBaseCurrency('USD'));
+    afterEach(() => setBaseCurrency('CLP'));
+
+    it('should charge month by month keeping the day', () => {
+        const schedule = buildSchedule({ ...plan, firstDueDate: '2026-01-31', count: 3 });
+        expect(schedule.map(c => c.dueDate)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+
+    it('should put the rounding leftover on the last cuota', () => {
+        const schedule = buildSchedule({ ...plan, principal: 100000, count: 3 });
+        expect(schedule.map(c => c.amount)).toEqual([33333.33, 33333.33, 33333.34]);
+        expect(getPlanCost({ ...plan, principal: 100000, count: 3 }).interest).toBe(0);
+    });
+
+    it('should report the interest paid over the plan', () => {
+        expect(getPlanCost({ ...plan, principal: 100000, count: 3, monthlyRate: 2 }).interest).toBe(4026.41);
+    });
+
+    it('should charge whole pesos when the base currency is CLP', () => {
+        setBaseCurrency('CLP');
+        const schedule = buildSchedule({ ...plan, principal: 100000, count: 3 });
+        expect(schedule.map(c => c.amount)).toEqual([33333, 33333, 33334]);
+        expect(installmentAmount(100000, 3, 2)).toBe(34675);
+    });
+});
+
+describe('committed debt', () => {
+    const installments = { items: [{ ...plan, postedCount: 2 }] };
+
+    it('should only count cuotas not charged yet', () => {
+        expect(getPendingCharges(installments)).toHaveLength(4);
+        expect(getCommittedDebt(installments)).toBe(400000);
+    });
+
+    it('should find the cuotas still to be charged this month', () => {
+        expect(getUpcomingThisMonth(installments, new Date(2026, 4, 1))).toBe(100000);
+        expect(getUpcomingThisMonth(installments, new Date(2026, 4, 20))).toBe(100000);
+        expect(getUpcomingThisMonth({ items: [{ ...plan, postedCount: 3 }] }, new Date(2026, 4, 20))).toBe(0);
+    });
+
+    it('should group future charges by month', () => {
+        expect(getMonthlyCommitments(installments, 2)).toEqual([
+            { month: '2026-05', amount: 100000, charges: 1 },
+            { month: '2026-06', amount: 100000, charges: 1 },
+        ]);
+    });
+});
+
+describe('collectDueInstallments', () => {
+    it('should post due cuotas as expenses and advance the plan', () => {
+        const result = collectDueInstallments({ items: [plan] }, new Date(2026, 3, 15));
+        expect(result.posted).toBe(2);
+        expect(result.transactions[1]).toMatchObject({
+            id: installmentChargeId('p1', 2),
+            type: 'gasto',
+            amount: 100000,
+            category: 'educacion',
+            note: 'Notebook (cuota 2/6)',
+            accountId: 'card',
+            installmentPlanId: 'p1',
+        });
+        expect(result.installments.items[0].postedCount).toBe(2);
+    });
+
+    it('should not post cuotas that already exist', () => {
+        const existing = new Set([installmentChargeId('p1', 1)]);
+        const result = collectDueInstallments({ items: [plan] }, new Date(2026, 2, 15), existing);
+        expect(result.posted).toBe(0);
+        expect(result.installments.items[0].postedCount).toBe(1);
+    });
+
+    it('should return the same object when nothing is due', () => {
+        const installments = { items: [plan] };
+        expect(collectDueInstallments(installments, new Date(2026, 2, 1)).installments).toBe(installments);
+    });
+});
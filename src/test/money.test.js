@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    Money, toMinor, fromMinor, setBaseCurrency,
+    toStoredAmount, fromStoredAmount, toStoredRecord, fromStoredRecord,
+} from '../utils/money';
+import { storage } from '../utils/storage';
+import { getFixedExpenses, saveFixedExpenses } from '../utils/recurring';
+import { mappers } from '../lib/dataRepository';
+
+// Deterministic PRNG (mulberry32) so a failing case can be replayed
+function prng(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const RUNS = 500;
+const CURRENCIES = ['CLP', 'USD', 'KWD', 'UF'];
+
+// An amount at the currency's precision, positive or negative, up to 9 digits
+function randomAmount(next, currency) {
+    return fromMinor(Math.floor(next() * 1e9) - 5e8, currency);
+}
+
+describe('minor units', () => {
+    it('should round halves away from zero without float drift', () => {
+        expect(toMinor(2500.555, 'USD')).toBe(250056);
+        expect(toMinor(1.005, 'USD')).toBe(101);
+        expect(toMinor(-1.005, 'USD')).toBe(-101);
+        expect(toMinor('1990.5', 'CLP')).toBe(1991);
+        expect(toMinor(0.85235, 'UF')).toBe(8524);
+        expect(toMinor('abc', 'USD')).toBe(0);
+        expect(toMinor(1e-7, 'USD')).toBe(0);
+    });
+
+    it('should read minor units back in the precision of the currency', () => {
+        expect(fromMinor(1235, 'USD')).toBe(12.35);
+        expect(fromMinor(1235, 'CLP')).toBe(1235);
+        expect(fromMinor(8523, 'UF')).toBe(0.8523);
+        expect(fromMinor(-5, 'KWD')).toBe(-0.005);
+    });
+
+    it('should round-trip any amount already at currency precision', () => {
+        const next = prng(1);
+        for (let i = 0; i < RUNS; i++) {
+            const currency = CURRENCIES[i % CURRENCIES.length];
+            const amount = randomAmount(next, currency);
+            expect(fromMinor(toMinor(amount, currency), currency)).toBe(amount);
+        }
+    });
+});
+
+describe('Money', () => {
+    afterEach(() => setBaseCurrency('CLP'));
+
+    it('should add cents exactly where floats drift', () => {
+        expect(0.1 + 0.2).not.toBe(0.3);
+        expect(Money.add(0.1, 0.2, 'USD')).toBe(0.3);
+        expect(Money.sum([0.1, 0.2, 0.3], 'USD')).toBe(0.6);
+        expect(Money.subtract(100, 33.33, 'USD')).toBe(66.67);
+        expect(Money.sumBy([{ a: '10.10' }, { a: 5 }], r => r.a, 'USD')).toBe(15.1);
+    });
+
+    it('should use the base currency when none is given', () => {
+        expect(Money.parse(1990.6)).toBe(1991);
+        setBaseCurrency('USD');
+        expect(Money.parse(1990.606)).toBe(1990.61);
+        expect(Money.parse(5, null)).toBe(5);
+    });
+
+    it('should multiply by a decimal factor with a single rounding', () => {
+        expect(Money.multiply(19.99, 4.33, 'USD')).toBe(86.56);
+        expect(Money.multiply(120000, 1 / 12, 'CLP')).toBe(10000);
+        expect(Money.multiply(-10.05, 0.5, 'USD')).toBe(-5.03);
+    });
+
+    it('should keep sums independent of order and grouping (no drift)', () => {
+        const next = prng(2);
+        for (let i = 0; i < RUNS; i++) {
+            const currency = CURRENCIES[i % CURRENCIES.length];
+            const amounts = Array.from({ length: 2 + Math.floor(next() * 20) }, () => randomAmount(next, currency));
+            const total = Money.sum(amounts, currency);
+            const shuffled = [...amounts].sort(() => next() - 0.5);
+            expect(Money.sum(shuffled, currency)).toBe(total);
+            expect(amounts.reduce((s, a) => Money.add(s, a, currency), 0)).toBe(total);
+            expect(toMinor(total, currency)).toBe(amounts.reduce((s, a) => s + toMinor(a, currency), 0));
+            // Taking every amount back out lands exactly on zero
+            expect(amounts.reduce((s, a) => Money.subtract(s, a, currency), total)).toBe(0);
+        }
+    });
+
+    it('should allocate amounts that always add up to the total', () => {
+        expect(Money.allocate(100, [1, 1, 1], 'USD')).toEqual([33.34, 33.33, 33.33]);
+        expect(Money.allocate(100000, [50, 30, 20], 'CLP')).toEqual([50000, 30000, 20000]);
+        expect(Money.allocate(-10, [1, 2], 'CLP')).toEqual([-3, -7]);
+        expect(Money.allocate(10, [0, 0], 'CLP')).toEqual([10, 0]);
+
+        const next = prng(3);
+        for (let i = 0; i < RUNS; i++) {
+            const currency = CURRENCIES[i % CURRENCIES.length];
+            const amount = randomAmount(next, currency);
+            const weights = Array.from({ length: 1 + Math.floor(next() * 8) }, () => Math.floor(next() * 100));
+            const parts = Money.allocate(amount, weights, currency);
+            expect(parts).toHaveLength(weights.length);
+            expect(Money.sum(parts, currency)).toBe(amount);
+            parts.forEach(p => expect(fromMinor(toMinor(p, currency), currency)).toBe(p));
+        }
+    });
+});
+
+describe('stored amounts', () => {
+    beforeEach(() => localStorage.clear());
+    afterEach(() => setBaseCurrency('CLP'));
+
+    it('should store integer minor units with their currency', () => {
+        expect(toStoredAmount(12.35, 'USD')).toEqual({ minor: 1235, currency: 'USD' });
+        expect(toStoredAmount(5000)).toEqual({ minor: 5000, currency: 'CLP' });
+        expect(fromStoredAmount({ minor: 1235, currency: 'USD' })).toBe(12.35);
+        // Amounts saved before minor units are read as they were
+        expect(fromStoredAmount(12.35)).toBe(12.35);
+        expect(fromStoredAmount('4500')).toBe(4500);
+    });
+
+    it('should round-trip records and leave other fields alone', () => {
+        const goal = { id: 'g1', targetAmount: 250.1235, currentAmount: 100, currency: 'CLP', indexUnit: 'UF' };
+        const stored = toStoredRecord(goal, { targetAmount: 'UF', currentAmount: 'CLP' });
+        expect(stored).toMatchObject({ targetAmount: { minor: 2501235, currency: 'UF' }, currentAmount: { minor: 100, currency: 'CLP' } });
+        expect(fromStoredRecord(stored, ['targetAmount', 'currentAmount'])).toEqual(goal);
+    });
+
+    it('should read stored amounts in the currency they were saved in', () => {
+        setBaseCurrency('USD');
+        storage.saveTransactions([{ id: 't1', amount: 12.35 }]);
+        setBaseCurrency('CLP');
+        expect(storage.getTransactions()[0].amount).toBe(12.35);
+    });
+
+    it('should migrate amounts saved as plain numbers on the next save', () => {
+        localStorage.setItem('metaflow_transactions', JSON.stringify([{ id: 't1', amount: 19990.4, currency: 'USD' }]));
+        localStorage.setItem('metaflow_fixed_expenses', JSON.stringify([{ id: 'f1', amount: 0.85234, indexUnit: 'UF' }]));
+
+        storage.saveTransactions(storage.getTransactions());
+        saveFixedExpenses(getFixedExpenses());
+
+        expect(JSON.parse(localStorage.getItem('metaflow_transactions'))[0].amount).toEqual({ minor: 1999040, currency: 'USD' });
+        expect(JSON.parse(localStorage.getItem('metaflow_fixed_expenses'))[0].amount).toEqual({ minor: 8523, currency: 'UF' });
+        expect(getFixedExpenses()[0].amount).toBe(0.8523);
+    });
+});
+
+describe('cloud minor-unit columns', () => {
+    it('should write minor units next to the decimal column', () => {
+        const row = mappers.txToDb({ id: 't1', amount: 12.35, currency: 'USD' }, 'u1');
+        expect(row).toMatchObject({ amount: 12.35, amount_minor: 1235, currency: 'USD' });
+        expect(mappers.goalToDb({ id: 'g1', targetAmount: 100.5, currentAmount: 0, indexUnit: 'UF', currency: 'CLP' }, 'u1'))
+            .toMatchObject({ target_minor: 1005000, current_minor: 0 });
+    });
+
+    it('should prefer minor units and fall back to the decimal column', () => {
+        expect(mappers.txFromDb({ id: 't1', amount: '12.35', amount_minor: 1235, currency: 'USD' }).amount).toBe(12.35);
+        expect(mappers.txFromDb({ id: 't2', amount: '4990.00', amount_minor: null, currency: 'CLP' }).amount).toBe(4990);
+        expect(mappers.accountFromDb({ id: 'a1', opening_balance: '10.50', currency: 'USD' }).openingBalance).toBe(10.5);
+        expect(mappers.fixedExpenseFromDb({ id: 'f1', amount: '1.5', amount_minor: 15000, index_unit: 'UF', currency: 'CLP' }).amount).toBe(1.5);
+    });
+});
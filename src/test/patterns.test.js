@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+    similarNotes, findDuplicates, detectAmountAnomalies, detectTransactionWarnings, addWarningFeedback, duplicateKey,
+    WARNING_KINDS, INITIAL_WARNING_FEEDBACK,
+} from '../utils/patterns';
+
+const NOW = new Date(2026, 2, 20, 12);
+const day = (d) => new Date(2026, 2, d, 12).toISOString();
+
+// Six ordinary lunches, then one far above them
+const lunches = [1, 3, 5, 8, 10, 12].map((d, i) => ({
+    id: `l${d}`, type: 'gasto', amount: 8000 + i * 500, category: 'alimentacion', note: 'Almuerzo', currency: 'CLP', date: day(d),
+}));
+
+describe('duplicates', () => {
+    it('should compare notes by their words', () => {
+        expect(similarNotes('Supermercado Lider', 'LIDER supermercado #45')).toBe(true);
+        expect(similarNotes('Uber', 'Uber viaje aeropuerto')).toBe(true);
+        expect(similarNotes('', '')).toBe(true);
+        expect(similarNotes('Uber', '')).toBe(false);
+        expect(similarNotes('Cine', 'Farmacia')).toBe(false);
+    });
+
+    it('should flag the same amount and note a few days apart', () => {
+        const existing = [
+            { id: 'a', type: 'gasto', amount: 15990, note: 'Netflix', currency: 'CLP', date: day(10) },
+            { id: 'b', type: 'gasto', amount: 15990, note: 'Netflix', currency: 'CLP', date: day(1) },
+            { id: 'c', type: 'gasto', amount: 15990, note: 'Netflix', currency: 'USD', date: day(11) },
+            { id: 'd', type: 'ingreso', amount: 15990, note: 'Netflix', currency: 'CLP', date: day(11) },
+        ];
+        const draft = { type: 'gasto', amount: 15990, note: 'netflix.com', currency: 'CLP', date: day(12) };
+        expect(findDuplicates(draft, existing).map(t => t.id)).toEqual(['a']);
+        expect(findDuplicates({ ...draft, amount: 15000 }, existing)).toEqual([]);
+    });
+
+    it('should skip pairs dismissed as distinct', () => {
+        const existing = [{ id: 'a', type: 'gasto', amount: 5000, note: 'Café', currency: 'CLP', date: day(10) }];
+        const tx = { id: 'b', type: 'gasto', amount: 5000, note: 'Café', currency: 'CLP', date: day(10) };
+        const feedback = addWarningFeedback(INITIAL_WARNING_FEEDBACK, { kind: WARNING_KINDS.DUPLICATE, key: duplicateKey('b', 'a') });
+        expect(findDuplicates(tx, existing)).toHaveLength(1);
+        expect(findDuplicates(tx, existing, feedback)).toEqual([]);
+    });
+});
+
+describe('anomalies', () => {
+    it('should flag amounts far above the category history', () => {
+        const [anomaly] = detectAmountAnomalies({ type: 'gasto', amount: 45000, category: 'alimentacion' }, lunches);
+        expect(anomaly).toMatchObject({ category: 'alimentacion', amount: 45000, mean: 9250 });
+        expect(anomaly.zScore).toBeGreaterThan(2.5);
+        expect(detectAmountAnomalies({ type: 'gasto', amount: 10000, category: 'alimentacion' }, lunches)).toEqual([]);
+    });
+
+    it('should wait for enough history and skip unconverted amounts', () => {
+        expect(detectAmountAnomalies({ type: 'gasto', amount: 45000, category: 'alimentacion' }, lunches.slice(0, 4))).toEqual([]);
+        expect(detectAmountAnomalies({ type: 'gasto', amount: 45000, category: 'alimentacion', unconverted: true }, lunches)).toEqual([]);
+        expect(detectAmountAnomalies({ type: 'ingreso', amount: 900000, category: 'alimentacion' }, lunches)).toEqual([]);
+    });
+
+    it('should check each split line against its own category', () => {
+        const tx = {
+            type: 'gasto', amount: 52000, category: 'alimentacion',
+            lines: [{ category: 'alimentacion', amount: 47000 }, { category: 'hogar', amount: 5000 }],
+        };
+        expect(detectAmountAnomalies(tx, lunches).map(a => a.category)).toEqual(['alimentacion']);
+    });
+
+    it('should not flag again up to an amount marked as normal', () => {
+        const feedback = addWarningFeedback(INITIAL_WARNING_FEEDBACK, { kind: WARNING_KINDS.ANOMALY, key: 'x', category: 'alimentacion', amount: 50000 });
+        expect(detectAmountAnomalies({ type: 'gasto', amount: 45000, category: 'alimentacion' }, lunches, feedback)).toEqual([]);
+        expect(detectAmountAnomalies({ type: 'gasto', amount: 60000, category: 'alimentacion' }, lunches, feedback)).toHaveLength(1);
+    });
+});
+
+describe('transaction warnings', () => {
+    const transactions = [
+        ...lunches,
+        { id: 'big', type: 'gasto', amount: 45000, category: 'alimentacion', note: 'Cena aniversario', currency: 'CLP', date: day(18) },
+        { id: 'n1', type: 'gasto', amount: 15990, category: 'suscripciones', note: 'Netflix', currency: 'CLP', date: day(15) },
+        { id: 'n2', type: 'gasto', amount: 15990, category: 'suscripciones', note: 'Netflix', currency: 'CLP', date: day(16) },
+    ];
+
+    it('should list each duplicate pair once and each anomaly', () => {
+        const warnings = detectTransactionWarnings(transactions, null, NOW);
+        expect(warnings.map(w => [w.kind, w.key])).toEqual([
+            [WARNING_KINDS.ANOMALY, 'big'],
+            [WARNING_KINDS.DUPLICATE, 'n1|n2'],
+        ]);
+        expect(warnings[0].message).toContain('Cena aniversario');
+    });
+
+    it('should leave out dismissed warnings and old movements', () => {
+        let feedback = addWarningFeedback(INITIAL_WARNING_FEEDBACK, { kind: WARNING_KINDS.DUPLICATE, key: 'n1|n2' });
+        feedback = addWarningFeedback(feedback, { kind: WARNING_KINDS.ANOMALY, key: 'big', category: 'alimentacion', amount: 45000 });
+        expect(detectTransactionWarnings(transactions, feedback, NOW)).toEqual([]);
+        expect(detectTransactionWarnings(transactions, null, new Date(2026, 6, 1))).toEqual([]);
+    });
+});
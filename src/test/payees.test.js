@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+    payeeKey, resolvePayee, assignPayee, updatePayee, mergePayees, removePayee, payeeStats, matchPayeesFromNotes,
+} from '../utils/payees';
+import { suggestCategorization, learnFromHistory, describeRule } from '../utils/categoryRules';
+import { mappers } from '../lib/dataRepository';
+
+const payees = {
+    items: [
+        { id: 'jumbo', name: 'Jumbo', aliases: ['jumbo online'], category: 'alimentacion', type: 'gasto' },
+        { id: 'copec', name: 'Copec', aliases: [], category: '', type: 'gasto' },
+    ],
+};
+
+describe('payees', () => {
+    it('should fold case, accents, store numbers and legal suffixes', () => {
+        expect(payeeKey('JUMBO LAS CONDES #123 S.A.')).toBe('jumbo las condes');
+        expect(payeeKey('Café Ñuñoa SpA')).toBe('cafe nunoa');
+        expect(payeeKey('  ')).toBe('');
+    });
+
+    it('should resolve names, aliases and longer variants', () => {
+        expect(resolvePayee(payees, 'jumbo')?.id).toBe('jumbo');
+        expect(resolvePayee(payees, 'JUMBO ONLINE')?.id).toBe('jumbo');
+        expect(resolvePayee(payees, 'Compra POS Copec 4411 Santiago')?.id).toBe('copec');
+        expect(resolvePayee(payees, 'Shell')).toBeNull();
+        // A prefix has to end on a word boundary
+        expect(resolvePayee(payees, 'Jumbotron')).toBeNull();
+    });
+
+    it('should create new payees and learn aliases for known ones', () => {
+        const created = assignPayee(payees, '  Uber   Eats ', { category: 'alimentacion', type: 'gasto' });
+        expect(created.payees.items).toHaveLength(3);
+        expect(created.payees.items[2]).toMatchObject({ id: created.payeeId, name: 'Uber Eats', category: 'alimentacion' });
+
+        const known = assignPayee(payees, 'jumbo');
+        expect(known).toEqual({ payees, payeeId: 'jumbo' });
+
+        const variant = assignPayee(payees, 'Jumbo Costanera');
+        expect(variant.payeeId).toBe('jumbo');
+        expect(variant.payees.items[0].aliases).toEqual(['jumbo online', 'jumbo costanera']);
+
+        expect(assignPayee(payees, '').payeeId).toBeNull();
+    });
+
+    it('should edit, merge and remove payees', () => {
+        const edited = updatePayee(payees, 'copec', { aliases: ['Copec Ruta 5', 'copec', ''] });
+        expect(edited.items[1].aliases).toEqual(['copec ruta']);
+
+        const merged = mergePayees(payees, 'copec', 'jumbo');
+        expect(merged.items.map(p => p.id)).toEqual(['jumbo']);
+        expect(merged.items[0].aliases).toEqual(['jumbo online', 'copec']);
+        expect(mergePayees(payees, 'jumbo', 'jumbo')).toBe(payees);
+
+        expect(removePayee(payees, 'jumbo').items.map(p => p.id)).toEqual(['copec']);
+    });
+
+    it('should summarize spend, visits and average ticket per payee', () => {
+        const transactions = [
+            { id: 'a', type: 'gasto', amount: 30000, payeeId: 'jumbo', date: '2026-01-05T12:00:00.000Z' },
+            { id: 'b', type: 'gasto', amount: 50000, payeeId: 'jumbo', date: '2026-03-05T12:00:00.000Z' },
+            { id: 'c', type: 'gasto', amount: 20000, payeeId: 'copec', date: '2026-03-10T12:00:00.000Z' },
+            { id: 'd', type: 'ingreso', amount: 99000, payeeId: 'copec', date: '2026-03-11T12:00:00.000Z' },
+        ];
+        const [jumbo, copec] = payeeStats(transactions, payees);
+        expect(jumbo).toMatchObject({ total: 80000, count: 2, averageTicket: 40000, lastDate: '2026-03-05T12:00:00.000Z' });
+        expect(jumbo.perMonth).toBeCloseTo(1, 1);
+        expect(copec).toMatchObject({ total: 20000, count: 1, averageTicket: 20000, perMonth: 1 });
+    });
+
+    it('should link imported notes to known payees', () => {
+        const linked = matchPayeesFromNotes([
+            { id: 'a', note: 'JUMBO ONLINE 0032' },
+            { id: 'b', note: 'Farmacia' },
+            { id: 'c', note: 'Copec', payeeId: 'otro' },
+        ], payees);
+        expect(linked.map(t => t.payeeId)).toEqual(['jumbo', undefined, 'otro']);
+    });
+
+    it('should map payee ids to and from the database', () => {
+        expect(mappers.txToDb({ id: 't1', type: 'gasto', amount: 1, payeeId: 'jumbo' }, 'u1').payee_id).toBe('jumbo');
+        expect(mappers.txFromDb({ id: 't1', type: 'gasto', amount: 1, payee_id: 'jumbo' }).payeeId).toBe('jumbo');
+    });
+});
+
+describe('payee-based categorization', () => {
+    const tx = { type: 'gasto', amount: 12000, note: 'compra', date: '2026-03-10T12:00:00.000Z' };
+
+    it('should let payee rules and default categories categorize', () => {
+        const rules = { items: [{ id: 'r1', payeeId: 'copec', type: 'gasto', category: 'transporte', classification: '' }] };
+        expect(suggestCategorization({ ...tx, payeeId: 'copec' }, { rules, payees })).toMatchObject({ category: 'transporte', source: 'rule' });
+        expect(suggestCategorization({ ...tx, payeeId: 'jumbo' }, { rules, payees })).toMatchObject({ category: 'alimentacion', source: 'payee' });
+        // The rule only applies to its payee
+        expect(suggestCategorization(tx, { rules, payees })?.category).not.toBe('transporte');
+    });
+
+    it('should learn the usual category of a payee without a default', () => {
+        const history = [1, 2, 3].map(i => ({ id: `h${i}`, type: 'gasto', amount: 1000, note: `carga ${i}`, category: 'transporte', payeeId: 'copec' }));
+        const model = learnFromHistory(history);
+        expect(suggestCategorization({ ...tx, payeeId: 'copec' }, { model, payees })).toMatchObject({ category: 'transporte', source: 'payee' });
+    });
+
+    it('should name the payee when describing a rule', () => {
+        expect(describeRule({ payeeId: 'jumbo', weekdays: [] }, String, payees)).toContain('Comercio: Jumbo');
+        expect(describeRule({ payeeId: 'gone', weekdays: [] }, String, payees)).toContain('Comercio: eliminado');
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+    validateReceiptFile, normalizeReceipts, receiptIdsOf, blobToDataUrl, dataUrlToBlob,
+    getReceipt, pruneReceipts, exportReceipts, importReceipts, MAX_RECEIPTS, MAX_RECEIPT_SIZE,
+} from '../utils/receipts';
+import { mappers } from '../lib/dataRepository';
+
+const file = (type, size = 1000, name = 'boleta') => ({ name, type, size });
+
+describe('receipt metadata', () => {
+    it('should accept photos and PDFs up to the size limit', () => {
+        expect(validateReceiptFile(file('image/jpeg'))).toBeNull();
+        expect(validateReceiptFile(file('application/pdf'))).toBeNull();
+        expect(validateReceiptFile(file('text/plain'))).toMatch(/PDF/);
+        expect(validateReceiptFile(file('image/png', MAX_RECEIPT_SIZE + 1))).toMatch(/grande/);
+        expect(validateReceiptFile(null)).toBeTruthy();
+    });
+
+    it('should keep known fields only and cap the count', () => {
+        const [receipt] = normalizeReceipts([{ id: 'r1', name: 'Boleta.jpg', type: 'image/jpeg', size: '2048', blob: 'x' }, { name: 'sin id' }]);
+        expect(receipt).toEqual({ id: 'r1', name: 'Boleta.jpg', type: 'image/jpeg', size: 2048, path: null, addedAt: expect.any(String) });
+        expect(normalizeReceipts(Array.from({ length: 8 }, (_, i) => ({ id: `r${i}` })))).toHaveLength(MAX_RECEIPTS);
+        expect(normalizeReceipts(undefined)).toEqual([]);
+    });
+
+    it('should collect referenced receipt ids', () => {
+        const ids = receiptIdsOf([{ receipts: [{ id: 'a' }, { id: 'b' }] }, { id: 't2' }, { receipts: [{ id: 'c' }] }]);
+        expect([...ids]).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should sync metadata with the transaction row', () => {
+        const receipts = normalizeReceipts([{ id: 'r1', name: 'boleta.pdf', type: 'application/pdf', size: 10, path: 'u1/r1.pdf' }]);
+        const row = mappers.txToDb({ id: 't1', type: 'gasto', amount: 1000, receipts }, 'u1');
+        expect(row.receipts).toEqual(receipts);
+        expect(mappers.txFromDb({ ...row, receipts: null }).receipts).toEqual([]);
+    });
+});
+
+describe('receipt files', () => {
+    it('should round-trip a file through a data URL', async () => {
+        const blob = new Blob([new Uint8Array([0, 127, 255, 10])], { type: 'application/pdf' });
+        const restored = dataUrlToBlob(await blobToDataUrl(blob));
+        expect(restored.type).toBe('application/pdf');
+        expect([...new Uint8Array(await restored.arrayBuffer())]).toEqual([0, 127, 255, 10]);
+    });
+
+    it('should degrade quietly without IndexedDB', async () => {
+        expect(await getReceipt('r1')).toBeNull();
+        expect(await pruneReceipts([])).toEqual([]);
+        expect(await exportReceipts()).toEqual([]);
+        expect(await importReceipts([{ id: 'r1', data: 'data:image/png;base64,AA==' }])).toBe(0);
+    });
+});
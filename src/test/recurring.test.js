@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+    toDateKey,
+    shiftDueDate,
+    occurrenceId,
+    getCycleStatus,
+    collectDueOccurrences,
+    CYCLE_STATUS,
+} from '../utils/recurring';
+
+const today = new Date(2026, 2, 15); // 15 Mar 2026
+
+describe('shiftDueDate', () => {
+    it('should advance weekly, monthly and yearly cycles', () => {
+        expect(shiftDueDate('2026-03-01', 'weekly')).toBe('2026-03-08');
+        expect(shiftDueDate('2026-03-01', 'monthly')).toBe('2026-04-01');
+        expect(shiftDueDate('2026-03-01', 'yearly')).toBe('2027-03-01');
+    });
+
+    it('should clamp to month end and keep the anchor day', () => {
+        expect(shiftDueDate('2026-01-31', 'monthly', 1, 31)).toBe('2026-02-28');
+        expect(shiftDueDate('2026-02-28', 'monthly', 1, 31)).toBe('2026-03-31');
+    });
+
+    it('should move backwards with negative steps', () => {
+        expect(shiftDueDate('2026-03-01', 'monthly', -1)).toBe('2026-02-01');
+    });
+});
+
+describe('collectDueOccurrences', () => {
+    const rent = { id: 'fx1', name: 'Arriendo', amount: 450000, category: 'vivienda', frequency: 'monthly', nextDueDate: '2026-03-05', active: true };
+
+    it('should post due occurrences as gasto and advance nextDueDate', () => {
+        const result = collectDueOccurrences([rent], today);
+        expect(result.posted).toBe(1);
+        expect(result.transactions[0]).toMatchObject({
+            id: occurrenceId('fx1', '2026-03-05'),
+            type: 'gasto',
+            amount: 450000,
+            category: 'vivienda',
+            recurringId: 'fx1',
+        });
+        expect(result.fixedExpenses[0].nextDueDate).toBe('2026-04-05');
+        expect(result.fixedExpenses[0].lastPaidDate).toBe('2026-03-05');
+    });
+
+    it('should catch up every missed cycle', () => {
+        const result = collectDueOccurrences([{ ...rent, nextDueDate: '2026-01-05' }], today);
+        expect(result.posted).toBe(3);
+        expect(result.fixedExpenses[0].nextDueDate).toBe('2026-04-05');
+    });
+
+    it('should not post occurrences that already exist', () => {
+        const existing = new Set([occurrenceId('fx1', '2026-03-05')]);
+        const result = collectDueOccurrences([rent], today, existing);
+        expect(result.posted).toBe(0);
+        expect(result.fixedExpenses[0].nextDueDate).toBe('2026-04-05');
+    });
+
+    it('should ignore inactive, unscheduled and future expenses', () => {
+        const expenses = [
+            { ...rent, active: false },
+            { ...rent, id: 'fx2', nextDueDate: null },
+            { ...rent, id: 'fx3', nextDueDate: '2026-03-20' },
+        ];
+        const result = collectDueOccurrences(expenses, today);
+        expect(result.posted).toBe(0);
+        expect(result.fixedExpenses).toBe(expenses);
+    });
+});
+
+describe('getCycleStatus', () => {
+    it('should be paid once the current cycle was posted', () => {
+        const [posted] = collectDueOccurrences([{ id: 'fx1', amount: 1, frequency: 'monthly', nextDueDate: toDateKey(today) }], today).fixedExpenses;
+        expect(getCycleStatus(posted)).toBe(CYCLE_STATUS.PAID);
+    });
+
+    it('should be pending before the first posting', () => {
+        expect(getCycleStatus({ frequency: 'monthly', nextDueDate: '2026-03-20' })).toBe(CYCLE_STATUS.PENDING);
+    });
+
+    it('should report inactive and unscheduled expenses', () => {
+        expect(getCycleStatus({ active: false, nextDueDate: '2026-03-20' })).toBe(CYCLE_STATUS.INACTIVE);
+        expect(getCycleStatus({ frequency: 'monthly' })).toBe(CYCLE_STATUS.UNSCHEDULED);
+    });
+});
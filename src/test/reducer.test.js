@@ -1,4 +1,5 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
 
 // We need to test the reducer logic directly
 // Since the reducer is inside AppContext, we test through the exported context
@@ -25,6 +26,503 @@ describe('Reducer Logic', () => {
     });
 });
 
+// Mounts the real provider so actions run through the production reducer
+async function renderApp() {
+    const { AppProvider, useApp } = await import('../context/AppContext');
+    const { result } = renderHook(() => useApp(), { wrapper: AppProvider });
+    return result;
+}
+
+describe('UPDATE_TRANSACTION', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    async function setup() {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 100000 } });
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g2', name: 'Auto', targetAmount: 500000 } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'ahorro', amount: 20000, category: 'ahorro_meta', goalId: 'g1', date: '2026-01-10' } });
+            app.current.dispatch({ type: 'ADD_SAVINGS_TO_GOAL', payload: { goalId: 'g1', amount: 20000, date: '2026-01-10', transactionId: 't1' } });
+        });
+        return app;
+    }
+
+    const goal = (app, id) => app.current.state.goals.find(g => g.id === id);
+
+    it('should edit fields in place', async () => {
+        const app = await setup();
+        const tx = app.current.state.transactions[0];
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: tx.id, note: 'Corregido', date: '2026-01-12' } }));
+        const updated = app.current.state.transactions[0];
+        expect(updated.id).toBe(tx.id);
+        expect(updated.note).toBe('Corregido');
+        expect(updated.date).toBe('2026-01-12');
+        expect(updated.updatedAt).toBeDefined();
+    });
+
+    it('should rebalance the linked goal when the amount changes', async () => {
+        const app = await setup();
+        const tx = app.current.state.transactions[0];
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: tx.id, amount: 35000 } }));
+        expect(goal(app, 'g1').currentAmount).toBe(35000);
+    });
+
+    it('should move money between goals when goalId changes', async () => {
+        const app = await setup();
+        const tx = app.current.state.transactions[0];
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: tx.id, goalId: 'g2', amount: 15000 } }));
+        expect(goal(app, 'g1').currentAmount).toBe(0);
+        expect(goal(app, 'g2').currentAmount).toBe(15000);
+    });
+
+    it('should release goal money when the type is no longer ahorro', async () => {
+        const app = await setup();
+        const tx = app.current.state.transactions[0];
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: tx.id, type: 'gasto', category: 'otros_gastos' } }));
+        expect(goal(app, 'g1').currentAmount).toBe(0);
+        expect(app.current.state.transactions[0].goalId).toBeNull();
+    });
+
+    it('should be undoable, restoring the transaction and goal balances', async () => {
+        const app = await setup();
+        const tx = app.current.state.transactions[0];
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: tx.id, goalId: 'g2', amount: 50000 } }));
+        act(() => app.current.undoLast());
+        expect(app.current.state.transactions[0].amount).toBe(20000);
+        expect(app.current.state.transactions[0].goalId).toBe('g1');
+        expect(goal(app, 'g1').currentAmount).toBe(20000);
+        expect(goal(app, 'g2').currentAmount).toBe(0);
+    });
+
+    it('should ignore unknown ids', async () => {
+        const app = await setup();
+        const before = app.current.state;
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 'missing', amount: 1 } }));
+        expect(app.current.state).toBe(before);
+    });
+});
+
+describe('Goal ledger', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    async function setup() {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 100000 } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'ahorro', amount: 30000, category: 'ahorro_meta', goalId: 'g1' } });
+            app.current.dispatch({ type: 'ADD_SAVINGS_TO_GOAL', payload: { goalId: 'g1', amount: 30000, transactionId: 't1' } });
+        });
+        return app;
+    }
+
+    const goal = (app) => app.current.state.goals.find(g => g.id === 'g1');
+
+    it('should record contributions with their source transaction', async () => {
+        const app = await setup();
+        expect(goal(app).ledger).toHaveLength(1);
+        expect(goal(app).ledger[0]).toMatchObject({ type: 'contribution', amount: 30000, transactionId: 't1' });
+        expect(goal(app).currentAmount).toBe(30000);
+    });
+
+    it('should withdraw money capped to the goal balance', async () => {
+        const app = await setup();
+        act(() => app.current.dispatch({ type: 'WITHDRAW_FROM_GOAL', payload: { goalId: 'g1', amount: 50000, note: 'Imprevisto' } }));
+        expect(goal(app).currentAmount).toBe(0);
+        expect(goal(app).ledger[1]).toMatchObject({ type: 'withdrawal', amount: 30000, note: 'Imprevisto' });
+    });
+
+    it('should drop the contribution when its transaction is deleted and restore it on undo', async () => {
+        const app = await setup();
+        act(() => app.current.dispatch({ type: 'DELETE_TRANSACTION', payload: 't1' }));
+        expect(goal(app).currentAmount).toBe(0);
+        expect(goal(app).ledger).toHaveLength(0);
+        act(() => app.current.undoLast());
+        expect(goal(app).currentAmount).toBe(30000);
+        expect(goal(app).ledger[0].transactionId).toBe('t1');
+    });
+
+    it('should keep the balance when editing goal details', async () => {
+        const app = await setup();
+        act(() => app.current.dispatch({ type: 'UPDATE_GOAL', payload: { id: 'g1', name: 'Viaje a Japón', targetAmount: 120000, currentAmount: 0 } }));
+        expect(goal(app).name).toBe('Viaje a Japón');
+        expect(goal(app).currentAmount).toBe(30000);
+    });
+});
+
+describe('Split transactions', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    const receipt = {
+        id: 's1', type: 'gasto', amount: 50000, date: '2026-03-05', note: 'Supermercado',
+        lines: [
+            { category: 'alimentacion', amount: 32000 },
+            { category: 'hogar', amount: 8000, classification: 'desire' },
+            { category: 'otros_gastos', amount: 10000, goalId: 'g1' },
+        ],
+    };
+
+    async function setup() {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 100000 } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: receipt });
+            app.current.dispatch({ type: 'ADD_SAVINGS_TO_GOAL', payload: { goalId: 'g1', amount: 10000, transactionId: 's1' } });
+        });
+        return app;
+    }
+
+    const goal = (app) => app.current.state.goals.find(g => g.id === 'g1');
+
+    it('should store lines that add up to the total', async () => {
+        const app = await setup();
+        const tx = app.current.state.transactions[0];
+        expect(tx.category).toBe('alimentacion');
+        expect(tx.lines.map(l => [l.category, l.amount, l.goalId])).toEqual([
+            ['alimentacion', 32000, null],
+            ['hogar', 8000, null],
+            ['ahorro_meta', 10000, 'g1'],
+        ]);
+        expect(tx.lines.every(l => l.id)).toBe(true);
+    });
+
+    it('should drop lines that do not add up to the total', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { ...receipt, amount: 60000 } }));
+        expect(app.current.state.transactions[0].lines).toBeUndefined();
+    });
+
+    it('should move goal lines into the goal and rebalance on edit', async () => {
+        const app = await setup();
+        expect(goal(app).currentAmount).toBe(10000);
+
+        const lines = app.current.state.transactions[0].lines.map(l => (l.goalId ? { ...l, amount: 15000 } : l));
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 's1', amount: 55000, lines } }));
+        expect(goal(app).currentAmount).toBe(15000);
+        expect(goal(app).ledger).toHaveLength(1);
+
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 's1', category: 'alimentacion', lines: null } }));
+        expect(goal(app).currentAmount).toBe(0);
+    });
+
+    it('should only spend the non-goal lines from an envelope', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'SET_ENVELOPES', payload: { enabled: true, rules: [{ id: 'needs', name: 'Esenciales', percentage: 100, type: 'gasto' }] } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { ...receipt, envelopeId: 'needs' } });
+        });
+        const spend = app.current.state.envelopes.ledger.find(e => e.transactionId === 's1');
+        expect(spend.amount).toBe(-40000);
+    });
+
+    it('should keep the lines through storage', async () => {
+        const app = await setup();
+        const stored = JSON.parse(localStorage.getItem('metaflow_transactions'))[0];
+        expect(stored.lines[0].amount).toEqual({ minor: 32000, currency: 'CLP' });
+        const { storage } = await import('../utils/storage');
+        expect(storage.getTransactions()[0].lines).toEqual(app.current.state.transactions[0].lines);
+    });
+});
+
+describe('Envelopes', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    async function setup() {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 1000000 } });
+            app.current.dispatch({
+                type: 'SET_ENVELOPES',
+                payload: {
+                    enabled: true,
+                    rules: [
+                        { id: 'needs', name: 'Esenciales', percentage: 70, type: 'gasto' },
+                        { id: 'fun', name: 'Ocio', percentage: 10, type: 'gasto' },
+                        { id: 'trip', name: 'Viaje', percentage: 20, type: 'meta', goalId: 'g1' },
+                    ],
+                },
+            });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 'in1', type: 'ingreso', amount: 1000000, category: 'salario' } });
+            app.current.dispatch({
+                type: 'ALLOCATE_INCOME',
+                payload: {
+                    transactionId: 'in1',
+                    date: '2026-03-01T00:00:00.000Z',
+                    allocations: [
+                        { envelopeId: 'needs', amount: 700000 },
+                        { envelopeId: 'fun', amount: 100000 },
+                        { envelopeId: 'trip', amount: 200000 },
+                    ],
+                },
+            });
+        });
+        return app;
+    }
+
+    const balance = (app, id) => (app.current.state.envelopes.ledger || [])
+        .filter(e => e.envelopeId === id).reduce((s, e) => s + e.amount, 0);
+
+    it('should fund envelopes and credit meta rules to their goal', async () => {
+        const app = await setup();
+        expect(balance(app, 'needs')).toBe(700000);
+        expect(balance(app, 'fun')).toBe(100000);
+        expect(app.current.state.goals[0].currentAmount).toBe(200000);
+        const saving = app.current.state.transactions.find(t => t.type === 'ahorro');
+        expect(saving).toMatchObject({ amount: 200000, goalId: 'g1' });
+    });
+
+    it('should draw expenses from the chosen envelope and release them on delete', async () => {
+        const app = await setup();
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 'out1', type: 'gasto', amount: 45000, category: 'alimentacion', envelopeId: 'needs' } }));
+        expect(balance(app, 'needs')).toBe(655000);
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 'out1', envelopeId: 'fun', amount: 30000 } }));
+        expect(balance(app, 'needs')).toBe(700000);
+        expect(balance(app, 'fun')).toBe(70000);
+        act(() => app.current.dispatch({ type: 'DELETE_TRANSACTION', payload: 'out1' }));
+        expect(balance(app, 'fun')).toBe(100000);
+        act(() => app.current.undoLast());
+        expect(balance(app, 'fun')).toBe(70000);
+    });
+
+    it('should move money between envelopes without overdrawing', async () => {
+        const app = await setup();
+        act(() => app.current.dispatch({ type: 'TRANSFER_ENVELOPE', payload: { fromId: 'fun', toId: 'needs', amount: 250000 } }));
+        expect(balance(app, 'fun')).toBe(0);
+        expect(balance(app, 'needs')).toBe(800000);
+    });
+
+    it('should keep the ledger when rules are reconfigured', async () => {
+        const app = await setup();
+        act(() => app.current.dispatch({ type: 'SET_ENVELOPES', payload: { enabled: true, rules: app.current.state.envelopes.rules } }));
+        expect(balance(app, 'needs')).toBe(700000);
+    });
+});
+
+describe('POST_DUE_FIXED_EXPENSES', () => {
+    // The provider also runs the scheduler on its own, so pin "today"
+    beforeEach(async () => {
+        localStorage.clear();
+        const { time } = await import('../utils/timeEngine');
+        time.simulateDate(new Date(2026, 0, 20, 12));
+    });
+
+    afterEach(async () => {
+        const { time } = await import('../utils/timeEngine');
+        time.resetSimulation();
+    });
+
+    it('should post a due fixed expense exactly once', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_FIXED_EXPENSE', payload: { id: 'fx1', name: 'Netflix', amount: 9990, category: 'suscripciones', frequency: 'monthly', nextDueDate: '2026-01-10' } });
+        });
+        act(() => app.current.dispatch({ type: 'POST_DUE_FIXED_EXPENSES', payload: { today: new Date(2026, 0, 20) } }));
+        act(() => app.current.dispatch({ type: 'POST_DUE_FIXED_EXPENSES', payload: { today: new Date(2026, 0, 20) } }));
+        const posted = app.current.state.transactions.filter(t => t.recurringId === 'fx1');
+        expect(posted).toHaveLength(1);
+        expect(posted[0].amount).toBe(9990);
+        expect(app.current.state.fixedExpenses[0].nextDueDate).toBe('2026-02-10');
+    });
+
+    it('should skip occurrences already synced from another device', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 'fx_fx1_2026-01-10', type: 'gasto', amount: 9990, category: 'entretenimiento' } });
+            app.current.dispatch({ type: 'ADD_FIXED_EXPENSE', payload: { id: 'fx1', name: 'Netflix', amount: 9990, frequency: 'monthly', nextDueDate: '2026-01-10' } });
+        });
+        act(() => app.current.dispatch({ type: 'POST_DUE_FIXED_EXPENSES', payload: { today: new Date(2026, 0, 20) } }));
+        expect(app.current.state.transactions).toHaveLength(1);
+        expect(app.current.state.fixedExpenses[0].lastPaidDate).toBe('2026-01-10');
+    });
+});
+
+describe('IMPORT_TRANSACTIONS', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    const rows = [
+        { type: 'gasto', amount: 12500, category: 'alimentacion', date: '2026-03-02T00:00:00.000Z', note: 'Supermercado Lider' },
+        { type: 'gasto', amount: 9990, category: 'entretenimiento', date: '2026-03-03T00:00:00.000Z', note: 'Netflix' },
+        { type: 'ingreso', amount: 1500000, category: 'salario', date: '2026-03-05T00:00:00.000Z', note: 'Remuneración' },
+    ];
+
+    it('should add every row and award XP once', async () => {
+        const app = await renderApp();
+        const xpBefore = app.current.state.gamification.totalXP;
+        act(() => app.current.dispatch({ type: 'IMPORT_TRANSACTIONS', payload: rows }));
+        expect(app.current.state.transactions).toHaveLength(3);
+        const { XP_REWARDS } = await import('../utils/gamification');
+        expect(app.current.state.gamification.totalXP - xpBefore).toBe(XP_REWARDS.FIRST_TRANSACTION + XP_REWARDS.TRANSACTION_LOGGED);
+    });
+
+    it('should remove the whole batch on undo', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 'keep', type: 'gasto', amount: 1000, category: 'otros_gastos' } }));
+        act(() => app.current.dispatch({ type: 'IMPORT_TRANSACTIONS', payload: rows }));
+        act(() => app.current.undoLast());
+        expect(app.current.state.transactions.map(t => t.id)).toEqual(['keep']);
+    });
+});
+
+describe('Category rules', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should add, replace and delete rules keeping their order', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'SET_CATEGORY_RULE', payload: { id: 'r1', noteContains: 'uber', minAmount: '', type: 'gasto', category: 'transporte' } });
+            app.current.dispatch({ type: 'SET_CATEGORY_RULE', payload: { id: 'r2', noteContains: 'sueldo', type: 'ingreso', category: 'salario', classification: 'necessity' } });
+        });
+        expect(app.current.state.categoryRules.items.map(r => r.id)).toEqual(['r1', 'r2']);
+        expect(app.current.state.categoryRules.items[0].minAmount).toBeNull();
+        expect(app.current.state.categoryRules.items[1].classification).toBe('');
+
+        act(() => app.current.dispatch({ type: 'SET_CATEGORY_RULE', payload: { id: 'r1', noteContains: 'cabify', type: 'gasto', category: 'transporte' } }));
+        expect(app.current.state.categoryRules.items[0].noteContains).toBe('cabify');
+
+        act(() => app.current.dispatch({ type: 'DELETE_CATEGORY_RULE', payload: 'r1' }));
+        expect(app.current.state.categoryRules.items.map(r => r.id)).toEqual(['r2']);
+    });
+});
+
+describe('Accounts', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should tie new movements to the first account and move money with transfers', async () => {
+        const { getAccountBalances } = await import('../utils/accounts');
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_ACCOUNT', payload: { id: 'bank', name: 'Banco', type: 'checking', openingBalance: 100000 } });
+            app.current.dispatch({ type: 'ADD_ACCOUNT', payload: { id: 'cash', name: 'Efectivo', type: 'cash', openingBalance: 0 } });
+        });
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 'g1', type: 'gasto', amount: 20000, category: 'alimentacion' } }));
+        act(() => app.current.dispatch({ type: 'TRANSFER_BETWEEN_ACCOUNTS', payload: { fromId: 'bank', toId: 'cash', amount: 30000, note: 'Giro' } }));
+
+        const { transactions, accounts } = app.current.state;
+        expect(transactions.find(t => t.id === 'g1').accountId).toBe('bank');
+        expect(transactions[0]).toMatchObject({ type: 'transfer', accountId: 'bank', toAccountId: 'cash', amount: 30000 });
+        expect(getAccountBalances(accounts, transactions).map(a => a.balance)).toEqual([50000, 30000]);
+    });
+
+    it('should ignore a transfer to the same account', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'TRANSFER_BETWEEN_ACCOUNTS', payload: { fromId: 'bank', toId: 'bank', amount: 1000 } }));
+        expect(app.current.state.transactions).toHaveLength(0);
+    });
+
+    it('should only delete accounts without movements, with undo', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_ACCOUNT', payload: { id: 'bank', name: 'Banco' } });
+            app.current.dispatch({ type: 'ADD_ACCOUNT', payload: { id: 'card', name: 'Visa', type: 'credit_card', openingBalance: -50000 } });
+        });
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { type: 'gasto', amount: 1000, category: 'otros_gastos' } }));
+        act(() => app.current.dispatch({ type: 'DELETE_ACCOUNT', payload: 'bank' }));
+        expect(app.current.state.accounts).toHaveLength(2);
+
+        act(() => app.current.dispatch({ type: 'DELETE_ACCOUNT', payload: 'card' }));
+        expect(app.current.state.accounts.map(a => a.id)).toEqual(['bank']);
+        act(() => app.current.undoLast());
+        expect(app.current.state.accounts.find(a => a.id === 'card').openingBalance).toBe(-50000);
+    });
+});
+
+describe('Installments', () => {
+    // The provider posts due cuotas on its own, so pin "today"
+    beforeEach(async () => {
+        localStorage.clear();
+        const { time } = await import('../utils/timeEngine');
+        time.simulateDate(new Date(2026, 1, 10, 12));
+    });
+
+    afterEach(async () => {
+        const { time } = await import('../utils/timeEngine');
+        time.resetSimulation();
+    });
+
+    it('should create a plan and post cuotas once they are due', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({
+            type: 'ADD_INSTALLMENT_PLAN',
+            payload: { id: 'p1', note: 'TV', category: 'hogar', principal: 300000, count: 3, firstDueDate: '2026-02-05' },
+        }));
+        act(() => app.current.dispatch({ type: 'POST_DUE_INSTALLMENTS', payload: { today: new Date(2026, 2, 10) } }));
+
+        const charges = app.current.state.transactions.filter(t => t.installmentPlanId === 'p1');
+        expect(charges.map(t => t.amount)).toEqual([100000, 100000]);
+        expect(app.current.state.installments.items[0].postedCount).toBe(2);
+    });
+
+    it('should keep charged cuotas when the plan is deleted, and restore it on undo', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({
+            type: 'ADD_INSTALLMENT_PLAN',
+            payload: { id: 'p1', note: 'TV', principal: 300000, count: 3, firstDueDate: '2026-02-05' },
+        }));
+        act(() => app.current.dispatch({ type: 'POST_DUE_INSTALLMENTS', payload: { today: new Date(2026, 1, 10) } }));
+        act(() => app.current.dispatch({ type: 'DELETE_INSTALLMENT_PLAN', payload: 'p1' }));
+        expect(app.current.state.installments.items).toHaveLength(0);
+        expect(app.current.state.transactions).toHaveLength(1);
+
+        act(() => app.current.undoLast());
+        expect(app.current.state.installments.items[0].postedCount).toBe(1);
+    });
+});
+
+describe('Currencies', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should stamp records with their currency and round to its minor units', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 'clp', type: 'gasto', amount: 1990.6, category: 'otros_gastos' } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 'usd', type: 'gasto', amount: 12.345, currency: 'usd', category: 'otros_gastos' } });
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 2500.556, currency: 'EUR' } });
+        });
+        const tx = (id) => app.current.state.transactions.find(t => t.id === id);
+        expect(tx('clp')).toMatchObject({ currency: 'CLP', amount: 1991 });
+        expect(tx('usd')).toMatchObject({ currency: 'USD', amount: 12.35 });
+        expect(app.current.state.goals[0]).toMatchObject({ currency: 'EUR', targetAmount: 2500.56 });
+    });
+
+    it('should keep one quote per pair and day', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'SET_EXCHANGE_RATE', payload: { currency: 'USD', date: '2026-03-01', rate: 950 } });
+            app.current.dispatch({ type: 'SET_EXCHANGE_RATE', payload: { currency: 'USD', date: '2026-03-01', rate: 960 } });
+            app.current.dispatch({ type: 'SET_EXCHANGE_RATE', payload: { currency: 'USD', date: '2026-03-02', rate: 0 } });
+            app.current.dispatch({ type: 'SET_EXCHANGE_RATE', payload: { currency: 'CLP', date: '2026-03-02', rate: 1 } });
+        });
+        const { items } = app.current.state.exchangeRates;
+        expect(items).toHaveLength(1);
+        expect(items[0]).toMatchObject({ currency: 'USD', base: 'CLP', date: '2026-03-01', rate: 960 });
+
+        act(() => app.current.dispatch({ type: 'DELETE_EXCHANGE_RATE', payload: items[0].id }));
+        expect(app.current.state.exchangeRates.items).toHaveLength(0);
+    });
+
+    it('should not change the currency of a goal that already holds savings', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 1000, currentAmount: 200, currency: 'USD' } }));
+        act(() => app.current.dispatch({ type: 'UPDATE_GOAL', payload: { id: 'g1', currency: 'EUR', targetAmount: 1500 } }));
+        expect(app.current.state.goals[0]).toMatchObject({ currency: 'USD', targetAmount: 1500, currentAmount: 200 });
+    });
+});
+
 describe('Storage Module', () => {
     beforeEach(() => {
         localStorage.clear();
@@ -91,3 +589,286 @@ describe('Storage Module', () => {
         expect(storage.getRoutines()).toEqual([]);
     });
 });
+
+describe('UF/UTM indexation', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should keep one value per unit and day and import in bulk', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'SET_INDEX_VALUE', payload: { unit: 'UF', date: '2026-03-01', value: 39000 } });
+            app.current.dispatch({ type: 'IMPORT_INDEX_VALUES', payload: { unit: 'UF', values: [
+                { date: '2026-03-01', value: 39010 },
+                { date: '2026-03-02', value: 39020 },
+                { date: '2026-03-03', value: 0 },
+            ] } });
+            app.current.dispatch({ type: 'SET_INDEX_VALUE', payload: { unit: 'USD', date: '2026-03-01', value: 900 } });
+        });
+        const { items } = app.current.state.indexValues;
+        expect(items.map(v => [v.date, v.value])).toEqual([['2026-03-01', 39010], ['2026-03-02', 39020]]);
+        expect(JSON.parse(localStorage.getItem('metaflow_index_values')).items).toHaveLength(2);
+
+        act(() => app.current.dispatch({ type: 'DELETE_INDEX_VALUE', payload: items[0].id }));
+        expect(app.current.state.indexValues.items).toHaveLength(1);
+    });
+
+    it('should save towards an indexed goal in pesos', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Pie depto', targetAmount: 250.12345, currency: 'USD', indexUnit: 'uf' } });
+            app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g2', name: 'Viaje', targetAmount: 1000, currentAmount: 100, currency: 'USD' } });
+        });
+        act(() => app.current.dispatch({ type: 'UPDATE_GOAL', payload: { id: 'g2', indexUnit: 'UF' } }));
+        const [uf, usd] = app.current.state.goals;
+        expect(uf).toMatchObject({ currency: 'CLP', indexUnit: 'UF', targetAmount: 250.1235 });
+        // A goal already holding dollars cannot become a UF goal
+        expect(usd).toMatchObject({ currency: 'USD', indexUnit: null });
+    });
+
+    it('should store indexed fixed expenses with their unit precision', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_FIXED_EXPENSE', payload: { id: 'fx1', name: 'Seguro', amount: 0.85234, indexUnit: 'UF' } }));
+        expect(app.current.state.fixedExpenses[0]).toMatchObject({ amount: 0.8523, indexUnit: 'UF' });
+
+        act(() => app.current.dispatch({ type: 'UPDATE_FIXED_EXPENSE', payload: { id: 'fx1', amount: 45000.4, indexUnit: null } }));
+        expect(app.current.state.fixedExpenses[0]).toMatchObject({ amount: 45000, indexUnit: null });
+    });
+});
+
+describe('Categories', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should add and rename a category without touching its records', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_CATEGORY', payload: { kind: 'gasto', label: 'Mascotas', icon: '🐶', parent: 'hogar' } }));
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'mascotas' } }));
+        act(() => app.current.dispatch({ type: 'UPDATE_CATEGORY', payload: { kind: 'gasto', value: 'mascotas', label: 'Perro' } }));
+
+        const { items } = app.current.state.categories;
+        expect(items.find(c => c.value === 'mascotas')).toMatchObject({ label: 'Perro', icon: '🐶', parent: 'hogar' });
+        expect(app.current.state.transactions[0].category).toBe('mascotas');
+        expect(JSON.parse(localStorage.getItem('metaflow_categories')).items).toHaveLength(items.length);
+    });
+
+    it('should merge a category into another everywhere it is used', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'ropa' } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't2', type: 'gasto', amount: 3000, category: 'hogar', lines: [
+                { category: 'hogar', amount: 2000 }, { category: 'ropa', amount: 1000 },
+            ] } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't3', type: 'ingreso', amount: 9000, category: 'salario' } });
+            app.current.dispatch({ type: 'SET_BUDGET', payload: { category: 'ropa', limit: 20000 } });
+            app.current.dispatch({ type: 'SET_BUDGET', payload: { category: 'hogar', limit: 50000 } });
+            app.current.dispatch({ type: 'SET_CATEGORY_RULE', payload: { noteContains: 'zara', type: '', category: 'ropa' } });
+            app.current.dispatch({ type: 'ADD_FIXED_EXPENSE', payload: { id: 'fx1', name: 'Lavandería', amount: 1000, category: 'ropa' } });
+        });
+        act(() => app.current.dispatch({ type: 'MERGE_CATEGORY', payload: { kind: 'gasto', from: 'ropa', into: 'hogar' } }));
+
+        const { state } = app.current;
+        expect(state.transactions.find(t => t.id === 't1').category).toBe('hogar');
+        expect(state.transactions.find(t => t.id === 't2').lines.map(l => l.category)).toEqual(['hogar', 'hogar']);
+        expect(state.transactions.find(t => t.id === 't3').category).toBe('salario');
+        expect(state.budgets.items).toEqual([expect.objectContaining({ category: 'hogar', limit: 70000 })]);
+        expect(state.categoryRules.items[0].category).toBe('hogar');
+        expect(state.fixedExpenses[0].category).toBe('hogar');
+        expect(state.categories.items.some(c => c.kind === 'gasto' && c.value === 'ropa')).toBe(false);
+    });
+
+    it('should move records of a deleted category to its parent or the fallback', async () => {
+        const app = await renderApp();
+        act(() => {
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'vivienda' } });
+            app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't2', type: 'gasto', amount: 5000, category: 'ropa' } });
+            app.current.dispatch({ type: 'ADD_ROUTINE', payload: { id: 'r1', name: 'Correr', category: 'salud' } });
+        });
+        act(() => {
+            app.current.dispatch({ type: 'DELETE_CATEGORY', payload: { kind: 'gasto', value: 'vivienda' } });
+            app.current.dispatch({ type: 'DELETE_CATEGORY', payload: { kind: 'gasto', value: 'ropa' } });
+            app.current.dispatch({ type: 'DELETE_CATEGORY', payload: { kind: 'rutina', value: 'salud' } });
+            app.current.dispatch({ type: 'DELETE_CATEGORY', payload: { kind: 'gasto', value: 'otros_gastos' } });
+        });
+
+        const { state } = app.current;
+        expect(state.transactions.map(t => [t.id, t.category])).toEqual(expect.arrayContaining([['t1', 'hogar'], ['t2', 'otros_gastos']]));
+        expect(state.routines[0].category).toBe('otros');
+        // The gasto 'salud' is a different category and stays
+        expect(state.categories.items.filter(c => c.value === 'salud').map(c => c.kind)).toEqual(['gasto']);
+        expect(state.categories.items.some(c => c.value === 'otros_gastos')).toBe(true);
+    });
+});
+
+describe('Tags & Saved Filters', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should normalize tags and keep them on partial updates', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'ocio', tags: ['#Viaje Sur', 'viaje-sur', ' '] } }));
+        expect(app.current.state.transactions[0].tags).toEqual(['viaje-sur']);
+
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 't1', amount: 6000 } }));
+        expect(app.current.state.transactions[0].tags).toEqual(['viaje-sur']);
+
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 't1', tags: 'trabajo, Viaje Sur' } }));
+        expect(app.current.state.transactions[0].tags).toEqual(['trabajo', 'viaje-sur']);
+    });
+
+    it('should save, pin and delete named filters', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'SET_SAVED_FILTER', payload: { id: 'f1', name: 'Viaje', type: 'gasto', range: 'nunca', tags: ['Viaje Sur'] } }));
+        act(() => app.current.dispatch({ type: 'SET_SAVED_FILTER', payload: { name: '  ' } }));
+        expect(app.current.state.savedFilters.items).toEqual([
+            { id: 'f1', name: 'Viaje', type: 'gasto', range: 'all', category: '', tags: ['viaje-sur'], query: '', pinned: false },
+        ]);
+
+        // Pinning alone keeps the name and the criteria
+        act(() => app.current.dispatch({ type: 'SET_SAVED_FILTER', payload: { id: 'f1', pinned: true } }));
+        expect(app.current.state.savedFilters.items[0]).toMatchObject({ name: 'Viaje', tags: ['viaje-sur'], pinned: true });
+        expect(JSON.parse(localStorage.getItem('metaflow_saved_filters')).items).toHaveLength(1);
+
+        act(() => app.current.dispatch({ type: 'DELETE_SAVED_FILTER', payload: 'f1' }));
+        expect(app.current.state.savedFilters.items).toEqual([]);
+    });
+});
+
+describe('Receipts', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should store receipt metadata and keep it on partial updates', async () => {
+        const app = await renderApp();
+        const receipt = { id: 'r1', name: 'boleta.jpg', type: 'image/jpeg', size: 5000, blob: {} };
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'ocio', receipts: [receipt] } }));
+        expect(app.current.state.transactions[0].receipts).toEqual([expect.not.objectContaining({ blob: expect.anything() })]);
+
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 't1', amount: 6000 } }));
+        expect(app.current.state.transactions[0].receipts.map(r => r.id)).toEqual(['r1']);
+
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 't1', receipts: [] } }));
+        expect(app.current.state.transactions[0].receipts).toEqual([]);
+    });
+});
+
+describe('Payees', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should link typed payees and keep them on partial updates', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'alimentacion', payee: 'Jumbo' } }));
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't2', type: 'gasto', amount: 7000, category: 'alimentacion', payee: 'JUMBO Las Condes' } }));
+        const [jumbo] = app.current.state.payees.items;
+        expect(app.current.state.payees.items).toHaveLength(1);
+        expect(jumbo).toMatchObject({ name: 'Jumbo', aliases: ['jumbo las condes'], category: 'alimentacion' });
+        expect(app.current.state.transactions.map(t => t.payeeId)).toEqual([jumbo.id, jumbo.id]);
+        expect(app.current.state.transactions[0]).not.toHaveProperty('payee');
+
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 't1', amount: 6000 } }));
+        expect(app.current.state.transactions.find(t => t.id === 't1').payeeId).toBe(jumbo.id);
+        act(() => app.current.dispatch({ type: 'UPDATE_TRANSACTION', payload: { id: 't1', payee: '' } }));
+        expect(app.current.state.transactions.find(t => t.id === 't1').payeeId).toBeNull();
+        expect(JSON.parse(localStorage.getItem('metaflow_payees')).items).toHaveLength(1);
+    });
+
+    it('should move movements and rules when merging and unlink them when deleting', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'transporte', payee: 'Copec' } }));
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't2', type: 'gasto', amount: 5000, category: 'transporte', payee: 'Shell' } }));
+        const [copec, shell] = app.current.state.payees.items;
+        act(() => app.current.dispatch({ type: 'SET_CATEGORY_RULE', payload: { id: 'r1', payeeId: shell.id, type: 'gasto', category: 'transporte' } }));
+
+        act(() => app.current.dispatch({ type: 'MERGE_PAYEE', payload: { from: shell.id, into: copec.id } }));
+        expect(app.current.state.payees.items).toEqual([expect.objectContaining({ id: copec.id, aliases: ['shell'] })]);
+        expect(app.current.state.transactions.every(t => t.payeeId === copec.id)).toBe(true);
+        expect(app.current.state.categoryRules.items[0].payeeId).toBe(copec.id);
+
+        act(() => app.current.dispatch({ type: 'UPDATE_PAYEE', payload: { id: copec.id, name: '  ' } }));
+        expect(app.current.state.payees.items[0].name).toBe('Copec');
+
+        act(() => app.current.dispatch({ type: 'DELETE_PAYEE', payload: copec.id }));
+        expect(app.current.state.payees.items).toEqual([]);
+        expect(app.current.state.transactions.every(t => t.payeeId === null)).toBe(true);
+        expect(app.current.state.categoryRules.items).toEqual([]);
+    });
+
+    it('should link imported rows whose note names a known payee', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_TRANSACTION', payload: { id: 't1', type: 'gasto', amount: 5000, category: 'alimentacion', payee: 'Lider' } }));
+        act(() => app.current.dispatch({ type: 'IMPORT_TRANSACTIONS', payload: [
+            { type: 'gasto', amount: 9000, category: 'alimentacion', note: 'LIDER EXPRESS 044', date: '2026-03-01T12:00:00.000Z' },
+        ] }));
+        expect(app.current.state.transactions[0].payeeId).toBe(app.current.state.payees.items[0].id);
+    });
+});
+
+describe('Warning feedback', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should remember dismissed warnings once each', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'DISMISS_WARNING', payload: { kind: 'duplicate', key: 'a|b' } }));
+        act(() => app.current.dispatch({ type: 'DISMISS_WARNING', payload: { kind: 'duplicate', key: 'a|b' } }));
+        act(() => app.current.dispatch({ type: 'DISMISS_WARNING', payload: { kind: 'anomaly', key: 't1', category: 'ocio', amount: '90000' } }));
+        act(() => app.current.dispatch({ type: 'DISMISS_WARNING', payload: { kind: 'anomaly' } }));
+        expect(app.current.state.warningFeedback.items).toEqual([
+            expect.objectContaining({ kind: 'duplicate', key: 'a|b' }),
+            expect.objectContaining({ kind: 'anomaly', key: 't1', category: 'ocio', amount: 90000 }),
+        ]);
+        expect(JSON.parse(localStorage.getItem('metaflow_warning_feedback')).items).toHaveLength(2);
+    });
+});
+
+describe('Field times', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should stamp the fields an edit changes', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 100000 } }));
+        expect(app.current.state.goals[0].fieldTimes).toBeUndefined();
+
+        act(() => app.current.dispatch({ type: 'UPDATE_GOAL', payload: { id: 'g1', name: 'Viaje al sur' } }));
+        expect(Object.keys(app.current.state.goals[0].fieldTimes)).toContain('name');
+        expect(app.current.state.goals[0].fieldTimes).not.toHaveProperty('targetAmount');
+    });
+
+    it('should count XP for this device', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_XP', payload: 40 }));
+        const { totalXP, xpByDevice } = app.current.state.gamification;
+        expect(totalXP).toBe(40);
+        expect(Object.values(xpByDevice)).toEqual([40]);
+    });
+
+    it('should keep a local edit when a realtime row of the record arrives', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_GOAL', payload: { id: 'g1', name: 'Viaje', targetAmount: 100000 } }));
+        act(() => app.current.dispatch({ type: 'UPDATE_GOAL', payload: { id: 'g1', name: 'Viaje al sur' } }));
+        const local = app.current.state.goals[0];
+
+        // Another device raised the target; its row knows nothing of the rename
+        const later = new Date(Date.now() + 60000).toISOString();
+        const item = { ...local, name: 'Viaje', targetAmount: 150000, fieldTimes: { targetAmount: later }, updatedAt: later };
+        act(() => app.current.dispatch({ type: 'SYNC_UPSERT', payload: { table: 'goals', item } }));
+        expect(app.current.state.goals[0]).toMatchObject({ name: 'Viaje al sur', targetAmount: 150000 });
+    });
+
+    it('should add up XP a realtime profile row brings', async () => {
+        const app = await renderApp();
+        act(() => app.current.dispatch({ type: 'ADD_XP', payload: 40 }));
+        const gamification = { totalXP: 100, xpByDevice: { 'other-device': 100 }, xpLog: [], earnedBadgeIds: [] };
+        act(() => app.current.dispatch({ type: 'SYNC_PROFILE', payload: { gamification } }));
+        expect(app.current.state.gamification.totalXP).toBe(140);
+    });
+});
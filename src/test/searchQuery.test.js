@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseQuery, tokenizeQuery, matchesQuery, searchTransactions, highlightTerms, highlightParts,
+    suggestCompletions, applyCompletion, foldText,
+} from '../utils/searchQuery';
+import { filterTransactions } from '../utils/savedFilters';
+
+const transactions = [
+    { id: 'a', type: 'gasto', amount: 8500, category: 'alimentacion', note: 'Uber Eats almuerzo', tags: ['viaje'], accountId: 'acc1', date: '2026-02-10T15:00:00.000Z' },
+    { id: 'b', type: 'gasto', amount: 3200, category: 'transporte', note: 'Uber al aeropuerto', tags: ['viaje', 'trabajo'], accountId: 'acc2', date: '2025-12-30T15:00:00.000Z' },
+    { id: 'c', type: 'gasto', amount: 450000, category: 'vivienda', note: 'Arriendo', accountId: 'acc1', date: '2026-03-01' },
+    { id: 'd', type: 'ingreso', amount: 1200000, category: 'salario', note: 'Sueldo marzo', accountId: 'acc1', date: '2026-03-28' },
+    { id: 'e', type: 'gasto', amount: 20000, category: 'hogar', note: 'Supermercado', date: '2026-03-02',
+        lines: [{ category: 'hogar', amount: 12000 }, { category: 'alimentacion', amount: 8000 }] },
+];
+const context = { accountNames: { acc1: 'Cuenta Corriente', acc2: 'Efectivo' } };
+const ids = (query) => searchTransactions(transactions, query, context).map(t => t.id);
+
+describe('query parser', () => {
+    it('should keep quoted text together', () => {
+        expect(tokenizeQuery('cat:"comida rapida" "uber eats" #viaje').map(t => t.text))
+            .toEqual(['cat:"comida rapida"', '"uber eats"', '#viaje']);
+    });
+
+    it('should parse fields, operators and negation', () => {
+        const { terms, errors } = parseQuery('cat:Alimentación monto>=5.000 desde:2026-01-01 tipo:gastos -#trabajo "uber"');
+        expect(errors).toEqual([]);
+        expect(terms.map(({ field, op, value, negate }) => ({ field, op, value, negate }))).toEqual([
+            { field: 'category', op: undefined, value: 'alimentacion', negate: false },
+            { field: 'amount', op: '>=', value: 5000, negate: false },
+            { field: 'from', op: undefined, value: '2026-01-01', negate: false },
+            { field: 'type', op: undefined, value: 'gasto', negate: false },
+            { field: 'tag', op: undefined, value: 'trabajo', negate: true },
+            { field: 'text', op: undefined, value: 'uber', negate: false },
+        ]);
+        expect(parseQuery('monto:10,5').terms[0]).toMatchObject({ op: '=', value: 10.5 });
+    });
+
+    it('should report what it cannot understand and ignore it', () => {
+        const { terms, errors } = parseQuery('foo:bar monto>abc desde:2026-02-30 tipo:regalo cat: uber');
+        expect(errors.map(e => e.raw)).toEqual(['foo:bar', 'monto>abc', 'desde:2026-02-30', 'tipo:regalo', 'cat:']);
+        expect(terms.map(t => t.value)).toEqual(['uber']);
+    });
+});
+
+describe('query matching', () => {
+    it('should match text in notes, tags and category names, ignoring accents', () => {
+        expect(ids('uber')).toEqual(['a', 'b']);
+        expect(ids('"uber eats"')).toEqual(['a']);
+        expect(ids('ALIMENTACIÓN')).toEqual(['a', 'e']);
+        expect(ids('')).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should combine every term', () => {
+        expect(ids('tipo:gasto monto>5000 desde:2026-01-01')).toEqual(['a', 'c', 'e']);
+        expect(ids('hasta:2026-02-28')).toEqual(['a', 'b']);
+        expect(ids('#viaje -#trabajo')).toEqual(['a']);
+        expect(ids('cuenta:efectivo')).toEqual(['b']);
+        expect(ids('-cuenta:corriente tipo:gasto')).toEqual(['b', 'e']);
+    });
+
+    it('should match a category through its parent and split lines', () => {
+        expect(ids('cat:hogar')).toEqual(['c', 'e']);
+        expect(ids('cat:alimentacion')).toEqual(['a', 'e']);
+        expect(matchesQuery(transactions[3], parseQuery('cat:sala'))).toBe(false);
+    });
+
+    it('should drive saved filters', () => {
+        const filtered = filterTransactions(transactions, { type: 'gasto', query: 'monto<10000' }, new Date(2026, 3, 1), context);
+        expect(filtered.map(t => t.id)).toEqual(['a', 'b']);
+    });
+});
+
+describe('query helpers', () => {
+    it('should highlight searched words without breaking accents', () => {
+        const words = highlightTerms(parseQuery('ARRIENDO -uber cat:hogar'));
+        expect(words).toEqual(['arriendo']);
+        expect(highlightParts('Pagué arriendo', ['pague'])).toEqual([
+            { text: 'Pagué', match: true }, { text: ' arriendo', match: false },
+        ]);
+        expect(foldText('Ñandú')).toBe('nandu');
+    });
+
+    it('should suggest fields, then values for the field being typed', () => {
+        const options = { categories: [{ value: 'alimentacion', label: 'Alimentación' }, { value: 'ropa', label: 'Ropa' }], tags: ['viaje'], accounts: ['Cuenta Corriente'] };
+        expect(suggestCompletions('', options).map(s => s.insert)).toContain('cat:');
+        expect(suggestCompletions('uber mon', options).map(s => s.insert)).toEqual(['monto>', 'monto<']);
+        expect(suggestCompletions('cat:ali', options)).toEqual([{ label: 'Alimentación', insert: 'cat:alimentacion ' }]);
+        expect(suggestCompletions('-#vi', options)).toEqual([{ label: '#viaje', insert: '-#viaje ' }]);
+        expect(suggestCompletions('cuenta:co', options)[0].insert).toBe('cuenta:"Cuenta Corriente" ');
+        expect(applyCompletion('uber cat:ali', 'cat:alimentacion ')).toBe('uber cat:alimentacion ');
+        expect(applyCompletion('uber ', 'tipo:')).toBe('uber tipo:');
+    });
+});
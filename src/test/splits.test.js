@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    isSplit, normalizeSplitLines, getSplitRemainder, buildSplitLines, primaryCategory,
+    expandSplitLines, getGoalContributions, getSpentAmount,
+} from '../utils/splits';
+import { calculateDecisionMetrics, detectCategoryTrends } from '../utils/patterns';
+import { calculateBudgetProgress } from '../utils/budgets';
+import { toBaseTransactions, toRecordedTransaction } from '../utils/currency';
+import { serializeQIF } from '../utils/exchangeFormats';
+import { mappers } from '../lib/dataRepository';
+import { time } from '../utils/timeEngine';
+
+const receipt = {
+    id: 's1', type: 'gasto', amount: 50000, currency: 'CLP', date: '2026-03-05T12:00:00.000Z',
+    lines: [
+        { id: 'l1', category: 'alimentacion', amount: 32000, goalId: null, classification: null },
+        { id: 'l2', category: 'hogar', amount: 8000, goalId: null, classification: 'desire' },
+        { id: 'l3', category: 'ahorro_meta', amount: 10000, goalId: 'g1', classification: null },
+    ],
+};
+
+describe('split lines', () => {
+    it('should only accept lines that add up to the total', () => {
+        expect(buildSplitLines(receipt.lines, 50000, 'CLP')).toHaveLength(3);
+        expect(buildSplitLines(receipt.lines, 50001, 'CLP')).toBeNull();
+        expect(buildSplitLines([{ category: 'hogar', amount: 10 }], 10, 'CLP')).toBeNull();
+        expect(getSplitRemainder(100, [{ amount: 33.33 }, { amount: 33.33 }, { amount: 33.33 }], 'USD')).toBe(0.01);
+    });
+
+    it('should drop empty lines and file goal lines as savings', () => {
+        const lines = normalizeSplitLines([
+            { category: 'hogar', amount: '1990.4' },
+            { category: '', amount: 500 },
+            { category: 'salud', amount: 0 },
+            { category: 'ropa', amount: 300, goalId: 'g1', classification: 'desire' },
+        ], 'CLP');
+        expect(lines.map(l => [l.category, l.amount, l.goalId, l.classification])).toEqual([
+            ['hogar', 1990, null, null],
+            ['ahorro_meta', 300, 'g1', null],
+        ]);
+        expect(primaryCategory(receipt.lines)).toBe('alimentacion');
+        expect(isSplit(receipt)).toBe(true);
+        expect(isSplit({ ...receipt, lines: [] })).toBe(false);
+    });
+
+    it('should expand a split into one record per line', () => {
+        const plain = { id: 't2', type: 'gasto', amount: 1000, category: 'salud' };
+        const records = expandSplitLines([receipt, plain]);
+        expect(records.map(r => [r.type, r.category, r.amount, r.decisionType ?? null])).toEqual([
+            ['gasto', 'alimentacion', 32000, null],
+            ['gasto', 'hogar', 8000, 'desire'],
+            ['ahorro', 'ahorro_meta', 10000, null],
+            ['gasto', 'salud', 1000, null],
+        ]);
+        expect(records[0]).toMatchObject({ id: 's1', lineId: 'l1', date: receipt.date });
+        expect(records[3]).toBe(plain);
+    });
+
+    it('should save through goal lines and spend the rest', () => {
+        expect(getGoalContributions(receipt)).toEqual([{ goalId: 'g1', amount: 10000 }]);
+        expect(getGoalContributions({ type: 'ahorro', goalId: 'g2', amount: 500 })).toEqual([{ goalId: 'g2', amount: 500 }]);
+        expect(getGoalContributions({ type: 'gasto', goalId: 'g2', amount: 500 })).toEqual([]);
+        expect(getSpentAmount(receipt)).toBe(40000);
+    });
+});
+
+describe('analytics at line level', () => {
+    beforeEach(() => time.simulateDate(new Date(2026, 2, 20, 12)));
+    afterEach(() => time.resetSimulation());
+
+    it('should classify each line of a split', () => {
+        const metrics = calculateDecisionMetrics([receipt]);
+        // The goal line is savings, so only the 40 000 spent is classified
+        expect(metrics.total).toBe(40000);
+        expect(metrics.breakdown).toEqual({ necessity: 32000, investment: 0, desire: 8000, impulse: 0 });
+    });
+
+    it('should follow category trends through split lines', () => {
+        const february = (amount, category) => ({ type: 'gasto', amount, category, date: '2026-02-10T12:00:00.000Z' });
+        const trends = detectCategoryTrends([
+            february(10000, 'hogar'), february(10000, 'alimentacion'), february(5000, 'salud'), february(5000, 'salud'),
+            { ...receipt, lines: receipt.lines.map(l => (l.category === 'hogar' ? { ...l, amount: 18000 } : l)), amount: 60000 },
+        ]);
+        expect(trends.find(t => t.category === 'hogar')).toMatchObject({ type: 'increase', change: 80 });
+        expect(trends.find(t => t.category === 'alimentacion')).toMatchObject({ type: 'increase', change: 220 });
+    });
+
+    it('should charge each line against its own budget', () => {
+        const budgets = { items: [{ category: 'hogar', limit: 10000 }, { category: 'alimentacion', limit: 30000 }] };
+        const [hogar, food] = calculateBudgetProgress(budgets, [receipt], time.now());
+        expect(hogar.spent).toBe(8000);
+        expect(food).toMatchObject({ spent: 32000, status: 'over' });
+    });
+});
+
+describe('split transactions across formats', () => {
+    it('should convert lines with their transaction and undo it', () => {
+        const rates = { items: [{ id: 'r1', currency: 'USD', base: 'CLP', date: '2026-03-01', rate: 950 }] };
+        const dollars = { ...receipt, currency: 'USD', amount: 10, lines: [{ id: 'a', category: 'hogar', amount: 3.33 }, { id: 'b', category: 'salud', amount: 6.67 }] };
+        const [converted] = toBaseTransactions([dollars], 'CLP', rates);
+        expect(converted.lines.map(l => l.amount)).toEqual([3164, 6336]);
+        expect(converted.lines[0].amount + converted.lines[1].amount).toBe(converted.amount);
+        expect(toRecordedTransaction(converted)).toEqual(dollars);
+    });
+
+    it('should sync lines in minor units', () => {
+        const row = mappers.txToDb({ ...receipt, currency: 'USD', amount: 1.5, lines: [{ id: 'a', category: 'hogar', amount: 1.25 }, { id: 'b', category: 'salud', amount: 0.25 }] }, 'u1');
+        expect(row.lines).toEqual([
+            { id: 'a', category: 'hogar', amount_minor: 125, goal_id: null, classification: null },
+            { id: 'b', category: 'salud', amount_minor: 25, goal_id: null, classification: null },
+        ]);
+        expect(mappers.txFromDb(row).lines.map(l => l.amount)).toEqual([1.25, 0.25]);
+        expect(mappers.txToDb({ id: 't', amount: 5 }, 'u1').lines).toBeNull();
+    });
+
+    it('should export lines as QIF splits', () => {
+        const text = serializeQIF([{ ...receipt, note: 'Lider', category: 'alimentacion' }]);
+        expect(text).toContain('Lalimentacion\nSalimentacion\n$-32000.00\nShogar\n$-8000.00\nSahorro_meta\n$-10000.00\n^');
+    });
+});
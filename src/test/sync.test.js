@@ -0,0 +1,409 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { writeQueue } from '../lib/writeQueue';
+import { syncManager } from '../lib/syncManager';
+import { dataRepository, mappers } from '../lib/dataRepository';
+import { hydrationService } from '../lib/hydrationService';
+import { syncConflicts } from '../lib/syncConflicts';
+import { tombstones } from '../lib/tombstones';
+
+/**
+ * In-memory stand-in for the Supabase client: keeps rows per table,
+ * stamps updated_at with its own clock like the server triggers, and
+ * counts the requests that reach it and the rows its paged reads serve
+ */
+function memorySupabase() {
+    const tables = {};
+    const requests = [];
+    let clock = Date.UTC(2026, 2, 1, 12);
+    const served = { rows: 0 };
+    // Error returned by every read and delete of a table
+    const failures = {};
+    return {
+        tables,
+        requests,
+        served,
+        failures,
+        from(table) {
+            const rows = (tables[table] ||= new Map());
+            return {
+                async upsert(payload, { onConflict }) {
+                    const list = Array.isArray(payload) ? payload : [payload];
+                    requests.push({ table, operation: 'UPSERT', rows: list.length });
+                    list.forEach(row => {
+                        clock += 1000;
+                        rows.set(row[onConflict], { ...row, updated_at: new Date(clock).toISOString() });
+                    });
+                    return { error: null };
+                },
+                select() {
+                    const filters = [];
+                    let range = [0, Infinity];
+                    const result = () => [...rows.values()]
+                        .filter(row => filters.every(keep => keep(row)))
+                        .sort((a, b) => String(a.updated_at).localeCompare(String(b.updated_at)))
+                        .slice(range[0], range[1] + 1);
+                    const query = {
+                        eq(column, value) {
+                            filters.push(row => row[column] === value);
+                            return query;
+                        },
+                        gt(column, value) {
+                            filters.push(row => new Date(row[column]) > new Date(value));
+                            return query;
+                        },
+                        order: () => query,
+                        range(from, to) {
+                            range = [from, to];
+                            return query;
+                        },
+                        async single() {
+                            const [row] = result();
+                            return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } };
+                        },
+                        then(resolve) {
+                            if (failures[table]) return resolve({ data: null, error: failures[table] });
+                            const data = result();
+                            served.rows += data.length;
+                            resolve({ data, error: null });
+                        },
+                    };
+                    return query;
+                },
+                delete() {
+                    const filters = {};
+                    const query = {
+                        eq(column, value) {
+                            filters[column] = value;
+                            return query;
+                        },
+                        then(resolve) {
+                            if (failures[table]) return resolve({ error: failures[table] });
+                            requests.push({ table, operation: 'DELETE', rows: 1 });
+                            rows.delete(filters.id);
+                            resolve({ error: null });
+                        },
+                    };
+                    return query;
+                },
+            };
+        },
+    };
+}
+
+const tx = (i, extra = {}) => ({ id: `t${i}`, type: 'gasto', amount: 1000 + i, category: 'otros', date: '2026-03-01T12:00:00.000Z', ...extra });
+
+const baseState = () => ({
+    profile: { name: 'Ana', currency: 'CLP' },
+    gamification: { totalXP: 0, xpLog: [], earnedBadgeIds: [] },
+    envelopes: { enabled: false, rules: [], ledger: [] },
+    budgets: { items: [] },
+    categoryRules: { items: [] },
+    installments: { items: [] },
+    exchangeRates: { items: [] },
+    categories: { items: [] },
+    savedFilters: { items: [] },
+    payees: { items: [] },
+    goals: [{ id: 'g1', name: 'Viaje', targetAmount: 100000, currentAmount: 0 }],
+    transactions: Array.from({ length: 200 }, (_, i) => tx(i)),
+    routines: [],
+    fixedExpenses: [],
+    accounts: [],
+});
+
+describe('write queue batching', () => {
+    let client;
+
+    beforeEach(() => {
+        writeQueue.clear();
+        tombstones.clear();
+        client = memorySupabase();
+    });
+
+    it('should send the upserts of a table as one request', async () => {
+        for (let i = 0; i < 50; i++) writeQueue.enqueue('UPSERT', 'transactions', tx(i), 'u1');
+        writeQueue.enqueue('UPSERT', 'goals', { id: 'g1', name: 'Viaje' }, 'u1');
+        await writeQueue.flush(client);
+
+        expect(client.requests).toEqual([
+            { table: 'transactions', operation: 'UPSERT', rows: 50 },
+            { table: 'goals', operation: 'UPSERT', rows: 1 },
+        ]);
+        expect(client.tables.transactions.get('t7').user_id).toBe('u1');
+        expect(writeQueue.size).toBe(0);
+    });
+
+    it('should keep deletes separate and drop upserts of deleted rows', async () => {
+        writeQueue.enqueue('UPSERT', 'transactions', tx(1), 'u1');
+        writeQueue.enqueue('UPSERT', 'transactions', tx(2), 'u1');
+        writeQueue.enqueue('DELETE', 'transactions', { id: 't1' }, 'u1');
+        await writeQueue.flush(client);
+
+        expect(client.requests).toEqual([
+            { table: 'transactions', operation: 'UPSERT', rows: 1 },
+            { table: 'transactions', operation: 'DELETE', rows: 1 },
+        ]);
+    });
+});
+
+describe('delta sync', () => {
+    let client;
+
+    beforeEach(() => {
+        localStorage.clear();
+        writeQueue.clear();
+        tombstones.clear();
+        syncConflicts.clear();
+        syncManager.destroy();
+        client = memorySupabase();
+    });
+
+    it('should push nothing after hydrating, then only what changed', async () => {
+        // Another device already uploaded the account
+        syncManager._enqueueChanges(baseState(), 'u1');
+        await writeQueue.flush(client);
+        syncManager.destroy();
+        localStorage.clear();
+        client.requests.length = 0;
+
+        const { data, synced, source } = await hydrationService.hydrate('u1', client);
+        expect(source).toBe('remote');
+        syncManager.init('u1', () => {});
+        syncManager.setSyncedState(synced);
+        // Loaded into the reducer: equal content, new objects
+        const loaded = structuredClone(data);
+        expect(syncManager._enqueueChanges(loaded, 'u1')).toBe(0);
+
+        const edited = {
+            ...loaded,
+            transactions: loaded.transactions.map(t => (t.id === 't5' ? { ...t, amount: 9990 } : t)),
+        };
+        expect(syncManager._enqueueChanges(edited, 'u1')).toBe(1);
+        await writeQueue.flush(client);
+        expect(client.requests).toEqual([{ table: 'transactions', operation: 'UPSERT', rows: 1 }]);
+        expect(client.tables.transactions.get('t5').amount).toBe(9990);
+    });
+
+    it('should pull nothing on a second login without changes', async () => {
+        const login = async () => {
+            syncManager.destroy();
+            const { data, synced } = await hydrationService.hydrate('u1', client);
+            syncManager.init('u1', () => {});
+            syncManager.setSyncedState(synced);
+            syncManager._enqueueChanges(structuredClone(data), 'u1');
+            await writeQueue.flush(client);
+        };
+
+        // Device A uploads the account; device B logs in for the first time
+        syncManager._enqueueChanges(baseState(), 'u1');
+        await writeQueue.flush(client);
+        await login();
+        expect(client.served.rows).toBe(201);
+
+        client.requests.length = 0;
+        client.served.rows = 0;
+        await login();
+        expect(client.requests).toEqual([]);
+        expect(client.served.rows).toBe(0);
+
+        // One edit on A is one row for B
+        const edited = { ...dataRepository.txToPayload(tx(5, { amount: 9990 }), 'u1') };
+        await client.from('transactions').upsert(edited, { onConflict: 'id' });
+        await login();
+        expect(client.served.rows).toBe(1);
+        expect(hydrationService.loadLocal().transactions.find(t => t.id === 't5').amount).toBe(9990);
+    });
+
+    it('should push an edit made offline on the next incremental login', async () => {
+        syncManager._enqueueChanges(baseState(), 'u1');
+        await writeQueue.flush(client);
+        await hydrationService.hydrate('u1', client);
+        syncManager.destroy();
+
+        // Edited while signed out, after the last sync
+        const local = hydrationService.loadLocal();
+        const updatedAt = new Date(Date.now() + 1000).toISOString();
+        hydrationService._saveLocal({ ...local, transactions: local.transactions.map(t => (t.id === 't5' ? { ...t, amount: 4242, updatedAt } : t)) });
+
+        const { data, synced, source } = await hydrationService.hydrate('u1', client);
+        expect(source).toBe('merged');
+        syncManager.init('u1', () => {});
+        syncManager.setSyncedState(synced);
+        expect(syncManager._enqueueChanges(structuredClone(data), 'u1')).toBe(1);
+        await writeQueue.flush(client);
+        expect(client.tables.transactions.get('t5').amount).toBe(4242);
+    });
+
+    it('should not send realtime rows back as local changes', () => {
+        syncManager.init('u1', () => {});
+        const state = baseState();
+        syncManager.setSyncedState(state);
+        const row = { ...dataRepository.txToPayload(tx(1, { note: 'desde el otro equipo' }), 'u1'), updated_at: '2026-03-02T12:00:00.000Z' };
+        syncManager._handleRealtimeEvent('transactions', { eventType: 'UPDATE', new: row, old: {} });
+        syncManager._handleRealtimeEvent('transactions', { eventType: 'DELETE', new: {}, old: { id: 't2' } });
+
+        const received = {
+            ...state,
+            transactions: state.transactions
+                .filter(t => t.id !== 't2')
+                .map(t => (t.id === 't1' ? { ...t, ...mappers.txFromDb(row) } : t)),
+        };
+        expect(syncManager._enqueueChanges(received, 'u1')).toBe(0);
+    });
+
+    it('should push the profile only when a profile slice changed', () => {
+        const first = baseState();
+        syncManager._enqueueChanges(first, 'u1');
+        writeQueue.clear();
+
+        const withTx = { ...first, transactions: [...first.transactions, tx(999)] };
+        expect(syncManager._enqueueChanges(withTx, 'u1')).toBe(1);
+        expect(writeQueue.pending('transactions', 't999')).toBeTruthy();
+
+        const withXP = { ...withTx, gamification: { ...withTx.gamification, totalXP: 10 } };
+        expect(syncManager._enqueueChanges(withXP, 'u1')).toBe(1);
+        expect(writeQueue.size).toBe(2);
+    });
+
+    it('should skip records rebuilt with the same content', () => {
+        const first = baseState();
+        syncManager._enqueueChanges(first, 'u1');
+        const reloaded = { ...first, transactions: first.transactions.map(t => ({ ...t })), goals: [...first.goals] };
+        expect(syncManager._enqueueChanges(reloaded, 'u1')).toBe(0);
+    });
+});
+
+describe('pull errors', () => {
+    let client;
+
+    beforeEach(() => {
+        client = memorySupabase();
+    });
+
+    it('should treat a missing optional table as empty', async () => {
+        client.failures.accounts = { code: '42P01', message: 'relation "accounts" does not exist' };
+        const { data, cursors } = await dataRepository.fetchChanges('u1', null, client);
+        expect(data.accounts).toEqual([]);
+        expect(cursors.tables.accounts).toBeNull();
+    });
+
+    it('should fail the pull on any other error', async () => {
+        client.failures.accounts = { code: '42501', message: 'permission denied for table accounts' };
+        await expect(dataRepository.fetchChanges('u1', null, client)).rejects.toThrow('permission denied');
+
+        delete client.failures.accounts;
+        client.failures.goals = { code: '42P01', message: 'relation "goals" does not exist' };
+        await expect(dataRepository.fetchChanges('u1', null, client)).rejects.toThrow('goals');
+    });
+});
+
+describe('tombstones', () => {
+    const at = minutes => new Date(Date.UTC(2026, 2, 1, 12, minutes)).toISOString();
+    let client;
+
+    beforeEach(() => {
+        writeQueue.clear();
+        tombstones.clear();
+        syncManager.destroy();
+        client = memorySupabase();
+    });
+
+    it('should not resurrect a record deleted on another device and edited here offline', async () => {
+        // Device B edited t1 offline; device A had deleted it meanwhile
+        const local = { ...baseState(), transactions: [tx(1, { note: 'editado offline', updatedAt: at(20) }), tx(2)] };
+        writeQueue.enqueue('UPSERT', 'transactions', { id: 't1', note: 'editado offline' }, 'u1');
+
+        hydrationService._recordDeletions({ transactions: [{ id: 't1', deletedAt: at(10) }] });
+        const merged = hydrationService._merge(local, { ...baseState(), transactions: [tx(2)] });
+        expect(merged.transactions.map(t => t.id)).toEqual(['t2']);
+
+        await writeQueue.flush(client);
+        expect(client.requests).toEqual([]);
+        expect(writeQueue.size).toBe(0);
+    });
+
+    it('should keep a local delete across reloads and drop the record from remote', () => {
+        syncManager.syncDelete('goals', 'g1');
+        expect(JSON.parse(localStorage.getItem('metaflow_tombstones'))['goals:g1'].pushed).toBe(false);
+
+        // The server still has it, written before the delete reached it
+        const remote = { ...baseState(), goals: [{ id: 'g1', name: 'Viaje', updatedAt: '2099-01-01T00:00:00.000Z' }] };
+        const merged = hydrationService._merge({ ...baseState(), goals: [] }, remote);
+        expect(merged.goals).toEqual([]);
+    });
+
+    it('should push offline deletes on init and mark them confirmed', async () => {
+        syncManager.syncDelete('routines', 'r1');
+        syncManager.init('u1', () => {});
+        syncManager._pushTombstones();
+        syncManager._pushTombstones();
+        await writeQueue.flush(client);
+
+        expect(client.requests).toEqual([{ table: 'routines', operation: 'DELETE', rows: 1 }]);
+        expect(tombstones.unpushed()).toEqual([]);
+        expect(tombstones.has('routines', 'r1')).toBe(true);
+    });
+
+    it('should ignore stale realtime rows of deleted records but accept a restore', () => {
+        const actions = [];
+        syncManager.init('u1', action => actions.push(action));
+        tombstones.add('transactions', 't1', { pushed: true, deletedAt: at(10) });
+
+        syncManager._handleRealtimeEvent('transactions', { eventType: 'UPDATE', new: { id: 't1', updated_at: at(5) }, old: {} });
+        expect(actions).toEqual([]);
+
+        syncManager._handleRealtimeEvent('transactions', { eventType: 'INSERT', new: { id: 't1', updated_at: at(15) }, old: {} });
+        expect(actions.map(a => a.type)).toEqual(['SYNC_UPSERT']);
+        expect(tombstones.has('transactions', 't1')).toBe(false);
+
+        syncManager._handleRealtimeEvent('goals', { eventType: 'DELETE', new: {}, old: { id: 'g9' } });
+        expect(tombstones.has('goals', 'g9')).toBe(true);
+        expect(tombstones.unpushed()).toEqual([]);
+    });
+
+    it('should lift the deletions-log entry before upserting a restored record', async () => {
+        writeQueue.enqueue('DELETE', 'transactions', { id: 't3' }, 'u1');
+        await writeQueue.flush(client);
+        client.requests.length = 0;
+
+        writeQueue.enqueue('UPSERT', 'transactions', tx(4), 'u1');
+        tombstones.remove('transactions', 't3');
+        writeQueue.enqueue('UNDELETE', 'transactions', { id: 't3' }, 'u1');
+        writeQueue.enqueue('UPSERT', 'transactions', tx(3), 'u1');
+        await writeQueue.flush(client);
+
+        expect(client.requests).toEqual([
+            { table: 'transactions', operation: 'UPSERT', rows: 1 },
+            { table: 'deleted_records', operation: 'DELETE', rows: 1 },
+            { table: 'transactions', operation: 'UPSERT', rows: 1 },
+        ]);
+        expect(client.tables.transactions.has('t3')).toBe(true);
+    });
+
+    it('should hold a restored record until its undelete gets through', async () => {
+        writeQueue.enqueue('UNDELETE', 'transactions', { id: 't3' }, 'u1');
+        writeQueue.enqueue('UPSERT', 'transactions', tx(3), 'u1');
+        client.failures.deleted_records = { message: 'network timeout' };
+        await writeQueue.flush(client);
+
+        expect(client.requests).toEqual([]);
+        expect(writeQueue.size).toBe(2);
+
+        delete client.failures.deleted_records;
+        await writeQueue.flush(client);
+        expect(client.requests).toEqual([
+            { table: 'deleted_records', operation: 'DELETE', rows: 1 },
+            { table: 'transactions', operation: 'UPSERT', rows: 1 },
+        ]);
+        expect(writeQueue.size).toBe(0);
+    });
+
+    it('should drop a queued delete undone before it was sent', async () => {
+        writeQueue.enqueue('DELETE', 'goals', { id: 'g1' }, 'u1');
+        tombstones.remove('goals', 'g1');
+        writeQueue.enqueue('UNDELETE', 'goals', { id: 'g1' }, 'u1');
+        writeQueue.enqueue('UPSERT', 'goals', { id: 'g1', name: 'Viaje' }, 'u1');
+        await writeQueue.flush(client);
+
+        expect(client.requests).toEqual([{ table: 'goals', operation: 'UPSERT', rows: 1 }]);
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTag, normalizeTags, hasTags, collectTags, tagTotals, MAX_TAGS } from '../utils/tags';
+import { filterTransactions, isFilterActive, normalizeFilter, rangeStart, EMPTY_FILTER } from '../utils/savedFilters';
+import { mappers } from '../lib/dataRepository';
+
+const NOW = new Date(2026, 2, 20, 12);
+
+const transactions = [
+    { id: 'a', type: 'gasto', amount: 30000, category: 'alimentacion', note: 'Cena en Puerto Varas', tags: ['viaje-sur'], date: '2026-03-18T12:00:00.000Z' },
+    { id: 'b', type: 'gasto', amount: 50000, category: 'transporte', note: 'Bus', tags: ['viaje-sur', 'trabajo'], date: '2026-03-02T12:00:00.000Z' },
+    { id: 'c', type: 'ingreso', amount: 80000, category: 'freelance', note: 'Reembolso', tags: ['trabajo'], date: '2026-01-10T12:00:00.000Z' },
+    { id: 'd', type: 'gasto', amount: 10000, category: 'hogar', note: '', date: '2026-03-19T12:00:00.000Z',
+        lines: [{ category: 'hogar', amount: 6000 }, { category: 'alimentacion', amount: 4000 }] },
+];
+
+const ids = (list) => list.map(t => t.id);
+
+describe('tags', () => {
+    it('should normalize to a lowercase slug', () => {
+        expect(normalizeTag('#Vacaciones 2026')).toBe('vacaciones-2026');
+        expect(normalizeTag('  --Año  Nuevo!! ')).toBe('año-nuevo');
+        expect(normalizeTag('#')).toBe('');
+        expect(normalizeTag('x'.repeat(50))).toHaveLength(32);
+    });
+
+    it('should dedupe and cap a list of tags', () => {
+        expect(normalizeTags('Trabajo, trabajo, ,#viaje')).toEqual(['trabajo', 'viaje']);
+        expect(normalizeTags(Array.from({ length: 15 }, (_, i) => `t${i}`))).toHaveLength(MAX_TAGS);
+        expect(normalizeTags(undefined)).toEqual([]);
+    });
+
+    it('should require every tag asked for', () => {
+        expect(hasTags(transactions[1], ['viaje-sur', 'trabajo'])).toBe(true);
+        expect(hasTags(transactions[0], ['viaje-sur', 'trabajo'])).toBe(false);
+        expect(hasTags(transactions[3], [])).toBe(true);
+    });
+
+    it('should count and total by tag', () => {
+        expect(collectTags(transactions)).toEqual([{ tag: 'trabajo', count: 2 }, { tag: 'viaje-sur', count: 2 }]);
+        expect(tagTotals(transactions)).toEqual([
+            { tag: 'viaje-sur', income: 0, expense: 80000, count: 2 },
+            { tag: 'trabajo', income: 80000, expense: 50000, count: 2 },
+        ]);
+    });
+
+    it('should sync tags with the transaction row', () => {
+        expect(mappers.txToDb(transactions[1], 'u1').tags).toEqual(['viaje-sur', 'trabajo']);
+        expect(mappers.txFromDb({ ...mappers.txToDb(transactions[3], 'u1'), tags: null }).tags).toEqual([]);
+    });
+});
+
+describe('saved filters', () => {
+    it('should fill in and validate the criteria', () => {
+        expect(normalizeFilter({ range: 'year', tags: '#Viaje', query: ' bus ' })).toEqual({ ...EMPTY_FILTER, tags: ['viaje'], query: 'bus' });
+        expect(isFilterActive(EMPTY_FILTER)).toBe(false);
+        expect(isFilterActive({ tags: ['viaje'] })).toBe(true);
+        expect(rangeStart('month', NOW)).toEqual(new Date(2026, 2, 1));
+    });
+
+    it('should combine type, range, category, tags and text', () => {
+        expect(ids(filterTransactions(transactions, { tags: ['viaje-sur'] }, NOW))).toEqual(['a', 'b']);
+        expect(ids(filterTransactions(transactions, { tags: ['trabajo'], range: 'month' }, NOW))).toEqual(['b']);
+        expect(ids(filterTransactions(transactions, { type: 'ingreso' }, NOW))).toEqual(['c']);
+        // Splits match through their lines
+        expect(ids(filterTransactions(transactions, { category: 'alimentacion' }, NOW))).toEqual(['a', 'd']);
+    });
+
+    it('should match text in notes, tags and category names', () => {
+        expect(ids(filterTransactions(transactions, { query: 'puerto' }, NOW))).toEqual(['a']);
+        expect(ids(filterTransactions(transactions, { query: 'TRABAJO' }, NOW))).toEqual(['b', 'c']);
+        expect(ids(filterTransactions(transactions, { query: 'aliment' }, NOW))).toEqual(['a', 'd']);
+    });
+});
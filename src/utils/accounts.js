@@ -0,0 +1,107 @@
+// ==================================================
+// ACCOUNTS — Dónde vive el dinero
+// Cuentas con saldo inicial; el saldo se deriva de los
+// movimientos y las transferencias entre cuentas
+// ==================================================
+
+import { storage } from './storage';
+import { Money, getBaseCurrency, toStoredRecord, fromStoredRecord } from './money';
+
+const ACCOUNTS_KEY = 'metaflow_accounts';
+
+export const ACCOUNT_TYPES = {
+    CHECKING: { key: 'checking', label: 'Cuenta Corriente', icon: '🏦' },
+    CUENTA_RUT: { key: 'cuenta_rut', label: 'CuentaRUT / Vista', icon: '💳' },
+    CASH: { key: 'cash', label: 'Efectivo', icon: '💵' },
+    CREDIT_CARD: { key: 'credit_card', label: 'Tarjeta de Crédito', icon: '🧾' },
+};
+
+export const TRANSFER_TYPE = 'transfer';
+
+// Pseudo-account for movements recorded before accounts existed
+export const UNASSIGNED_ACCOUNT = { id: null, name: 'Sin cuenta asignada', type: ACCOUNT_TYPES.CHECKING.key, openingBalance: 0 };
+
+/**
+ * Get accounts
+ * accounts: [{ id, name, type, openingBalance, createdAt, updatedAt }]
+ */
+export function getAccounts() {
+    const data = storage.get(ACCOUNTS_KEY);
+    return Array.isArray(data) ? data.map(a => fromStoredRecord(a, ['openingBalance'])) : [];
+}
+
+/**
+ * Save accounts, opening balances in minor units of the base currency
+ */
+export function saveAccounts(accounts) {
+    storage.set(ACCOUNTS_KEY, accounts.map(a => toStoredRecord(a, { openingBalance: getBaseCurrency() })));
+}
+
+export function getAccountType(key) {
+    return Object.values(ACCOUNT_TYPES).find(t => t.key === key) || ACCOUNT_TYPES.CHECKING;
+}
+
+/**
+ * Transfers move money between accounts: never income, never expense
+ */
+export function isTransfer(t) {
+    return t?.type === TRANSFER_TYPE;
+}
+
+/**
+ * Signed effect of a transaction on one account.
+ * Savings leave the account (they go to a goal); transfers leave the
+ * source and land in the destination.
+ */
+export function accountDelta(t, accountId) {
+    const amount = Math.abs(Number(t.amount) || 0);
+    const from = t.accountId || null;
+    if (isTransfer(t)) {
+        if (from === accountId && t.toAccountId === accountId) return 0;
+        if (from === accountId) return -amount;
+        if (t.toAccountId === accountId) return amount;
+        return 0;
+    }
+    if (from !== accountId) return 0;
+    if (t.type === 'ingreso') return amount;
+    if (t.type === 'gasto' || t.type === 'ahorro') return -amount;
+    return 0;
+}
+
+/**
+ * Opening balance + every movement of the account
+ */
+export function getAccountBalance(account, transactions) {
+    return Money.add(account.openingBalance || 0, Money.sumBy(transactions, t => accountDelta(t, account.id)));
+}
+
+/**
+ * Balances of every account, plus the unassigned bucket when old
+ * movements without an account still exist
+ * @returns {array} [{ ...account, balance }]
+ */
+export function getAccountBalances(accounts, transactions) {
+    const known = new Set((accounts || []).map(a => a.id));
+    const balances = (accounts || []).map(a => ({ ...a, balance: getAccountBalance(a, transactions) }));
+    const hasUnassigned = (transactions || []).some(t => !isTransfer(t) && !known.has(t.accountId));
+    if (!hasUnassigned) return balances;
+    // Movements pointing at a deleted account are counted here too
+    const orphans = (transactions || [])
+        .filter(t => !isTransfer(t) && !known.has(t.accountId))
+        .map(t => ({ ...t, accountId: null }));
+    return [...balances, { ...UNASSIGNED_ACCOUNT, balance: getAccountBalance(UNASSIGNED_ACCOUNT, orphans) }];
+}
+
+/**
+ * Sum of all account balances (a credit card in debt subtracts)
+ */
+export function getNetWorth(accounts, transactions) {
+    return Money.sumBy(getAccountBalances(accounts, transactions), a => a.balance);
+}
+
+/**
+ * Account a new movement lands in when none was picked
+ */
+export function defaultAccountId(accounts) {
+    return accounts?.[0]?.id || null;
+}
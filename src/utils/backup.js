@@ -1,7 +1,11 @@
 // ==================================================
 // DATA BACKUP & RESTORE — Export/Import JSON
+// Movimientos también en OFX/QIF para software de escritorio
 // ==================================================
 
+import { serializeExchangeFile, EXCHANGE_FORMATS } from './exchangeFormats';
+import { exportReceipts, importReceipts } from './receipts';
+
 const ALL_KEYS = [
     'metaflow_goals',
     'metaflow_transactions',
@@ -9,12 +13,26 @@ const ALL_KEYS = [
     'metaflow_profile',
     'metaflow_gamification',
     'metaflow_envelopes',
+    'metaflow_budgets',
+    'metaflow_category_rules',
+    'metaflow_accounts',
+    'metaflow_installments',
+    'metaflow_exchange_rates',
+    'metaflow_categories',
+    'metaflow_saved_filters',
+    'metaflow_payees',
+    'metaflow_index_values',
+    'metaflow_warning_feedback',
 ];
 
+// Receipt files live in IndexedDB, not localStorage; the JSON backup
+// carries them inline under this key
+const RECEIPTS_KEY = 'metaflow_receipts';
+
 /**
- * Export all app data as a JSON file download
+ * Export all app data, receipts included, as a JSON file download
  */
-export function exportData() {
+export async function exportData() {
     const data = {};
     ALL_KEYS.forEach(key => {
         try {
@@ -23,6 +41,9 @@ export function exportData() {
         } catch { /* skip corrupted data */ }
     });
 
+    const receipts = await exportReceipts();
+    if (receipts.length > 0) data[RECEIPTS_KEY] = receipts;
+
     data._meta = {
         app: 'MetaFlow',
         version: '1.0.0',
@@ -30,24 +51,42 @@ export function exportData() {
         creator: 'YoungStars Design',
     };
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile(JSON.stringify(data, null, 2), `metaflow-backup-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    return true;
+}
+
+/**
+ * Export transactions as OFX or QIF for desktop finance tools
+ * @param {array} transactions
+ * @param {string} format — 'ofx' | 'qif'
+ */
+export function exportTransactions(transactions, format) {
+    const content = serializeExchangeFile(transactions, format);
+    const type = format === EXCHANGE_FORMATS.OFX ? 'application/x-ofx' : 'application/qif';
+    downloadFile(content, `metaflow-movimientos-${new Date().toISOString().slice(0, 10)}.${format}`, type);
+    return true;
+}
+
+/**
+ * Trigger a browser download for a text file
+ */
+export function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `metaflow-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-
-    return true;
 }
 
 /**
  * Import data from a JSON backup file
- * Returns { success: boolean, message: string, stats: object }
+ * Resolves to { success: boolean, message: string, stats: object }
  */
-export function importData(jsonString) {
+export async function importData(jsonString) {
     try {
         const data = JSON.parse(jsonString);
 
@@ -59,7 +98,7 @@ export function importData(jsonString) {
             };
         }
 
-        const stats = { restored: 0, skipped: 0 };
+        const stats = { restored: 0, skipped: 0, receipts: 0 };
 
         ALL_KEYS.forEach(key => {
             if (data[key]) {
@@ -72,6 +111,8 @@ export function importData(jsonString) {
             }
         });
 
+        if (data[RECEIPTS_KEY]) stats.receipts = await importReceipts(data[RECEIPTS_KEY]);
+
         return {
             success: true,
             message: `Backup restaurado exitosamente. ${stats.restored} categorías importadas.`,
@@ -87,7 +128,8 @@ export function importData(jsonString) {
 }
 
 /**
- * Create a manual backup to localStorage with timestamp
+ * Create a manual backup to localStorage with timestamp.
+ * Receipts are left out: they would not fit in localStorage.
  */
 export function createManualBackup() {
     const data = {};
@@ -0,0 +1,122 @@
+// ==================================================
+// BUDGETS — Límites mensuales por categoría de gasto
+// Con rollover opcional: lo no gastado pasa al mes siguiente
+// ==================================================
+
+import { storage } from './storage';
+import { Money } from './money';
+import { formatCurrency } from './helpers';
+import { expandSplitLines } from './splits';
+import { categoryPath } from './categories';
+
+const BUDGETS_KEY = 'metaflow_budgets';
+
+// Share of the budget at which progress turns into a warning
+export const BUDGET_WARNING_RATIO = 0.8;
+
+export const INITIAL_BUDGETS = { items: [] };
+// items: [{ category, limit, rollover, since: 'YYYY-MM' }]
+
+/**
+ * Get budget configuration
+ */
+export function getBudgets() {
+    const data = storage.get(BUDGETS_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_BUDGETS;
+}
+
+/**
+ * Save budget configuration
+ */
+export function saveBudgets(budgets) {
+    storage.set(BUDGETS_KEY, budgets);
+}
+
+/**
+ * Calendar month key, e.g. "2026-03"
+ */
+export function monthKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function previousMonthKey(key) {
+    const [y, m] = key.split('-').map(Number);
+    return monthKey(new Date(y, m - 2, 1));
+}
+
+/**
+ * Total spent per category for each month: { 'YYYY-MM': { category: amount } }.
+ * Each line of a split counts against its own category, and spending in a
+ * subcategory also counts against its parent.
+ */
+function spendingByMonth(transactions) {
+    const byMonth = {};
+    for (const t of expandSplitLines(transactions)) {
+        if (t.type !== 'gasto') continue;
+        const key = monthKey(t.date || t.createdAt);
+        byMonth[key] = byMonth[key] || {};
+        for (const category of categoryPath('gasto', t.category)) {
+            byMonth[key][category] = Money.add(byMonth[key][category] || 0, t.amount);
+        }
+    }
+    return byMonth;
+}
+
+/**
+ * Unspent amount carried into `key` from every month since the budget started.
+ * Overspending does not create debt: a month over budget carries 0.
+ */
+function carryInto(item, key, byMonth) {
+    if (!item.rollover || !item.since || item.since >= key) return 0;
+    const months = [];
+    for (let k = previousMonthKey(key); k >= item.since; k = previousMonthKey(k)) months.unshift(k);
+
+    return months.reduce((carry, k) => {
+        const spent = byMonth[k]?.[item.category] || 0;
+        return Math.max(0, Money.subtract(Money.add(item.limit, carry), spent));
+    }, 0);
+}
+
+/**
+ * Live progress of every budget for the month containing `now`
+ * @param {object} budgets — { items }
+ * @param {array} transactions
+ * @param {Date} now
+ * @returns {array} [{ category, limit, carry, available, spent, remaining, percent, status }]
+ */
+export function calculateBudgetProgress(budgets, transactions, now = new Date()) {
+    const items = budgets?.items || [];
+    if (items.length === 0) return [];
+
+    const key = monthKey(now);
+    const byMonth = spendingByMonth(transactions);
+
+    return items.map(item => {
+        const carry = carryInto(item, key, byMonth);
+        const available = Money.add(item.limit, carry);
+        const spent = byMonth[key]?.[item.category] || 0;
+        const remaining = Money.subtract(available, spent);
+        const percent = available > 0 ? Math.round((spent / available) * 100) : (spent > 0 ? 100 : 0);
+        let status = 'ok';
+        if (spent > available) status = 'over';
+        else if (available > 0 && spent >= available * BUDGET_WARNING_RATIO) status = 'warning';
+
+        return { ...item, carry, available, spent, remaining, percent, status };
+    });
+}
+
+/**
+ * Alerts for budgets that are exceeded or close to the limit
+ * @param {array} progress — from calculateBudgetProgress
+ * @param {function} getLabel — category value → display label
+ * @returns {array} [{ type: 'danger'|'warning', message }]
+ */
+export function getBudgetAlerts(progress, getLabel = c => c) {
+    return progress
+        .filter(b => b.status !== 'ok')
+        .sort((a, b) => b.percent - a.percent)
+        .map(b => (b.status === 'over'
+            ? { type: 'danger', message: `Presupuesto de ${getLabel(b.category)} excedido en ${formatCurrency(Math.abs(b.remaining))} (${b.percent}%)` }
+            : { type: 'warning', message: `Presupuesto de ${getLabel(b.category)} al ${b.percent}% este mes` }));
+}
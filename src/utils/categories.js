@@ -0,0 +1,226 @@
+// ==================================================
+// CATEGORIES — Registro único de categorías
+// Movimientos, gastos fijos y rutinas leen de aquí; el
+// usuario puede crear, anidar, fusionar y eliminar
+// ==================================================
+
+import { storage } from './storage';
+
+const CATEGORIES_KEY = 'metaflow_categories';
+
+export const INITIAL_CATEGORY_REGISTRY = { items: [] };
+// items: [{ kind, value, label, icon, color, parent, classification, locked }]
+// An empty list means the defaults; the first edit stores the full list.
+// Records point at `value`, so renaming only touches the label.
+
+// What each list of categories classifies
+export const CATEGORY_KINDS = {
+    gasto: { label: 'Gastos' },
+    ingreso: { label: 'Ingresos' },
+    ahorro: { label: 'Ahorro' },
+    transfer: { label: 'Transferencias' },
+    rutina: { label: 'Rutinas' },
+};
+
+// Where records of a deleted category end up; these can never be removed
+const FALLBACKS = { gasto: 'otros_gastos', ingreso: 'otros_ingresos', ahorro: 'ahorro_meta', transfer: 'transferencia', rutina: 'otros' };
+
+// Fixed expenses used to file under their own 'otros'
+const ALIASES = { gasto: { otros: 'otros_gastos' } };
+
+const item = (kind, value, label, icon, color, extra = {}) => ({
+    kind, value, label, icon, color, parent: null, classification: null, locked: false, ...extra,
+});
+
+export const DEFAULT_CATEGORIES = [
+    item('ingreso', 'salario', 'Sueldo Principal', '💰', '#00f5d4'),
+    item('ingreso', 'freelance', 'Trabajos Freelance', '💻', '#70d6ff'),
+    item('ingreso', 'negocio', 'Ingresos de Negocio', '🏢', '#a29bfe'),
+    item('ingreso', 'inversiones', 'Inversiones', '📈', '#4ade80', { classification: 'investment' }),
+    item('ingreso', 'otros_ingresos', 'Otros Ingresos', '💵', '#6b7280', { locked: true }),
+
+    item('gasto', 'alimentacion', 'Comida y Restaurantes', '🍽️', '#f5a623', { classification: 'necessity' }),
+    item('gasto', 'transporte', 'Transporte y Viajes', '🚗', '#60b8f0', { classification: 'necessity' }),
+    item('gasto', 'entretenimiento', 'Ocio y Entretenimiento', '🎬', '#ec4899', { classification: 'desire' }),
+    item('gasto', 'suscripciones', 'Suscripciones', '🎵', '#d946ef', { parent: 'entretenimiento', classification: 'desire' }),
+    item('gasto', 'servicios', 'Servicios Básicos', '⚡', '#facc15', { classification: 'necessity' }),
+    item('gasto', 'internet', 'Internet / Telefonía', '📶', '#3b82f6', { parent: 'servicios', classification: 'necessity' }),
+    item('gasto', 'educacion', 'Cursos y Educación', '📚', '#70d6ff', { classification: 'investment' }),
+    item('gasto', 'salud', 'Salud y Bienestar', '💊', '#ff5d5d', { classification: 'necessity' }),
+    item('gasto', 'ropa', 'Ropa y Accesorios', '👕', '#a29bfe', { classification: 'desire' }),
+    item('gasto', 'hogar', 'Gastos del Hogar', '🏠', '#f97316', { classification: 'necessity' }),
+    item('gasto', 'vivienda', 'Arriendo / Hipoteca', '🏘️', '#f04444', { parent: 'hogar', classification: 'necessity' }),
+    item('gasto', 'seguros', 'Seguros', '🛡️', '#a855f7', { classification: 'necessity' }),
+    item('gasto', 'deudas', 'Deudas / Cuotas', '💳', '#ef4444', { classification: 'necessity' }),
+    item('gasto', 'otros_gastos', 'Otros Gastos', '📦', '#6b7280', { locked: true }),
+
+    item('ahorro', 'ahorro_meta', 'Ahorro para Meta', '🎯', '#00e5c3', { classification: 'investment', locked: true }),
+    item('transfer', 'transferencia', 'Transferencia entre Cuentas', '🔁', '#94a3b8', { locked: true }),
+
+    item('rutina', 'dinero', 'Finanzas', '💰', '#00f5d4'),
+    item('rutina', 'salud', 'Salud', '💪', '#ff5d5d'),
+    item('rutina', 'estudio', 'Aprendizaje', '📖', '#70d6ff'),
+    item('rutina', 'disciplina', 'Enfoque', '🎯', '#a29bfe'),
+    item('rutina', 'otros', 'Otros', '✨', '#6b7280', { locked: true }),
+];
+
+/**
+ * Get the category registry
+ */
+export function getCategoryRegistry() {
+    const data = storage.get(CATEGORIES_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_CATEGORY_REGISTRY;
+}
+
+/**
+ * Save the category registry
+ */
+export function saveCategoryRegistry(registry) {
+    storage.set(CATEGORIES_KEY, registry);
+}
+
+// Registry read by lookups that get none; kept in step with state by the AppProvider
+let activeRegistry = INITIAL_CATEGORY_REGISTRY;
+
+export function setCategoryRegistry(registry) {
+    activeRegistry = registry || INITIAL_CATEGORY_REGISTRY;
+}
+
+/**
+ * Every category in the registry (the defaults while it is empty)
+ */
+export function registryItems(registry = activeRegistry) {
+    return registry?.items?.length ? registry.items : DEFAULT_CATEGORIES;
+}
+
+/**
+ * Categories of one kind, each parent followed by its children
+ */
+export function listCategories(kind, registry = activeRegistry) {
+    const ofKind = registryItems(registry).filter(c => c.kind === kind);
+    return ofKind
+        .filter(c => !c.parent)
+        .flatMap(parent => [parent, ...ofKind.filter(c => c.parent === parent.value)]);
+}
+
+/**
+ * Category of a kind by value; unknown values get a neutral stand-in
+ * so old records still render
+ */
+export function findCategory(kind, value, registry = activeRegistry) {
+    const resolved = ALIASES[kind]?.[value] || value;
+    return registryItems(registry).find(c => c.kind === kind && c.value === resolved)
+        || item(kind, value, value || '—', '📦', '#6b7280');
+}
+
+/**
+ * Text for a category in a <select>: children indented under their parent
+ */
+export function categoryOptionLabel(category) {
+    return `${category.parent ? '\u00a0\u00a0↳ ' : ''}${category.icon} ${category.label}`;
+}
+
+/**
+ * Value followed by its parent, for totals that roll children up
+ */
+export function categoryPath(kind, value, registry = activeRegistry) {
+    const category = findCategory(kind, value, registry);
+    return category.parent ? [category.value, category.parent] : [category.value];
+}
+
+/**
+ * Category that takes the records of a deleted one
+ */
+export function fallbackCategory(kind) {
+    return FALLBACKS[kind];
+}
+
+// "Café y Pan" → "cafe_y_pan", unique within its kind
+function slugFor(kind, label, items) {
+    const base = String(label).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'categoria';
+    const taken = new Set(items.filter(c => c.kind === kind).map(c => c.value));
+    let value = base;
+    for (let n = 2; taken.has(value); n++) value = `${base}_${n}`;
+    return value;
+}
+
+// A parent must be a top-level category of the same kind, other than itself
+function validParent(items, kind, value, parent) {
+    if (!parent || parent === value) return null;
+    const target = items.find(c => c.kind === kind && c.value === parent);
+    if (!target || target.parent) return null;
+    // A category with children stays top-level
+    return items.some(c => c.kind === kind && c.parent === value) ? null : parent;
+}
+
+const withItems = (items) => ({ items, updatedAt: new Date().toISOString() });
+
+/**
+ * Registry with a new user category
+ * @param {object} draft — { kind, label, icon, color, parent, classification }
+ */
+export function addCategory(registry, draft) {
+    const items = registryItems(registry);
+    const kind = CATEGORY_KINDS[draft.kind] ? draft.kind : 'gasto';
+    const value = slugFor(kind, draft.label, items);
+    return withItems([...items, item(kind, value, String(draft.label).trim(), draft.icon || '📦', draft.color || '#6b7280', {
+        parent: validParent(items, kind, value, draft.parent),
+        classification: kind === 'gasto' ? draft.classification || null : null,
+    })]);
+}
+
+/**
+ * Registry with a category's label, icon, color, parent or classification changed.
+ * Its value never changes, so records keep pointing at it.
+ */
+export function updateCategory(registry, kind, value, patch) {
+    const items = registryItems(registry);
+    return withItems(items.map(c => {
+        if (c.kind !== kind || c.value !== value) return c;
+        return {
+            ...c,
+            label: patch.label !== undefined && String(patch.label).trim() ? String(patch.label).trim() : c.label,
+            icon: patch.icon || c.icon,
+            color: patch.color || c.color,
+            parent: patch.parent !== undefined ? validParent(items, kind, value, patch.parent) : c.parent,
+            classification: patch.classification !== undefined && kind === 'gasto' ? patch.classification || null : c.classification,
+        };
+    }));
+}
+
+/**
+ * Registry without `from`, whose children move under `into` when it is
+ * top-level and become top-level otherwise. Locked categories stay.
+ */
+export function removeCategory(registry, kind, from, into) {
+    const items = registryItems(registry);
+    const source = items.find(c => c.kind === kind && c.value === from);
+    if (!source || source.locked) return registry;
+    const target = items.find(c => c.kind === kind && c.value === into);
+    const adoptive = target && !target.parent ? target.value : null;
+    return withItems(items
+        .filter(c => c !== source)
+        .map(c => (c.kind === kind && c.parent === from ? { ...c, parent: adoptive === c.value ? null : adoptive } : c)));
+}
+
+/**
+ * Where the records of `from` go when it is deleted: its parent, or the
+ * kind's fallback
+ */
+export function deletionTarget(kind, from, registry = activeRegistry) {
+    return findCategory(kind, from, registry).parent || fallbackCategory(kind);
+}
+
+/**
+ * Records (and split lines) filed under `from`, moved to `into`
+ */
+export function reassignCategory(records, from, into) {
+    return (records || []).map(r => {
+        const lines = Array.isArray(r.lines) && r.lines.some(l => l.category === from)
+            ? { lines: r.lines.map(l => (l.category === from ? { ...l, category: into } : l)) }
+            : {};
+        if (r.category !== from && !lines.lines) return r;
+        return { ...r, ...lines, category: r.category === from ? into : r.category };
+    });
+}
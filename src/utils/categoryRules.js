@@ -0,0 +1,206 @@
+// ==================================================
+// CATEGORY RULES — Auto-categorización de movimientos
+// Reglas del usuario (nota / comercio / rango de monto /
+// día), categoría del comercio y sugerencias aprendidas
+// de su propio historial
+// ==================================================
+
+import { storage } from './storage';
+import { Sanitize } from './security';
+import { normalizeText } from './helpers';
+
+const RULES_KEY = 'metaflow_category_rules';
+
+export const INITIAL_CATEGORY_RULES = { items: [] };
+// items: [{ id, noteContains, payeeId, minAmount, maxAmount, weekdays: [0-6], type, category, classification }]
+
+export const WEEKDAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+export const SUGGESTION_SOURCES = {
+    RULE: 'rule',
+    PAYEE: 'payee',
+    HISTORY: 'history',
+};
+
+// Share of past matches that must agree before a learned suggestion is offered
+const MIN_CONFIDENCE = 0.6;
+
+// Words too common in bank notes to say anything about the category
+const STOPWORDS = new Set([
+    'de', 'del', 'la', 'el', 'los', 'las', 'en', 'y', 'con', 'por', 'para', 'al',
+    'compra', 'pago', 'cargo', 'abono', 'transferencia', 'registro', 'rapido', 'spa', 'ltda',
+]);
+
+/**
+ * Get rule configuration
+ */
+export function getCategoryRules() {
+    const data = storage.get(RULES_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_CATEGORY_RULES;
+}
+
+/**
+ * Save rule configuration
+ */
+export function saveCategoryRules(rules) {
+    storage.set(RULES_KEY, rules);
+}
+
+/**
+ * Does `tx` ({ type, amount, note, date, payeeId }) satisfy every condition set on the rule?
+ * Empty conditions match anything.
+ */
+export function matchesRule(rule, tx) {
+    if (rule.type && tx.type && rule.type !== tx.type) return false;
+    if (rule.payeeId && rule.payeeId !== tx.payeeId) return false;
+
+    const needle = normalizeText(Sanitize.unescape(rule.noteContains));
+    if (needle && !normalizeText(Sanitize.unescape(tx.note)).includes(needle)) return false;
+
+    const amount = Math.abs(Number(tx.amount) || 0);
+    if (rule.minAmount != null && rule.minAmount !== '' && amount < Number(rule.minAmount)) return false;
+    if (rule.maxAmount != null && rule.maxAmount !== '' && amount > Number(rule.maxAmount)) return false;
+
+    if (rule.weekdays?.length > 0 && !rule.weekdays.includes(weekdayOf(tx.date))) return false;
+    return true;
+}
+
+// Calendar day of the stored date ("2026-03-02T00:00:00.000Z" is a Monday everywhere)
+function weekdayOf(date) {
+    const [y, m, d] = String(date || new Date().toISOString()).split('T')[0].split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * First rule (in list order) that matches the transaction
+ */
+export function findMatchingRule(rules, tx) {
+    return (rules?.items || []).find(rule => rule.category && matchesRule(rule, tx)) || null;
+}
+
+function tokenize(note) {
+    return normalizeText(note)
+        .split(/[^a-z0-9]+/)
+        .filter(w => w.length >= 3 && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+}
+
+function bump(map, key, category) {
+    map[key] = map[key] || {};
+    map[key][category] = (map[key][category] || 0) + 1;
+}
+
+/**
+ * Learns note → category and payee → category pairs from past transactions.
+ * Keys are scoped by type so an income note never suggests an expense category.
+ * @returns {{ notes: object, tokens: object, payees: object }} — { 'gasto|uber': { transporte: 3 } }
+ */
+export function learnFromHistory(transactions) {
+    const model = { notes: {}, tokens: {}, payees: {} };
+    for (const t of transactions || []) {
+        if (t.category && t.payeeId) bump(model.payees, `${t.type}|${t.payeeId}`, t.category);
+        if (!t.category || !t.note) continue;
+        const note = Sanitize.unescape(t.note);
+        const key = normalizeText(note);
+        if (!key) continue;
+        bump(model.notes, `${t.type}|${key}`, t.category);
+        for (const token of new Set(tokenize(note))) bump(model.tokens, `${t.type}|${token}`, t.category);
+    }
+    return model;
+}
+
+function topCategory(counts) {
+    const entries = Object.entries(counts);
+    const total = entries.reduce((s, [, n]) => s + n, 0);
+    if (total === 0) return null;
+    const [category, hits] = entries.sort((a, b) => b[1] - a[1])[0];
+    return { category, confidence: hits / total, samples: total };
+}
+
+/**
+ * Category the user picked before for the same (or a similar) note
+ * @returns {{ category, confidence }|null}
+ */
+export function suggestFromHistory(model, note, type) {
+    if (!model || !note) return null;
+
+    const exact = model.notes[`${type}|${normalizeText(Sanitize.unescape(note))}`];
+    if (exact) {
+        const top = topCategory(exact);
+        if (top.confidence >= MIN_CONFIDENCE) return { category: top.category, confidence: top.confidence };
+    }
+
+    // Vote with the words of the note; needs at least two past examples to speak
+    const votes = {};
+    for (const token of new Set(tokenize(Sanitize.unescape(note)))) {
+        for (const [category, n] of Object.entries(model.tokens[`${type}|${token}`] || {})) {
+            votes[category] = (votes[category] || 0) + n;
+        }
+    }
+    const top = topCategory(votes);
+    if (!top || top.samples < 2 || top.confidence < MIN_CONFIDENCE) return null;
+    return { category: top.category, confidence: top.confidence };
+}
+
+/**
+ * Category the payee is set to, else the one the user keeps picking for it
+ */
+function suggestFromPayee(payees, model, tx) {
+    if (!tx.payeeId) return null;
+    const payee = (payees?.items || []).find(p => p.id === tx.payeeId);
+    if (payee?.category && (!payee.type || !tx.type || payee.type === tx.type)) return payee.category;
+    const top = topCategory(model?.payees?.[`${tx.type}|${tx.payeeId}`] || {});
+    return top && top.confidence >= MIN_CONFIDENCE ? top.category : null;
+}
+
+/**
+ * Rules first, then the payee, then history.
+ * @param {object} tx — { type, amount, note, date, payeeId }
+ * @param {object} context — { rules, model, payees } (model from learnFromHistory)
+ * @returns {{ category, classification, source, ruleId? }|null}
+ */
+export function suggestCategorization(tx, { rules, model, payees } = {}) {
+    const rule = findMatchingRule(rules, tx);
+    if (rule) {
+        return { category: rule.category, classification: rule.classification || null, source: SUGGESTION_SOURCES.RULE, ruleId: rule.id };
+    }
+    const fromPayee = suggestFromPayee(payees, model, tx);
+    if (fromPayee) return { category: fromPayee, classification: null, source: SUGGESTION_SOURCES.PAYEE };
+    const learned = suggestFromHistory(model, tx.note, tx.type);
+    if (learned) return { category: learned.category, classification: null, source: SUGGESTION_SOURCES.HISTORY };
+    return null;
+}
+
+/**
+ * Human summary of a rule's conditions, e.g. "Nota contiene "uber" · Lun, Vie"
+ */
+export function describeRule(rule, formatAmount = String, payees = null) {
+    const parts = [];
+    if (rule.payeeId) parts.push(`Comercio: ${(payees?.items || []).find(p => p.id === rule.payeeId)?.name || 'eliminado'}`);
+    if (rule.noteContains) parts.push(`Nota contiene "${Sanitize.unescape(rule.noteContains)}"`);
+    const hasMin = rule.minAmount != null && rule.minAmount !== '';
+    const hasMax = rule.maxAmount != null && rule.maxAmount !== '';
+    if (hasMin && hasMax) parts.push(`${formatAmount(rule.minAmount)} – ${formatAmount(rule.maxAmount)}`);
+    else if (hasMin) parts.push(`≥ ${formatAmount(rule.minAmount)}`);
+    else if (hasMax) parts.push(`≤ ${formatAmount(rule.maxAmount)}`);
+    if (rule.weekdays?.length > 0) parts.push(rule.weekdays.map(d => WEEKDAY_LABELS[d]).join(', '));
+    return parts.join(' · ') || 'Todos los movimientos';
+}
+
+/**
+ * Notes the user keeps filing under the same category, as rule candidates.
+ * Skips notes an existing rule already covers.
+ * @returns {array} [{ type, note, category, samples }] most frequent first
+ */
+export function getLearnedPairs(model, rules, limit = 5) {
+    if (!model) return [];
+    return Object.entries(model.notes)
+        .map(([key, counts]) => {
+            const [type, note] = [key.slice(0, key.indexOf('|')), key.slice(key.indexOf('|') + 1)];
+            return { type, note, ...topCategory(counts) };
+        })
+        .filter(p => p.samples >= 2 && p.confidence >= MIN_CONFIDENCE)
+        .filter(p => !findMatchingRule(rules, { type: p.type, note: p.note }))
+        .sort((a, b) => b.samples - a.samples)
+        .slice(0, limit)
+        .map(({ type, note, category, samples }) => ({ type, note, category, samples }));
+}
@@ -0,0 +1,246 @@
+// ==================================================
+// CSV IMPORT — Cartolas bancarias → transacciones
+// Detección de separador/codificación, mapeo de columnas,
+// montos en formato es-CL y detección de duplicados
+// ==================================================
+
+import { Sanitize } from './security';
+import { normalizeText } from './helpers';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Header names banks commonly use for each field
+const HEADER_HINTS = {
+    date: ['fecha', 'date', 'fecha operacion', 'fecha transaccion', 'fecha contable'],
+    description: ['descripcion', 'glosa', 'detalle', 'concepto', 'description', 'movimiento', 'nota'],
+    amount: ['monto', 'importe', 'amount', 'valor', 'total'],
+    debit: ['cargo', 'cargos', 'debe', 'debito', 'retiro', 'giros', 'debit'],
+    credit: ['abono', 'abonos', 'haber', 'credito', 'deposito', 'depositos', 'credit'],
+};
+
+// Keyword → category used to pre-fill the preview
+const CATEGORY_KEYWORDS = [
+    { category: 'alimentacion', words: ['supermercado', 'lider', 'jumbo', 'unimarc', 'tottus', 'santa isabel', 'restaurant', 'rappi', 'pedidosya', 'uber eats', 'cafe', 'panaderia'] },
+    { category: 'transporte', words: ['uber', 'cabify', 'didi', 'metro', 'bip', 'copec', 'shell', 'petrobras', 'peaje', 'autopista', 'estacionamiento'] },
+    { category: 'servicios', words: ['enel', 'cge', 'aguas', 'metrogas', 'entel', 'movistar', 'wom', 'claro', 'vtr', 'gtd'] },
+    { category: 'entretenimiento', words: ['netflix', 'spotify', 'disney', 'hbo', 'steam', 'cine', 'cinemark', 'ticketmaster'] },
+    { category: 'salud', words: ['farmacia', 'cruz verde', 'salcobrand', 'ahumada', 'clinica', 'isapre', 'fonasa', 'medico'] },
+    { category: 'educacion', words: ['universidad', 'colegio', 'curso', 'udemy', 'coursera', 'libreria'] },
+    { category: 'ropa', words: ['falabella', 'paris', 'ripley', 'h&m', 'zara', 'nike', 'adidas'] },
+    { category: 'hogar', words: ['sodimac', 'easy', 'homecenter', 'ikea', 'arriendo', 'dividendo', 'gastos comunes'] },
+    { category: 'salario', words: ['remuneracion', 'sueldo', 'salario', 'liquidacion'] },
+];
+
+/**
+ * Decodes a file buffer: UTF-8 when valid, otherwise Windows-1252
+ * (what most Chilean banks still export). Strips the BOM.
+ * @returns {{ text: string, encoding: string }}
+ */
+export function decodeBuffer(buffer) {
+    let text;
+    let encoding = 'utf-8';
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        encoding = 'windows-1252';
+        text = new TextDecoder(encoding).decode(buffer);
+    }
+    return { text: text.replace(/^\uFEFF/, ''), encoding };
+}
+
+/**
+ * Splits one CSV line honoring quoted fields ("a;b" and "" escapes)
+ */
+function splitLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+            if (inQuotes && line[i + 1] === '"') { current += '"'; i++; }
+            else inQuotes = !inQuotes;
+        } else if (ch === delimiter && !inQuotes) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the most consistent columns
+ */
+export function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 10);
+    let best = ',';
+    let bestScore = 0;
+    for (const delimiter of DELIMITERS) {
+        const counts = lines.map(l => splitLine(l, delimiter).length);
+        const columns = counts[0] || 1;
+        if (columns < 2) continue;
+        const consistent = counts.filter(c => c === columns).length;
+        const score = consistent * columns;
+        if (score > bestScore) { best = delimiter; bestScore = score; }
+    }
+    return best;
+}
+
+/**
+ * Parses CSV text into { headers, rows }
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length === 0) return { headers: [], rows: [], delimiter };
+    const [headerLine, ...dataLines] = lines;
+    return {
+        headers: splitLine(headerLine, delimiter),
+        rows: dataLines.map(l => splitLine(l, delimiter)),
+        delimiter,
+    };
+}
+
+/**
+ * Parses amounts as banks write them: "1.234.567", "-12.500,50", "$ 9.990", "(3.000)", "1234.56"
+ * @returns {number|null}
+ */
+export function parseAmount(value) {
+    if (value === undefined || value === null) return null;
+    let str = String(value).trim();
+    if (!str) return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(str)) { negative = true; str = str.slice(1, -1); }
+    str = str.replace(/[$\s]|CLP/gi, '');
+    if (str.startsWith('-')) { negative = true; str = str.slice(1); }
+    if (str.endsWith('-')) { negative = true; str = str.slice(0, -1); }
+
+    const lastDot = str.lastIndexOf('.');
+    const lastComma = str.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+        // Both present: whichever comes last is the decimal separator
+        str = lastComma > lastDot
+            ? str.replace(/\./g, '').replace(',', '.')
+            : str.replace(/,/g, '');
+    } else if (lastComma !== -1) {
+        str = /,\d{1,2}$/.test(str) && str.split(',').length === 2
+            ? str.replace(',', '.')
+            : str.replace(/,/g, '');
+    } else if (lastDot !== -1 && /^\d{1,3}(\.\d{3})+$/.test(str)) {
+        // es-CL thousands: 1.234.567
+        str = str.replace(/\./g, '');
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(str)) return null;
+    const amount = parseFloat(str);
+    return negative ? -amount : amount;
+}
+
+/**
+ * Parses dd/mm/yyyy, dd-mm-yy, dd.mm.yyyy and ISO dates into "YYYY-MM-DD"
+ * @returns {string|null}
+ */
+export function parseDate(value) {
+    const str = String(value || '').trim();
+    let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return toKey(+match[1], +match[2], +match[3]);
+
+    match = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (match) {
+        let year = +match[3];
+        if (year < 100) year += 2000;
+        return toKey(year, +match[2], +match[1]);
+    }
+    return null;
+}
+
+function toKey(year, month, day) {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Best-effort header → field mapping: { date: 0, description: 2, amount: 3, ... }
+ */
+export function guessMapping(headers) {
+    const mapping = {};
+    const normalized = headers.map(normalizeText);
+    for (const [field, hints] of Object.entries(HEADER_HINTS)) {
+        const index = normalized.findIndex((h, i) =>
+            !Object.values(mapping).includes(i) && hints.some(hint => h === hint || h.startsWith(hint)));
+        if (index !== -1) mapping[field] = index;
+    }
+    return mapping;
+}
+
+/**
+ * Keyword-based category guess for an imported row
+ */
+export function guessCategory(description, type) {
+    const text = normalizeText(description);
+    const match = CATEGORY_KEYWORDS.find(k => k.words.some(w => text.includes(w)));
+    if (type === 'ingreso') return match?.category === 'salario' ? 'salario' : 'otros_ingresos';
+    if (match && match.category !== 'salario') return match.category;
+    return 'otros_gastos';
+}
+
+/**
+ * Turns raw CSV rows into transaction drafts using the column mapping.
+ * A signed `amount` column decides the type; otherwise debit → gasto, credit → ingreso.
+ * @returns {array} [{ line, date, note, amount, type, category, error? }]
+ */
+export function buildImportRows(rows, mapping) {
+    return rows.map((cells, i) => {
+        const line = i + 2; // 1-based, after the header
+        const date = parseDate(cells[mapping.date]);
+        const note = (cells[mapping.description] || '').trim();
+
+        let signed = null;
+        if (mapping.amount !== undefined) {
+            signed = parseAmount(cells[mapping.amount]);
+        } else {
+            const debit = parseAmount(cells[mapping.debit]);
+            const credit = parseAmount(cells[mapping.credit]);
+            if (debit) signed = -Math.abs(debit);
+            else if (credit) signed = Math.abs(credit);
+        }
+
+        if (!date) return { line, note, error: 'Fecha no reconocida' };
+        if (!signed) return { line, date, note, error: 'Monto vacío o inválido' };
+
+        const type = signed < 0 ? 'gasto' : 'ingreso';
+        return { line, date, note, amount: Math.abs(signed), type, category: guessCategory(note, type) };
+    });
+}
+
+/**
+ * Key used to spot a row that already exists as a transaction
+ */
+export function duplicateKey({ date, amount, note }) {
+    const day = String(date || '').split('T')[0];
+    return `${day}|${Math.round(Number(amount) * 100)}|${normalizeText(note)}`;
+}
+
+/**
+ * Marks rows already present in `transactions` (same date, amount and note)
+ * and repeated rows inside the file itself
+ */
+export function markDuplicates(rows, transactions) {
+    // Stored notes are html-escaped by the reducer
+    const existing = new Set(transactions.map(t => duplicateKey({
+        date: t.date || t.createdAt,
+        amount: t.amount,
+        note: Sanitize.unescape(t.note),
+    })));
+    const seen = new Set();
+    return rows.map(row => {
+        if (row.error) return row;
+        const key = duplicateKey(row);
+        const duplicate = existing.has(key) || seen.has(key);
+        seen.add(key);
+        return { ...row, duplicate };
+    });
+}
@@ -0,0 +1,141 @@
+// ==================================================
+// CURRENCY — Monedas por movimiento y por meta
+// Tabla de tipos de cambio con fecha (mantenida por el
+// usuario) para llevar todo a la moneda base del perfil
+// ==================================================
+
+import { storage } from './storage';
+import { roundMoney } from './money';
+import { isSplit, rescaleSplitLines } from './splits';
+
+// Precision and the base currency live in the money module
+export {
+    DEFAULT_CURRENCY, setBaseCurrency, getBaseCurrency, normalizeCurrency, minorUnits, roundMoney,
+} from './money';
+
+const EXCHANGE_RATES_KEY = 'metaflow_exchange_rates';
+
+export const INITIAL_EXCHANGE_RATES = { items: [] };
+// items: [{ id, currency, base, date: 'YYYY-MM-DD', rate }]
+// `rate` is how many units of `base` one unit of `currency` buys on `date`
+
+// Currencies offered in pickers; their precision comes from money.minorUnits
+export const CURRENCIES = {
+    CLP: { code: 'CLP', label: 'Peso chileno' },
+    USD: { code: 'USD', label: 'Dólar estadounidense' },
+    EUR: { code: 'EUR', label: 'Euro' },
+    ARS: { code: 'ARS', label: 'Peso argentino' },
+    PEN: { code: 'PEN', label: 'Sol peruano' },
+    BRL: { code: 'BRL', label: 'Real brasileño' },
+    MXN: { code: 'MXN', label: 'Peso mexicano' },
+    COP: { code: 'COP', label: 'Peso colombiano' },
+    GBP: { code: 'GBP', label: 'Libra esterlina' },
+    JPY: { code: 'JPY', label: 'Yen japonés' },
+};
+
+/**
+ * Get the exchange rate table
+ */
+export function getExchangeRates() {
+    const data = storage.get(EXCHANGE_RATES_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_EXCHANGE_RATES;
+}
+
+/**
+ * Save the exchange rate table
+ */
+export function saveExchangeRates(rates) {
+    storage.set(EXCHANGE_RATES_KEY, rates);
+}
+
+// "YYYY-MM-DD" of a stored date (ISO string or date key)
+function dayOf(date) {
+    if (!date) return '';
+    if (typeof date === 'string') return date.slice(0, 10);
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Rate to turn `from` into `to` on `date`: the latest quote on or before
+ * that day, or the earliest one when the date predates the table.
+ * Inverse quotes (to → from) are used when no direct one exists.
+ * @returns {number|null} null when the pair has never been quoted
+ */
+export function getRate(rates, from, to, date) {
+    if (from === to) return 1;
+    const quotes = (rates?.items || [])
+        .map(r => {
+            const rate = Number(r.rate);
+            if (!(rate > 0)) return null;
+            if (r.currency === from && r.base === to) return { date: r.date, rate };
+            if (r.currency === to && r.base === from) return { date: r.date, rate: 1 / rate };
+            return null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    if (quotes.length === 0) return null;
+
+    const day = dayOf(date);
+    const onOrBefore = quotes.filter(q => q.date <= day);
+    return (onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : quotes[0]).rate;
+}
+
+/**
+ * Converts an amount between currencies at the rate of `date`
+ * @returns {number|null} null when no rate is known
+ */
+export function convertAmount(amount, from, to, date, rates) {
+    const rate = getRate(rates, from, to, date);
+    if (rate === null) return null;
+    return roundMoney((Number(amount) || 0) * rate, to);
+}
+
+/**
+ * Transactions with `amount` expressed in the base currency, using the
+ * rate of each transaction's own date. Foreign ones keep `originalAmount`
+ * (and `originalLines` when split); the ones without a known rate count
+ * as 0 and are flagged `unconverted`.
+ * Records without a currency are in the base currency.
+ */
+export function toBaseTransactions(transactions, base, rates) {
+    return (transactions || []).map(t => {
+        if (!t.currency || t.currency === base) return t;
+        const converted = convertAmount(t.amount, t.currency, base, t.date || t.createdAt, rates);
+        const amount = converted === null ? 0 : converted;
+        const inBase = { ...t, amount, originalAmount: t.amount };
+        if (isSplit(t)) Object.assign(inBase, { lines: rescaleSplitLines(t.lines, amount, base), originalLines: t.lines });
+        return converted === null ? { ...inBase, unconverted: true } : inBase;
+    });
+}
+
+/**
+ * A transaction as it was recorded, undoing toBaseTransactions
+ */
+export function toRecordedTransaction(t) {
+    if (t.originalAmount === undefined) return t;
+    const { originalAmount, originalLines, unconverted: _unconverted, ...recorded } = t;
+    return originalLines ? { ...recorded, amount: originalAmount, lines: originalLines } : { ...recorded, amount: originalAmount };
+}
+
+/**
+ * Goals with current and target amounts at today's rate in the base currency
+ */
+export function toBaseGoals(goals, base, rates, today = new Date()) {
+    return (goals || []).map(g => {
+        if (!g.currency || g.currency === base) return g;
+        const current = convertAmount(g.currentAmount || 0, g.currency, base, today, rates);
+        const target = convertAmount(g.targetAmount || 0, g.currency, base, today, rates);
+        if (current === null || target === null) return { ...g, currentAmount: 0, targetAmount: 0, unconverted: true };
+        return { ...g, currentAmount: current, targetAmount: target };
+    });
+}
+
+/**
+ * Currencies offered in pickers: the base first, then the known ones
+ * and any code already used in the rate table
+ */
+export function getCurrencyOptions(base, rates) {
+    const codes = new Set([base, ...Object.keys(CURRENCIES)]);
+    (rates?.items || []).forEach(r => codes.add(r.currency));
+    return Array.from(codes).map(code => ({ code, label: CURRENCIES[code]?.label || code }));
+}
@@ -3,6 +3,8 @@
 // ==================================================
 
 import { storage } from './storage';
+import { Money } from './money';
+import { generateId } from './helpers';
 
 const ENVELOPES_KEY = 'metaflow_envelopes';
 
@@ -15,6 +17,9 @@ export function getEnvelopes() {
         enabled: false,
         rules: [],
         // rules: [{ id, name, percentage, goalId?, type: 'meta'|'gasto'|'ahorro' }]
+        ledger: [],
+        // ledger: [{ id, envelopeId, type, amount (signed), date, note, transactionId?, transferId? }]
+        // removedEntryIds: ids of entries dropped on purpose, so merges leave them out
     };
 }
 
@@ -99,3 +104,109 @@ export function getEnvelopeTemplates() {
         },
     ];
 }
+
+// ==================================================
+// ENVELOPE LEDGER — Saldos reales por sobre
+// Cada movimiento es una entrada con signo; el saldo se deriva
+// ==================================================
+
+export const ENVELOPE_ENTRY_TYPES = {
+    ALLOCATION: 'allocation',
+    SPEND: 'spend',
+    TRANSFER: 'transfer',
+};
+
+/**
+ * Build a ledger entry. `amount` is signed: + funds the envelope, − draws from it
+ */
+export function createEnvelopeEntry({ envelopeId, type, amount, date, note, transactionId, transferId }) {
+    return {
+        id: generateId(),
+        envelopeId,
+        type,
+        amount: Money.parse(amount),
+        date: date || new Date().toISOString(),
+        note: note || '',
+        transactionId: transactionId || null,
+        transferId: transferId || null,
+    };
+}
+
+/**
+ * Running balance of one envelope
+ */
+export function getEnvelopeBalance(envelopes, envelopeId) {
+    return (envelopes?.ledger || [])
+        .filter(e => e.envelopeId === envelopeId)
+        .reduce((sum, e) => Money.add(sum, e.amount), 0);
+}
+
+/**
+ * Balances of every envelope rule that holds money (meta rules pass straight to their goal)
+ * @returns {array} [{ ...rule, balance }]
+ */
+export function getEnvelopeBalances(envelopes) {
+    return (envelopes?.rules || [])
+        .filter(r => r.type !== 'meta')
+        .map(r => ({ ...r, balance: getEnvelopeBalance(envelopes, r.id) }));
+}
+
+/**
+ * Returns new envelopes with the entries appended
+ */
+export function addEnvelopeEntries(envelopes, entries) {
+    if (entries.length === 0) return envelopes;
+    return { ...envelopes, ledger: [...(envelopes.ledger || []), ...entries], updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Put removed entries back (undo). They get new ids: the old ones stay
+ * in removedEntryIds so other devices keep them dropped
+ */
+export function restoreEnvelopeEntries(envelopes, entries) {
+    return addEnvelopeEntries(envelopes, entries.map(e => ({ ...e, id: generateId() })));
+}
+
+/**
+ * Returns new envelopes without the entries matching `drop`, plus the removed ones.
+ * Their ids are kept in removedEntryIds so a merge doesn't bring them back.
+ */
+export function dropEnvelopeEntries(envelopes, drop) {
+    const ledger = envelopes?.ledger || [];
+    const removed = ledger.filter(drop);
+    if (removed.length === 0) return { envelopes, removed };
+    return {
+        envelopes: {
+            ...envelopes,
+            ledger: ledger.filter(e => !drop(e)),
+            removedEntryIds: [...(envelopes.removedEntryIds || []), ...removed.map(e => e.id)],
+            updatedAt: new Date().toISOString(),
+        },
+        removed,
+    };
+}
+
+/**
+ * Returns new envelopes without the entries created by a transaction, plus the removed ones
+ */
+export function removeEnvelopeTransactionEntries(envelopes, transactionId) {
+    return dropEnvelopeEntries(envelopes, e => e.transactionId === transactionId);
+}
+
+/**
+ * Suggested split of an income across the envelope rules (no unassigned bucket).
+ * Rounding leftovers go to the largest rule so the split always sums to `amount`.
+ * @returns {array} [{ envelopeId, amount }]
+ */
+export function suggestAllocation(amount, rules) {
+    const split = calculateDistribution(amount, rules)
+        .filter(d => d.type !== 'libre')
+        .map(d => ({ envelopeId: d.id, amount: d.suggestedAmount }));
+    const totalPercentage = (rules || []).reduce((sum, r) => sum + r.percentage, 0);
+    if (split.length > 0 && totalPercentage >= 100) {
+        const diff = Money.subtract(amount, Money.sumBy(split, a => a.amount));
+        const largest = split.reduce((max, a) => (a.amount > max.amount ? a : max), split[0]);
+        largest.amount = Money.add(largest.amount, diff);
+    }
+    return split;
+}
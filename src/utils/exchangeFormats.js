@@ -0,0 +1,284 @@
+// ==================================================
+// OFX / QIF — Intercambio con software financiero de escritorio
+// Parsers y serializadores al formato de transacción de la app
+// (type, amount, category, note, date)
+// ==================================================
+
+import { Sanitize } from './security';
+import { getTransactionCategories } from './helpers';
+import { guessCategory } from './csvImport';
+import { isSplit, MIN_SPLIT_LINES } from './splits';
+
+export const EXCHANGE_FORMATS = {
+    OFX: 'ofx',
+    QIF: 'qif',
+};
+
+const TRANSACTION_TYPES = ['ingreso', 'gasto', 'ahorro'];
+
+/**
+ * Recognizes OFX/QIF by extension or content; null for anything else (CSV)
+ */
+export function detectExchangeFormat(text, filename = '') {
+    const ext = filename.split('.').pop().toLowerCase();
+    if (ext === 'ofx' || ext === 'qfx' || /^\s*(OFXHEADER|<\?xml[\s\S]*<\?OFX|<OFX>)/i.test(text)) return EXCHANGE_FORMATS.OFX;
+    if (ext === 'qif' || /^\s*!(Type|Account|Option)/i.test(text)) return EXCHANGE_FORMATS.QIF;
+    return null;
+}
+
+// ── Shared helpers ───────────────────
+
+// Stored dates are ISO strings; exchanged ones are calendar days
+function dayOf(date) {
+    return String(date || '').split('T')[0];
+}
+
+function toISO(year, month, day) {
+    if (!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const date = new Date(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Matches a category value or label against the app categories;
+ * the list it belongs to decides the type (so 'ahorro_meta' comes back as ahorro)
+ */
+function findCategory(raw) {
+    const needle = String(raw || '').trim().toLowerCase();
+    if (!needle) return null;
+    for (const type of TRANSACTION_TYPES) {
+        const match = getTransactionCategories(type)
+            .find(c => c.value === needle || c.label.toLowerCase() === needle);
+        if (match) return { type, category: match.value };
+    }
+    return null;
+}
+
+function resolveCategory(raw, signed, note) {
+    const known = findCategory(raw);
+    if (known) return known;
+    const type = signed < 0 ? 'gasto' : 'ingreso';
+    return { type, category: guessCategory(`${note} ${raw || ''}`, type) };
+}
+
+function signedAmount(t) {
+    const amount = Math.abs(Number(t.amount) || 0);
+    return t.type === 'ingreso' ? amount : -amount;
+}
+
+function toDraft(signed, rawCategory, note, date) {
+    if (!signed || !date) return null;
+    return { ...resolveCategory(rawCategory, signed, note), amount: Math.abs(signed), note, date };
+}
+
+// ── OFX ──────────────────────────────
+
+const OFX_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+function ofxEscape(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function ofxUnescape(str) {
+    return str.replace(/&(amp|lt|gt|quot|apos);/g, m => OFX_ENTITIES[m]);
+}
+
+// Leaf values end at their closing tag (XML) or at the next tag/line (SGML)
+function ofxField(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? ofxUnescape(match[1].trim()) : '';
+}
+
+// DTPOSTED: YYYYMMDD[HHMMSS[.XXX]][[-3:CLT]]
+function parseOFXDate(value) {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? toISO(+match[1], +match[2], +match[3]) : null;
+}
+
+/**
+ * Parses the statement transactions of an OFX file (SGML 1.x or XML 2.x)
+ * @returns {array} [{ type, amount, category, note, date }]
+ */
+export function parseOFX(text) {
+    const blocks = String(text).match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    return blocks
+        .map(block => {
+            const name = ofxField(block, 'NAME');
+            const memo = ofxField(block, 'MEMO');
+            const signed = parseFloat(ofxField(block, 'TRNAMT').replace(',', '.'));
+            // Our own exports keep the category in MEMO; bank files use it as free text
+            const note = name || (findCategory(memo) ? '' : memo);
+            return toDraft(signed, memo, note, parseOFXDate(ofxField(block, 'DTPOSTED')));
+        })
+        .filter(Boolean);
+}
+
+function ofxTree(variant, node, depth = 0) {
+    const pad = '  '.repeat(depth);
+    const [tag, content] = node;
+    if (!Array.isArray(content)) {
+        return `${pad}<${tag}>${ofxEscape(content)}${variant === 'xml' ? `</${tag}>` : ''}`;
+    }
+    return [`${pad}<${tag}>`, ...content.map(child => ofxTree(variant, child, depth + 1)), `${pad}</${tag}>`].join('\n');
+}
+
+const OFX_HEADERS = {
+    sgml: 'OFXHEADER:100\nDATA:OFXSGML\nVERSION:102\nSECURITY:NONE\nENCODING:UTF-8\nCHARSET:NONE\nCOMPRESSION:NONE\nOLDFILEUID:NONE\nNEWFILEUID:NONE\n',
+    xml: '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+};
+
+/**
+ * Serializes transactions as a bank statement OFX file.
+ * NAME carries the note and MEMO the category, so a round trip is lossless.
+ * @param {array} transactions
+ * @param {object} options — { variant: 'xml'|'sgml', currency }
+ */
+export function serializeOFX(transactions, { variant = 'xml', currency = 'CLP' } = {}) {
+    const stamp = d => dayOf(d).replace(/-/g, '');
+    const days = transactions.map(t => dayOf(t.date || t.createdAt)).filter(Boolean).sort();
+    const now = stamp(new Date().toISOString());
+
+    const rows = transactions.map((t, i) => ['STMTTRN', [
+        ['TRNTYPE', t.type === 'ingreso' ? 'CREDIT' : t.type === 'ahorro' || t.type === 'transfer' ? 'XFER' : 'DEBIT'],
+        ['DTPOSTED', stamp(t.date || t.createdAt)],
+        ['TRNAMT', signedAmount(t).toFixed(2)],
+        ['FITID', t.id || `${now}${i}`],
+        ['NAME', Sanitize.unescape(t.note)],
+        ['MEMO', t.category || ''],
+    ].filter(([, value]) => value !== '')]);
+
+    const status = ['STATUS', [['CODE', '0'], ['SEVERITY', 'INFO']]];
+    const doc = ['OFX', [
+        ['SIGNONMSGSRSV1', [['SONRS', [status, ['DTSERVER', now], ['LANGUAGE', 'SPA']]]]],
+        ['BANKMSGSRSV1', [['STMTTRNRS', [
+            ['TRNUID', '1'],
+            status,
+            ['STMTRS', [
+                ['CURDEF', currency],
+                ['BANKACCTFROM', [['BANKID', 'METAFLOW'], ['ACCTID', 'METAFLOW'], ['ACCTTYPE', 'CHECKING']]],
+                ['BANKTRANLIST', [
+                    ['DTSTART', days.length ? days[0].replace(/-/g, '') : now],
+                    ['DTEND', days.length ? days[days.length - 1].replace(/-/g, '') : now],
+                    ...rows,
+                ]],
+            ]],
+        ]]]],
+    ]];
+
+    return `${OFX_HEADERS[variant]}\n${ofxTree(variant, doc)}\n`;
+}
+
+// ── QIF ──────────────────────────────
+
+// Account types that hold transactions; category lists and memorized items are skipped
+const QIF_TRANSACTION_SECTIONS = /^!Type:(Bank|Cash|CCard|Oth A|Oth L)/i;
+
+/**
+ * QIF dates are month-first: 3/5'26, 03/05/2026, 3-5-2026 (ISO also accepted)
+ */
+function parseQIFDate(value, dayFirst) {
+    const str = String(value).replace(/\s/g, '');
+    const iso = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) return toISO(+iso[1], +iso[2], +iso[3]);
+    const match = str.match(/^(\d{1,2})[/.-](\d{1,2})['/.-](\d{2,4})$/);
+    if (!match) return null;
+    let year = +match[3];
+    if (year < 100) year += 2000;
+    const [month, day] = dayFirst ? [+match[2], +match[1]] : [+match[1], +match[2]];
+    return toISO(year, month, day);
+}
+
+// Split lines (S/$) of a record become the draft's lines; one line is no split
+function withQIFSplits(draft, splits, note) {
+    if (!draft || splits.length < MIN_SPLIT_LINES) return draft;
+    const lines = splits.map(s => ({
+        category: resolveCategory(s.category, s.amount, note).category,
+        amount: Math.abs(s.amount || 0),
+    }));
+    return { ...draft, lines };
+}
+
+/**
+ * Parses the bank/cash/credit-card records of a QIF file
+ * @param {string} text
+ * @param {object} options — { dayFirst } for files exported with dd/mm dates
+ * @returns {array} [{ type, amount, category, note, date, lines? }]
+ */
+export function parseQIF(text, { dayFirst = false } = {}) {
+    const drafts = [];
+    let inTransactions = true;
+    let record = {};
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line.startsWith('!')) {
+            if (/^!Type:/i.test(line)) inTransactions = QIF_TRANSACTION_SECTIONS.test(line);
+            else if (/^!Account/i.test(line)) inTransactions = false;
+            record = {};
+            continue;
+        }
+        if (line === '^') {
+            if (inTransactions) {
+                const note = record.payee || record.memo || '';
+                const draft = withQIFSplits(toDraft(record.amount, record.category, note, record.date), record.splits || [], note);
+                if (draft) drafts.push(draft);
+            }
+            record = {};
+            continue;
+        }
+        const value = line.slice(1).trim();
+        switch (line[0]) {
+            case 'D': record.date = parseQIFDate(value, dayFirst); break;
+            case 'T':
+            case 'U': record.amount = parseFloat(value.replace(/,/g, '')); break;
+            case 'P': record.payee = value; break;
+            case 'M': record.memo = value; break;
+            case 'L': record.category = value.replace(/^\[|\]$/g, ''); break;
+            case 'S': record.splits = [...(record.splits || []), { category: value.replace(/^\[|\]$/g, '') }]; break;
+            case '$': {
+                const split = record.splits?.[record.splits.length - 1];
+                if (split) split.amount = parseFloat(value.replace(/,/g, ''));
+                break;
+            }
+            default: break;
+        }
+    }
+    return drafts;
+}
+
+/**
+ * Serializes transactions as a QIF bank account (month-first dates).
+ * Split transactions keep their lines as QIF splits (S/$).
+ */
+export function serializeQIF(transactions) {
+    const lines = ['!Type:Bank'];
+    for (const t of transactions) {
+        const [year, month, day] = dayOf(t.date || t.createdAt).split('-');
+        lines.push(
+            `D${month}/${day}/${year}`,
+            `T${signedAmount(t).toFixed(2)}`,
+            `P${Sanitize.unescape(t.note)}`,
+            `L${t.category || ''}`,
+        );
+        if (isSplit(t)) {
+            t.lines.forEach(l => lines.push(`S${l.category}`, `$${signedAmount({ type: t.type, amount: l.amount }).toFixed(2)}`));
+        }
+        lines.push('^');
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parses an OFX or QIF file into transaction drafts
+ */
+export function parseExchangeFile(text, format, options) {
+    return format === EXCHANGE_FORMATS.OFX ? parseOFX(text) : parseQIF(text, options);
+}
+
+/**
+ * Serializes transactions into an OFX or QIF file body
+ */
+export function serializeExchangeFile(transactions, format, options) {
+    return format === EXCHANGE_FORMATS.OFX ? serializeOFX(transactions, options) : serializeQIF(transactions);
+}
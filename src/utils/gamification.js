@@ -3,6 +3,8 @@
 // Sistema de Disciplina MetaFlow v3.0
 // ============================================
 
+import { toClpGoals } from './indexation';
+
 export const XP_REWARDS = {
     ROUTINE_COMPLETE: 20,
     ROUTINE_STREAK_7: 100,
@@ -157,7 +159,7 @@ export const BADGES = [
         description: 'Completaste una meta al 100%',
         icon: 'Trophy',
         category: 'wealth',
-        condition: (state) => state.goals.some(g =>
+        condition: (state) => toClpGoals(state.goals, state.indexValues).some(g =>
             g.targetAmount > 0 && (g.currentAmount || 0) >= g.targetAmount
         ),
     },
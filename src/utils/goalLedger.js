@@ -0,0 +1,98 @@
+// ==================================================
+// GOAL LEDGER — Aportes y retiros por meta
+// El saldo de una meta se deriva siempre de su ledger
+// ==================================================
+
+import { Money } from './money';
+import { generateId } from './helpers';
+
+export const LEDGER_TYPES = {
+    CONTRIBUTION: 'contribution',
+    WITHDRAWAL: 'withdrawal',
+};
+
+/**
+ * Entries of a goal, oldest first
+ */
+export function getLedgerEntries(goal) {
+    const entries = Array.isArray(goal?.ledger) ? goal.ledger : [];
+    return [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Balance = contributions − withdrawals, in the goal's currency
+ */
+export function getGoalBalance(goal) {
+    return Money.sumBy(
+        goal?.ledger,
+        e => (e.type === LEDGER_TYPES.WITHDRAWAL ? -e.amount : e.amount),
+        goal?.currency,
+    );
+}
+
+/**
+ * Build a ledger entry with sane defaults
+ * @param {object} data — { type, amount, currency?, date?, note?, transactionId? }
+ * `currency` is the goal's, which sets the precision of the amount
+ */
+export function createLedgerEntry({ type = LEDGER_TYPES.CONTRIBUTION, amount, currency, date, note, transactionId }) {
+    return {
+        id: generateId(),
+        type,
+        amount: Money.parse(amount, currency),
+        date: date || new Date().toISOString(),
+        note: note || '',
+        transactionId: transactionId || null,
+    };
+}
+
+/**
+ * Returns a new goal with the entry appended and currentAmount re-derived
+ */
+export function addLedgerEntry(goal, entry) {
+    const ledger = [...(goal.ledger || []), entry];
+    return { ...goal, ledger, currentAmount: getGoalBalance({ ledger, currency: goal.currency }), updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Returns a new goal without the entries created by a transaction.
+ * Their ids go to removedEntryIds, so a merge with a copy that still
+ * has them drops them too.
+ */
+export function removeTransactionEntries(goal, transactionId) {
+    const removed = (goal.ledger || []).filter(e => e.transactionId === transactionId);
+    if (removed.length === 0) return goal;
+    const ledger = goal.ledger.filter(e => e.transactionId !== transactionId);
+    return {
+        ...goal,
+        ledger,
+        removedEntryIds: [...(goal.removedEntryIds || []), ...removed.map(e => e.id)],
+        currentAmount: getGoalBalance({ ledger, currency: goal.currency }),
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Put a removed entry back (undo). It gets a new id: the old one stays
+ * removed on every device.
+ */
+export function restoreLedgerEntry(goal, entry) {
+    return addLedgerEntry(goal, { ...entry, id: generateId() });
+}
+
+/**
+ * Goals saved before the ledger existed only carry currentAmount
+ * (cloud rows get an empty ledger from the column default).
+ * Their balance becomes a single opening contribution so nothing is lost.
+ * Its id comes from the goal, so devices migrating the same goal write
+ * the same entry and merges count it once.
+ */
+export function ensureGoalLedger(goal) {
+    if (!goal) return goal;
+    const opening = Money.parse(goal.currentAmount || 0, goal.currency);
+    if (Array.isArray(goal.ledger) && (goal.ledger.length > 0 || opening === 0)) return goal;
+    const ledger = opening > 0
+        ? [{ ...createLedgerEntry({ amount: opening, currency: goal.currency, date: goal.createdAt, note: 'Saldo inicial' }), id: `opening_${goal.id}` }]
+        : [];
+    return { ...goal, ledger, currentAmount: opening };
+}
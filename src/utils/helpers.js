@@ -1,15 +1,23 @@
 // Auxiliares de Inteligencia MetaFlow
 
+import { getBaseCurrency, minorUnits } from './money';
+import { listCategories } from './categories';
+
 export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
 }
 
-export function formatCurrency(amount) {
+/**
+ * Formats an amount in `currency` (the profile's base currency by default)
+ * with the decimals that currency uses
+ */
+export function formatCurrency(amount, currency = getBaseCurrency()) {
+    const decimals = minorUnits(currency);
     return new Intl.NumberFormat('es-CL', {
         style: 'currency',
-        currency: 'CLP',
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0,
+        currency,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
     }).format(amount);
 }
 
@@ -115,31 +123,24 @@ export function getPriorityLabel(priority) {
     }
 }
 
+/**
+ * Lowercase, accent-free, single-spaced text for matching ("Café  Lider" → "cafe lider")
+ */
+export function normalizeText(str) {
+    return String(str || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Categories offered for a transaction type, from the category registry
+ * (each parent followed by its children)
+ */
 export function getTransactionCategories(type) {
-    const categories = {
-        ingreso: [
-            { value: 'salario', label: 'Sueldo Principal' },
-            { value: 'freelance', label: 'Trabajos Freelance' },
-            { value: 'negocio', label: 'Ingresos de Negocio' },
-            { value: 'inversiones', label: 'Inversiones' },
-            { value: 'otros_ingresos', label: 'Otros Ingresos' },
-        ],
-        gasto: [
-            { value: 'alimentacion', label: 'Comida y Restaurantes' },
-            { value: 'transporte', label: 'Transporte y Viajes' },
-            { value: 'entretenimiento', label: 'Ocio y Entretenimiento' },
-            { value: 'servicios', label: 'Servicios Básicos' },
-            { value: 'educacion', label: 'Cursos y Educación' },
-            { value: 'salud', label: 'Salud y Bienestar' },
-            { value: 'ropa', label: 'Ropa y Accesorios' },
-            { value: 'hogar', label: 'Gastos del Hogar' },
-            { value: 'otros_gastos', label: 'Otros Gastos' },
-        ],
-        ahorro: [
-            { value: 'ahorro_meta', label: 'Ahorro para Meta' },
-        ],
-    };
-    return categories[type] || [];
+    return listCategories(type).map(({ value, label, icon, color, parent }) => ({ value, label, icon, color, parent }));
 }
 
 export function isToday(dateString) {
@@ -0,0 +1,181 @@
+// ==================================================
+// INDEXATION — Metas y gastos fijos en UF o UTM
+// Tabla local de valores diarios (ingresados o importados
+// desde CSV) para llevar esos montos a pesos
+// ==================================================
+
+import { storage } from './storage';
+import { roundMoney, minorUnits } from './money';
+import { parseCSV, parseAmount, parseDate } from './csvImport';
+
+const INDEX_VALUES_KEY = 'metaflow_index_values';
+
+export const INITIAL_INDEX_VALUES = { items: [] };
+// items: [{ id, unit: 'UF' | 'UTM', date: 'YYYY-MM-DD', value }]
+// `value` is how many CLP one unit is worth on `date`
+
+// Indexed amounts are written with more precision than pesos (a premium of UF 0,8523);
+// money.minorUnits knows four decimals for the UF and two for the UTM
+export const INDEX_UNITS = {
+    UF: { code: 'UF', label: 'Unidad de Fomento' },
+    UTM: { code: 'UTM', label: 'Unidad Tributaria Mensual' },
+};
+
+// Growth is measured over the last year of values at most
+const GROWTH_WINDOW_DAYS = 365;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * 'UF' | 'UTM', or null for amounts in pesos
+ */
+export function normalizeIndexUnit(unit) {
+    const upper = String(unit || '').trim().toUpperCase();
+    return INDEX_UNITS[upper] ? upper : null;
+}
+
+/**
+ * Rounds an amount to the precision of its unit
+ */
+export function roundIndexed(amount, unit) {
+    return roundMoney(amount, unit);
+}
+
+/**
+ * "UF 12,5" — indexed amounts in the es-CL number format
+ */
+export function formatIndexed(amount, unit) {
+    const formatted = new Intl.NumberFormat('es-CL', {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: minorUnits(unit),
+    }).format(Number(amount) || 0);
+    return `${unit} ${formatted}`;
+}
+
+/**
+ * Get the UF/UTM value table
+ */
+export function getIndexValues() {
+    const data = storage.get(INDEX_VALUES_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_INDEX_VALUES;
+}
+
+/**
+ * Save the UF/UTM value table
+ */
+export function saveIndexValues(indexValues) {
+    storage.set(INDEX_VALUES_KEY, indexValues);
+}
+
+// "YYYY-MM-DD" of a stored date (ISO string, date key or Date)
+function dayOf(date) {
+    if (!date) return '';
+    if (typeof date === 'string') return date.slice(0, 10);
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function valuesOf(indexValues, unit) {
+    return (indexValues?.items || [])
+        .filter(v => v.unit === unit && Number(v.value) > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * CLP value of one unit on `date`: the latest value on or before that day,
+ * or the earliest one when the date predates the table
+ * @returns {number|null} null when the unit has no values
+ */
+export function getIndexValue(indexValues, unit, date) {
+    const values = valuesOf(indexValues, unit);
+    if (values.length === 0) return null;
+    const day = dayOf(date);
+    const onOrBefore = values.filter(v => v.date <= day);
+    return Number((onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : values[0]).value);
+}
+
+/**
+ * Converts an indexed amount to pesos at the value of `date`
+ * @returns {number|null} null when the unit has no values
+ */
+export function indexedToClp(amount, unit, date, indexValues) {
+    const value = getIndexValue(indexValues, unit, date);
+    if (value === null) return null;
+    return roundMoney((Number(amount) || 0) * value, 'CLP');
+}
+
+/**
+ * Daily compound growth of a unit over the last year of the table,
+ * used to project how much a UF target will cost in the future
+ * @returns {number} 0 with fewer than two values
+ */
+export function getIndexGrowth(indexValues, unit) {
+    const values = valuesOf(indexValues, unit);
+    if (values.length < 2) return 0;
+    const last = values[values.length - 1];
+    const windowStart = new Date(new Date(last.date).getTime() - GROWTH_WINDOW_DAYS * DAY_MS).toISOString().slice(0, 10);
+    const first = values.find(v => v.date >= windowStart) || values[0];
+    const days = Math.round((new Date(last.date) - new Date(first.date)) / DAY_MS);
+    if (days <= 0) return 0;
+    return Math.pow(Number(last.value) / Number(first.value), 1 / days) - 1;
+}
+
+/**
+ * Goals with an indexed target expressed in pesos at today's value.
+ * The target as recorded stays in `indexedTarget`; goals whose unit
+ * has no values yet count as 0 and are flagged `unconverted`.
+ */
+export function toClpGoals(goals, indexValues, today = new Date()) {
+    return (goals || []).map(g => {
+        const unit = normalizeIndexUnit(g.indexUnit);
+        if (!unit) return g;
+        const target = indexedToClp(g.targetAmount, unit, today, indexValues);
+        return target === null
+            ? { ...g, targetAmount: 0, indexedTarget: g.targetAmount, unconverted: true }
+            : { ...g, targetAmount: target, indexedTarget: g.targetAmount };
+    });
+}
+
+/**
+ * Fixed expenses with indexed amounts expressed in pesos at today's value,
+ * keeping the recorded amount in `indexedAmount`
+ */
+export function toClpFixedExpenses(fixedExpenses, indexValues, today = new Date()) {
+    return (fixedExpenses || []).map(e => {
+        const unit = normalizeIndexUnit(e.indexUnit);
+        if (!unit) return e;
+        const amount = indexedToClp(e.amount, unit, today, indexValues);
+        return amount === null
+            ? { ...e, amount: 0, indexedAmount: e.amount, unconverted: true }
+            : { ...e, amount, indexedAmount: e.amount };
+    });
+}
+
+// "39123,4567" has four decimals, which bank amounts never do
+function parseIndexNumber(cell) {
+    const str = String(cell || '').trim();
+    if (/^\d+,\d+$/.test(str)) return parseFloat(str.replace(',', '.'));
+    return parseAmount(str);
+}
+
+/**
+ * Reads "fecha;valor" rows as published by the Banco Central or the SII.
+ * The header line is optional; rows without a date or a positive value are skipped.
+ * @returns {{ values: array, skipped: number }} values: [{ date, value }]
+ */
+export function parseIndexCsv(text) {
+    const { headers, rows } = parseCSV(text || '');
+    const lines = parseDate(headers[0]) ? [headers, ...rows] : rows;
+    const byDate = new Map();
+    let skipped = 0;
+
+    for (const cells of lines) {
+        const date = parseDate(cells[0]);
+        const value = cells.slice(1).map(parseIndexNumber).find(v => v > 0);
+        if (!date || !value) { skipped++; continue; }
+        byDate.set(date, { date, value });
+    }
+
+    return {
+        values: Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)),
+        skipped,
+    };
+}
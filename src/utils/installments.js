@@ -0,0 +1,166 @@
+// ==================================================
+// INSTALLMENTS — Compras en cuotas
+// Una compra en N cuotas genera un cobro por mes; cada
+// cobro se registra como gasto cuando vence (id determinístico)
+// ==================================================
+
+import { storage } from './storage';
+import { Money } from './money';
+import { toDateKey, shiftDueDate } from './recurring';
+
+const INSTALLMENTS_KEY = 'metaflow_installments';
+
+export const INITIAL_INSTALLMENTS = { items: [] };
+// items: [{ id, note, category, decisionType, accountId, principal, count, monthlyRate,
+//           purchaseDate, firstDueDate: 'YYYY-MM-DD', postedCount, createdAt }]
+
+export const MAX_INSTALLMENTS = 48;
+
+/**
+ * Get installment plans
+ */
+export function getInstallments() {
+    const data = storage.get(INSTALLMENTS_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_INSTALLMENTS;
+}
+
+/**
+ * Save installment plans
+ */
+export function saveInstallments(installments) {
+    storage.set(INSTALLMENTS_KEY, installments);
+}
+
+/**
+ * Deterministic transaction id for cuota `number` of a plan
+ */
+export function installmentChargeId(planId, number) {
+    return `cq_${planId}_${number}`;
+}
+
+/**
+ * Monthly payment. Without interest the principal is split evenly;
+ * with a monthly rate (percent) it is a fixed-payment (French) loan.
+ */
+export function installmentAmount(principal, count, monthlyRate = 0) {
+    const p = Money.parse(principal);
+    const n = Math.max(1, Math.round(Number(count) || 1));
+    const r = (Number(monthlyRate) || 0) / 100;
+    if (r <= 0) return Money.parse(p / n);
+    return Money.parse((p * r) / (1 - Math.pow(1 + r, -n)));
+}
+
+/**
+ * Every cuota of a plan, first to last
+ * @returns {array} [{ number, dueDate, amount }]
+ */
+export function buildSchedule(plan) {
+    const count = Math.max(1, Math.round(Number(plan.count) || 1));
+    const amount = installmentAmount(plan.principal, count, plan.monthlyRate);
+    const anchorDay = Number(plan.firstDueDate.split('-')[2]);
+    // Interest-free plans put the rounding leftover on the last cuota so the sum is exact
+    const last = (Number(plan.monthlyRate) || 0) > 0
+        ? amount
+        : Money.subtract(plan.principal, Money.multiply(amount, count - 1));
+
+    return Array.from({ length: count }, (_, i) => ({
+        number: i + 1,
+        dueDate: shiftDueDate(plan.firstDueDate, 'monthly', i, anchorDay),
+        amount: i === count - 1 ? last : amount,
+    }));
+}
+
+/**
+ * Total the plan will cost, and the interest part of it
+ */
+export function getPlanCost(plan) {
+    const total = Money.sumBy(buildSchedule(plan), c => c.amount);
+    return { total, interest: Money.subtract(total, plan.principal) };
+}
+
+/**
+ * Cuotas not charged yet, soonest first
+ * @returns {array} [{ planId, number, count, dueDate, amount, note }]
+ */
+export function getPendingCharges(installments) {
+    return (installments?.items || [])
+        .flatMap(plan => buildSchedule(plan)
+            .filter(c => c.number > (plan.postedCount || 0))
+            .map(c => ({ ...c, planId: plan.id, count: Number(plan.count), note: plan.note })))
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+/**
+ * Future debt already committed through cuotas
+ */
+export function getCommittedDebt(installments) {
+    return Money.sumBy(getPendingCharges(installments), c => c.amount);
+}
+
+/**
+ * Cuotas still to be charged during the month of `today`
+ */
+export function getUpcomingThisMonth(installments, today = new Date()) {
+    const month = toDateKey(today).slice(0, 7);
+    return Money.sumBy(getPendingCharges(installments).filter(c => c.dueDate.slice(0, 7) === month), c => c.amount);
+}
+
+/**
+ * Committed cuotas grouped by month ("YYYY-MM"), for the projection of future charges
+ * @returns {array} [{ month, amount, charges }]
+ */
+export function getMonthlyCommitments(installments, months = 6) {
+    const byMonth = new Map();
+    for (const c of getPendingCharges(installments)) {
+        const month = c.dueDate.slice(0, 7);
+        const entry = byMonth.get(month) || { month, amount: 0, charges: 0 };
+        entry.amount = Money.add(entry.amount, c.amount);
+        entry.charges++;
+        byMonth.set(month, entry);
+    }
+    return Array.from(byMonth.values()).slice(0, months);
+}
+
+/**
+ * Posts every cuota due on or before `today` as a 'gasto'.
+ * Pure: returns the transactions to post and the advanced plans.
+ * @param {object} installments — { items }
+ * @param {Date} today
+ * @param {Set<string>} existingIds — transaction ids already stored
+ * @returns {{ transactions: array, installments: object, posted: number }}
+ */
+export function collectDueInstallments(installments, today, existingIds = new Set()) {
+    const todayKey = toDateKey(today);
+    const transactions = [];
+    let changed = false;
+
+    const items = (installments?.items || []).map(plan => {
+        const due = buildSchedule(plan).filter(c => c.number > (plan.postedCount || 0) && c.dueDate <= todayKey);
+        if (due.length === 0) return plan;
+
+        for (const charge of due) {
+            const id = installmentChargeId(plan.id, charge.number);
+            if (existingIds.has(id)) continue;
+            transactions.push({
+                id,
+                type: 'gasto',
+                amount: charge.amount,
+                category: plan.category || 'otros_gastos',
+                date: new Date(charge.dueDate).toISOString(),
+                note: `${plan.note} (cuota ${charge.number}/${plan.count})`,
+                decisionType: plan.decisionType || null,
+                accountId: plan.accountId || null,
+                installmentPlanId: plan.id,
+                createdAt: new Date().toISOString(),
+            });
+        }
+        changed = true;
+        return { ...plan, postedCount: due[due.length - 1].number };
+    });
+
+    return {
+        transactions,
+        installments: changed ? { items, updatedAt: new Date().toISOString() } : installments,
+        posted: transactions.length,
+    };
+}
@@ -0,0 +1,193 @@
+// ==================================================
+// MONEY — Montos en unidades menores enteras
+// Toda la aritmética se hace en enteros (centavos, pesos,
+// diezmilésimas de UF) para que las sumas nunca deriven
+// ==================================================
+
+export const DEFAULT_CURRENCY = 'CLP';
+
+// Base currency used when no currency is given;
+// kept in step with profile.currency by the AppProvider
+let baseCurrency = DEFAULT_CURRENCY;
+
+export function setBaseCurrency(code) {
+    baseCurrency = normalizeCurrency(code);
+}
+
+export function getBaseCurrency() {
+    return baseCurrency;
+}
+
+export function normalizeCurrency(code) {
+    const upper = String(code || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(upper) ? upper : DEFAULT_CURRENCY;
+}
+
+// The Chilean index units are not ISO 4217 codes, so Intl cannot tell their precision
+const INDEX_UNIT_DECIMALS = { UF: 4, UTM: 2 };
+
+const decimalsCache = new Map();
+
+/**
+ * Decimal places of a currency or index unit. ISO 4217 codes follow Intl
+ * (CLP and JPY have none, KWD has three); unknown codes use two and
+ * no code at all means the base currency.
+ */
+export function minorUnits(code) {
+    if (!code) return minorUnits(baseCurrency);
+    if (INDEX_UNIT_DECIMALS[code] !== undefined) return INDEX_UNIT_DECIMALS[code];
+    if (!decimalsCache.has(code)) {
+        let decimals = 2;
+        try {
+            decimals = new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+        } catch { /* not a currency code */ }
+        decimalsCache.set(code, decimals);
+    }
+    return decimalsCache.get(code);
+}
+
+// A finite number as exact decimal digits: value = digits × 10^exponent.
+// The shortest string form of a double is the decimal the user typed,
+// so 2500.555 is read as 2500555 × 10^-3 and not as 2500.55499999…
+function decimalParts(value) {
+    const [mantissa, exp = '0'] = String(Math.abs(value)).split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+    const digits = BigInt(whole + fraction);
+    return [value < 0 ? -digits : digits, Number(exp) - fraction.length];
+}
+
+// Integer nearest to digits × 10^exponent, halves away from zero
+function roundScaled(digits, exponent) {
+    if (exponent >= 0) return Number(digits * 10n ** BigInt(exponent));
+    const divisor = 10n ** BigInt(-exponent);
+    const magnitude = (digits < 0n ? -digits : digits) + divisor / 2n;
+    const rounded = magnitude / divisor;
+    return Number(digits < 0n ? -rounded : rounded);
+}
+
+function toNumber(value) {
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Amount in integer minor units of its currency, rounding halves away
+ * from zero: toMinor(12.345, 'USD') → 1235, toMinor('1990.5', 'CLP') → 1991
+ */
+export function toMinor(amount, currency = baseCurrency) {
+    const [digits, exponent] = decimalParts(toNumber(amount));
+    return roundScaled(digits, exponent + minorUnits(currency));
+}
+
+/**
+ * Amount of an integer count of minor units: fromMinor(1235, 'USD') → 12.35
+ */
+export function fromMinor(minor, currency = baseCurrency) {
+    const units = Math.round(Number(minor) || 0);
+    return Number(`${units}e-${minorUnits(currency)}`);
+}
+
+/**
+ * Rounds an amount to the precision of its currency
+ */
+export function roundMoney(amount, currency = baseCurrency) {
+    return fromMinor(toMinor(amount, currency), currency);
+}
+
+/**
+ * Integer arithmetic on amounts of one currency (the base one by default).
+ * Inputs may be numbers or numeric strings; results are amounts already
+ * rounded to the currency's precision.
+ */
+export const Money = {
+    parse: (value, currency = baseCurrency) => roundMoney(value, currency),
+
+    add: (a, b, currency = baseCurrency) => fromMinor(toMinor(a, currency) + toMinor(b, currency), currency),
+
+    subtract: (a, b, currency = baseCurrency) => fromMinor(toMinor(a, currency) - toMinor(b, currency), currency),
+
+    /**
+     * Amount times a plain factor (a rate, a frequency, a share), rounded once
+     */
+    multiply: (amount, factor, currency = baseCurrency) => {
+        const [digits, exponent] = decimalParts(toNumber(factor));
+        return fromMinor(roundScaled(BigInt(toMinor(amount, currency)) * digits, exponent), currency);
+    },
+
+    sum: (amounts, currency = baseCurrency) =>
+        fromMinor((amounts || []).reduce((total, a) => total + toMinor(a, currency), 0), currency),
+
+    sumBy: (items, pick, currency = baseCurrency) =>
+        fromMinor((items || []).reduce((total, item) => total + toMinor(pick(item), currency), 0), currency),
+
+    /**
+     * Splits an amount in proportion to `weights` so the parts always add up
+     * to it: the minor units left over by rounding down go one by one to the
+     * parts with the largest remainders (ties to the earliest part).
+     * allocate(100, [1, 1, 1], 'USD') → [33.34, 33.33, 33.33]
+     */
+    allocate: (amount, weights, currency = baseCurrency) => {
+        const total = toMinor(amount, currency);
+        const shares = (weights || []).map(w => Math.max(0, toNumber(w)));
+        const weightSum = shares.reduce((s, w) => s + w, 0);
+        if (shares.length === 0) return [];
+        if (weightSum === 0) return shares.map((_, i) => fromMinor(i === 0 ? total : 0, currency));
+
+        const sign = total < 0 ? -1 : 1;
+        const magnitude = Math.abs(total);
+        const parts = shares.map((w, i) => {
+            const exact = (magnitude * w) / weightSum;
+            const floor = Math.floor(exact);
+            return { i, floor, remainder: exact - floor };
+        });
+        let leftover = magnitude - parts.reduce((s, p) => s + p.floor, 0);
+        [...parts]
+            .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+            .forEach(p => {
+                if (leftover > 0) { p.floor++; leftover--; }
+            });
+        return parts.map(p => fromMinor(sign * p.floor, currency));
+    },
+};
+
+/**
+ * Stored form of an amount: integer minor units with the currency they
+ * count, e.g. 12.35 USD → { minor: 1235, currency: 'USD' }
+ */
+export function toStoredAmount(amount, currency = baseCurrency) {
+    return { minor: toMinor(amount, currency), currency: currency || baseCurrency };
+}
+
+/**
+ * Amount of a stored value. Plain numbers were saved before amounts were
+ * kept in minor units and are read as they were; the next save converts them.
+ */
+export function fromStoredAmount(value) {
+    if (value && typeof value === 'object') return fromMinor(value.minor, value.currency);
+    return toNumber(value);
+}
+
+/**
+ * A record with the given money fields in stored form
+ * @param {object} units - { field: currency the field is counted in }
+ */
+export function toStoredRecord(record, units) {
+    const stored = { ...record };
+    for (const [field, currency] of Object.entries(units)) {
+        if (record[field] === undefined || record[field] === null) continue;
+        stored[field] = toStoredAmount(record[field], currency);
+    }
+    return stored;
+}
+
+/**
+ * A stored record with the given money fields back as amounts
+ */
+export function fromStoredRecord(record, fields) {
+    const live = { ...record };
+    for (const field of fields) {
+        if (record[field] === undefined || record[field] === null) continue;
+        live[field] = fromStoredAmount(record[field]);
+    }
+    return live;
+}
@@ -4,6 +4,10 @@
 // ==================================================
 
 import { time } from './timeEngine';
+import { storage } from './storage';
+import { expandSplitLines } from './splits';
+import { findCategory } from './categories';
+import { payeeKey } from './payees';
 
 /**
  * Expense Classification Types
@@ -16,33 +20,35 @@ export const EXPENSE_TYPES = {
 };
 
 /**
- * Auto-classify an expense based on its category
+ * Auto-classify an expense based on its category: the classification set
+ * in the category registry, else its parent's, else impulse
  */
 export function classifyExpense(category) {
-    const map = {
-        // Necessities
-        alimentacion: 'necessity',
-        transporte: 'necessity',
-        servicios: 'necessity',
-        salud: 'necessity',
-        hogar: 'necessity',
-        // Investments
-        educacion: 'investment',
-        inversiones: 'investment',
-        ahorro_meta: 'investment',
-        // Desires
-        entretenimiento: 'desire',
-        ropa: 'desire',
-        // Default to impulse
-    };
-    return map[category] || 'impulse';
+    for (const kind of ['gasto', 'ahorro', 'ingreso']) {
+        const found = findCategory(kind, category);
+        const parent = found.parent ? findCategory(kind, found.parent) : null;
+        const classification = found.classification || parent?.classification;
+        if (classification) return classification;
+    }
+    return 'impulse';
 }
 
 /**
- * Calculate financial decision metrics
+ * Classification of a transaction: the one set by a rule (stored as
+ * decisionType) wins over the category default
+ */
+export function classifyTransaction(t) {
+    return t.decisionType || t.classification || classifyExpense(t.category);
+}
+
+const isExpenseRecord = t => t.type === 'gasto' || t.type === 'expense';
+
+/**
+ * Calculate financial decision metrics. Split transactions count line by
+ * line, each with its own classification.
  */
 export function calculateDecisionMetrics(transactions) {
-    const expenses = transactions.filter(t => t.type === 'gasto' || t.type === 'expense');
+    const expenses = expandSplitLines(transactions).filter(isExpenseRecord);
     if (expenses.length === 0) {
         return {
             impulseIndex: 0,
@@ -57,7 +63,7 @@ export function calculateDecisionMetrics(transactions) {
     let total = 0;
 
     expenses.forEach(t => {
-        const classification = t.classification || classifyExpense(t.category);
+        const classification = classifyTransaction(t);
         const amount = Math.abs(t.amount);
         breakdown[classification] = (breakdown[classification] || 0) + amount;
         total += amount;
@@ -161,11 +167,12 @@ export function detectDayPatterns(transactions) {
 }
 
 /**
- * Detect category growth trends (month-over-month)
+ * Detect category growth trends (month-over-month), with split
+ * transactions counted in the category of each line
  */
 export function detectCategoryTrends(transactions) {
-    const expenses = transactions.filter(t => t.type === 'gasto' || t.type === 'expense');
-    if (expenses.length < 5) return [];
+    if (transactions.filter(isExpenseRecord).length < 5) return [];
+    const expenses = expandSplitLines(transactions).filter(isExpenseRecord);
 
     const now = time.now();
     const thisMonth = now.getMonth();
@@ -209,6 +216,150 @@ export function detectCategoryTrends(transactions) {
     return trends.sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).slice(0, 3);
 }
 
+// ─── Duplicates & anomalies ───────────────────────
+
+const WARNING_FEEDBACK_KEY = 'metaflow_warning_feedback';
+// Dismissals stay on this device, like the UF/UTM table
+export const INITIAL_WARNING_FEEDBACK = { items: [] };
+// items: [{ kind: 'duplicate' | 'anomaly', key, category?, amount?, createdAt }]
+const MAX_FEEDBACK = 500;
+
+export const WARNING_KINDS = { DUPLICATE: 'duplicate', ANOMALY: 'anomaly' };
+export const DUPLICATE_WINDOW_DAYS = 3;
+// History a category needs before an amount can stand out in it
+export const MIN_ANOMALY_SAMPLES = 5;
+export const ANOMALY_Z_SCORE = 2.5;
+// Dashboard warnings look at this many recent days
+const RECENT_WARNING_DAYS = 30;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export function getWarningFeedback() {
+    const data = storage.get(WARNING_FEEDBACK_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_WARNING_FEEDBACK;
+}
+
+export function saveWarningFeedback(feedback) {
+    storage.set(WARNING_FEEDBACK_KEY, feedback);
+}
+
+/**
+ * Key of a duplicate pair, the same whichever side it is read from
+ */
+export const duplicateKey = (idA, idB) => [idA, idB].sort().join('|');
+
+/**
+ * Remember a dismissed warning; the newest MAX_FEEDBACK are kept
+ */
+export function addWarningFeedback(feedback, entry) {
+    const items = (feedback?.items || []).filter(f => !(f.kind === entry.kind && f.key === entry.key));
+    return {
+        items: [...items, { ...entry, createdAt: new Date().toISOString() }].slice(-MAX_FEEDBACK),
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+const isDismissed = (feedback, kind, key) => (feedback?.items || []).some(f => f.kind === kind && f.key === key);
+
+const noteWords = note => new Set(payeeKey(note).split(' ').filter(Boolean));
+
+/**
+ * Notes that could describe the same purchase: both empty, or sharing at
+ * least half of their words (one wholly inside the other counts too)
+ */
+export function similarNotes(a, b) {
+    const wordsA = noteWords(a);
+    const wordsB = noteWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return wordsA.size === wordsB.size;
+    const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+    return shared === Math.min(wordsA.size, wordsB.size) || shared / new Set([...wordsA, ...wordsB]).size >= 0.5;
+}
+
+const recordedAmount = t => Number(t.originalAmount ?? t.amount);
+const dateOf = t => new Date(t.date || t.createdAt);
+
+/**
+ * Other movements that look like `tx` entered twice: same type, same
+ * recorded amount and currency, a similar note and at most
+ * DUPLICATE_WINDOW_DAYS apart. Pairs dismissed as distinct are skipped.
+ */
+export function findDuplicates(tx, transactions, feedback = null, windowDays = DUPLICATE_WINDOW_DAYS) {
+    const amount = recordedAmount(tx);
+    if (!amount) return [];
+    const date = dateOf(tx);
+    return (transactions || []).filter(t => t.id !== tx.id
+        && t.type === tx.type
+        && recordedAmount(t) === amount
+        && (t.currency || '') === (tx.currency || '')
+        && Math.abs(dateOf(t) - date) <= windowDays * DAY_MS
+        && similarNotes(t.note, tx.note)
+        && !(tx.id && isDismissed(feedback, WARNING_KINDS.DUPLICATE, duplicateKey(t.id, tx.id))));
+}
+
+/**
+ * Expense lines of `tx` far above what the user usually spends in their
+ * category: z-score against the category's past amounts, once it has
+ * MIN_ANOMALY_SAMPLES of them. A category the user marked an amount as
+ * normal for does not flag amounts up to that one again.
+ * @returns {Array<{ category, amount, mean, zScore, ratio }>}
+ */
+export function detectAmountAnomalies(tx, transactions, feedback = null) {
+    if (!isExpenseRecord(tx) || tx.unconverted) return [];
+    if (tx.id && isDismissed(feedback, WARNING_KINDS.ANOMALY, tx.id)) return [];
+    const history = expandSplitLines((transactions || []).filter(t => t.id !== tx.id && isExpenseRecord(t) && !t.unconverted));
+    const normalUpTo = {};
+    (feedback?.items || []).filter(f => f.kind === WARNING_KINDS.ANOMALY && f.category).forEach(f => {
+        normalUpTo[f.category] = Math.max(normalUpTo[f.category] || 0, Number(f.amount) || 0);
+    });
+
+    return expandSplitLines([tx]).flatMap(line => {
+        const amount = Math.abs(Number(line.amount) || 0);
+        if (!amount || amount <= (normalUpTo[line.category] || 0)) return [];
+        const amounts = history.filter(t => t.category === line.category).map(t => Math.abs(t.amount));
+        if (amounts.length < MIN_ANOMALY_SAMPLES) return [];
+        const mean = amounts.reduce((s, v) => s + v, 0) / amounts.length;
+        const variance = amounts.reduce((s, v) => s + (v - mean) ** 2, 0) / amounts.length;
+        // Identical amounts would make any change infinitely unusual
+        const deviation = Math.max(Math.sqrt(variance), mean * 0.1);
+        const zScore = (amount - mean) / deviation;
+        if (zScore < ANOMALY_Z_SCORE) return [];
+        return [{ category: line.category, amount, mean: Math.round(mean), zScore: Math.round(zScore * 10) / 10, ratio: Math.round((amount / mean) * 10) / 10 }];
+    });
+}
+
+/**
+ * Duplicates and anomalies among the last RECENT_WARNING_DAYS of movements,
+ * newest first, in the insight shape plus what dismissing them needs:
+ * [{ kind, key, ids, category?, amount?, type, icon, message }]
+ */
+export function detectTransactionWarnings(transactions, feedback = null, now = time.now()) {
+    const since = now.getTime() - RECENT_WARNING_DAYS * DAY_MS;
+    const recent = (transactions || []).filter(t => dateOf(t).getTime() >= since)
+        .sort((a, b) => dateOf(b) - dateOf(a));
+    const warnings = [];
+    const seenPairs = new Set();
+    const categoryLabel = category => findCategory('gasto', category).label;
+    recent.forEach(t => {
+        findDuplicates(t, recent, feedback).forEach(other => {
+            const key = duplicateKey(t.id, other.id);
+            if (seenPairs.has(key)) return;
+            seenPairs.add(key);
+            warnings.push({
+                kind: WARNING_KINDS.DUPLICATE, key, ids: [t.id, other.id],
+                type: 'warning', icon: 'Copy',
+                message: `¿Registro duplicado? "${t.note || categoryLabel(t.category)}" aparece dos veces con el mismo monto.`,
+            });
+        });
+        detectAmountAnomalies(t, transactions, feedback).forEach(a => {
+            warnings.push({
+                kind: WARNING_KINDS.ANOMALY, key: t.id, ids: [t.id], category: a.category, amount: a.amount,
+                type: 'warning', icon: 'AlertTriangle',
+                message: `"${t.note || categoryLabel(a.category)}" es ${a.ratio}× tu gasto habitual en ${categoryLabel(a.category)}.`,
+            });
+        });
+    });
+    return warnings;
+}
+
 /**
  * Generate daily missions based on user state
  */
@@ -262,7 +413,7 @@ export function generateDailyMissions(state) {
     // Mission 4: No impulse spending
     const hasImpulseToday = todayTransactions.some(t => {
         if (t.type !== 'gasto' && t.type !== 'expense') return false;
-        const cls = t.classification || classifyExpense(t.category);
+        const cls = classifyTransaction(t);
         return cls === 'impulse';
     });
     missions.push({
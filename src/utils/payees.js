@@ -0,0 +1,178 @@
+// ==================================================
+// PAYEES — Comercios y contrapartes de movimientos
+// "Jumbo", "jumbo" y "JUMBO LAS CONDES" son el mismo
+// comercio: nombre normalizado + alias, historial de
+// gasto y categoría por defecto para nuevos registros
+// ==================================================
+
+import { storage } from './storage';
+import { generateId } from './helpers';
+import { Money } from './money';
+import { getSpentAmount } from './splits';
+
+const PAYEES_KEY = 'metaflow_payees';
+
+export const INITIAL_PAYEES = { items: [] };
+// items: [{ id, name, aliases: [key], category, type }]
+
+// Legal suffixes and card-processor noise that never tell merchants apart
+const NOISE_WORDS = new Set(['spa', 'ltda', 'sa', 'eirl', 'cia', 'limitada', 'compra', 'pago', 'pos', 'www', 'com', 'cl']);
+
+/**
+ * Get payees
+ */
+export function getPayees() {
+    const data = storage.get(PAYEES_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_PAYEES;
+}
+
+/**
+ * Save payees
+ */
+export function savePayees(payees) {
+    storage.set(PAYEES_KEY, payees);
+}
+
+/**
+ * Comparable form of a merchant name: lowercase, no accents or
+ * punctuation, no store numbers or legal suffixes
+ * ("JUMBO LAS CONDES #123 S.A." → "jumbo las condes")
+ */
+export function payeeKey(name) {
+    return String(name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\b(s\.a\.|s\.p\.a\.)/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(w => w && !NOISE_WORDS.has(w) && !/^\d+$/.test(w))
+        .join(' ');
+}
+
+/**
+ * Payee the text refers to: the same name or alias, else the longest
+ * name or alias the text starts with ("jumbo las condes" → Jumbo)
+ */
+export function resolvePayee(payees, text) {
+    const key = payeeKey(text);
+    if (!key) return null;
+    let best = null;
+    let bestLength = 0;
+    for (const payee of payees?.items || []) {
+        for (const candidate of [payeeKey(payee.name), ...(payee.aliases || [])]) {
+            if (!candidate) continue;
+            if (candidate === key) return payee;
+            if (key.startsWith(`${candidate} `) && candidate.length > bestLength) {
+                best = payee;
+                bestLength = candidate.length;
+            }
+        }
+    }
+    return best;
+}
+
+const touch = (items) => ({ items, updatedAt: new Date().toISOString() });
+
+/**
+ * Payee id for a typed name, creating the payee when it is new. A name
+ * that only starts like a known payee becomes one of its aliases.
+ * @returns {{ payees, payeeId }} — payeeId null for a blank name
+ */
+export function assignPayee(payees, name, defaults = {}) {
+    const key = payeeKey(name);
+    if (!key) return { payees, payeeId: null };
+    const items = payees?.items || [];
+    const match = resolvePayee(payees, name);
+    if (match) {
+        const known = payeeKey(match.name) === key || (match.aliases || []).includes(key);
+        if (known) return { payees, payeeId: match.id };
+        return {
+            payees: touch(items.map(p => p.id === match.id ? { ...p, aliases: [...(p.aliases || []), key] } : p)),
+            payeeId: match.id,
+        };
+    }
+    const payee = {
+        id: generateId(),
+        name: String(name).trim().replace(/\s+/g, ' '),
+        aliases: [],
+        category: defaults.category || '',
+        type: defaults.type || 'gasto',
+    };
+    return { payees: touch([...items, payee]), payeeId: payee.id };
+}
+
+/**
+ * Rename or retarget a payee; aliases are stored in key form
+ */
+export function updatePayee(payees, id, patch) {
+    return touch((payees?.items || []).map(p => {
+        if (p.id !== id) return p;
+        const next = { ...p, ...patch, id };
+        if (patch.aliases !== undefined) {
+            const own = payeeKey(next.name);
+            next.aliases = [...new Set(patch.aliases.map(payeeKey).filter(a => a && a !== own))];
+        }
+        return next;
+    }));
+}
+
+/**
+ * Fold `fromId` into `intoId`: its name and aliases become aliases
+ */
+export function mergePayees(payees, fromId, intoId) {
+    const items = payees?.items || [];
+    const from = items.find(p => p.id === fromId);
+    const into = items.find(p => p.id === intoId);
+    if (!from || !into || fromId === intoId) return payees;
+    const aliases = [...(into.aliases || []), payeeKey(from.name), ...(from.aliases || [])];
+    return updatePayee(touch(items.filter(p => p.id !== fromId)), intoId, { aliases });
+}
+
+export function removePayee(payees, id) {
+    return touch((payees?.items || []).filter(p => p.id !== id));
+}
+
+/**
+ * Spending history per payee, biggest spend first:
+ * [{ payee, total, count, averageTicket, perMonth, lastDate }]
+ * perMonth is visits per month over the span of the history.
+ */
+export function payeeStats(transactions, payees) {
+    const byPayee = new Map();
+    for (const t of transactions || []) {
+        if (!t.payeeId || t.type !== 'gasto') continue;
+        const entry = byPayee.get(t.payeeId) || { total: 0, count: 0, first: null, last: null };
+        const date = new Date(t.date || t.createdAt);
+        entry.total = Money.add(entry.total, getSpentAmount(t));
+        entry.count++;
+        if (!entry.first || date < entry.first) entry.first = date;
+        if (!entry.last || date > entry.last) entry.last = date;
+        byPayee.set(t.payeeId, entry);
+    }
+    return (payees?.items || [])
+        .map(payee => {
+            const entry = byPayee.get(payee.id) || { total: 0, count: 0, first: null, last: null };
+            // Under a month of history counts as one month
+            const months = entry.first ? Math.max(1, (entry.last - entry.first) / (1000 * 60 * 60 * 24 * 30.44)) : 1;
+            return {
+                payee,
+                total: entry.total,
+                count: entry.count,
+                averageTicket: entry.count ? Money.parse(entry.total / entry.count) : 0,
+                perMonth: Math.round((entry.count / months) * 10) / 10,
+                lastDate: entry.last ? entry.last.toISOString() : null,
+            };
+        })
+        .sort((a, b) => b.total - a.total || b.count - a.count);
+}
+
+/**
+ * Transactions without `payeeId` whose note names a known payee, with it set
+ */
+export function matchPayeesFromNotes(transactions, payees) {
+    return (transactions || []).map(t => {
+        if (t.payeeId || !t.note) return t;
+        const payee = resolvePayee(payees, t.note);
+        return payee ? { ...t, payeeId: payee.id } : t;
+    });
+}
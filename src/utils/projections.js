@@ -2,12 +2,21 @@
 // SMART PROJECTIONS — Compound Interest + Pace Predictions
 // ==================================================
 
+import { LEDGER_TYPES, getLedgerEntries, getGoalBalance } from './goalLedger';
+import { getIndexGrowth } from './indexation';
+import { Money } from './money';
+
+// An indexed target that outgrows the savings pace is never reached;
+// the projection gives up after this many days
+const MAX_PROJECTION_DAYS = 365 * 30;
+
 /**
  * Calculate compound interest projection
  * @param {number} principal — Initial amount
  * @param {number} monthlyContribution — Monthly savings
  * @param {number} annualRate — Annual interest rate (e.g. 0.05 for 5%)
  * @param {number} months — Number of months
+ * Amounts are in the base currency
  */
 export function compoundProjection(principal, monthlyContribution, annualRate, months) {
     const monthlyRate = annualRate / 12;
@@ -17,39 +26,68 @@ export function compoundProjection(principal, monthlyContribution, annualRate, m
 
     for (let i = 1; i <= months; i++) {
         balance = balance * (1 + monthlyRate) + monthlyContribution;
-        totalContributed += monthlyContribution;
+        totalContributed = Money.add(totalContributed, monthlyContribution);
         timeline.push({
             month: i,
-            balance: Math.round(balance),
+            balance: Money.parse(balance),
             contributed: totalContributed,
-            interest: Math.round(balance - totalContributed),
+            interest: Money.subtract(balance, totalContributed),
         });
     }
 
     return {
-        finalBalance: Math.round(balance),
+        finalBalance: Money.parse(balance),
         totalContributed,
-        totalInterest: Math.round(balance - totalContributed),
+        totalInterest: Money.subtract(balance, totalContributed),
         timeline,
     };
 }
 
+/**
+ * Days until savings growing by `dailyAvg` reach a target growing by `growth` per day
+ * @returns {number|null} null when the target stays out of reach
+ */
+function daysToReach(balance, target, dailyAvg, growth) {
+    if (growth <= 0) return Math.ceil((target - balance) / dailyAvg);
+    for (let day = 1; day <= MAX_PROJECTION_DAYS; day++) {
+        if (balance + dailyAvg * day >= target * Math.pow(1 + growth, day)) return day;
+    }
+    return null;
+}
+
+// Savings pace per day, week and month in the goal's currency
+function paceOf(dailyAvg, currency) {
+    return {
+        dailyAvg: Money.parse(dailyAvg, currency),
+        weeklyAvg: Money.parse(dailyAvg * 7, currency),
+        monthlyAvg: Money.parse(dailyAvg * 30, currency),
+    };
+}
+
 /**
  * Predict goal completion based on savings pace
- * @param {object} goal — Goal with currentAmount, targetAmount, createdAt, deadline
- * @param {array} transactions — All savings transactions
+ * @param {object} goal — Goal with ledger, targetAmount, createdAt, deadline.
+ *   For a UF/UTM goal, targetAmount is today's peso target (see toClpGoals)
+ * @param {array} transactions — Savings transactions, only used when the goal has no ledger yet
+ * @param {object} indexValues — UF/UTM value table; an indexed target keeps rising at its recent pace
  * @returns {object} Prediction data
  */
-export function predictGoalCompletion(goal, transactions) {
-    const remaining = Math.max(0, goal.targetAmount - (goal.currentAmount || 0));
+export function predictGoalCompletion(goal, transactions = [], indexValues = null) {
+    const { currency } = goal;
+    const balance = Array.isArray(goal.ledger) ? getGoalBalance(goal) : Money.parse(goal.currentAmount || 0, currency);
+    const remaining = Math.max(0, Money.subtract(goal.targetAmount, balance, currency));
     if (remaining <= 0) {
         return { completed: true, message: '🎉 ¡Meta alcanzada!', daysAhead: 0 };
     }
 
-    // Calculate average daily savings for this goal
-    const goalSavings = transactions.filter(
-        t => t.type === 'ahorro' && t.goalId === goal.id
-    );
+    // Net movements for this goal: withdrawals slow the pace down
+    const ledgerMovements = getLedgerEntries(goal).map(e => ({
+        date: e.date,
+        amount: e.type === LEDGER_TYPES.WITHDRAWAL ? -e.amount : e.amount,
+    }));
+    const goalSavings = ledgerMovements.length > 0
+        ? ledgerMovements
+        : transactions.filter(t => t.type === 'ahorro' && t.goalId === goal.id);
 
     if (goalSavings.length < 2) {
         return {
@@ -63,14 +101,24 @@ export function predictGoalCompletion(goal, transactions) {
     const firstDate = new Date(sortedSavings[0].date);
     const lastDate = new Date(sortedSavings[sortedSavings.length - 1].date);
     const daysSoFar = Math.max(1, Math.ceil((lastDate - firstDate) / (1000 * 60 * 60 * 24)));
-    const totalSaved = goalSavings.reduce((sum, t) => sum + t.amount, 0);
+    const totalSaved = Money.sumBy(goalSavings, t => t.amount, currency);
     const dailyAvg = totalSaved / daysSoFar;
 
     if (dailyAvg <= 0) {
         return { completed: false, message: 'No se detecta un ritmo de ahorro constante.', insufficient: true };
     }
 
-    const daysToComplete = Math.ceil(remaining / dailyAvg);
+    const growth = goal.indexUnit ? getIndexGrowth(indexValues, goal.indexUnit) : 0;
+    const daysToComplete = daysToReach(balance, goal.targetAmount, dailyAvg, growth);
+    if (daysToComplete === null) {
+        return {
+            completed: false,
+            ...paceOf(dailyAvg, currency),
+            onTrack: false,
+            outpaced: true,
+            message: `📈 La meta en ${goal.indexUnit} sube más rápido que tu ahorro. ¡Aumenta tu aporte para alcanzarla!`,
+        };
+    }
     const projectedDate = new Date();
     projectedDate.setDate(projectedDate.getDate() + daysToComplete);
 
@@ -91,11 +139,11 @@ export function predictGoalCompletion(goal, transactions) {
 
     return {
         completed: false,
-        dailyAvg: Math.round(dailyAvg),
-        weeklyAvg: Math.round(dailyAvg * 7),
-        monthlyAvg: Math.round(dailyAvg * 30),
+        ...paceOf(dailyAvg, currency),
         daysToComplete,
         projectedDate: projectedDate.toISOString(),
+        // Peso target on the projected date; differs from today's only for indexed goals
+        projectedTarget: Money.multiply(goal.targetAmount, Math.pow(1 + growth, daysToComplete), currency),
         daysAhead,
         onTrack: daysAhead >= 0,
         message,
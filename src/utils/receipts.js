@@ -0,0 +1,207 @@
+// ==================================================
+// RECEIPTS — Boletas y comprobantes de movimientos
+// Fotos o PDF guardados como blobs en IndexedDB; el
+// movimiento solo lleva sus metadatos (y la ruta en la
+// nube cuando se subieron a Supabase Storage)
+// ==================================================
+
+import { generateId } from './helpers';
+
+const DB_NAME = 'metaflow_files';
+const DB_VERSION = 1;
+const STORE = 'receipts';
+
+export const RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+export const MAX_RECEIPT_SIZE = 10 * 1024 * 1024;
+export const MAX_RECEIPTS = 5;
+// Longest side of the thumbnail shown in the transaction list
+const THUMB_SIZE = 160;
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the receipts database.
+ * Resolves to null where IndexedDB is not available.
+ */
+function openDb() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[Receipts] IndexedDB unavailable:', request.error);
+                dbPromise = null;
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run one request against the store; resolves to its result, or
+ * `fallback` when the database is missing or the request fails
+ */
+async function withStore(mode, run, fallback = null) {
+    const db = await openDb();
+    if (!db) return fallback;
+    return new Promise((resolve) => {
+        const request = run(db.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result ?? fallback);
+        request.onerror = () => resolve(fallback);
+    });
+}
+
+/**
+ * Why a file cannot be attached, or null when it can
+ */
+export function validateReceiptFile(file) {
+    if (!file) return 'No se seleccionó ningún archivo';
+    if (!RECEIPT_TYPES.includes(file.type)) return 'Solo fotos (JPG, PNG, WEBP, HEIC) o PDF';
+    if (file.size > MAX_RECEIPT_SIZE) return 'El archivo es demasiado grande (máx. 10MB)';
+    return null;
+}
+
+/**
+ * Receipt metadata as stored on a transaction: known fields only,
+ * at most MAX_RECEIPTS
+ */
+export function normalizeReceipts(receipts) {
+    if (!Array.isArray(receipts)) return [];
+    return receipts
+        .filter(r => r && r.id)
+        .slice(0, MAX_RECEIPTS)
+        .map(r => ({
+            id: String(r.id),
+            name: String(r.name || 'comprobante'),
+            type: r.type || '',
+            size: Number(r.size) || 0,
+            path: r.path || null,
+            addedAt: r.addedAt || new Date().toISOString(),
+        }));
+}
+
+/**
+ * Every receipt id referenced by the transactions
+ */
+export function receiptIdsOf(transactions) {
+    return new Set((transactions || []).flatMap(t => (t.receipts || []).map(r => r.id)));
+}
+
+export const isPdfReceipt = (receipt) => receipt?.type === 'application/pdf';
+
+/**
+ * Downscaled JPEG of an image, or null for PDFs and whenever the
+ * browser cannot decode the image
+ */
+export async function createThumbnail(file) {
+    if (!file?.type?.startsWith('image/') || typeof createImageBitmap === 'undefined') return null;
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close?.();
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Store a file locally and return its metadata for the transaction
+ */
+export async function storeReceipt(file) {
+    const meta = normalizeReceipts([{ id: generateId(), name: file.name, type: file.type, size: file.size }])[0];
+    const thumb = await createThumbnail(file);
+    const saved = await withStore('readwrite', store => store.put({ ...meta, blob: file, thumb }), false);
+    if (saved === false) console.warn('[Receipts] Stored without a local copy:', meta.name);
+    return meta;
+}
+
+/**
+ * Local record of a receipt ({ ...meta, blob, thumb }), or null when
+ * it only exists in the cloud or was never stored on this device
+ */
+export function getReceipt(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * Remember where a receipt was uploaded so pruning can clean it up
+ */
+export async function setReceiptPath(id, path) {
+    const record = await getReceipt(id);
+    if (record) await withStore('readwrite', store => store.put({ ...record, path }));
+}
+
+export function deleteReceipt(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Delete local receipts no transaction references anymore (deleted
+ * transactions, cancelled forms). Resolves to the removed records'
+ * metadata so their cloud copies can go too.
+ */
+export async function pruneReceipts(transactions) {
+    const keep = receiptIdsOf(transactions);
+    const all = await withStore('readonly', store => store.getAll(), []);
+    const orphans = all.filter(r => !keep.has(r.id));
+    for (const r of orphans) await deleteReceipt(r.id);
+    return orphans.map(r => normalizeReceipts([r])[0]);
+}
+
+// ─── Backups ─────────────────────────────────────
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+export function dataUrlToBlob(dataUrl) {
+    const [header, data] = String(dataUrl).split(',');
+    const type = header.match(/^data:([^;]+)/)?.[1] || '';
+    const binary = atob(data || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+/**
+ * Every local receipt with its file inlined, for the JSON backup
+ */
+export async function exportReceipts() {
+    const all = await withStore('readonly', store => store.getAll(), []);
+    return Promise.all(all.map(async ({ blob, thumb, ...meta }) => ({
+        ...meta,
+        data: await blobToDataUrl(blob),
+        thumb: thumb ? await blobToDataUrl(thumb) : null,
+    })));
+}
+
+/**
+ * Put receipts from a backup back into IndexedDB; resolves to how many
+ */
+export async function importReceipts(receipts) {
+    let restored = 0;
+    for (const r of Array.isArray(receipts) ? receipts : []) {
+        if (!r?.id || !r.data) continue;
+        const [meta] = normalizeReceipts([r]);
+        const ok = await withStore('readwrite', store => store.put({
+            ...meta,
+            blob: dataUrlToBlob(r.data),
+            thumb: r.thumb ? dataUrlToBlob(r.thumb) : null,
+        }), false);
+        if (ok !== false) restored++;
+    }
+    return restored;
+}
@@ -0,0 +1,160 @@
+// ==================================================
+// RECURRING ENGINE — Gastos fijos → transacciones reales
+// Cada ocurrencia tiene un id determinístico (gasto + fecha),
+// así dos dispositivos o dos recargas nunca duplican un cobro.
+// ==================================================
+
+import { storage } from './storage';
+import { Money, getBaseCurrency, toStoredRecord, fromStoredRecord } from './money';
+import { normalizeIndexUnit, indexedToClp, formatIndexed } from './indexation';
+import { findCategory, fallbackCategory } from './categories';
+
+const FIXED_EXPENSES_KEY = 'metaflow_fixed_expenses';
+
+// Safety net when the app was closed for a long time
+const MAX_CATCH_UP = 60;
+
+export const CYCLE_STATUS = {
+    PAID: 'paid',
+    PENDING: 'pending',
+    INACTIVE: 'inactive',
+    UNSCHEDULED: 'unscheduled',
+};
+
+/**
+ * Get fixed expenses
+ */
+export function getFixedExpenses() {
+    const data = storage.get(FIXED_EXPENSES_KEY);
+    return Array.isArray(data) ? data.map(e => fromStoredRecord(e, ['amount'])) : [];
+}
+
+/**
+ * Save fixed expenses, amounts in minor units of their UF/UTM unit or the base currency
+ */
+export function saveFixedExpenses(fixedExpenses) {
+    storage.set(FIXED_EXPENSES_KEY, (fixedExpenses || []).map(e => toStoredRecord(e, { amount: e.indexUnit || getBaseCurrency() })));
+}
+
+/**
+ * Local calendar date as "YYYY-MM-DD" (the format of <input type="date">)
+ */
+export function toDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+function fromDateKey(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Adds months keeping the anchor day, clamped to the month length (31 → 28/30)
+function addMonths(date, months, anchorDay) {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(anchorDay, lastDay));
+    return target;
+}
+
+/**
+ * Moves a due date `steps` cycles forward (or backward when negative)
+ * @param {string} dueDate — "YYYY-MM-DD"
+ * @param {string} frequency — weekly | monthly | yearly
+ * @param {number} anchorDay — day of month to keep for monthly/yearly cycles
+ */
+export function shiftDueDate(dueDate, frequency, steps = 1, anchorDay) {
+    const d = fromDateKey(dueDate);
+    const day = anchorDay || d.getDate();
+    switch (frequency) {
+        case 'weekly': d.setDate(d.getDate() + 7 * steps); return toDateKey(d);
+        case 'yearly': return toDateKey(addMonths(d, 12 * steps, day));
+        default: return toDateKey(addMonths(d, steps, day));
+    }
+}
+
+/**
+ * Deterministic transaction id for one occurrence of a fixed expense
+ */
+export function occurrenceId(expenseId, dueDate) {
+    return `fx_${expenseId}_${dueDate}`;
+}
+
+/**
+ * Status of the cycle that ends at `nextDueDate`:
+ * paid once the previous occurrence was posted, pending otherwise
+ */
+export function getCycleStatus(expense) {
+    if (expense.active === false) return CYCLE_STATUS.INACTIVE;
+    if (!expense.nextDueDate) return CYCLE_STATUS.UNSCHEDULED;
+    const previousDue = shiftDueDate(expense.nextDueDate, expense.frequency, -1, expense.dueDay);
+    return expense.lastPaidDate && expense.lastPaidDate >= previousDue
+        ? CYCLE_STATUS.PAID
+        : CYCLE_STATUS.PENDING;
+}
+
+/**
+ * Materializes every occurrence due on or before `today`.
+ * Pure: returns the transactions to post and the advanced expenses.
+ * Expenses in UF/UTM are charged in pesos at the value of each due date,
+ * and wait unposted while the table has no value for their unit.
+ * @param {array} fixedExpenses
+ * @param {Date} today
+ * @param {Set<string>} existingIds — transaction ids already stored
+ * @param {object} indexValues — UF/UTM value table
+ * @returns {{ transactions: array, fixedExpenses: array, posted: number }}
+ */
+export function collectDueOccurrences(fixedExpenses, today, existingIds = new Set(), indexValues = null) {
+    const todayKey = toDateKey(today);
+    const transactions = [];
+    let changed = false;
+
+    const updated = fixedExpenses.map(expense => {
+        if (expense.active === false || !expense.nextDueDate || expense.nextDueDate > todayKey) return expense;
+        const unit = normalizeIndexUnit(expense.indexUnit);
+        if (unit && indexedToClp(expense.amount, unit, expense.nextDueDate, indexValues) === null) return expense;
+
+        const anchorDay = expense.dueDay || fromDateKey(expense.nextDueDate).getDate();
+        let dueDate = expense.nextDueDate;
+        let lastPaidDate = expense.lastPaidDate || null;
+        let guard = 0;
+
+        while (dueDate <= todayKey && guard < MAX_CATCH_UP) {
+            const id = occurrenceId(expense.id, dueDate);
+            if (!existingIds.has(id)) {
+                transactions.push({
+                    id,
+                    type: 'gasto',
+                    amount: unit ? indexedToClp(expense.amount, unit, dueDate, indexValues) : Money.parse(expense.amount),
+                    // Fixed expenses share the expense categories ('otros' was their old catch-all)
+                    category: expense.category ? findCategory('gasto', expense.category).value : fallbackCategory('gasto'),
+                    date: new Date(dueDate).toISOString(),
+                    note: unit ? `${expense.name} (${formatIndexed(expense.amount, unit)})` : expense.name,
+                    ...(unit && { currency: 'CLP' }),
+                    recurringId: expense.id,
+                    createdAt: new Date().toISOString(),
+                });
+            }
+            lastPaidDate = dueDate;
+            dueDate = shiftDueDate(dueDate, expense.frequency, 1, anchorDay);
+            guard++;
+        }
+
+        changed = true;
+        return {
+            ...expense,
+            nextDueDate: dueDate,
+            lastPaidDate,
+            dueDay: anchorDay,
+            updatedAt: new Date().toISOString(),
+        };
+    });
+
+    return {
+        transactions,
+        fixedExpenses: changed ? updated : fixedExpenses,
+        posted: transactions.length,
+    };
+}
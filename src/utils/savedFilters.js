@@ -0,0 +1,95 @@
+// ==================================================
+// SAVED FILTERS — Filtros de movimientos con nombre
+// Tipo + rango + categoría + etiquetas + texto; los
+// fijados aparecen en Finanzas y sirven en Estadísticas
+// ==================================================
+
+import { storage } from './storage';
+import { time } from './timeEngine';
+import { isSplit } from './splits';
+import { hasTags, normalizeTags } from './tags';
+import { parseQuery, matchesQuery } from './searchQuery';
+
+const SAVED_FILTERS_KEY = 'metaflow_saved_filters';
+
+export const INITIAL_SAVED_FILTERS = { items: [] };
+// items: [{ id, name, type, range, category, tags, query, pinned }]
+
+export const FILTER_RANGES = [
+    { key: 'month', label: 'Este Mes' },
+    { key: '30d', label: '30 días' },
+    { key: '7d', label: '7 días' },
+    { key: 'all', label: 'Todo' },
+];
+
+// No filtering at all; 'todos' is every type
+export const EMPTY_FILTER = { type: 'todos', range: 'all', category: '', tags: [], query: '' };
+
+/**
+ * Get saved filters
+ */
+export function getSavedFilters() {
+    const data = storage.get(SAVED_FILTERS_KEY);
+    return data && Array.isArray(data.items) ? data : INITIAL_SAVED_FILTERS;
+}
+
+/**
+ * Save saved filters
+ */
+export function saveSavedFilters(filters) {
+    storage.set(SAVED_FILTERS_KEY, filters);
+}
+
+/**
+ * Criteria of a filter with every field present and valid
+ */
+export function normalizeFilter(filter) {
+    return {
+        type: filter?.type || EMPTY_FILTER.type,
+        range: FILTER_RANGES.some(r => r.key === filter?.range) ? filter.range : EMPTY_FILTER.range,
+        category: filter?.category || '',
+        tags: normalizeTags(filter?.tags),
+        query: String(filter?.query || '').trim(),
+    };
+}
+
+/**
+ * First moment inside a range, relative to `now`
+ */
+export function rangeStart(range, now = time.now()) {
+    switch (range) {
+        case 'month': return new Date(now.getFullYear(), now.getMonth(), 1);
+        case '30d': { const d = new Date(now); d.setDate(d.getDate() - 30); return d; }
+        case '7d': { const d = new Date(now); d.setDate(d.getDate() - 7); return d; }
+        default: return new Date(0);
+    }
+}
+
+// A split matches through any of its lines
+const categoriesOf = t => (isSplit(t) ? t.lines.map(l => l.category) : [t.category]);
+
+/**
+ * Transactions matching a filter. The text is a search query (see
+ * searchQuery.js); a split matches a category through any of its lines.
+ * `context` is passed on to the query (account names for "cuenta:").
+ */
+export function filterTransactions(transactions, filter, now = time.now(), context = {}) {
+    const { type, range, category, tags, query } = normalizeFilter(filter);
+    const start = rangeStart(range, now);
+    const parsed = parseQuery(query);
+    return (transactions || []).filter(t => {
+        if (new Date(t.date || t.createdAt) < start) return false;
+        if (type !== 'todos' && t.type !== type) return false;
+        if (category && !categoriesOf(t).includes(category)) return false;
+        if (!hasTags(t, tags)) return false;
+        return matchesQuery(t, parsed, context);
+    });
+}
+
+/**
+ * Whether a filter narrows anything down
+ */
+export function isFilterActive(filter) {
+    const f = normalizeFilter(filter);
+    return f.type !== 'todos' || f.range !== 'all' || !!f.category || f.tags.length > 0 || !!f.query;
+}
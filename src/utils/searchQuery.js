@@ -0,0 +1,317 @@
+// ==================================================
+// SEARCH QUERY — Lenguaje de búsqueda de movimientos
+// cat:alimentacion monto>5000 desde:2026-01-01
+// tipo:gasto #viaje "uber" -cuenta:efectivo
+// Lo usan Finanzas, los filtros guardados, la
+// exportación y Estadísticas
+// ==================================================
+
+import { isSplit } from './splits';
+import { findCategory, categoryPath, listCategories } from './categories';
+import { toDateKey } from './recurring';
+import { TRANSFER_TYPE } from './accounts';
+import { collectTags } from './tags';
+
+// Field names as typed, aliases included, and what they filter on
+const FIELD_ALIASES = {
+    cat: 'category', categoria: 'category',
+    tipo: 'type',
+    desde: 'from', hasta: 'to',
+    cuenta: 'account',
+    monto: 'amount',
+    etiqueta: 'tag', tag: 'tag',
+    nota: 'note',
+};
+
+// Shown as autocomplete chips, in this order
+export const QUERY_FIELDS = [
+    { key: 'cat:', label: 'Categoría', example: 'cat:alimentacion' },
+    { key: 'tipo:', label: 'Tipo', example: 'tipo:gasto' },
+    { key: 'monto>', label: 'Monto mayor a', example: 'monto>5000' },
+    { key: 'monto<', label: 'Monto menor a', example: 'monto<20000' },
+    { key: 'desde:', label: 'Desde', example: 'desde:2026-01-01' },
+    { key: 'hasta:', label: 'Hasta', example: 'hasta:2026-03-31' },
+    { key: 'cuenta:', label: 'Cuenta', example: 'cuenta:efectivo' },
+    { key: '#', label: 'Etiqueta', example: '#viaje' },
+];
+
+export const QUERY_TYPES = {
+    gasto: 'gasto', gastos: 'gasto',
+    ingreso: 'ingreso', ingresos: 'ingreso',
+    ahorro: 'ahorro', ahorros: 'ahorro',
+    transferencia: TRANSFER_TYPE, transferencias: TRANSFER_TYPE, transfer: TRANSFER_TYPE,
+};
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const AMOUNT = /^(monto)(>=|<=|>|<|:|=)(.*)$/i;
+
+/**
+ * Lowercase without accents, so "alimentación" finds "alimentacion"
+ */
+export function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split a query into raw tokens, keeping quoted text together.
+ * Each token knows where it sits in the input: { text, start, end }.
+ */
+export function tokenizeQuery(input) {
+    const tokens = [];
+    const re = /(-?[^\s"]*"[^"]*"?)|(\S+)/g;
+    let match;
+    while ((match = re.exec(String(input || ''))) !== null) {
+        tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+const unquote = (value) => value.replace(/^"|"$/g, '');
+
+/**
+ * "5.000" and "5000" are five thousand; "10,5" and "10.5" ten and a half
+ */
+function parseAmount(text) {
+    const clean = text.replace(/[\s$]/g, '');
+    if (!clean) return NaN;
+    if (/^\d{1,3}(\.\d{3})+$/.test(clean)) return Number(clean.replace(/\./g, ''));
+    return Number(clean.replace(',', '.'));
+}
+
+function isValidDateKey(key) {
+    if (!DATE_KEY.test(key)) return false;
+    const [y, m, d] = key.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    return date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+/**
+ * One token as a search term, or { error } when it cannot be used
+ */
+function parseToken({ text, start, end }) {
+    const negate = text.length > 1 && text.startsWith('-');
+    const body = negate ? text.slice(1) : text;
+    const term = { raw: text, start, end, negate };
+
+    const amount = body.match(AMOUNT);
+    if (amount) {
+        const value = parseAmount(amount[3]);
+        if (!Number.isFinite(value)) return { ...term, error: `Monto inválido: ${amount[3] || '(vacío)'}` };
+        const op = amount[2] === ':' ? '=' : amount[2];
+        return { ...term, field: 'amount', op, value };
+    }
+    if (body.startsWith('#') && body.length > 1) {
+        return { ...term, field: 'tag', value: foldText(body.slice(1)) };
+    }
+    const colon = body.indexOf(':');
+    if (colon > 0 && !body.startsWith('"')) {
+        const name = foldText(body.slice(0, colon));
+        const value = unquote(body.slice(colon + 1));
+        const field = FIELD_ALIASES[name];
+        if (!field) return { ...term, error: `Campo desconocido: ${body.slice(0, colon)}` };
+        if (!value) return { ...term, error: `Falta el valor de ${body.slice(0, colon + 1)}` };
+        if (field === 'type') {
+            const type = QUERY_TYPES[foldText(value)];
+            return type ? { ...term, field, value: type } : { ...term, error: `Tipo desconocido: ${value}` };
+        }
+        if (field === 'from' || field === 'to') {
+            return isValidDateKey(value) ? { ...term, field, value } : { ...term, error: `Fecha inválida (usa AAAA-MM-DD): ${value}` };
+        }
+        if (field === 'amount') return { ...term, error: 'Usa monto>, monto< o monto:' };
+        return { ...term, field, value: foldText(value) };
+    }
+    const value = foldText(unquote(body));
+    return value ? { ...term, field: 'text', value, phrase: body.startsWith('"') } : null;
+}
+
+/**
+ * Parse a query into terms (all must match) and the problems found.
+ * Invalid tokens are reported in `errors` and left out of `terms`.
+ */
+export function parseQuery(input) {
+    const terms = [];
+    const errors = [];
+    for (const token of tokenizeQuery(input)) {
+        const term = parseToken(token);
+        if (!term) continue;
+        if (term.error) errors.push(term);
+        else terms.push(term);
+    }
+    return { terms, errors };
+}
+
+// A split is searched through the categories of its lines
+const categoriesOf = t => (isSplit(t) ? t.lines.map(l => l.category) : [t.category]);
+
+const dateKeyOf = (t) => {
+    const date = t.date || t.createdAt;
+    return DATE_KEY.test(date) ? date : toDateKey(date);
+};
+
+/**
+ * Whether the category (or its parent) matches by value or name,
+ * so "cat:hogar" also finds "vivienda"
+ */
+function matchesCategory(type, category, value) {
+    if (!category) return false;
+    return categoryPath(type, category).some(c =>
+        foldText(c) === value || foldText(findCategory(type, c).label).includes(value));
+}
+
+function matchesText(t, value) {
+    return foldText(t.note).includes(value)
+        || (t.tags || []).some(tag => tag.includes(value))
+        || categoriesOf(t).some(c => c && (foldText(c).includes(value) || foldText(findCategory(t.type, c).label).includes(value)));
+}
+
+function matchesTerm(t, term, context) {
+    switch (term.field) {
+        case 'category': return categoriesOf(t).some(c => matchesCategory(t.type, c, term.value));
+        case 'type': return t.type === term.value;
+        case 'from': return dateKeyOf(t) >= term.value;
+        case 'to': return dateKeyOf(t) <= term.value;
+        case 'tag': return (t.tags || []).some(tag => foldText(tag) === term.value);
+        case 'note': return foldText(t.note).includes(term.value);
+        case 'account': {
+            const names = [t.accountId, t.toAccountId].filter(Boolean).map(id => context.accountNames?.[id] || id);
+            return names.some(name => foldText(name).includes(term.value));
+        }
+        case 'amount': {
+            const amount = Math.abs(Number(t.amount) || 0);
+            if (term.op === '>') return amount > term.value;
+            if (term.op === '<') return amount < term.value;
+            if (term.op === '>=') return amount >= term.value;
+            if (term.op === '<=') return amount <= term.value;
+            return amount === term.value;
+        }
+        default: return matchesText(t, term.value);
+    }
+}
+
+/**
+ * Whether a transaction matches every term of a parsed query.
+ * `context.accountNames` maps account ids to names for "cuenta:".
+ */
+export function matchesQuery(t, parsed, context = {}) {
+    return parsed.terms.every(term => matchesTerm(t, term, context) !== term.negate);
+}
+
+/**
+ * Transactions matching a query string; a blank query keeps them all
+ */
+export function searchTransactions(transactions, input, context = {}) {
+    const parsed = parseQuery(input);
+    if (parsed.terms.length === 0) return transactions || [];
+    return (transactions || []).filter(t => matchesQuery(t, parsed, context));
+}
+
+/**
+ * Words of the query worth highlighting in a note
+ */
+export function highlightTerms(parsed) {
+    return parsed.terms
+        .filter(term => !term.negate && (term.field === 'text' || term.field === 'note'))
+        .map(term => term.value);
+}
+
+/**
+ * Split text into [{ text, match }] parts for highlighting; matching
+ * ignores case and accents
+ */
+export function highlightParts(text, words) {
+    const source = String(text || '');
+    // Folded char by char so positions line up with the original text
+    const folded = source.split('').map(ch => foldText(ch).charAt(0) || ch).join('');
+    const marks = new Array(source.length).fill(false);
+    for (const word of words.filter(Boolean)) {
+        let at = folded.indexOf(word);
+        while (at !== -1) {
+            for (let i = at; i < at + word.length; i++) marks[i] = true;
+            at = folded.indexOf(word, at + word.length);
+        }
+    }
+    const parts = [];
+    for (let i = 0; i < source.length; i++) {
+        const last = parts[parts.length - 1];
+        if (last && last.match === marks[i]) last.text += source[i];
+        else parts.push({ text: source[i], match: marks[i] });
+    }
+    return parts;
+}
+
+/**
+ * Completions for the token under the cursor (the last one):
+ * field names first, then values for the field being typed.
+ * `options` lists { categories: [{ value, label }], tags: [], accounts: [] }.
+ * Each suggestion is { label, insert } where `insert` replaces the token.
+ */
+export function suggestCompletions(input, options = {}, limit = 6) {
+    const text = String(input || '');
+    if (!text || /\s$/.test(text)) {
+        return QUERY_FIELDS.map(f => ({ label: f.label, insert: f.key }));
+    }
+    const token = tokenizeQuery(text).at(-1)?.text || '';
+    const negate = token.startsWith('-') ? '-' : '';
+    const body = token.slice(negate.length);
+    const lower = foldText(body);
+
+    const withValues = (prefix, values) => values
+        .filter(v => foldText(v.value).startsWith(foldText(body.slice(prefix.length))) || foldText(v.label).includes(foldText(body.slice(prefix.length))))
+        .slice(0, limit)
+        .map(v => ({ label: v.label, insert: `${negate}${prefix}${/\s/.test(v.value) ? `"${v.value}"` : v.value} ` }));
+
+    if (lower.startsWith('#')) {
+        return withValues('#', (options.tags || []).map(tag => ({ value: tag, label: `#${tag}` })));
+    }
+    const colon = body.indexOf(':');
+    if (colon > 0) {
+        const prefix = body.slice(0, colon + 1);
+        const field = FIELD_ALIASES[foldText(body.slice(0, colon))];
+        if (field === 'category') return withValues(prefix, options.categories || []);
+        if (field === 'account') return withValues(prefix, (options.accounts || []).map(name => ({ value: name, label: name })));
+        if (field === 'type') {
+            return withValues(prefix, [
+                { value: 'gasto', label: 'Gastos' }, { value: 'ingreso', label: 'Ingresos' },
+                { value: 'ahorro', label: 'Ahorros' }, { value: 'transferencia', label: 'Transferencias' },
+            ]);
+        }
+        if (field === 'from' || field === 'to') return [{ label: 'Hoy', insert: `${negate}${prefix}${toDateKey(new Date())} ` }];
+        return [];
+    }
+    return QUERY_FIELDS
+        .filter(f => f.key.startsWith(lower) && f.key !== lower)
+        .map(f => ({ label: f.label, insert: `${negate}${f.key}` }));
+}
+
+/**
+ * What autocomplete can offer: every category of the registry, the tags
+ * in use and the account names
+ */
+export function buildQueryOptions(transactions, accounts = [], registry) {
+    const categories = new Map();
+    for (const kind of ['gasto', 'ingreso', 'ahorro']) {
+        for (const c of listCategories(kind, registry)) if (!categories.has(c.value)) categories.set(c.value, { value: c.value, label: c.label });
+    }
+    return {
+        categories: Array.from(categories.values()),
+        tags: collectTags(transactions).map(t => t.tag),
+        accounts: accounts.map(a => a.name),
+    };
+}
+
+/**
+ * Account names by id, for "cuenta:"
+ */
+export function queryContext(accounts = []) {
+    return { accountNames: Object.fromEntries(accounts.map(a => [a.id, a.name])) };
+}
+
+/**
+ * Replace the last token of the input with a completion
+ */
+export function applyCompletion(input, insert) {
+    const text = String(input || '');
+    if (!text || /\s$/.test(text)) return text + insert;
+    const last = tokenizeQuery(text).at(-1);
+    return text.slice(0, last.start) + insert;
+}
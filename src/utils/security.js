@@ -1,40 +1,3 @@
-/**
- * Financial Utility for Precise Calculations
- * Prevents floating point errors by using integer math (cents/base units)
- * where necessary or rounding to 2 decimals strictly.
- */
-
-export const Finance = {
-    /**
-     * Adds two numbers safely
-     */
-    add: (a, b) => {
-        return Math.round((Number(a) + Number(b)) * 100) / 100;
-    },
-
-    /**
-     * Subtracts b from a safely
-     */
-    subtract: (a, b) => {
-        return Math.round((Number(a) - Number(b)) * 100) / 100;
-    },
-
-    /**
-     * Multiplies safely
-     */
-    multiply: (a, b) => {
-        return Math.round((Number(a) * Number(b)) * 100) / 100;
-    },
-
-    /**
-     * Formats for internal storage (integer units if needed, but here we stay with 2 decimals)
-     */
-    parse: (val) => {
-        const parsed = parseFloat(val);
-        return isNaN(parsed) ? 0 : Math.round(parsed * 100) / 100;
-    }
-};
-
 /**
  * Data Sanitization Utility
  * Simple XSS prevention for user-generated strings
@@ -48,5 +11,19 @@ export const Sanitize = {
             .replace(/>/g, '&gt;')
             .replace(/"/g, '&quot;')
             .replace(/'/g, '&#039;');
+    },
+
+    /**
+     * Reverses `html` so stored strings can be put back into form inputs
+     * without being escaped twice on save
+     */
+    unescape: (str) => {
+        if (!str || typeof str !== 'string') return '';
+        return str
+            .replace(/&#039;/g, "'")
+            .replace(/&quot;/g, '"')
+            .replace(/&gt;/g, '>')
+            .replace(/&lt;/g, '<')
+            .replace(/&amp;/g, '&');
     }
 };
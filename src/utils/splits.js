@@ -0,0 +1,119 @@
+// ==================================================
+// SPLITS — Movimientos divididos en líneas
+// Una boleta de supermercado puede repartirse entre varias
+// categorías y metas; las líneas siempre suman el total
+// ==================================================
+
+import { Money } from './money';
+import { generateId } from './helpers';
+
+// A split needs at least two lines; one line is just the transaction itself
+export const MIN_SPLIT_LINES = 2;
+// lines: [{ id, category, amount, goalId, classification }]
+// A line with a goalId is a savings deposit into that goal
+
+/**
+ * Whether the transaction is divided into lines
+ */
+export function isSplit(t) {
+    return Array.isArray(t?.lines) && t.lines.length >= MIN_SPLIT_LINES;
+}
+
+/**
+ * Lines with amounts rounded to the transaction's currency; lines without
+ * a category or a positive amount are dropped
+ */
+export function normalizeSplitLines(lines, currency) {
+    return (lines || [])
+        .map(l => ({
+            id: l.id || generateId(),
+            category: l.goalId ? 'ahorro_meta' : l.category || '',
+            amount: Money.parse(l.amount, currency),
+            goalId: l.goalId || null,
+            classification: l.goalId ? null : l.classification || null,
+        }))
+        .filter(l => l.category && l.amount > 0);
+}
+
+/**
+ * What is left to assign: the total minus the sum of the lines.
+ * Zero means the split adds up.
+ */
+export function getSplitRemainder(amount, lines, currency) {
+    return Money.subtract(amount, Money.sumBy(lines, l => l.amount, currency), currency);
+}
+
+/**
+ * Lines ready to store on a transaction of `amount`, or null when they
+ * do not form a valid split (fewer than two, or they miss the total)
+ */
+export function buildSplitLines(lines, amount, currency) {
+    const normalized = normalizeSplitLines(lines, currency);
+    if (normalized.length < MIN_SPLIT_LINES) return null;
+    return getSplitRemainder(amount, normalized, currency) === 0 ? normalized : null;
+}
+
+/**
+ * Category shown for a split as a whole: the one of its largest line
+ */
+export function primaryCategory(lines) {
+    return [...lines].sort((a, b) => b.amount - a.amount)[0]?.category || '';
+}
+
+/**
+ * Lines re-expressed for a new total (a currency conversion), keeping
+ * their proportions and still adding up exactly
+ */
+export function rescaleSplitLines(lines, amount, currency) {
+    const amounts = Money.allocate(amount, lines.map(l => l.amount), currency);
+    return lines.map((l, i) => ({ ...l, amount: amounts[i] }));
+}
+
+/**
+ * Transactions flattened to one record per line, for analytics that
+ * aggregate by category or classification. Each line keeps the date,
+ * account and currency of its transaction; goal lines count as savings.
+ * Transactions that are not split pass through unchanged.
+ */
+export function expandSplitLines(transactions) {
+    return (transactions || []).flatMap(t => {
+        if (!isSplit(t)) return [t];
+        return t.lines.map(l => ({
+            ...t,
+            lines: undefined,
+            lineId: l.id,
+            type: l.goalId ? 'ahorro' : t.type,
+            category: l.category,
+            amount: l.amount,
+            goalId: l.goalId || null,
+            decisionType: l.classification || null,
+            classification: undefined,
+        }));
+    });
+}
+
+/**
+ * Money the transaction moves into goals: [{ goalId, amount }], one per
+ * goal. A split saves through its goal lines; otherwise only an 'ahorro'
+ * transaction linked to a goal does.
+ */
+export function getGoalContributions(t) {
+    if (!t) return [];
+    if (!isSplit(t)) {
+        return t.type === 'ahorro' && t.goalId ? [{ goalId: t.goalId, amount: Money.parse(t.amount, t.currency) }] : [];
+    }
+    const byGoal = new Map();
+    for (const l of t.lines) {
+        if (!l.goalId) continue;
+        byGoal.set(l.goalId, Money.add(byGoal.get(l.goalId) || 0, l.amount, t.currency));
+    }
+    return Array.from(byGoal, ([goalId, amount]) => ({ goalId, amount }));
+}
+
+/**
+ * Part of an expense that is actually spent, leaving out goal lines
+ */
+export function getSpentAmount(t) {
+    if (!isSplit(t)) return Money.parse(t.amount, t.currency);
+    return Money.sumBy(t.lines.filter(l => !l.goalId), l => l.amount, t.currency);
+}
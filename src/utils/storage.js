@@ -1,4 +1,6 @@
 // LocalStorage utility for persistent data
+import { toStoredRecord, fromStoredRecord } from './money';
+
 const STORAGE_KEYS = {
   GOALS: 'metaflow_goals',
   TRANSACTIONS: 'metaflow_transactions',
@@ -25,20 +27,29 @@ export const storage = {
     }
   },
 
-  // Goals
+  // Goals — amounts stored in minor units; an indexed target counts UF/UTM
   getGoals() {
-    return this.get(STORAGE_KEYS.GOALS) || [];
+    return (this.get(STORAGE_KEYS.GOALS) || []).map(g => fromStoredRecord(g, ['targetAmount', 'currentAmount']));
   },
   saveGoals(goals) {
-    return this.set(STORAGE_KEYS.GOALS, goals);
+    return this.set(STORAGE_KEYS.GOALS, goals.map(g => toStoredRecord(g, {
+      targetAmount: g.indexUnit || g.currency,
+      currentAmount: g.currency,
+    })));
   },
 
-  // Transactions
+  // Transactions — amounts (and split lines) stored in minor units of their currency
   getTransactions() {
-    return this.get(STORAGE_KEYS.TRANSACTIONS) || [];
+    return (this.get(STORAGE_KEYS.TRANSACTIONS) || []).map(t => {
+      const live = fromStoredRecord(t, ['amount']);
+      return t.lines ? { ...live, lines: t.lines.map(l => fromStoredRecord(l, ['amount'])) } : live;
+    });
   },
   saveTransactions(transactions) {
-    return this.set(STORAGE_KEYS.TRANSACTIONS, transactions);
+    return this.set(STORAGE_KEYS.TRANSACTIONS, transactions.map(t => {
+      const stored = toStoredRecord(t, { amount: t.currency });
+      return t.lines ? { ...stored, lines: t.lines.map(l => toStoredRecord(l, { amount: t.currency })) } : stored;
+    }));
   },
 
   // Routines
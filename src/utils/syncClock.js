@@ -0,0 +1,122 @@
+// ==================================================
+// SYNC CLOCK — Marcas de tiempo por campo y XP por
+// dispositivo. Editar el nombre de una meta en el
+// teléfono y su fecha en el notebook conserva ambos
+// cambios al sincronizar
+// ==================================================
+
+import { storage } from './storage';
+import { generateId } from './helpers';
+
+const DEVICE_KEY = 'metaflow_device_id';
+const LAST_SYNC_KEY = 'metaflow_last_synced_at';
+const CURSORS_KEY = 'metaflow_sync_cursors';
+
+// Bump to force every device into a full resync
+export const SYNC_CURSORS_VERSION = 1;
+
+// Bookkeeping that is never merged field by field
+export const RECORD_META_FIELDS = ['id', 'fieldTimes', 'updatedAt', 'createdAt', 'version'];
+
+// XP earned before counters were kept per device
+export const LEGACY_XP_KEY = 'base';
+
+let deviceId = null;
+
+/**
+ * Stable id of this browser, created on first use
+ */
+export function getDeviceId() {
+    if (!deviceId) {
+        deviceId = storage.get(DEVICE_KEY) || generateId();
+        storage.set(DEVICE_KEY, deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * When this device last exchanged data with the cloud (ms, 0 if never)
+ */
+export function getLastSyncedAt() {
+    return Number(storage.get(LAST_SYNC_KEY)) || 0;
+}
+
+export function markSynced(now = Date.now()) {
+    storage.set(LAST_SYNC_KEY, now);
+}
+
+/**
+ * High-water marks of the last pull:
+ * { version, userId, tables: { goals: updatedAt, …, deleted: deletedAt } }
+ */
+export function getSyncCursors() {
+    return storage.get(CURSORS_KEY);
+}
+
+export function saveSyncCursors(cursors) {
+    storage.set(CURSORS_KEY, cursors);
+}
+
+export const sameValue = (a, b) => a === b || JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * `next` with the time of each field that differs from `previous`.
+ * New records carry no stamps: their fields date from createdAt.
+ */
+export function stampFieldTimes(previous, next, now = new Date().toISOString()) {
+    if (!previous || !next) return next;
+    const times = { ...(previous.fieldTimes || {}), ...(next.fieldTimes || {}) };
+    let changed = false;
+    for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+        if (RECORD_META_FIELDS.includes(key) || sameValue(previous[key], next[key])) continue;
+        times[key] = now;
+        changed = true;
+    }
+    return changed ? { ...next, fieldTimes: times } : next;
+}
+
+/**
+ * Stamp the records of `nextList` that are not the same object as
+ * the record with their id in `previousList`
+ */
+export function stampChangedRecords(previousList, nextList, now = new Date().toISOString()) {
+    if (previousList === nextList || !Array.isArray(nextList)) return nextList;
+    const previousById = new Map((previousList || []).map(r => [r.id, r]));
+    return nextList.map(r => {
+        const previous = previousById.get(r.id);
+        return previous && previous !== r ? stampFieldTimes(previous, r, now) : r;
+    });
+}
+
+/**
+ * When a field was last written: its stamp, else `since` (ms) — the
+ * record's creation, when the field got its first value
+ */
+export function fieldTime(record, key, since = 0) {
+    const stamp = record?.fieldTimes?.[key];
+    return stamp ? new Date(stamp).getTime() : since;
+}
+
+/**
+ * XP per device ({ deviceId: xp }); XP the counters do not account
+ * for goes under LEGACY_XP_KEY
+ */
+export function xpCounters(gamification) {
+    const counters = { ...(gamification?.xpByDevice || {}) };
+    const counted = Object.values(counters).reduce((sum, xp) => sum + (Number(xp) || 0), 0);
+    const total = Number(gamification?.totalXP) || 0;
+    if (total > counted) counters[LEGACY_XP_KEY] = (counters[LEGACY_XP_KEY] || 0) + (total - counted);
+    return counters;
+}
+
+/**
+ * Counters of both sides: each device only ever adds to its own, so
+ * the higher count per device is the latest one and nothing is lost
+ */
+export function mergeXpCounters(a, b) {
+    const merged = { ...a };
+    for (const [device, xp] of Object.entries(b || {})) merged[device] = Math.max(merged[device] || 0, xp);
+    return merged;
+}
+
+export const sumXpCounters = counters => Object.values(counters || {}).reduce((sum, xp) => sum + (Number(xp) || 0), 0);
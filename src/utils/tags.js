@@ -0,0 +1,77 @@
+// ==================================================
+// TAGS — Etiquetas libres en movimientos
+// "vacaciones-2026", "trabajo": cruzan categorías y
+// permiten filtrar y sumar un viaje o un proyecto
+// ==================================================
+
+import { Money } from './money';
+import { getSpentAmount } from './splits';
+
+// Long enough for "remodelacion-cocina-2026", short enough for a chip
+export const MAX_TAG_LENGTH = 32;
+export const MAX_TAGS = 10;
+
+/**
+ * Tag in its stored form: lowercase, no '#', words joined by '-'
+ * ("#Vacaciones 2026" → "vacaciones-2026"). Empty when nothing is left.
+ */
+export function normalizeTag(tag) {
+    return String(tag || '')
+        .toLowerCase()
+        .replace(/^#+/, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9ñáéíóúü_-]/g, '')
+        .replace(/-{2,}/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Tags ready to store on a transaction: normalized, without blanks or
+ * repeats, at most MAX_TAGS. Accepts an array or a comma-separated string.
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+/**
+ * Whether the transaction carries every one of `tags`
+ */
+export function hasTags(t, tags) {
+    if (!tags?.length) return true;
+    const own = t.tags || [];
+    return tags.every(tag => own.includes(tag));
+}
+
+/**
+ * Every tag in use, most used first: [{ tag, count }]
+ */
+export function collectTags(transactions) {
+    const counts = new Map();
+    for (const t of transactions || []) {
+        for (const tag of t.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Money moved under each tag: [{ tag, income, expense, count }], largest
+ * spend first. A transaction with two tags counts in both; the goal lines
+ * of a split are saved, not spent.
+ */
+export function tagTotals(transactions) {
+    const totals = new Map();
+    for (const t of transactions || []) {
+        for (const tag of t.tags || []) {
+            const entry = totals.get(tag) || { tag, income: 0, expense: 0, count: 0 };
+            if (t.type === 'ingreso') entry.income = Money.add(entry.income, t.amount);
+            if (t.type === 'gasto') entry.expense = Money.add(entry.expense, getSpentAmount(t));
+            entry.count++;
+            totals.set(tag, entry);
+        }
+    }
+    return Array.from(totals.values()).sort((a, b) => b.expense - a.expense || b.income - a.income);
+}
@@ -0,0 +1,42 @@
+-- ============================================================
+-- MetaFlow: Accounts Table + RLS
+-- Run this in: Supabase Dashboard → SQL Editor → New Query
+-- (after supabase_sync.sql, which defines update_updated_at)
+-- ============================================================
+
+-- ACCOUNTS (Where the money lives: checking, cash, credit card, CuentaRUT)
+create table if not exists public.accounts (
+  id text primary key,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  name text not null default '',
+  type text default 'checking' check (type in ('checking', 'cuenta_rut', 'cash', 'credit_card')),
+  opening_balance numeric(15,2) not null default 0,
+  version integer default 1,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table public.accounts enable row level security;
+
+-- Drop policies if they exist (in case re-running)
+drop policy if exists "accounts_select" on public.accounts;
+drop policy if exists "accounts_insert" on public.accounts;
+drop policy if exists "accounts_update" on public.accounts;
+drop policy if exists "accounts_delete" on public.accounts;
+
+-- Granular RLS policies
+create policy "accounts_select" on public.accounts for select using (auth.uid() = user_id);
+create policy "accounts_insert" on public.accounts for insert with check (auth.uid() = user_id);
+create policy "accounts_update" on public.accounts for update using (auth.uid() = user_id);
+create policy "accounts_delete" on public.accounts for delete using (auth.uid() = user_id);
+
+-- Indexes for faster queries
+create index if not exists idx_accounts_user_id on public.accounts(user_id);
+create index if not exists idx_tx_account on public.transactions(user_id, account_id);
+
+-- Enable Realtime
+DO $$ BEGIN ALTER PUBLICATION supabase_realtime ADD TABLE accounts; EXCEPTION WHEN OTHERS THEN NULL; END $$;
+
+-- Auto-update trigger
+DROP TRIGGER IF EXISTS accounts_updated_at ON accounts;
+CREATE TRIGGER accounts_updated_at BEFORE UPDATE ON accounts FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,21 @@
+-- ============================================================
+-- MetaFlow: Per-field write times for conflict resolution
+-- Run this in: Supabase Dashboard → SQL Editor → New Query
+-- (after supabase_sync.sql, supabase_fixed_expenses.sql and
+-- supabase_accounts.sql)
+--
+-- field_times maps each field to when it was last written
+-- ({"name": "2026-03-01T12:00:00.000Z"}). Merging two copies of
+-- a record keeps the latest write of every field, so edits to
+-- different fields on different devices both survive.
+-- ============================================================
+
+ALTER TABLE goals ADD COLUMN IF NOT EXISTS field_times JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS field_times JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS field_times JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE fixed_expenses ADD COLUMN IF NOT EXISTS field_times JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS field_times JSONB DEFAULT '{}'::jsonb;
+
+-- Ids of goal ledger entries removed on purpose (deleted or edited
+-- transactions); merges drop them from every copy of the ledger
+ALTER TABLE goals ADD COLUMN IF NOT EXISTS removed_entry_ids JSONB DEFAULT '[]'::jsonb;
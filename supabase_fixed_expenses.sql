@@ -8,15 +8,26 @@ create table if not exists public.fixed_expenses (
   id text primary key,
   user_id uuid references auth.users(id) on delete cascade not null,
   name text not null,
-  amount numeric(15,2) not null default 0,
+  amount numeric(15,4) not null default 0,
   category text default 'otros',
   frequency text default 'monthly' check (frequency in ('weekly', 'monthly', 'yearly')),
   next_due_date date,
+  last_paid_date date,
+  due_day smallint,
+  index_unit text check (index_unit in ('UF', 'UTM')),
   active boolean default true,
   created_at timestamptz default now(),
   updated_at timestamptz default now()
 );
 
+-- Recurring engine columns (safe on existing tables)
+alter table public.fixed_expenses add column if not exists last_paid_date date;
+alter table public.fixed_expenses add column if not exists due_day smallint;
+
+-- UF/UTM amounts (a premium of UF 0,8523 needs four decimals)
+alter table public.fixed_expenses add column if not exists index_unit text check (index_unit in ('UF', 'UTM'));
+alter table public.fixed_expenses alter column amount type numeric(15,4);
+
 alter table public.fixed_expenses enable row level security;
 
 -- Drop old policy if exists (in case re-running)
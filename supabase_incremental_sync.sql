@@ -0,0 +1,117 @@
+-- ============================================================
+-- MetaFlow: Incremental pull (updated_at cursors + deletions log)
+-- Run this in: Supabase Dashboard → SQL Editor → New Query
+-- (after supabase_sync.sql, supabase_fixed_expenses.sql and
+-- supabase_accounts.sql)
+--
+-- Devices pull only the rows whose updated_at is past their last
+-- pull. Deleted rows leave nothing to pull, so a trigger logs every
+-- delete in deleted_records; a device that was offline drops those
+-- records from its cache on the next pull. An upsert that changes
+-- nothing keeps its row's updated_at, so other devices never pull it.
+-- ============================================================
+
+-- ============================================================
+-- STEP 1: Server-side updated_at on insert
+-- Clients send their own clock; a row stamped behind another
+-- device's cursor would never be pulled
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION set_inserted_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = now();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS goals_inserted_at ON goals;
+CREATE TRIGGER goals_inserted_at BEFORE INSERT ON goals FOR EACH ROW EXECUTE FUNCTION set_inserted_at();
+
+DROP TRIGGER IF EXISTS transactions_inserted_at ON transactions;
+CREATE TRIGGER transactions_inserted_at BEFORE INSERT ON transactions FOR EACH ROW EXECUTE FUNCTION set_inserted_at();
+
+DROP TRIGGER IF EXISTS routines_inserted_at ON routines;
+CREATE TRIGGER routines_inserted_at BEFORE INSERT ON routines FOR EACH ROW EXECUTE FUNCTION set_inserted_at();
+
+DROP TRIGGER IF EXISTS fixed_expenses_inserted_at ON fixed_expenses;
+CREATE TRIGGER fixed_expenses_inserted_at BEFORE INSERT ON fixed_expenses FOR EACH ROW EXECUTE FUNCTION set_inserted_at();
+
+DROP TRIGGER IF EXISTS accounts_inserted_at ON accounts;
+CREATE TRIGGER accounts_inserted_at BEFORE INSERT ON accounts FOR EACH ROW EXECUTE FUNCTION set_inserted_at();
+
+-- ============================================================
+-- STEP 2: Deletions log
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS deleted_records (
+    user_id    UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    table_name TEXT NOT NULL,
+    record_id  TEXT NOT NULL,
+    deleted_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (user_id, table_name, record_id)
+);
+
+-- Record ids are only unique per user; re-keys a log created with the old key
+ALTER TABLE deleted_records DROP CONSTRAINT IF EXISTS deleted_records_pkey;
+ALTER TABLE deleted_records ADD PRIMARY KEY (user_id, table_name, record_id);
+
+ALTER TABLE deleted_records ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "deleted_records_select" ON deleted_records;
+CREATE POLICY "deleted_records_select" ON deleted_records FOR SELECT USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_deleted_records_user ON deleted_records(user_id, deleted_at);
+
+-- Runs as the owner so the log needs no insert policy
+CREATE OR REPLACE FUNCTION log_deleted_record()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO deleted_records (user_id, table_name, record_id)
+    VALUES (OLD.user_id, TG_TABLE_NAME, OLD.id::text)
+    ON CONFLICT (user_id, table_name, record_id) DO UPDATE SET deleted_at = now();
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS goals_deleted ON goals;
+CREATE TRIGGER goals_deleted AFTER DELETE ON goals FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS transactions_deleted ON transactions;
+CREATE TRIGGER transactions_deleted AFTER DELETE ON transactions FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS routines_deleted ON routines;
+CREATE TRIGGER routines_deleted AFTER DELETE ON routines FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS fixed_expenses_deleted ON fixed_expenses;
+CREATE TRIGGER fixed_expenses_deleted AFTER DELETE ON fixed_expenses FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+DROP TRIGGER IF EXISTS accounts_deleted ON accounts;
+CREATE TRIGGER accounts_deleted AFTER DELETE ON accounts FOR EACH ROW EXECUTE FUNCTION log_deleted_record();
+
+-- ============================================================
+-- STEP 3: Cursor indexes for the tables that lacked them
+-- ============================================================
+
+CREATE INDEX IF NOT EXISTS idx_fixed_expenses_updated ON fixed_expenses(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_accounts_updated ON accounts(user_id, updated_at);
+
+-- ============================================================
+-- STEP 4: Upserts that change nothing leave the row alone
+-- Replaces update_updated_at() from supabase_sync.sql: bumping
+-- updated_at on an unchanged row would move it past every other
+-- device's cursor
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION update_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- The client's own write time is not a change
+    IF (to_jsonb(NEW) - 'updated_at' - 'version') = (to_jsonb(OLD) - 'updated_at' - 'version') THEN
+        RETURN NULL;
+    END IF;
+    NEW.updated_at = now();
+    NEW.version = COALESCE(OLD.version, 0) + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
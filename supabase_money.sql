@@ -0,0 +1,54 @@
+-- ============================================================
+-- MetaFlow: Amounts in integer minor units
+-- Run this in: Supabase Dashboard → SQL Editor → New Query
+-- (after supabase_sync.sql, supabase_fixed_expenses.sql and
+-- supabase_accounts.sql)
+--
+-- The app reads every amount from the *_minor columns: whole
+-- pesos, cents, or ten-thousandths of a UF. The decimal columns
+-- are still written so older app versions keep working.
+-- ============================================================
+
+-- STEP 1: Minor-unit columns, plus the currency they are counted in
+ALTER TABLE goals ADD COLUMN IF NOT EXISTS target_minor BIGINT;
+ALTER TABLE goals ADD COLUMN IF NOT EXISTS current_minor BIGINT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+ALTER TABLE fixed_expenses ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+ALTER TABLE fixed_expenses ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS opening_balance_minor BIGINT;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS currency TEXT;
+
+-- STEP 2: Decimal places per unit (ISO 4217, and the UF/UTM)
+CREATE OR REPLACE FUNCTION metaflow_minor_units(code TEXT) RETURNS INTEGER AS $$
+    SELECT CASE
+        WHEN code = 'UF' THEN 4
+        WHEN code IN ('CLP', 'JPY', 'KRW', 'PYG', 'VND', 'ISK', 'UGX', 'XAF', 'XOF') THEN 0
+        WHEN code IN ('KWD', 'BHD', 'OMR', 'JOD', 'TND', 'LYD', 'IQD') THEN 3
+        ELSE 2
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- STEP 3: Rows without a currency were in the profile's base currency
+UPDATE goals g SET currency = COALESCE(p.currency, 'CLP')
+    FROM profiles p WHERE g.currency IS NULL AND p.user_id = g.user_id;
+UPDATE transactions t SET currency = COALESCE(p.currency, 'CLP')
+    FROM profiles p WHERE t.currency IS NULL AND p.user_id = t.user_id;
+UPDATE fixed_expenses e SET currency = COALESCE(p.currency, 'CLP')
+    FROM profiles p WHERE e.currency IS NULL AND p.user_id = e.user_id;
+UPDATE accounts a SET currency = COALESCE(p.currency, 'CLP')
+    FROM profiles p WHERE a.currency IS NULL AND p.user_id = a.user_id;
+
+-- STEP 4: Backfill (ROUND on numeric rounds halves away from zero, like the app)
+UPDATE goals SET
+    target_minor = ROUND(target_amount * 10::numeric ^ metaflow_minor_units(COALESCE(index_unit, currency, 'CLP'))),
+    current_minor = ROUND(current_amount * 10::numeric ^ metaflow_minor_units(COALESCE(currency, 'CLP')))
+    WHERE target_minor IS NULL OR current_minor IS NULL;
+UPDATE transactions SET
+    amount_minor = ROUND(amount * 10::numeric ^ metaflow_minor_units(COALESCE(currency, 'CLP')))
+    WHERE amount_minor IS NULL;
+UPDATE fixed_expenses SET
+    amount_minor = ROUND(amount * 10::numeric ^ metaflow_minor_units(COALESCE(index_unit, currency, 'CLP')))
+    WHERE amount_minor IS NULL;
+UPDATE accounts SET
+    opening_balance_minor = ROUND(opening_balance * 10::numeric ^ metaflow_minor_units(COALESCE(currency, 'CLP')))
+    WHERE opening_balance_minor IS NULL;
@@ -0,0 +1,26 @@
+-- ============================================================
+-- MetaFlow: Receipts Storage Bucket + Policies
+-- Run this in: Supabase Dashboard → SQL Editor → New Query
+-- (after supabase_sync.sql, which adds transactions.receipts)
+-- ============================================================
+
+-- RECEIPTS (Photos and PDFs attached to transactions; private, one folder per user)
+insert into storage.buckets (id, name, public)
+values ('receipts', 'receipts', false)
+on conflict (id) do nothing;
+
+-- Drop policies if they exist (in case re-running)
+drop policy if exists "receipts_select" on storage.objects;
+drop policy if exists "receipts_insert" on storage.objects;
+drop policy if exists "receipts_update" on storage.objects;
+drop policy if exists "receipts_delete" on storage.objects;
+
+-- Each user only reaches files under <user_id>/
+create policy "receipts_select" on storage.objects for select
+  using (bucket_id = 'receipts' and auth.uid()::text = (storage.foldername(name))[1]);
+create policy "receipts_insert" on storage.objects for insert
+  with check (bucket_id = 'receipts' and auth.uid()::text = (storage.foldername(name))[1]);
+create policy "receipts_update" on storage.objects for update
+  using (bucket_id = 'receipts' and auth.uid()::text = (storage.foldername(name))[1]);
+create policy "receipts_delete" on storage.objects for delete
+  using (bucket_id = 'receipts' and auth.uid()::text = (storage.foldername(name))[1]);
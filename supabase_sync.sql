@@ -14,6 +14,13 @@ CREATE TABLE IF NOT EXISTS profiles (
     income_sources JSONB DEFAULT '[]'::jsonb,
     gamification  JSONB DEFAULT '{"totalXP":0,"xpLog":[],"earnedBadgeIds":[]}'::jsonb,
     envelopes     JSONB DEFAULT '{"enabled":false,"rules":[]}'::jsonb,
+    budgets       JSONB DEFAULT '{"items":[]}'::jsonb,
+    category_rules JSONB DEFAULT '{"items":[]}'::jsonb,
+    installments  JSONB DEFAULT '{"items":[]}'::jsonb,
+    exchange_rates JSONB DEFAULT '{"items":[]}'::jsonb,
+    categories    JSONB DEFAULT '{"items":[]}'::jsonb,
+    saved_filters JSONB DEFAULT '{"items":[]}'::jsonb,
+    payees JSONB DEFAULT '{"items":[]}'::jsonb,
     version       INTEGER DEFAULT 1,
     created_at    TIMESTAMPTZ DEFAULT now(),
     updated_at    TIMESTAMPTZ DEFAULT now()
@@ -24,12 +31,15 @@ CREATE TABLE IF NOT EXISTS goals (
     user_id        UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
     name           TEXT NOT NULL DEFAULT '',
     description    TEXT DEFAULT '',
-    target_amount  NUMERIC(15,2) DEFAULT 0,
+    target_amount  NUMERIC(15,4) DEFAULT 0,
     current_amount NUMERIC(15,2) DEFAULT 0,
     deadline       DATE,
     priority       TEXT DEFAULT 'medium',
     color          TEXT DEFAULT '#00e5c3',
     image_url      TEXT,
+    ledger         JSONB DEFAULT '[]'::jsonb,
+    currency       TEXT,
+    index_unit     TEXT,
     is_deleted     BOOLEAN DEFAULT false,
     version        INTEGER DEFAULT 1,
     created_at     TIMESTAMPTZ DEFAULT now(),
@@ -46,6 +56,16 @@ CREATE TABLE IF NOT EXISTS transactions (
     date           DATE DEFAULT CURRENT_DATE,
     goal_id        UUID,
     decision_type  TEXT,
+    recurring_id   TEXT,
+    envelope_id    TEXT,
+    account_id     TEXT,
+    to_account_id  TEXT,
+    installment_plan_id TEXT,
+    currency       TEXT,
+    lines          JSONB,
+    tags           TEXT[] DEFAULT '{}',
+    payee_id       TEXT,
+    receipts       JSONB DEFAULT '[]',
     is_deleted     BOOLEAN DEFAULT false,
     version        INTEGER DEFAULT 1,
     created_at     TIMESTAMPTZ DEFAULT now(),
@@ -76,18 +96,40 @@ CREATE TABLE IF NOT EXISTS routines (
 
 ALTER TABLE profiles ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
 ALTER TABLE profiles ADD COLUMN IF NOT EXISTS envelopes JSONB DEFAULT '{"enabled":false,"rules":[]}'::jsonb;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS budgets JSONB DEFAULT '{"items":[]}'::jsonb;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS category_rules JSONB DEFAULT '{"items":[]}'::jsonb;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS installments JSONB DEFAULT '{"items":[]}'::jsonb;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS exchange_rates JSONB DEFAULT '{"items":[]}'::jsonb;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS categories JSONB DEFAULT '{"items":[]}'::jsonb;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS saved_filters JSONB DEFAULT '{"items":[]}'::jsonb;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS payees JSONB DEFAULT '{"items":[]}'::jsonb;
 ALTER TABLE profiles ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
 ALTER TABLE profiles ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT now();
 
 ALTER TABLE goals ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT false;
 ALTER TABLE goals ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
 ALTER TABLE goals ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE goals ADD COLUMN IF NOT EXISTS ledger JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE goals ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE goals ADD COLUMN IF NOT EXISTS index_unit TEXT;
+-- UF targets carry four decimals
+ALTER TABLE goals ALTER COLUMN target_amount TYPE NUMERIC(15,4);
 ALTER TABLE goals ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
 ALTER TABLE goals ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT now();
 
 ALTER TABLE transactions ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT false;
 ALTER TABLE transactions ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
 ALTER TABLE transactions ADD COLUMN IF NOT EXISTS decision_type TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS recurring_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS envelope_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS account_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS to_account_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS installment_plan_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS lines JSONB;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payee_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS receipts JSONB DEFAULT '[]';
 ALTER TABLE transactions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
 ALTER TABLE transactions ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT now();
 
@@ -0,0 +1,52 @@
+-- ============================================================
+-- MetaFlow: Durable tombstones (deleted rows never come back)
+-- Run this in: Supabase Dashboard → SQL Editor → New Query
+-- (after supabase_incremental_sync.sql)
+--
+-- A device that was offline when a record was deleted may still
+-- hold it and push an edit later. Every delete is already logged in
+-- deleted_records; inserts of a logged id are now dropped, so that
+-- late upsert can't bring the record back. Undoing a delete removes
+-- its log entry first, which the owner may now do.
+-- ============================================================
+
+-- ============================================================
+-- STEP 1: Skip inserts of deleted ids
+-- Returning NULL drops the row without failing the batch it came in.
+-- Only the owner's own deletions count: ids are not unique across users
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION skip_deleted_record()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM deleted_records
+        WHERE user_id = NEW.user_id AND table_name = TG_TABLE_NAME AND record_id = NEW.id::text
+    ) THEN
+        RETURN NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS goals_tombstoned ON goals;
+CREATE TRIGGER goals_tombstoned BEFORE INSERT ON goals FOR EACH ROW EXECUTE FUNCTION skip_deleted_record();
+
+DROP TRIGGER IF EXISTS transactions_tombstoned ON transactions;
+CREATE TRIGGER transactions_tombstoned BEFORE INSERT ON transactions FOR EACH ROW EXECUTE FUNCTION skip_deleted_record();
+
+DROP TRIGGER IF EXISTS routines_tombstoned ON routines;
+CREATE TRIGGER routines_tombstoned BEFORE INSERT ON routines FOR EACH ROW EXECUTE FUNCTION skip_deleted_record();
+
+DROP TRIGGER IF EXISTS fixed_expenses_tombstoned ON fixed_expenses;
+CREATE TRIGGER fixed_expenses_tombstoned BEFORE INSERT ON fixed_expenses FOR EACH ROW EXECUTE FUNCTION skip_deleted_record();
+
+DROP TRIGGER IF EXISTS accounts_tombstoned ON accounts;
+CREATE TRIGGER accounts_tombstoned BEFORE INSERT ON accounts FOR EACH ROW EXECUTE FUNCTION skip_deleted_record();
+
+-- ============================================================
+-- STEP 2: Undo a delete
+-- ============================================================
+
+DROP POLICY IF EXISTS "deleted_records_delete" ON deleted_records;
+CREATE POLICY "deleted_records_delete" ON deleted_records FOR DELETE USING (auth.uid() = user_id);